@@ -0,0 +1,247 @@
+#!/usr/bin/env node
+/**
+ * Linha de comando do sistema de tarefas
+ * Tarefas de manutenção executadas fora do servidor
+ *
+ * Uso:
+ *   node cli.js migrate [--to N] [--dry-run]
+ *   node cli.js migrate:status
+ *   node cli.js migrate:rollback [--to N] [--dry-run]
+ *   node cli.js admin:list
+ *   node cli.js admin:grant --user <usuário ou email>
+ *   node cli.js admin:revoke --user <usuário ou email>
+ *   node cli.js trash:purge
+ *   node cli.js activity:purge
+ */
+
+const { config } = require('./config');
+const Database = require('./database');
+const migrations = require('./migrations');
+const { createStorage } = require('./storage');
+
+// =============================================================================
+// UTILITÁRIOS
+// =============================================================================
+
+/**
+ * Interpreta as opções --chave valor e --flag da linha de comando
+ * @param {Array<string>} args - Argumentos após o comando
+ * @returns {Object} - Opções encontradas
+ */
+function parseOptions(args) {
+    const options = {};
+
+    for (let i = 0; i < args.length; i++) {
+        const match = /^--([\w-]+)(?:=(.*))?$/.exec(args[i]);
+        if (!match) continue;
+
+        const key = match[1].replace(/-(\w)/g, (_, letter) => letter.toUpperCase());
+        if (match[2] !== undefined) {
+            options[key] = match[2];
+        } else if (args[i + 1] !== undefined && !args[i + 1].startsWith('--')) {
+            options[key] = args[++i];
+        } else {
+            options[key] = true;
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Converte a opção --to em número de versão
+ * @param {*} value - Valor informado
+ * @returns {number|null} - Versão ou null se ausente
+ */
+function parseVersion(value) {
+    if (value === undefined) return null;
+
+    const version = parseInt(value, 10);
+    if (Number.isNaN(version)) {
+        throw new Error(`Versão inválida: ${value}`);
+    }
+    return version;
+}
+
+/**
+ * Lê a opção obrigatória --user (nome de usuário ou email)
+ * @param {Object} options - Opções da linha de comando
+ * @returns {string} - Login informado
+ */
+function requireUserOption(options) {
+    if (typeof options.user !== 'string' || !options.user) {
+        throw new Error('Informe o usuário com --user <usuário ou email>');
+    }
+    return options.user;
+}
+
+/**
+ * Imprime o resumo das alterações de cada migração
+ * @param {Array} steps - Lista de { name, changes }
+ */
+function printSteps(steps) {
+    steps.forEach(step => {
+        console.log(`  ${step.name}`);
+        step.changes.forEach(change => {
+            console.log(`    ${change.collection}: ${change.before} -> ${change.after} registros, ${change.changed} alterados`);
+        });
+    });
+}
+
+// =============================================================================
+// COMANDOS
+// =============================================================================
+
+const commands = {
+    /**
+     * Aplica as migrações pendentes
+     */
+    migrate(options) {
+        const dryRun = Boolean(options.dryRun);
+        const result = migrations.migrate(Database.getStorage(), { to: parseVersion(options.to), dryRun });
+
+        if (result.applied.length === 0) {
+            console.log(`Esquema já está na versão ${result.to}. Nada a migrar.`);
+            return;
+        }
+
+        console.log(`${dryRun ? '[simulação] ' : ''}Migrando esquema ${result.from} -> ${result.to}`);
+        printSteps(result.applied);
+    },
+
+    /**
+     * Mostra a versão atual e as migrações pendentes
+     */
+    'migrate:status'() {
+        const result = migrations.status(Database.getStorage());
+
+        console.log(`Versão atual: ${result.version} (mais recente: ${result.latest})`);
+        result.history.forEach(entry => {
+            console.log(`  ${entry.appliedAt}  v${entry.version}  ${entry.name}`);
+        });
+
+        if (result.pending.length > 0) {
+            console.log('Pendentes:');
+            result.pending.forEach(migration => {
+                console.log(`  ${migration.name} - ${migration.description}`);
+            });
+        }
+    },
+
+    /**
+     * Desfaz migrações aplicadas
+     */
+    'migrate:rollback'(options) {
+        const dryRun = Boolean(options.dryRun);
+        const result = migrations.rollback(Database.getStorage(), { to: parseVersion(options.to), dryRun });
+
+        if (result.reverted.length === 0) {
+            console.log(`Esquema já está na versão ${result.to}. Nada a reverter.`);
+            return;
+        }
+
+        console.log(`${dryRun ? '[simulação] ' : ''}Revertendo esquema ${result.from} -> ${result.to}`);
+        printSteps(result.reverted);
+    },
+
+    /**
+     * Lista os administradores
+     */
+    'admin:list'() {
+        const admins = Database.getUsers().filter(user => user.role === 'admin');
+
+        if (admins.length === 0) {
+            console.log('Nenhum administrador. Use: node cli.js admin:grant --user <usuário ou email>');
+            return;
+        }
+
+        admins.forEach(user => {
+            console.log(`  ${user.username} <${user.email}>${user.disabledAt ? ' (desativado)' : ''}`);
+        });
+    },
+
+    /**
+     * Promove um usuário a administrador
+     */
+    'admin:grant'(options) {
+        const result = Database.bootstrapAdmin(requireUserOption(options));
+
+        if (!result.success) {
+            throw new Error(result.message);
+        }
+        console.log(result.changed
+            ? `${result.user.username} agora é administrador.`
+            : `${result.user.username} já era administrador.`);
+    },
+
+    /**
+     * Remove o papel de administrador de um usuário
+     */
+    'admin:revoke'(options) {
+        const user = Database.getUserByLogin(requireUserOption(options));
+
+        if (!user) {
+            throw new Error(`Usuário não encontrado: ${options.user}`);
+        }
+
+        const result = Database.setUserRole(user.id, 'user');
+        if (!result.success) {
+            throw new Error(result.message);
+        }
+        console.log(result.changed
+            ? `${user.username} deixou de ser administrador.`
+            : `${user.username} não era administrador.`);
+    },
+
+    /**
+     * Remove definitivamente as tarefas que passaram do prazo da lixeira
+     */
+    'trash:purge'() {
+        const result = Database.purgeExpiredTrash();
+
+        if (!result.success) {
+            throw new Error(result.message);
+        }
+        console.log(`${result.purged} tarefa(s) removida(s) definitivamente da lixeira.`);
+    },
+
+    /**
+     * Remove os eventos do histórico de atividades que passaram do prazo de retenção
+     */
+    'activity:purge'() {
+        if (!config.ACTIVITY_RETENTION_DAYS) {
+            console.log('ACTIVITY_RETENTION_DAYS não configurado: o histórico de atividades é mantido.');
+            return;
+        }
+
+        const result = Database.purgeExpiredActivity();
+
+        if (!result.success) {
+            throw new Error(result.message);
+        }
+        console.log(`${result.purged} evento(s) removido(s) do histórico de atividades.`);
+    }
+};
+
+// =============================================================================
+// EXECUÇÃO
+// =============================================================================
+
+const [commandName, ...args] = process.argv.slice(2);
+const command = commands[commandName];
+
+if (!command) {
+    console.log('Comandos disponíveis:');
+    Object.keys(commands).forEach(name => console.log(`  ${name}`));
+    process.exit(commandName ? 1 : 0);
+}
+
+try {
+    // Fora do servidor, esperar pelo bloqueio dos arquivos JSON não trava ninguém
+    Database.init(createStorage(undefined, { waitForLock: true }), { migrate: false });
+    command(parseOptions(args));
+    Database.getStorage().close();
+} catch (error) {
+    console.error(`Erro: ${error.message}`);
+    process.exit(1);
+}
@@ -14,13 +14,57 @@ const crypto = require('crypto');
  * Configurações gerais da aplicação
  * Utiliza variáveis de ambiente quando disponíveis
  */
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+
 const config = {
     APP_NAME: 'Sistema de Tarefas Node.js',
     PORT: process.env.PORT || 3000,
-    DATA_DIR: path.join(__dirname, 'data'),
-    USERS_FILE: path.join(__dirname, 'data', 'users.json'),
-    TASKS_FILE: path.join(__dirname, 'data', 'tasks.json'),
-    SESSION_SECRET: process.env.SESSION_SECRET || 'sistema-tarefas-secret-key'
+    DATA_DIR,
+    USERS_FILE: path.join(DATA_DIR, 'users.json'),
+    TASKS_FILE: path.join(DATA_DIR, 'tasks.json'),
+    STORAGE_DRIVER: process.env.STORAGE_DRIVER || 'json', // json, memory ou sqlite
+    SQLITE_FILE: process.env.SQLITE_FILE || path.join(DATA_DIR, 'tarefas.db'),
+    SESSION_SECRET: process.env.SESSION_SECRET || 'sistema-tarefas-secret-key',
+    SESSIONS_DIR: process.env.SESSIONS_DIR || path.join(DATA_DIR, 'sessions'), // Um arquivo por sessão ativa
+    TRUST_PROXY: process.env.TRUST_PROXY || false, // Necessário atrás de proxy reverso para req.ip correto
+    ADMIN_USER: process.env.ADMIN_USER || null, // Usuário/email promovido a administrador ao iniciar
+    APP_URL: process.env.APP_URL || `http://localhost:${process.env.PORT || 3000}`, // Base dos links enviados por email
+    
+    // Envio de emails
+    MAIL_TRANSPORT: process.env.MAIL_TRANSPORT || 'outbox', // outbox (arquivos .eml) ou console
+    MAIL_FROM: process.env.MAIL_FROM || 'Sistema de Tarefas <nao-responda@localhost>',
+    MAIL_OUTBOX_DIR: process.env.MAIL_OUTBOX_DIR || path.join(DATA_DIR, 'outbox'),
+    
+    PASSWORD_RESET_TTL_MINUTES: Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 60,
+    
+    // Lixeira: tarefas excluídas são removidas definitivamente após este prazo
+    TRASH_RETENTION_DAYS: Number(process.env.TRASH_RETENTION_DAYS) || 30,
+    
+    // Histórico de atividades: sem prazo configurado, os eventos são mantidos para sempre;
+    // com ele, eventos mais antigos que o prazo (em dias) são descartados
+    ACTIVITY_RETENTION_DAYS: Number(process.env.ACTIVITY_RETENTION_DAYS) || null,
+    
+    // Confirmação de email: 'block' impede o login, 'limit' deixa a conta somente leitura
+    EMAIL_VERIFICATION_POLICY: process.env.EMAIL_VERIFICATION_POLICY || 'limit',
+    EMAIL_VERIFICATION_TTL_HOURS: Number(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 48,
+    
+    // Limite de tentativas de login (contadores persistidos em loginAttempts)
+    LOGIN_THROTTLE: {
+        WINDOW_MINUTES: Number(process.env.LOGIN_WINDOW_MINUTES) || 15,       // Janela de contagem das falhas
+        LOCKOUT_MINUTES: Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15,     // Duração do bloqueio
+        ACCOUNT_MAX_ATTEMPTS: Number(process.env.LOGIN_ACCOUNT_MAX_ATTEMPTS) || 5,
+        IP_MAX_ATTEMPTS: Number(process.env.LOGIN_IP_MAX_ATTEMPTS) || 20,
+        FREE_ATTEMPTS: 3,            // Falhas permitidas antes do atraso exponencial
+        BACKOFF_BASE_SECONDS: 1,     // Atraso após a primeira falha excedente (dobra a cada falha)
+        BACKOFF_MAX_SECONDS: 60
+    },
+    
+    // Autenticação em dois fatores (TOTP)
+    TWO_FACTOR: {
+        ISSUER: process.env.TWO_FACTOR_ISSUER || 'Sistema de Tarefas', // Nome exibido no aplicativo autenticador
+        LOGIN_TTL_MINUTES: 5,        // Prazo para informar o código após a senha
+        RECOVERY_CODES: 10           // Quantidade de códigos de recuperação gerados
+    }
 };
 
 // =============================================================================
@@ -53,23 +97,78 @@ function validateEmail(email) {
 // =============================================================================
 
 /**
- * Gera hash SHA-256 da senha
+ * Parâmetros do scrypt para novos hashes de senha
+ * Aumentar N torna o hash mais lento; hashes antigos continuam verificáveis
+ * porque os parâmetros ficam gravados junto com o hash
+ */
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1, keylen: 64, saltBytes: 16 };
+
+/**
+ * Gera hash scrypt salgado da senha
+ * Formato armazenado: scrypt$N$r$p$<salt base64>$<hash base64>
  * @param {string} password - Senha em texto plano
- * @returns {string} - Hash da senha
+ * @returns {string} - Hash autodescritivo da senha
  */
 function hashPassword(password) {
-    return crypto.createHash('sha256').update(password).digest('hex');
+    const { N, r, p, keylen, saltBytes } = SCRYPT_PARAMS;
+    const salt = crypto.randomBytes(saltBytes);
+    const hash = crypto.scryptSync(password, salt, keylen, { N, r, p, maxmem: 256 * N * r });
+    
+    return ['scrypt', N, r, p, salt.toString('base64'), hash.toString('base64')].join('$');
 }
 
 /**
  * Verifica se senha corresponde ao hash armazenado
+ * Aceita o formato scrypt atual e o SHA-256 hexadecimal legado
+ * A comparação é feita em tempo constante
  * @param {string} password - Senha em texto plano
  * @param {string} hash - Hash armazenado
  * @returns {boolean} - True se corresponde, false caso contrário
  */
 function verifyPassword(password, hash) {
-    const passwordHash = crypto.createHash('sha256').update(password).digest('hex');
-    return passwordHash === hash;
+    if (typeof password !== 'string' || typeof hash !== 'string') return false;
+    
+    let expected;
+    let actual;
+    
+    if (hash.startsWith('scrypt$')) {
+        const [, N, r, p, salt, key] = hash.split('$');
+        const params = { N: Number(N), r: Number(r), p: Number(p) };
+        expected = Buffer.from(key || '', 'base64');
+        
+        if (expected.length === 0) return false;
+        
+        try {
+            actual = crypto.scryptSync(password, Buffer.from(salt, 'base64'), expected.length, {
+                ...params,
+                maxmem: 256 * params.N * params.r
+            });
+        } catch (error) {
+            console.error('Hash de senha inválido:', error.message);
+            return false;
+        }
+    } else if (/^[0-9a-f]{64}$/.test(hash)) {
+        // Formato legado: SHA-256 sem salt
+        expected = Buffer.from(hash, 'hex');
+        actual = crypto.createHash('sha256').update(password).digest();
+    } else {
+        return false;
+    }
+    
+    return crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Indica se o hash armazenado deve ser recalculado com os parâmetros atuais
+ * Verdadeiro para hashes legados (SHA-256) e para scrypt com parâmetros antigos
+ * @param {string} hash - Hash armazenado
+ * @returns {boolean} - True se o hash está desatualizado
+ */
+function needsRehash(hash) {
+    if (typeof hash !== 'string' || !hash.startsWith('scrypt$')) return true;
+    
+    const [, N, r, p] = hash.split('$').map(Number);
+    return N !== SCRYPT_PARAMS.N || r !== SCRYPT_PARAMS.r || p !== SCRYPT_PARAMS.p;
 }
 
 /**
@@ -80,12 +179,30 @@ function generateId() {
     return crypto.randomBytes(16).toString('hex');
 }
 
+/**
+ * Gera token secreto para links enviados ao usuário (ex.: redefinição de senha)
+ * @returns {string} - Token em hexadecimal com 256 bits de entropia
+ */
+function generateToken() {
+    return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Calcula o hash de um token para armazenamento
+ * Tokens têm alta entropia, então SHA-256 sem salt é suficiente
+ * @param {string} token - Token em texto plano
+ * @returns {string} - Hash SHA-256 em hexadecimal
+ */
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
 // =============================================================================
 // MIDDLEWARES DE AUTENTICAÇÃO
 // =============================================================================
 
 /**
- * Verifica se usuário está autenticado
+ * Verifica se usuário está autenticado por sessão do navegador
  * @param {Object} req - Objeto de requisição Express
  * @returns {boolean} - True se autenticado, false caso contrário
  */
@@ -94,23 +211,201 @@ function isLoggedIn(req) {
 }
 
 /**
- * Middleware para proteger rotas que requerem autenticação
+ * Extrai o token do cabeçalho Authorization: Bearer <token>
+ * @param {Object} req - Objeto de requisição Express
+ * @returns {string|null} - Token informado ou null
+ */
+function getBearerToken(req) {
+    const header = req.get('Authorization') || '';
+    const match = /^Bearer\s+(\S+)$/i.exec(header);
+    return match ? match[1] : null;
+}
+
+/**
+ * Retorna o ID do usuário autenticado, por token de API ou sessão
+ * @param {Object} req - Objeto de requisição Express
+ * @returns {string|null} - ID do usuário ou null
+ */
+function getUserId(req) {
+    if (req.apiToken) return req.apiToken.userId;
+    return isLoggedIn(req) ? req.session.userId : null;
+}
+
+/**
+ * Indica se a requisição espera resposta JSON (AJAX/API)
+ * @param {Object} req - Objeto de requisição Express
+ * @returns {boolean} - True para requisições de API
+ */
+function wantsJson(req) {
+    return req.xhr || (req.headers.accept && req.headers.accept.indexOf('json') > -1) || req.path.startsWith('/api/');
+}
+
+/**
+ * Responde a uma requisição não autenticada
  * Redireciona para login ou retorna erro 401 para APIs
  * @param {Object} req - Objeto de requisição Express
  * @param {Object} res - Objeto de resposta Express
+ */
+function rejectUnauthenticated(req, res) {
+    if (wantsJson(req)) {
+        res.status(401).json({ success: false, message: 'Não autorizado' });
+    } else {
+        res.redirect('/auth');
+    }
+}
+
+/**
+ * Middleware para proteger rotas que requerem autenticação
+ * Aceita sessão do navegador ou token de API (Authorization: Bearer).
+ * Tokens somente leitura só podem fazer requisições GET/HEAD/OPTIONS.
+ * @param {Object} req - Objeto de requisição Express
+ * @param {Object} res - Objeto de resposta Express
  * @param {Function} next - Função next do middleware
  */
 function requireAuth(req, res, next) {
+    if (req.apiToken) {
+        if (req.apiToken.scope !== 'read-write' && !['GET', 'HEAD', 'OPTIONS'].includes(req.method)) {
+            return res.status(403).json({
+                success: false,
+                code: 'INSUFFICIENT_SCOPE',
+                message: 'Este token de API permite apenas leitura.'
+            });
+        }
+        return next();
+    }
+    
     if (isLoggedIn(req)) {
         next();
     } else {
-        // Verificar se é uma requisição AJAX/API
-        if (req.xhr || (req.headers.accept && req.headers.accept.indexOf('json') > -1) || req.path.startsWith('/api/')) {
-            res.status(401).json({ success: false, message: 'Não autorizado' });
-        } else {
-            res.redirect('/auth');
-        }
+        rejectUnauthenticated(req, res);
+    }
+}
+
+/**
+ * Middleware para rotas que exigem sessão do navegador
+ * Usado no gerenciamento da conta, que não pode ser feito com token de API
+ * @param {Object} req - Objeto de requisição Express
+ * @param {Object} res - Objeto de resposta Express
+ * @param {Function} next - Função next do middleware
+ */
+function requireSession(req, res, next) {
+    if (req.apiToken) {
+        return res.status(403).json({
+            success: false,
+            code: 'SESSION_REQUIRED',
+            message: 'Esta operação não está disponível para tokens de API.'
+        });
+    }
+    
+    if (isLoggedIn(req)) {
+        next();
+    } else {
+        rejectUnauthenticated(req, res);
+    }
+}
+
+/**
+ * Cria middleware que exige sessão do navegador e um dos papéis informados
+ * Equivalente a requireSession com verificação de papel; depende de res.locals.user.
+ * Tokens de API são recusados: a sessão passa pelo segundo fator e pela revogação (sessionEpoch)
+ * @param {...string} roles - Papéis aceitos (ex.: 'admin')
+ * @returns {Function} - Middleware Express
+ */
+function requireRole(...roles) {
+    return function(req, res, next) {
+        requireSession(req, res, () => {
+            const user = res.locals.user;
+            
+            if (user && roles.includes(user.role)) {
+                return next();
+            }
+            
+            if (wantsJson(req)) {
+                res.status(403).json({ success: false, code: 'FORBIDDEN', message: 'Acesso restrito' });
+            } else {
+                res.status(403).send('Acesso restrito');
+            }
+        });
+    };
+}
+
+/**
+ * Middleware que exige email confirmado quando a política é 'limit'
+ * Deve ser usado após requireAuth; depende de res.locals.user
+ * @param {Object} req - Objeto de requisição Express
+ * @param {Object} res - Objeto de resposta Express
+ * @param {Function} next - Função next do middleware
+ */
+function requireVerifiedEmail(req, res, next) {
+    const user = res.locals.user;
+    
+    if (config.EMAIL_VERIFICATION_POLICY !== 'limit' || !user || user.emailVerified) {
+        return next();
+    }
+    
+    res.status(403).json({
+        success: false,
+        code: 'EMAIL_NOT_VERIFIED',
+        message: 'Confirme seu email para criar ou alterar tarefas. Verifique sua caixa de entrada.'
+    });
+}
+
+// =============================================================================
+// PROTEÇÃO CSRF
+// =============================================================================
+
+/**
+ * Métodos HTTP que não alteram estado e dispensam token CSRF
+ */
+const CSRF_SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Retorna o token CSRF da sessão, gerando-o na primeira chamada
+ * @param {Object} req - Objeto de requisição Express
+ * @returns {string|null} - Token CSRF vinculado à sessão (null sem sessão)
+ */
+function getCsrfToken(req) {
+    // Requisições com token de API não têm sessão
+    if (!req.session) return null;
+    
+    if (!req.session.csrfToken) {
+        req.session.csrfToken = crypto.randomBytes(32).toString('hex');
+    }
+    return req.session.csrfToken;
+}
+
+/**
+ * Middleware que exige token CSRF válido em requisições que alteram estado
+ * O token é aceito no cabeçalho X-CSRF-Token ou no campo _csrf do corpo
+ * @param {Object} req - Objeto de requisição Express
+ * @param {Object} res - Objeto de resposta Express
+ * @param {Function} next - Função next do middleware
+ */
+function verifyCsrf(req, res, next) {
+    // Requisições com token de API não usam cookies, logo não estão sujeitas a CSRF
+    if (CSRF_SAFE_METHODS.includes(req.method) || req.apiToken) {
+        return next();
+    }
+    
+    const expected = req.session && req.session.csrfToken;
+    const received = req.get('X-CSRF-Token') || (req.body && req.body._csrf);
+    
+    // Comparar em bytes: um token com caracteres multibyte pode ter o mesmo
+    // número de caracteres e tamanho diferente em bytes (timingSafeEqual lançaria erro)
+    const expectedBytes = Buffer.from(expected || '');
+    const receivedBytes = Buffer.from(typeof received === 'string' ? received : '');
+    
+    if (expectedBytes.length > 0 && receivedBytes.length === expectedBytes.length &&
+        crypto.timingSafeEqual(receivedBytes, expectedBytes)) {
+        return next();
     }
+    
+    console.warn(`Requisição bloqueada por CSRF: ${req.method} ${req.originalUrl} (IP ${req.ip})`);
+    res.status(403).json({
+        success: false,
+        code: 'CSRF_INVALID',
+        message: 'Token de segurança inválido ou ausente. Recarregue a página e tente novamente.'
+    });
 }
 
 // =============================================================================
@@ -136,9 +431,20 @@ module.exports = {
     validateEmail,
     hashPassword,
     verifyPassword,
+    needsRehash,
     generateId,
+    generateToken,
+    hashToken,
     isLoggedIn,
+    getBearerToken,
+    getUserId,
+    wantsJson,
     requireAuth,
+    requireSession,
+    requireRole,
+    requireVerifiedEmail,
+    getCsrfToken,
+    verifyCsrf,
     formatDate
 };
 
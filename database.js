@@ -1,69 +1,546 @@
 /**
  * Camada de persistência de dados para o sistema de tarefas
- * Gerencia operações CRUD em arquivos JSON para usuários e tarefas
+ * Gerencia operações CRUD de usuários e tarefas sobre um adaptador de armazenamento
  */
 
-const fs = require('fs');
-const path = require('path');
-const { config, hashPassword, verifyPassword, generateId } = require('./config');
+const { config, hashPassword, verifyPassword, needsRehash, generateId, generateToken, hashToken } = require('./config');
+const { createStorage, CollectionCache } = require('./storage');
+const migrations = require('./migrations');
+const totp = require('./totp');
+const dates = require('./dates');
+const recurrence = require('./recurrence');
+const search = require('./search');
+
+/**
+ * Coleções persistidas pelo sistema
+ */
+const COLLECTIONS = ['users', 'tasks', 'comments', 'activity', 'projects', 'tags', 'loginAttempts', 'passwordResets', 'emailVerifications', 'apiTokens', migrations.META_COLLECTION];
+
+/**
+ * Adaptador de armazenamento ativo (definido em Database.init)
+ */
+let storage = null;
+
+/**
+ * Caches em memória das coleções, criados sob demanda sobre o adaptador ativo
+ */
+let caches = {};
+
+/**
+ * Quantidade máxima de itens na checklist de uma tarefa
+ */
+const CHECKLIST_MAX_ITEMS = 100;
+
+/**
+ * Quantidade máxima de tags por usuário
+ */
+const TAGS_MAX_PER_USER = 100;
+
+/**
+ * Quantidade máxima de projetos por usuário e cor padrão (a mesma do Inbox)
+ */
+const PROJECTS_MAX_PER_USER = 100;
+const PROJECT_DEFAULT_COLOR = '#667eea';
+
+/**
+ * Permissões de cada papel em um projeto
+ * O dono (owner) é o usuário do projeto (project.userId); os demais papéis são
+ * atribuídos aos membros convidados (project.members)
+ */
+const PROJECT_ROLE_PERMISSIONS = {
+    owner: ['view', 'edit', 'manage'],
+    editor: ['view', 'edit'],
+    viewer: ['view']
+};
+
+/**
+ * Papéis que podem ser atribuídos a membros convidados
+ */
+const PROJECT_MEMBER_ROLES = ['editor', 'viewer'];
+
+/**
+ * Identifica os membros mencionados (@usuario) em um comentário
+ * @param {string} text - Texto do comentário
+ * @param {Array} members - Membros do projeto da tarefa ({ userId, username })
+ * @returns {Array<string>} - IDs dos membros mencionados
+ */
+function findMentions(text, members) {
+    return members
+        .filter(member => {
+            const escaped = member.username.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            return new RegExp(`@${escaped}(?![\\w.-])`, 'i').test(text);
+        })
+        .map(member => member.userId);
+}
+
+/**
+ * Verifica se um papel concede a permissão
+ * @param {string|null} role - Papel do usuário no projeto (null = sem acesso)
+ * @param {string} permission - view, edit ou manage
+ * @returns {boolean} - True se permitido
+ */
+function hasPermission(role, permission) {
+    return Boolean(role) && PROJECT_ROLE_PERMISSIONS[role].includes(permission);
+}
+
+/**
+ * Campos das tarefas acompanhados pelo histórico de atividades
+ */
+const ACTIVITY_FIELDS = ['title', 'description', 'priority', 'dueDate', 'dueTime', 'recurrence', 'projectId', 'assigneeId', 'tags', 'checklist', 'checklistAutoComplete', 'completed'];
+
+/**
+ * Quantidade máxima de eventos retornados pelo feed de atividades
+ */
+const ACTIVITY_FEED_MAX = 200;
+
+/**
+ * Campos pesquisados nas tarefas e seus pesos na pontuação da busca
+ */
+const SEARCH_FIELD_WEIGHTS = { title: 5, tags: 3, description: 2, checklist: 1, comments: 1 };
+
+/**
+ * Normaliza o valor de um campo para comparação no histórico
+ * Valores "vazios" (ausente, texto vazio, lista vazia e false) são equivalentes
+ * @param {*} value - Valor do campo
+ * @returns {string} - Representação comparável
+ */
+function activityKey(value) {
+    const empty = value === undefined || value === null || value === '' || value === false ||
+        (Array.isArray(value) && value.length === 0);
+    return empty ? 'null' : JSON.stringify(value);
+}
+
+/**
+ * Procura registro pelo nome, sem diferenciar maiúsculas e acentos (tags e projetos)
+ * @param {Array} records - Registros do usuário
+ * @param {string} name - Nome procurado
+ * @param {string|null} exceptId - Registro a ignorar (o próprio, ao renomear)
+ * @returns {Object|undefined} - Registro encontrado
+ */
+function findByName(records, name, exceptId = null) {
+    return records.find(record => record.id !== exceptId &&
+        record.name.localeCompare(name, 'pt-BR', { sensitivity: 'base' }) === 0);
+}
+
+/**
+ * Cria o agregado de estatísticas vazio de um usuário
+ * @returns {Object} - Estatísticas zeradas
+ */
+function createTaskStats() {
+    return {
+        total: 0,
+        completed: 0,
+        pending: 0,
+        byPriority: { high: 0, medium: 0, low: 0 },
+        checklist: { tasks: 0, items: 0, completed: 0 },
+        byTag: {},
+        byProject: {}
+    };
+}
+
+/**
+ * Soma (sign = 1) ou subtrai (sign = -1) a contribuição de uma tarefa nas estatísticas
+ * @param {Object} stats - Estatísticas do usuário
+ * @param {Object} task - Tarefa adicionada ou removida
+ * @param {number} sign - 1 para adicionar, -1 para remover
+ */
+function accumulateTaskStats(stats, task, sign) {
+    // Tarefas na lixeira não entram nas estatísticas
+    if (task.deletedAt) return;
+    
+    stats.total += sign;
+    
+    if (task.completed) {
+        stats.completed += sign;
+    } else {
+        stats.pending += sign;
+        
+        // Estatísticas por prioridade consideram apenas tarefas pendentes
+        if (task.priority in stats.byPriority) {
+            stats.byPriority[task.priority] += sign;
+        }
+    }
+    
+    // Progresso das checklists (itens de todas as tarefas)
+    const items = task.checklist;
+    if (items.length > 0) {
+        stats.checklist.tasks += sign;
+        stats.checklist.items += sign * items.length;
+        stats.checklist.completed += sign * items.filter(item => item.completed).length;
+    }
+    
+    // Tarefas por projeto (projetos sem tarefas são removidos)
+    if (task.projectId) {
+        const project = stats.byProject[task.projectId] || { total: 0, completed: 0, pending: 0 };
+        project.total += sign;
+        project[task.completed ? 'completed' : 'pending'] += sign;
+        
+        if (project.total === 0) {
+            delete stats.byProject[task.projectId];
+        } else {
+            stats.byProject[task.projectId] = project;
+        }
+    }
+    
+    // Tarefas por tag (chaves sem tarefas são removidas)
+    task.tags.forEach(tagId => {
+        stats.byTag[tagId] = (stats.byTag[tagId] || 0) + sign;
+        if (stats.byTag[tagId] === 0) delete stats.byTag[tagId];
+    });
+}
+
+/**
+ * Conclui uma tarefa (dentro da transação que a alterou)
+ * Em tarefas repetidas, gera a próxima ocorrência com a checklist desmarcada
+ * @param {Array} tasks - Lista de tarefas em alteração
+ * @param {number} taskIndex - Índice da tarefa a concluir
+ * @param {string} now - Data/hora atual (ISO)
+ * @returns {Object} - Resultado da operação (com a próxima ocorrência, se houver)
+ */
+function completeTask(tasks, taskIndex, now) {
+    const task = tasks[taskIndex];
+    
+    tasks[taskIndex] = {
+        ...task,
+        completed: true,
+        completedAt: now,
+        recurrence: null,
+        updatedAt: now
+    };
+    
+    if (!task.recurrence) {
+        return { success: true, completed: true };
+    }
+    
+    const next = recurrence.nextOccurrence(task.recurrence, task.dueDate, { occurrence: task.occurrence });
+    if (!next) {
+        return { success: true, completed: true, seriesEnded: true };
+    }
+    
+    const nextTask = {
+        ...task,
+        id: generateId(),
+        dueDate: next.date,
+        occurrence: next.occurrence,
+        checklist: task.checklist.map(item => ({ ...item, completed: false })),
+        previousId: task.id,
+        completed: false,
+        completedAt: null,
+        createdAt: now,
+        updatedAt: now
+    };
+    tasks.push(nextTask);
+    
+    return { success: true, completed: true, nextTaskId: nextTask.id, nextDueDate: next.date };
+}
+
+/**
+ * Verifica se todos os itens de uma checklist estão marcados
+ * @param {Array} items - Itens da checklist
+ * @returns {boolean} - True se houver itens e todos estiverem concluídos
+ */
+function isChecklistDone(items) {
+    return items.length > 0 && items.every(item => item.completed);
+}
+
+/**
+ * Conclui ou reabre automaticamente uma tarefa com checklistAutoComplete
+ * quando uma alteração muda o estado "todos os itens marcados"
+ * (tarefas concluídas manualmente não são reabertas por itens já pendentes)
+ * @param {Array} tasks - Lista de tarefas em alteração
+ * @param {number} taskIndex - Índice da tarefa
+ * @param {boolean} wasDone - Se todos os itens estavam marcados antes da alteração
+ * @param {string} now - Data/hora atual (ISO)
+ * @param {Function} countComments - Quantidade de comentários de uma tarefa (ver reopenTask)
+ * @returns {Object|null} - Resultado da conclusão/reabertura ou null se nada mudou
+ */
+function applyChecklistAutoComplete(tasks, taskIndex, wasDone, now, countComments) {
+    const task = tasks[taskIndex];
+    
+    if (!task.checklistAutoComplete) {
+        return null;
+    }
+    
+    const isDone = isChecklistDone(task.checklist);
+    if (isDone && !wasDone && !task.completed) {
+        return completeTask(tasks, taskIndex, now);
+    }
+    if (!isDone && wasDone && task.completed) {
+        return reopenTask(tasks, taskIndex, now, countComments);
+    }
+    return null;
+}
+
+/**
+ * Reabre uma tarefa concluída (dentro da transação que a alterou)
+ * Se a ocorrência seguinte gerada por ela ainda estiver pendente, ela é removida
+ * e a regra de repetição volta para esta tarefa. A reabertura é recusada se a
+ * seguinte já foi alterada ou comentada, pois removê-la descartaria esse trabalho
+ * @param {Array} tasks - Lista de tarefas em alteração
+ * @param {number} taskIndex - Índice da tarefa a reabrir
+ * @param {string} now - Data/hora atual (ISO)
+ * @param {Function} countComments - Recebe o ID de uma tarefa e retorna a quantidade de comentários
+ * @returns {Object} - Resultado da operação
+ */
+function reopenTask(tasks, taskIndex, now, countComments) {
+    const task = tasks[taskIndex];
+    const reopened = { ...task, completed: false, completedAt: null, updatedAt: now };
+    
+    const nextIndex = tasks.findIndex(other => other.previousId === task.id && other.userId === task.userId && !other.completed && !other.deletedAt);
+    if (nextIndex !== -1) {
+        const next = tasks[nextIndex];
+        if (next.updatedAt !== next.createdAt || countComments(next.id) > 0) {
+            return { success: false, message: 'A próxima ocorrência já foi alterada ou comentada; reabrir esta tarefa a descartaria.' };
+        }
+        reopened.recurrence = next.recurrence;
+    }
+    
+    tasks[taskIndex] = reopened;
+    if (nextIndex !== -1) {
+        tasks.splice(nextIndex, 1);
+    }
+    
+    return { success: true, completed: false };
+}
+
+/**
+ * Extrai os dados públicos de um usuário (sem senha e controles internos)
+ * @param {Object} user - Registro completo do usuário
+ * @returns {Object} - Dados seguros para enviar ao cliente
+ */
+function publicUser(user) {
+    return {
+        id: user.id,
+        username: user.username,
+        email: user.email,
+        emailVerified: user.emailVerified !== false,
+        twoFactorEnabled: Boolean(user.twoFactor && user.twoFactor.enabledAt),
+        role: user.role || 'user',
+        disabled: Boolean(user.disabledAt),
+        passwordResetRequired: Boolean(user.passwordResetRequired)
+    };
+}
+
+/**
+ * Papéis de usuário aceitos
+ */
+const USER_ROLES = ['user', 'admin'];
+
+/**
+ * Coleções com registros vinculados ao usuário pelo campo userId
+ * (removidos junto com a conta; o histórico de atividades é mantido)
+ */
+const USER_OWNED_COLLECTIONS = ['tasks', 'comments', 'projects', 'tags', 'apiTokens', 'passwordResets', 'emailVerifications'];
+
+/**
+ * Normaliza um código de recuperação (ignora hífens, espaços e maiúsculas)
+ * @param {string} code - Código informado
+ * @returns {string} - Código normalizado
+ */
+function normalizeRecoveryCode(code) {
+    return String(code || '').toLowerCase().replace(/[\s-]/g, '');
+}
+
+/**
+ * Gera os códigos de recuperação da autenticação em dois fatores
+ * @returns {Object} - { codes: textos exibidos uma única vez, hashes: valores armazenados }
+ */
+function generateRecoveryCodes() {
+    const codes = Array.from({ length: config.TWO_FACTOR.RECOVERY_CODES }, () => {
+        const raw = generateToken().slice(0, 10);
+        return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+    
+    return { codes, hashes: codes.map(code => hashToken(normalizeRecoveryCode(code))) };
+}
+
+/**
+ * Intervalo mínimo entre atualizações de lastUsedAt de um token de API (ms)
+ * Evita uma gravação em disco a cada requisição autenticada por token
+ */
+const TOKEN_LAST_USED_INTERVAL = 60 * 1000;
+
+/**
+ * Escopos aceitos para tokens de API
+ */
+const TOKEN_SCOPES = ['read', 'read-write'];
+
+/**
+ * Extrai os dados exibíveis de um token de API (sem o hash)
+ * @param {Object} token - Registro completo do token
+ * @returns {Object} - Dados seguros para enviar ao cliente
+ */
+function publicApiToken(token) {
+    return {
+        id: token.id,
+        name: token.name,
+        scope: token.scope,
+        prefix: token.prefix,
+        createdAt: token.createdAt,
+        expiresAt: token.expiresAt,
+        lastUsedAt: token.lastUsedAt,
+        revokedAt: token.revokedAt
+    };
+}
+
+/**
+ * Opções de indexação de cada coleção
+ */
+const CACHE_OPTIONS = {
+    apiTokens: { groupBy: 'userId' },
+    tags: { groupBy: 'userId' },
+    projects: { groupBy: 'userId' },
+    comments: { groupBy: 'taskId' },
+    activity: { groupBy: 'userId' },
+    tasks: {
+        groupBy: 'userId',
+        createAggregate: createTaskStats,
+        accumulate: accumulateTaskStats
+    }
+};
 
 // =============================================================================
 // CLASSE DATABASE - GERENCIAMENTO DE DADOS
 // =============================================================================
 
 class Database {
-    
+
     // =========================================================================
     // INICIALIZAÇÃO E CONFIGURAÇÃO
     // =========================================================================
     
     /**
      * Inicializa estrutura de dados do sistema
-     * Cria diretórios e arquivos necessários se não existirem
+     * Seleciona o adaptador de armazenamento, cria as coleções necessárias
+     * e aplica as migrações de esquema pendentes
+     * @param {Object} adapter - Adaptador a utilizar (padrão: config.STORAGE_DRIVER)
+     * @param {Object} [options] - Opções de inicialização
+     * @param {boolean} [options.migrate] - Aplicar migrações pendentes (padrão: true)
      */
-    static init() {
-        // Criar diretório de dados se não existir
-        if (!fs.existsSync(config.DATA_DIR)) {
-            fs.mkdirSync(config.DATA_DIR, { recursive: true });
+    static init(adapter = createStorage(), { migrate = true } = {}) {
+        if (storage && storage !== adapter) {
+            storage.close();
         }
         
-        // Criar arquivo de usuários se não existir
-        if (!fs.existsSync(config.USERS_FILE)) {
-            fs.writeFileSync(config.USERS_FILE, JSON.stringify([]));
+        storage = adapter;
+        caches = {};
+        storage.init(COLLECTIONS);
+        
+        if (migrate) {
+            const result = migrations.migrate(storage);
+            result.applied.forEach(step => console.log(`Migração aplicada: ${step.name}`));
+        }
+    }
+    
+    /**
+     * Retorna o adaptador de armazenamento ativo
+     * @returns {Object} - Adaptador inicializado
+     */
+    static getStorage() {
+        if (!storage) {
+            throw new Error('Database.init() precisa ser chamado antes de acessar os dados');
+        }
+        return storage;
+    }
+    
+    /**
+     * Retorna o cache atualizado de uma coleção
+     * O cache é recarregado se a coleção foi alterada fora deste processo
+     * @param {string} collection - Nome da coleção
+     * @returns {CollectionCache} - Cache da coleção
+     */
+    static cache(collection) {
+        if (!caches[collection]) {
+            caches[collection] = new CollectionCache(this.getStorage(), collection, CACHE_OPTIONS[collection]);
         }
         
-        // Criar arquivo de tarefas se não existir
-        if (!fs.existsSync(config.TASKS_FILE)) {
-            fs.writeFileSync(config.TASKS_FILE, JSON.stringify([]));
+        caches[collection].refresh();
+        return caches[collection];
+    }
+    
+    /**
+     * Executa uma alteração de leitura-modificação-escrita sobre uma coleção
+     * A operação inteira ocorre sob o bloqueio do adaptador, evitando que
+     * alterações simultâneas se sobrescrevam. Os registros só são gravados
+     * se o mutador retornar um resultado com success: true.
+     * 
+     * Os registros recebidos pelo mutador são os objetos congelados do cache:
+     * para alterar um registro, substitua-o no array por uma cópia modificada.
+     * @param {string} collection - Nome da coleção
+     * @param {Function} mutator - Recebe o array de registros e retorna o resultado da operação
+     * @param {string} errorMessage - Mensagem retornada se a leitura ou gravação falhar
+     * @returns {Object} - Resultado retornado pelo mutador
+     */
+    static mutate(collection, mutator, errorMessage) {
+        try {
+            return this.getStorage().transaction(() => {
+                const cache = this.cache(collection);
+                const records = cache.all();
+                const result = mutator(records);
+                
+                if (result && result.success) {
+                    this.getStorage().write(collection, records);
+                    cache.commit(records);
+                }
+                
+                return result;
+            });
+        } catch (error) {
+            console.error(`${errorMessage}:`, error);
+            return { success: false, message: errorMessage };
         }
     }
     
+    /**
+     * Executa mutate('tasks', ...) registrando no histórico de atividades o que mudou
+     * As tarefas antes e depois da alteração são comparadas por identidade: como os
+     * registros são congelados, apenas os substituídos pelo mutador são examinados.
+     * @param {string|null} actorId - Usuário que fez a alteração
+     * @param {Function} mutator - Recebe o array de tarefas e retorna o resultado da operação
+     * @param {string} errorMessage - Mensagem retornada se a leitura ou gravação falhar
+     * @returns {Object} - Resultado retornado pelo mutador
+     */
+    static mutateTasks(actorId, mutator, errorMessage) {
+        return this.getStorage().transaction(() => {
+            const before = new Map(this.cache('tasks').all().map(task => [task.id, task]));
+            const result = this.mutate('tasks', mutator, errorMessage);
+            
+            if (result && result.success) {
+                this.recordTaskActivity(actorId, before, this.cache('tasks').all());
+            }
+            
+            return result;
+        });
+    }
+    
     // =========================================================================
     // OPERAÇÕES COM USUÁRIOS
     // =========================================================================
     
     /**
-     * Recupera lista de usuários do arquivo JSON
+     * Recupera lista de usuários do armazenamento
      * @returns {Array} - Array de objetos usuário
+     * @throws {Error} - Se os dados não puderem ser lidos ou recuperados
      */
     static getUsers() {
         try {
-            const data = fs.readFileSync(config.USERS_FILE, 'utf8');
-            return JSON.parse(data) || [];
+            return this.cache('users').all();
         } catch (error) {
+            // Não retornar [] aqui: uma gravação posterior apagaria todos os usuários
             console.error('Erro ao ler usuários:', error);
-            return [];
+            throw error;
         }
     }
     
     /**
-     * Salva lista de usuários no arquivo JSON
+     * Salva lista de usuários no armazenamento
      * @param {Array} users - Array de usuários a serem salvos
      * @returns {boolean} - True se salvou com sucesso, false caso contrário
      */
     static saveUsers(users) {
         try {
-            fs.writeFileSync(config.USERS_FILE, JSON.stringify(users, null, 2));
+            // O cache detecta a nova versão e recarrega na próxima leitura
+            this.getStorage().write('users', users);
             return true;
         } catch (error) {
             console.error('Erro ao salvar usuários:', error);
@@ -72,44 +549,62 @@ class Database {
     }
     
     /**
-     * Cria novo usuário no sistema
+     * Cria novo usuário no sistema, já com o projeto Inbox
      * @param {string} username - Nome de usuário
      * @param {string} email - Email do usuário
      * @param {string} password - Senha em texto plano
      * @returns {Object} - Resultado da operação
      */
     static createUser(username, email, password) {
-        const users = this.getUsers();
-        
-        // Verificar se usuário já existe
-        const existingUser = users.find(user => 
-            user.username === username || user.email === email
-        );
-        
-        if (existingUser) {
-            return { success: false, message: 'Usuário ou email já existe' };
-        }
-        
-        // Criar novo objeto usuário com hash da senha
-        const newUser = {
-            id: generateId(),
-            username,
-            email,
-            password: hashPassword(password),
-            createdAt: new Date().toISOString()
-        };
-        
-        users.push(newUser);
-        
-        if (this.saveUsers(users)) {
+        return this.getStorage().transaction(() => {
+            const result = this.insertUser(username, email, password);
+            if (!result.success) {
+                return result;
+            }
+            
+            const inbox = this.createInbox(result.userId);
+            return inbox.success ? result : inbox;
+        });
+    }
+    
+    /**
+     * Grava o registro de um novo usuário (ver createUser)
+     * @param {string} username - Nome de usuário
+     * @param {string} email - Email do usuário
+     * @param {string} password - Senha em texto plano
+     * @returns {Object} - Resultado da operação
+     */
+    static insertUser(username, email, password) {
+        return this.mutate('users', users => {
+            // Verificar se usuário já existe
+            const existingUser = users.find(user => 
+                user.username === username || user.email === email
+            );
+            
+            if (existingUser) {
+                return { success: false, message: 'Usuário ou email já existe' };
+            }
+            
+            // Criar novo objeto usuário com hash da senha
+            const newUser = {
+                id: generateId(),
+                username,
+                email,
+                password: hashPassword(password),
+                role: 'user',
+                emailVerified: false,
+                createdAt: new Date().toISOString()
+            };
+            
+            users.push(newUser);
+            
             return { success: true, userId: newUser.id };
-        } else {
-            return { success: false, message: 'Erro ao criar usuário' };
-        }
+        }, 'Erro ao criar usuário');
     }
     
     /**
      * Autentica usuário com credenciais fornecidas
+     * Hashes legados ou com parâmetros antigos são recalculados após o login
      * @param {string} username - Nome de usuário ou email
      * @param {string} password - Senha em texto plano
      * @returns {Object} - Resultado da autenticação com dados do usuário
@@ -117,17 +612,44 @@ class Database {
     static authenticateUser(username, password) {
         const users = this.getUsers();
         
-        // Buscar usuário por nome ou email e verificar senha
-        const user = users.find(user => 
-            (user.username === username || user.email === username) &&
-            verifyPassword(password, user.password)
-        );
+        // Buscar usuário por nome ou email e só então verificar a senha
+        const user = users
+            .filter(user => user.username === username || user.email === username)
+            .find(user => verifyPassword(password, user.password));
         
-        if (user) {
-            return { success: true, user: { id: user.id, username: user.username, email: user.email } };
-        } else {
+        if (!user) {
             return { success: false, message: 'Usuário ou senha incorretos' };
         }
+        
+        if (needsRehash(user.password)) {
+            this.rehashPassword(user.id, user.password, password);
+        }
+        
+        return { success: true, user: publicUser(user) };
+    }
+    
+    /**
+     * Substitui o hash de senha de um usuário pelo formato atual
+     * Só grava se o hash armazenado ainda for o mesmo que foi verificado
+     * @param {string} userId - ID do usuário
+     * @param {string} oldHash - Hash verificado no login
+     * @param {string} password - Senha em texto plano já verificada
+     * @returns {Object} - Resultado da operação
+     */
+    static rehashPassword(userId, oldHash, password) {
+        const newHash = hashPassword(password);
+        
+        return this.mutate('users', users => {
+            const index = users.findIndex(user => user.id === userId && user.password === oldHash);
+            
+            if (index === -1) {
+                return { success: false, message: 'Senha alterada durante o login' };
+            }
+            
+            users[index] = { ...users[index], password: newHash };
+            
+            return { success: true };
+        }, 'Erro ao atualizar hash da senha');
     }
     
     /**
@@ -136,191 +658,2618 @@ class Database {
      * @returns {Object|null} - Dados do usuário sem senha ou null se não encontrado
      */
     static getUserById(userId) {
-        const users = this.getUsers();
-        const user = users.find(user => user.id === userId);
+        const user = this.cache('users').get(userId);
         
         if (user) {
-            return { id: user.id, username: user.username, email: user.email };
+            return publicUser(user);
         }
         return null;
     }
     
-    // =========================================================================
-    // OPERAÇÕES COM TAREFAS
-    // =========================================================================
-    
     /**
-     * Recupera tarefas do arquivo JSON
-     * @param {string|null} userId - ID do usuário para filtrar tarefas (null = todas)
-     * @returns {Array} - Array de objetos tarefa
+     * Busca usuário por email
+     * @param {string} email - Email do usuário
+     * @returns {Object|null} - Dados do usuário sem senha ou null se não encontrado
      */
-    static getTasks(userId = null) {
-        try {
-            const data = fs.readFileSync(config.TASKS_FILE, 'utf8');
-            const allTasks = JSON.parse(data) || [];
-            
-            // Filtrar por usuário se especificado
-            if (userId) {
-                return allTasks.filter(task => task.userId === userId);
-            }
-            
-            return allTasks;
-        } catch (error) {
-            console.error('Erro ao ler tarefas:', error);
-            return [];
+    static getUserByEmail(email) {
+        const user = this.getUsers().find(user => user.email === email);
+        
+        if (user) {
+            return publicUser(user);
         }
+        return null;
     }
     
     /**
-     * Salva lista de tarefas no arquivo JSON
-     * @param {Array} tasks - Array de tarefas a serem salvas
-     * @returns {boolean} - True se salvou com sucesso, false caso contrário
+     * Busca usuário por nome de usuário ou email
+     * @param {string} login - Nome de usuário ou email
+     * @returns {Object|null} - Dados do usuário sem senha ou null se não encontrado
      */
-    static saveTasks(tasks) {
-        try {
-            fs.writeFileSync(config.TASKS_FILE, JSON.stringify(tasks, null, 2));
-            return true;
-        } catch (error) {
-            console.error('Erro ao salvar tarefas:', error);
-            return false;
+    static getUserByLogin(login) {
+        const user = this.getUsers().find(user => user.username === login || user.email === login);
+        
+        if (user) {
+            return publicUser(user);
         }
+        return null;
     }
     
     /**
-     * Cria nova tarefa para o usuário
-     * @param {string} userId - ID do usuário proprietário
-     * @param {string} title - Título da tarefa
-     * @param {string} description - Descrição da tarefa (opcional)
-     * @param {string} priority - Prioridade da tarefa (low, medium, high)
-     * @returns {Object} - Resultado da operação
+     * Retorna a época de sessão do usuário
+     * Sessões criadas com uma época anterior são consideradas revogadas
+     * @param {string} userId - ID do usuário
+     * @returns {number|null} - Época atual ou null se o usuário não existir
      */
-    static createTask(userId, title, description = '', priority = 'medium') {
-        const tasks = this.getTasks();
+    static getSessionEpoch(userId) {
+        const user = this.cache('users').get(userId);
+        return user ? (user.sessionEpoch || 0) : null;
+    }
+    
+    /**
+     * Atualiza nome de usuário e email, com as mesmas regras de unicidade do cadastro
+     * Um email novo precisa ser confirmado novamente e só é aceito com a senha atual
+     * (com o email trocado, uma sessão roubada tomaria a conta pela redefinição de senha)
+     * @param {string} userId - ID do usuário
+     * @param {Object} data - { username, email, currentPassword }
+     * @returns {Object} - Resultado com emailChanged indicando nova confirmação pendente
+     */
+    static updateProfile(userId, { username, email, currentPassword }) {
+        const user = this.cache('users').get(userId);
+        if (user && user.email !== email) {
+            if (!currentPassword) {
+                return { success: false, message: 'Informe a senha atual para alterar o email' };
+            }
+            if (!this.verifyUserPassword(userId, currentPassword)) {
+                return { success: false, message: 'Senha atual incorreta' };
+            }
+        }
         
-        // Criar novo objeto tarefa
-        const newTask = {
-            id: generateId(),
-            userId,
-            title,
-            description,
-            priority,
-            completed: false,
-            createdAt: new Date().toISOString(),
-            updatedAt: new Date().toISOString()
-        };
+        const result = this.mutate('users', users => {
+            const index = users.findIndex(user => user.id === userId);
+            
+            if (index === -1) {
+                return { success: false, message: 'Usuário não encontrado' };
+            }
+            
+            // Verificar se outro usuário já usa o nome ou o email
+            const existingUser = users.find(user =>
+                user.id !== userId && (user.username === username || user.email === email)
+            );
+            
+            if (existingUser) {
+                return { success: false, message: 'Usuário ou email já existe' };
+            }
+            
+            const current = users[index];
+            const emailChanged = current.email !== email;
+            
+            users[index] = {
+                ...current,
+                username,
+                email,
+                ...(emailChanged ? { emailVerified: false, emailVerifiedAt: null } : {}),
+                updatedAt: new Date().toISOString()
+            };
+            
+            return { success: true, emailChanged };
+        }, 'Erro ao atualizar perfil');
         
-        tasks.push(newTask);
+        // Links enviados ao email anterior deixam de valer
+        if (result.success && result.emailChanged) {
+            this.removeUserRecords('emailVerifications', userId);
+            this.removeUserRecords('passwordResets', userId);
+        }
         
-        if (this.saveTasks(tasks)) {
-            return { success: true, taskId: newTask.id };
-        } else {
-            return { success: false, message: 'Erro ao criar tarefa' };
+        return result;
+    }
+    
+    /**
+     * Altera a senha do usuário após conferir a senha atual
+     * As demais sessões do usuário são revogadas (nova época de sessão)
+     * @param {string} userId - ID do usuário
+     * @param {string} currentPassword - Senha atual
+     * @param {string} newPassword - Nova senha em texto plano
+     * @returns {Object} - Resultado com a nova época de sessão
+     */
+    static changePassword(userId, currentPassword, newPassword) {
+        if (!this.verifyUserPassword(userId, currentPassword)) {
+            return { success: false, message: 'Senha atual incorreta' };
         }
+        
+        const password = hashPassword(newPassword);
+        
+        return this.mutate('users', users => {
+            const index = users.findIndex(user => user.id === userId);
+            
+            if (index === -1) {
+                return { success: false, message: 'Usuário não encontrado' };
+            }
+            
+            const sessionEpoch = (users[index].sessionEpoch || 0) + 1;
+            users[index] = { ...users[index], password, sessionEpoch };
+            
+            return { success: true, sessionEpoch };
+        }, 'Erro ao alterar senha');
     }
     
+    // =========================================================================
+    // TOKENS DE USO ÚNICO (REDEFINIÇÃO DE SENHA E CONFIRMAÇÃO DE EMAIL)
+    // =========================================================================
+    
     /**
-     * Atualiza dados de uma tarefa existente
-     * @param {string} taskId - ID da tarefa
-     * @param {string} userId - ID do usuário proprietário
-     * @param {Object} data - Dados a serem atualizados
+     * Emite token de uso único para o usuário em uma coleção de tokens
+     * Tokens anteriores do mesmo usuário e tokens expirados são descartados;
+     * apenas o hash do token é armazenado
+     * @param {string} collection - Coleção de tokens (passwordResets, emailVerifications)
+     * @param {string} userId - ID do usuário
+     * @param {number} ttlMinutes - Validade do token em minutos
+     * @param {string} errorMessage - Mensagem em caso de falha de gravação
+     * @returns {Object} - Resultado com o token em texto plano e a data de expiração
+     */
+    static issueToken(collection, userId, ttlMinutes, errorMessage) {
+        const token = generateToken();
+        const now = Date.now();
+        const expiresAt = new Date(now + ttlMinutes * 60 * 1000).toISOString();
+        
+        return this.mutate(collection, tokens => {
+            for (let i = tokens.length - 1; i >= 0; i--) {
+                if (tokens[i].userId === userId || new Date(tokens[i].expiresAt) <= now) {
+                    tokens.splice(i, 1);
+                }
+            }
+            
+            tokens.push({
+                id: generateId(),
+                userId,
+                tokenHash: hashToken(token),
+                createdAt: new Date(now).toISOString(),
+                expiresAt
+            });
+            
+            return { success: true, token, expiresAt };
+        }, errorMessage);
+    }
+    
+    /**
+     * Consome um token de uso único
+     * O token é removido antes de qualquer outra alteração: mesmo que a
+     * operação seguinte falhe, ele não pode ser reutilizado
+     * @param {string} collection - Coleção de tokens
+     * @param {string} token - Token em texto plano recebido do usuário
+     * @param {string} invalidMessage - Mensagem para token inválido ou expirado
+     * @returns {Object} - Resultado com o userId do token
+     */
+    static consumeToken(collection, token, invalidMessage) {
+        const tokenHash = hashToken(token);
+        
+        return this.mutate(collection, tokens => {
+            const index = tokens.findIndex(item => item.tokenHash === tokenHash);
+            
+            if (index === -1 || new Date(tokens[index].expiresAt) <= new Date()) {
+                return { success: false, message: invalidMessage };
+            }
+            
+            const { userId } = tokens[index];
+            tokens.splice(index, 1);
+            
+            return { success: true, userId };
+        }, 'Erro ao validar link');
+    }
+    
+    // =========================================================================
+    // REDEFINIÇÃO DE SENHA
+    // =========================================================================
+    
+    /**
+     * Cria token de redefinição de senha para o usuário
+     * @param {string} userId - ID do usuário
+     * @returns {Object} - Resultado com o token em texto plano e a data de expiração
+     */
+    static createPasswordReset(userId) {
+        return this.issueToken('passwordResets', userId, config.PASSWORD_RESET_TTL_MINUTES, 'Erro ao gerar link de redefinição');
+    }
+    
+    /**
+     * Redefine a senha a partir de um token válido
+     * O token é consumido e todas as sessões do usuário são revogadas
+     * @param {string} token - Token recebido por email
+     * @param {string} newPassword - Nova senha em texto plano
      * @returns {Object} - Resultado da operação
      */
-    static updateTask(taskId, userId, data) {
-        const tasks = this.getTasks();
-        const taskIndex = tasks.findIndex(task => task.id === taskId && task.userId === userId);
+    static resetPassword(token, newPassword) {
+        const consumed = this.consumeToken('passwordResets', token, 'Link de redefinição inválido ou expirado');
         
-        if (taskIndex === -1) {
-            return { success: false, message: 'Tarefa não encontrada' };
+        if (!consumed.success) {
+            return consumed;
         }
         
-        // Atualizar tarefa mantendo dados existentes
-        // Atualizar tarefa mantendo dados existentes
-        tasks[taskIndex] = {
-            ...tasks[taskIndex],
-            ...data,
-            updatedAt: new Date().toISOString()
-        };
+        const { userId } = consumed;
+        const password = hashPassword(newPassword);
         
-        if (this.saveTasks(tasks)) {
-            return { success: true };
-        } else {
-            return { success: false, message: 'Erro ao atualizar tarefa' };
-        }
+        return this.mutate('users', users => {
+            const index = users.findIndex(user => user.id === userId);
+            
+            if (index === -1) {
+                return { success: false, message: 'Usuário não encontrado' };
+            }
+            
+            // A nova senha também atende a uma redefinição exigida pelo administrador
+            const { passwordResetRequired, ...user } = users[index];
+            
+            users[index] = {
+                ...user,
+                password,
+                sessionEpoch: (user.sessionEpoch || 0) + 1
+            };
+            
+            return { success: true, userId };
+        }, 'Erro ao redefinir senha');
+    }
+    
+    // =========================================================================
+    // CONFIRMAÇÃO DE EMAIL
+    // =========================================================================
+    
+    /**
+     * Cria token de confirmação do email do usuário
+     * @param {string} userId - ID do usuário
+     * @returns {Object} - Resultado com o token em texto plano e a data de expiração
+     */
+    static createEmailVerification(userId) {
+        return this.issueToken('emailVerifications', userId, config.EMAIL_VERIFICATION_TTL_HOURS * 60, 'Erro ao gerar link de confirmação');
     }
     
     /**
-     * Remove tarefa do sistema
-     * @param {string} taskId - ID da tarefa
-     * @param {string} userId - ID do usuário proprietário
+     * Confirma o email do usuário a partir de um token válido
+     * @param {string} token - Token recebido por email
      * @returns {Object} - Resultado da operação
      */
-    static deleteTask(taskId, userId) {
-        const tasks = this.getTasks();
-        const taskIndex = tasks.findIndex(task => task.id === taskId && task.userId === userId);
+    static verifyEmail(token) {
+        const consumed = this.consumeToken('emailVerifications', token, 'Link de confirmação inválido ou expirado');
         
-        if (taskIndex === -1) {
-            return { success: false, message: 'Tarefa não encontrada' };
+        if (!consumed.success) {
+            return consumed;
         }
         
-        tasks.splice(taskIndex, 1);
+        const { userId } = consumed;
+        
+        return this.mutate('users', users => {
+            const index = users.findIndex(user => user.id === userId);
+            
+            if (index === -1) {
+                return { success: false, message: 'Usuário não encontrado' };
+            }
+            
+            users[index] = {
+                ...users[index],
+                emailVerified: true,
+                emailVerifiedAt: new Date().toISOString()
+            };
+            
+            return { success: true, userId };
+        }, 'Erro ao confirmar email');
+    }
+    
+    // =========================================================================
+    // CONTROLE DE TENTATIVAS DE LOGIN
+    // =========================================================================
+    
+    /**
+     * Resolve a chave do contador de falhas de uma conta
+     * Identificadores desconhecidos também são contados, para que a resposta
+     * não revele se a conta existe
+     * @param {string} login - Nome de usuário ou email informado
+     * @returns {string} - Chave do contador
+     */
+    static getLoginAccountKey(login) {
+        const user = this.getUserByLogin(login);
+        return user ? `user:${user.id}` : `login:${String(login).toLowerCase()}`;
+    }
+    
+    /**
+     * Verifica se uma chave (IP ou conta) está temporariamente bloqueada
+     * @param {string} key - Chave do contador
+     * @returns {Object|null} - { key, failures, blockedUntil, locked } ou null se liberada
+     */
+    static getLoginBlock(key) {
+        const record = this.cache('loginAttempts').get(key);
+        
+        if (record && record.blockedUntil && new Date(record.blockedUntil) > new Date()) {
+            return { key, failures: record.failures, blockedUntil: record.blockedUntil, locked: record.locked };
+        }
+        return null;
+    }
+    
+    /**
+     * Registra uma falha de login para a chave
+     * Após FREE_ATTEMPTS falhas aplica atraso exponencial; ao atingir
+     * maxAttempts bloqueia a chave por LOCKOUT_MINUTES
+     * @param {string} key - Chave do contador
+     * @param {number} maxAttempts - Falhas até o bloqueio
+     * @returns {Object} - Resultado com failures, blockedUntil e locked
+     */
+    static registerLoginFailure(key, maxAttempts) {
+        const policy = config.LOGIN_THROTTLE;
         
-        if (this.saveTasks(tasks)) {
+        return this.mutate('loginAttempts', attempts => {
+            const now = Date.now();
+            const windowMs = policy.WINDOW_MINUTES * 60 * 1000;
+            
+            // Descartar contadores expirados
+            const expired = record => now - new Date(record.lastFailureAt) > windowMs &&
+                (!record.blockedUntil || new Date(record.blockedUntil) <= now);
+            for (let i = attempts.length - 1; i >= 0; i--) {
+                if (expired(attempts[i])) attempts.splice(i, 1);
+            }
+            
+            const index = attempts.findIndex(record => record.id === key);
+            const previous = attempts[index];
+            
+            // Um bloqueio já cumprido recomeça a contagem
+            const restart = !previous || (previous.locked && new Date(previous.blockedUntil) <= now);
+            const failures = restart ? 1 : previous.failures + 1;
+            
+            let blockedUntil = null;
+            let locked = false;
+            
+            if (failures >= maxAttempts) {
+                blockedUntil = new Date(now + policy.LOCKOUT_MINUTES * 60 * 1000).toISOString();
+                locked = true;
+            } else if (failures > policy.FREE_ATTEMPTS) {
+                const delay = Math.min(
+                    policy.BACKOFF_BASE_SECONDS * Math.pow(2, failures - policy.FREE_ATTEMPTS - 1),
+                    policy.BACKOFF_MAX_SECONDS
+                );
+                blockedUntil = new Date(now + delay * 1000).toISOString();
+            }
+            
+            const record = {
+                id: key,
+                failures,
+                firstFailureAt: restart ? new Date(now).toISOString() : previous.firstFailureAt,
+                lastFailureAt: new Date(now).toISOString(),
+                blockedUntil,
+                locked
+            };
+            
+            if (index === -1) {
+                attempts.push(record);
+            } else {
+                attempts[index] = record;
+            }
+            
+            return { success: true, failures, blockedUntil, locked };
+        }, 'Erro ao registrar tentativa de login');
+    }
+    
+    /**
+     * Zera o contador de falhas de uma chave após login bem-sucedido
+     * @param {string} key - Chave do contador
+     * @returns {Object} - Resultado da operação
+     */
+    static clearLoginFailures(key) {
+        if (!this.cache('loginAttempts').get(key)) {
             return { success: true };
-        } else {
-            return { success: false, message: 'Erro ao excluir tarefa' };
         }
+        
+        return this.mutate('loginAttempts', attempts => {
+            const index = attempts.findIndex(record => record.id === key);
+            if (index !== -1) attempts.splice(index, 1);
+            return { success: true };
+        }, 'Erro ao limpar tentativas de login');
     }
     
+    // =========================================================================
+    // AUTENTICAÇÃO EM DOIS FATORES (TOTP)
+    // =========================================================================
+    
     /**
-     * Alterna status de conclusão da tarefa
-     * @param {string} taskId - ID da tarefa
-     * @param {string} userId - ID do usuário proprietário
-     * @returns {Object} - Resultado da operação com novo status
+     * Confere a senha atual do usuário (reautenticação em operações sensíveis)
+     * @param {string} userId - ID do usuário
+     * @param {string} password - Senha em texto plano
+     * @returns {boolean} - True se a senha estiver correta
      */
-    static toggleTaskCompletion(taskId, userId) {
-        const tasks = this.getTasks();
-        const taskIndex = tasks.findIndex(task => task.id === taskId && task.userId === userId);
+    static verifyUserPassword(userId, password) {
+        const user = this.cache('users').get(userId);
+        return Boolean(user) && verifyPassword(password, user.password);
+    }
+    
+    /**
+     * Retorna o estado da autenticação em dois fatores do usuário
+     * @param {string} userId - ID do usuário
+     * @returns {Object} - { enabled, enabledAt, recoveryCodesRemaining }
+     */
+    static getTwoFactorStatus(userId) {
+        const user = this.cache('users').get(userId);
+        const twoFactor = user && user.twoFactor;
         
-        if (taskIndex === -1) {
-            return { success: false, message: 'Tarefa não encontrada' };
+        if (!twoFactor || !twoFactor.enabledAt) {
+            return { enabled: false, enabledAt: null, recoveryCodesRemaining: 0 };
         }
         
-        // Inverter status de conclusão
-        tasks[taskIndex].completed = !tasks[taskIndex].completed;
-        tasks[taskIndex].updatedAt = new Date().toISOString();
+        return {
+            enabled: true,
+            enabledAt: twoFactor.enabledAt,
+            recoveryCodesRemaining: twoFactor.recoveryCodes.length
+        };
+    }
+    
+    /**
+     * Inicia a ativação: gera um segredo pendente até o primeiro código ser confirmado
+     * @param {string} userId - ID do usuário
+     * @returns {Object} - Resultado com o segredo em base32 e o URI otpauth://
+     */
+    static startTwoFactorSetup(userId) {
+        const secret = totp.generateSecret();
         
-        if (this.saveTasks(tasks)) {
-            return { success: true, completed: tasks[taskIndex].completed };
-        } else {
-            return { success: false, message: 'Erro ao atualizar tarefa' };
+        return this.mutate('users', users => {
+            const index = users.findIndex(user => user.id === userId);
+            
+            if (index === -1) {
+                return { success: false, message: 'Usuário não encontrado' };
+            }
+            if (users[index].twoFactor && users[index].twoFactor.enabledAt) {
+                return { success: false, message: 'A autenticação em dois fatores já está ativada' };
+            }
+            
+            users[index] = { ...users[index], twoFactor: { pendingSecret: secret } };
+            
+            return {
+                success: true,
+                secret,
+                uri: totp.buildOtpauthUri(secret, users[index].email, config.TWO_FACTOR.ISSUER)
+            };
+        }, 'Erro ao configurar autenticação em dois fatores');
+    }
+    
+    /**
+     * Conclui a ativação conferindo um código gerado com o segredo pendente
+     * Os códigos de recuperação em texto plano só são retornados nesta chamada
+     * @param {string} userId - ID do usuário
+     * @param {string} code - Código do aplicativo autenticador
+     * @returns {Object} - Resultado com os códigos de recuperação
+     */
+    static enableTwoFactor(userId, code) {
+        return this.mutate('users', users => {
+            const index = users.findIndex(user => user.id === userId);
+            const twoFactor = index !== -1 ? users[index].twoFactor : null;
+            
+            if (!twoFactor || !twoFactor.pendingSecret) {
+                return { success: false, message: 'Inicie a configuração da autenticação em dois fatores' };
+            }
+            
+            const step = totp.verifyCode(twoFactor.pendingSecret, code);
+            
+            if (step === null) {
+                return { success: false, message: 'Código inválido. Confira o horário do dispositivo e tente novamente.' };
+            }
+            
+            const recovery = generateRecoveryCodes();
+            
+            users[index] = {
+                ...users[index],
+                twoFactor: {
+                    secret: twoFactor.pendingSecret,
+                    enabledAt: new Date().toISOString(),
+                    lastStep: step,
+                    recoveryCodes: recovery.hashes
+                }
+            };
+            
+            return { success: true, recoveryCodes: recovery.codes };
+        }, 'Erro ao ativar autenticação em dois fatores');
+    }
+    
+    /**
+     * Confere o segundo fator: código TOTP ou código de recuperação
+     * Códigos TOTP não podem ser reutilizados; códigos de recuperação são consumidos
+     * @param {string} userId - ID do usuário
+     * @param {string} code - Código informado
+     * @returns {Object} - Resultado com o método usado e os códigos de recuperação restantes
+     */
+    static verifyTwoFactor(userId, code) {
+        return this.mutate('users', users => {
+            const index = users.findIndex(user => user.id === userId);
+            const twoFactor = index !== -1 ? users[index].twoFactor : null;
+            
+            if (!twoFactor || !twoFactor.enabledAt) {
+                return { success: false, message: 'A autenticação em dois fatores não está ativada' };
+            }
+            
+            const step = totp.verifyCode(twoFactor.secret, code, { lastStep: twoFactor.lastStep });
+            
+            if (step !== null) {
+                users[index] = { ...users[index], twoFactor: { ...twoFactor, lastStep: step } };
+                return { success: true, method: 'totp', recoveryCodesRemaining: twoFactor.recoveryCodes.length };
+            }
+            
+            const codeHash = hashToken(normalizeRecoveryCode(code));
+            const recoveryCodes = twoFactor.recoveryCodes.filter(hash => hash !== codeHash);
+            
+            if (recoveryCodes.length < twoFactor.recoveryCodes.length) {
+                users[index] = { ...users[index], twoFactor: { ...twoFactor, recoveryCodes } };
+                return { success: true, method: 'recovery', recoveryCodesRemaining: recoveryCodes.length };
+            }
+            
+            return { success: false, message: 'Código de verificação inválido' };
+        }, 'Erro ao verificar código');
+    }
+    
+    /**
+     * Gera novos códigos de recuperação, invalidando os anteriores
+     * Exige reautenticação com senha e segundo fator
+     * @param {string} userId - ID do usuário
+     * @param {string} password - Senha atual
+     * @param {string} code - Código TOTP ou de recuperação
+     * @returns {Object} - Resultado com os novos códigos de recuperação
+     */
+    static regenerateRecoveryCodes(userId, password, code) {
+        if (!this.verifyUserPassword(userId, password)) {
+            return { success: false, message: 'Senha incorreta' };
+        }
+        
+        const check = this.verifyTwoFactor(userId, code);
+        if (!check.success) {
+            return check;
         }
+        
+        const recovery = generateRecoveryCodes();
+        
+        return this.mutate('users', users => {
+            const index = users.findIndex(user => user.id === userId);
+            
+            if (index === -1) {
+                return { success: false, message: 'Usuário não encontrado' };
+            }
+            
+            users[index] = { ...users[index], twoFactor: { ...users[index].twoFactor, recoveryCodes: recovery.hashes } };
+            
+            return { success: true, recoveryCodes: recovery.codes };
+        }, 'Erro ao gerar códigos de recuperação');
     }
     
     /**
-     * Gera estatísticas das tarefas do usuário
+     * Desativa a autenticação em dois fatores
+     * Exige reautenticação com senha e segundo fator
      * @param {string} userId - ID do usuário
-     * @returns {Object} - Estatísticas organizadas
+     * @param {string} password - Senha atual
+     * @param {string} code - Código TOTP ou de recuperação
+     * @returns {Object} - Resultado da operação
      */
-    static getTaskStats(userId) {
-        const tasks = this.getTasks(userId);
+    static disableTwoFactor(userId, password, code) {
+        if (!this.verifyUserPassword(userId, password)) {
+            return { success: false, message: 'Senha incorreta' };
+        }
         
-        const total = tasks.length;
-        const completed = tasks.filter(task => task.completed).length;
-        const pending = total - completed;
+        const check = this.verifyTwoFactor(userId, code);
+        if (!check.success) {
+            return check;
+        }
         
-        // Estatísticas por prioridade
-        const byPriority = {
-            high: tasks.filter(task => !task.completed && task.priority === 'high').length,
-            medium: tasks.filter(task => !task.completed && task.priority === 'medium').length,
-            low: tasks.filter(task => !task.completed && task.priority === 'low').length
-        };
+        return this.mutate('users', users => {
+            const index = users.findIndex(user => user.id === userId);
+            
+            if (index === -1) {
+                return { success: false, message: 'Usuário não encontrado' };
+            }
+            
+            const { twoFactor, ...user } = users[index];
+            users[index] = user;
+            
+            return { success: true };
+        }, 'Erro ao desativar autenticação em dois fatores');
+    }
+    
+    // =========================================================================
+    // TOKENS DE API
+    // =========================================================================
+    
+    /**
+     * Lista os tokens de API do usuário (sem os hashes)
+     * @param {string} userId - ID do usuário
+     * @returns {Array} - Tokens do usuário, mais recentes primeiro
+     */
+    static getApiTokens(userId) {
+        return this.cache('apiTokens').group(userId)
+            .map(publicApiToken)
+            .reverse();
+    }
+    
+    /**
+     * Cria token de API para o usuário
+     * O token em texto plano só é retornado nesta chamada; apenas o hash é armazenado
+     * @param {string} userId - ID do usuário
+     * @param {string} name - Nome para identificar o token
+     * @param {string} scope - 'read' ou 'read-write'
+     * @param {number|null} expiresInDays - Validade em dias (null = sem expiração)
+     * @returns {Object} - Resultado com o token em texto plano e seus dados
+     */
+    static createApiToken(userId, name, scope, expiresInDays = null) {
+        if (!TOKEN_SCOPES.includes(scope)) {
+            return { success: false, message: 'Escopo inválido' };
+        }
         
-        return {
-            total,
-            completed,
-            pending,
-            byPriority
+        const token = `tsk_${generateToken()}`;
+        const now = new Date();
+        const record = {
+            id: generateId(),
+            userId,
+            name,
+            scope,
+            prefix: token.slice(0, 12),
+            tokenHash: hashToken(token),
+            createdAt: now.toISOString(),
+            expiresAt: expiresInDays ? new Date(now.getTime() + expiresInDays * 24 * 60 * 60 * 1000).toISOString() : null,
+            lastUsedAt: null,
+            revokedAt: null
         };
+        
+        return this.mutate('apiTokens', tokens => {
+            tokens.push(record);
+            return { success: true, token, apiToken: publicApiToken(record) };
+        }, 'Erro ao criar token de API');
+    }
+    
+    /**
+     * Revoga um token de API do usuário
+     * @param {string} tokenId - ID do token
+     * @param {string} userId - ID do usuário proprietário
+     * @returns {Object} - Resultado da operação
+     */
+    static revokeApiToken(tokenId, userId) {
+        return this.mutate('apiTokens', tokens => {
+            const index = tokens.findIndex(token => token.id === tokenId && token.userId === userId);
+            
+            if (index === -1) {
+                return { success: false, message: 'Token não encontrado' };
+            }
+            if (tokens[index].revokedAt) {
+                return { success: false, message: 'Token já revogado' };
+            }
+            
+            tokens[index] = { ...tokens[index], revokedAt: new Date().toISOString() };
+            
+            return { success: true };
+        }, 'Erro ao revogar token de API');
+    }
+    
+    /**
+     * Autentica uma requisição por token de API
+     * Atualiza lastUsedAt no máximo uma vez por minuto
+     * @param {string} token - Token em texto plano do cabeçalho Authorization
+     * @returns {Object} - Resultado com userId e scope do token
+     */
+    static authenticateApiToken(token) {
+        const tokenHash = hashToken(token);
+        const record = this.cache('apiTokens').all().find(item => item.tokenHash === tokenHash);
+        const now = new Date();
+        
+        const user = record ? this.cache('users').get(record.userId) : null;
+        
+        if (!record || record.revokedAt || (record.expiresAt && new Date(record.expiresAt) <= now) ||
+            !user || user.disabledAt) {
+            return { success: false, message: 'Token de API inválido, expirado ou revogado' };
+        }
+        
+        if (!record.lastUsedAt || now - new Date(record.lastUsedAt) > TOKEN_LAST_USED_INTERVAL) {
+            this.mutate('apiTokens', tokens => {
+                const index = tokens.findIndex(item => item.id === record.id);
+                if (index === -1) return { success: false };
+                
+                tokens[index] = { ...tokens[index], lastUsedAt: now.toISOString() };
+                return { success: true };
+            }, 'Erro ao registrar uso do token de API');
+        }
+        
+        return { success: true, token: { id: record.id, userId: record.userId, scope: record.scope } };
+    }
+    
+    // =========================================================================
+    // OPERAÇÕES COM TAREFAS
+    // =========================================================================
+    
+    /**
+     * Recupera tarefas do armazenamento (sem as tarefas da lixeira)
+     * @param {string|null} userId - ID do usuário para filtrar tarefas (null = todas)
+     * @returns {Array} - Array de objetos tarefa
+     * @throws {Error} - Se os dados não puderem ser lidos ou recuperados
+     */
+    static getTasks(userId = null) {
+        try {
+            const cache = this.cache('tasks');
+            
+            // Filtrar por usuário se especificado (índice por userId)
+            const tasks = userId ? cache.group(userId) : cache.all();
+            
+            return tasks.filter(task => !task.deletedAt);
+        } catch (error) {
+            // Não retornar [] aqui: uma gravação posterior apagaria todas as tarefas
+            console.error('Erro ao ler tarefas:', error);
+            throw error;
+        }
+    }
+    
+    /**
+     * Busca tarefa por ID
+     * @param {string} taskId - ID da tarefa
+     * @returns {Object|null} - Tarefa ou null se não encontrada
+     */
+    static getTaskById(taskId) {
+        return this.cache('tasks').get(taskId) || null;
+    }
+    
+    /**
+     * Lista as tarefas que o usuário pode ver: as próprias e as dos projetos
+     * compartilhados com ele
+     * @param {string} userId - ID do usuário
+     * @returns {Array} - Array de objetos tarefa
+     */
+    static getVisibleTasks(userId) {
+        const shared = this.getSharedProjects(userId);
+        
+        return [
+            ...this.getTasks(userId),
+            ...shared.flatMap(project => this.getTasks(project.userId).filter(task => task.projectId === project.id))
+        ];
+    }
+    
+    /**
+     * Papel do usuário em relação a uma tarefa (o papel no projeto da tarefa)
+     * Tarefas na lixeira ficam inacessíveis, exceto para as operações da lixeira
+     * @param {Object} task - Tarefa
+     * @param {string} userId - ID do usuário
+     * @param {boolean} [includeTrashed] - Considerar também tarefas na lixeira
+     * @returns {string|null} - owner, editor, viewer ou null se não tiver acesso
+     */
+    static getTaskRole(task, userId, includeTrashed = false) {
+        if (task.deletedAt && !includeTrashed) {
+            return null;
+        }
+        if (task.userId === userId) {
+            return 'owner';
+        }
+        return this.getProjectRole(this.cache('projects').get(task.projectId), userId);
+    }
+    
+    /**
+     * Localiza uma tarefa e verifica a permissão do usuário sobre ela
+     * Tarefas sem acesso são tratadas como inexistentes
+     * @param {Array} tasks - Lista de tarefas (dentro de mutate)
+     * @param {string} taskId - ID da tarefa
+     * @param {string} userId - ID do usuário
+     * @param {string} permission - view ou edit
+     * @returns {Object} - { success, index } ou { success: false, message }
+     */
+    static findTask(tasks, taskId, userId, permission) {
+        const index = tasks.findIndex(task => task.id === taskId);
+        const role = index === -1 ? null : this.getTaskRole(tasks[index], userId);
+        
+        if (!role) {
+            return { success: false, message: 'Tarefa não encontrada' };
+        }
+        if (!hasPermission(role, permission)) {
+            return { success: false, message: 'Você só pode visualizar as tarefas deste projeto.' };
+        }
+        
+        return { success: true, index };
+    }
+    
+    /**
+     * Salva lista de tarefas no armazenamento
+     * @param {Array} tasks - Array de tarefas a serem salvas
+     * @returns {boolean} - True se salvou com sucesso, false caso contrário
+     */
+    static saveTasks(tasks) {
+        try {
+            // O cache detecta a nova versão e recarrega na próxima leitura
+            this.getStorage().write('tasks', tasks);
+            return true;
+        } catch (error) {
+            console.error('Erro ao salvar tarefas:', error);
+            return false;
+        }
+    }
+    
+    /**
+     * Cria nova tarefa para o usuário
+     * @param {string} userId - ID do usuário que cria a tarefa (o dono é o do projeto)
+     * @param {string} title - Título da tarefa
+     * @param {string} description - Descrição da tarefa (opcional)
+     * @param {string} priority - Prioridade da tarefa (low, medium, high)
+     * @param {string|null} dueDate - Data de vencimento AAAA-MM-DD (opcional)
+     * @param {string|null} dueTime - Horário de vencimento HH:MM (opcional)
+     * @param {Object|null} rule - Regra de repetição normalizada (opcional)
+     * @param {Array<string>} tags - IDs das tags do dono do projeto (validados com resolveTaskTags)
+     * @param {string|null} projectId - Projeto (validado com resolveProjectId; null = Inbox)
+     * @param {string|null} assigneeId - Responsável (validado com resolveAssigneeId)
+     * @returns {Object} - Resultado da operação
+     */
+    static createTask(userId, title, description = '', priority = 'medium', dueDate = null, dueTime = null, rule = null, tags = [], projectId = null, assigneeId = null) {
+        // Tarefas repetidas sempre têm vencimento: a data da ocorrência
+        const series = rule ? recurrence.startSeries(rule, dueDate) : null;
+        if (rule && !series) {
+            return { success: false, message: 'A regra de repetição não gera nenhuma ocorrência.' };
+        }
+        
+        // A tarefa pertence ao dono do projeto; quem a criou fica em createdBy
+        const project = projectId ? this.cache('projects').get(projectId) : this.getInbox(userId);
+        if (!project) {
+            return { success: false, message: 'Projeto não encontrado' };
+        }
+        
+        return this.mutateTasks(userId, tasks => {
+            // Criar novo objeto tarefa
+            const newTask = {
+                id: generateId(),
+                userId: project.userId,
+                projectId: project.id,
+                createdBy: userId,
+                assigneeId,
+                title,
+                description,
+                priority,
+                tags,
+                dueDate: series ? series.dueDate : dueDate,
+                dueTime,
+                recurrence: series ? series.recurrence : null,
+                seriesId: series ? generateId() : null,
+                occurrence: series ? 1 : null,
+                checklist: [],
+                checklistAutoComplete: false,
+                completed: false,
+                completedAt: null,
+                createdAt: new Date().toISOString(),
+                updatedAt: new Date().toISOString()
+            };
+            
+            tasks.push(newTask);
+            
+            return { success: true, taskId: newTask.id };
+        }, 'Erro ao criar tarefa');
+    }
+    
+    /**
+     * Atualiza dados de uma tarefa existente
+     * Em tarefas repetidas, data.recurrence altera a regra da série a partir desta
+     * ocorrência (null encerra a repetição); mudar o vencimento reposiciona a série.
+     * Mudar de projeto exige gerenciar o projeto de origem e editar o de destino, que
+     * precisa ser do mesmo dono: mover nunca transfere a tarefa para outro usuário.
+     * O responsável que não for membro do projeto de destino é removido.
+     * As tags são validadas com resolveTaskTags contra as do dono da tarefa.
+     * @param {string} taskId - ID da tarefa
+     * @param {string} userId - ID do usuário (precisa poder editar a tarefa)
+     * @param {Object} data - Dados a serem atualizados
+     * @returns {Object} - Resultado da operação
+     */
+    static updateTask(taskId, userId, data) {
+        return this.mutateTasks(userId, tasks => {
+            const found = this.findTask(tasks, taskId, userId, 'edit');
+            if (!found.success) {
+                return found;
+            }
+            
+            const taskIndex = found.index;
+            const current = tasks[taskIndex];
+            
+            // Atualizar tarefa mantendo dados existentes (nova cópia do registro)
+            const updated = {
+                ...current,
+                ...data,
+                updatedAt: new Date().toISOString()
+            };
+            
+            // Tags: apenas o dono as altera; as atuais, reenviadas, ficam como estão
+            if ('tags' in data) {
+                const tags = this.resolveTaskTags(userId, current.userId, data.tags, current.tags);
+                if (!tags.success) {
+                    return tags;
+                }
+                updated.tags = tags.tagIds;
+            }
+            
+            if (data.assigneeId && !this.getProjectRole(this.cache('projects').get(updated.projectId), data.assigneeId)) {
+                return { success: false, message: 'O responsável precisa ser membro do projeto.' };
+            }
+            
+            if (updated.projectId !== current.projectId) {
+                const source = this.cache('projects').get(current.projectId);
+                const target = this.cache('projects').get(updated.projectId);
+                
+                if (!hasPermission(this.getProjectRole(source, userId), 'manage')) {
+                    return { success: false, message: 'Apenas o dono do projeto pode mover as tarefas dele.' };
+                }
+                if (!target || !hasPermission(this.getProjectRole(target, userId), 'edit')) {
+                    return { success: false, message: 'Projeto não encontrado' };
+                }
+                if (target.userId !== current.userId) {
+                    return { success: false, message: 'A tarefa só pode ser movida para outro projeto do mesmo dono.' };
+                }
+                
+                if (updated.assigneeId && !this.getProjectRole(target, updated.assigneeId)) {
+                    updated.assigneeId = null;
+                }
+            }
+            
+            const ruleChanged = 'recurrence' in data;
+            const dueChanged = 'dueDate' in data && data.dueDate !== current.dueDate;
+            
+            if (updated.recurrence && (ruleChanged || dueChanged)) {
+                const series = recurrence.startSeries(updated.recurrence, updated.dueDate);
+                if (!series) {
+                    return { success: false, message: 'A regra de repetição não gera nenhuma ocorrência.' };
+                }
+                
+                updated.recurrence = series.recurrence;
+                updated.dueDate = series.dueDate;
+                updated.seriesId = current.seriesId || generateId();
+                
+                // Nova regra: a contagem (COUNT) recomeça nesta ocorrência
+                if (ruleChanged || !current.occurrence) {
+                    updated.occurrence = 1;
+                }
+            }
+            
+            tasks[taskIndex] = updated;
+            
+            // Ativar a conclusão automática com todos os itens marcados conclui a tarefa
+            if (data.checklistAutoComplete && !current.checklistAutoComplete) {
+                applyChecklistAutoComplete(tasks, taskIndex, false, updated.updatedAt, id => this.countComments(id));
+            }
+            
+            return { success: true, dueDate: updated.dueDate };
+        }, 'Erro ao atualizar tarefa');
+    }
+    
+    /**
+     * Move uma tarefa para a lixeira
+     * A tarefa (com seus comentários) pode ser restaurada até ser removida
+     * definitivamente, manualmente ou após config.TRASH_RETENTION_DAYS
+     * @param {string} taskId - ID da tarefa
+     * @param {string} userId - ID do usuário (precisa poder editar a tarefa)
+     * @returns {Object} - Resultado da operação
+     */
+    static deleteTask(taskId, userId) {
+        return this.mutateTasks(userId, tasks => {
+            const found = this.findTask(tasks, taskId, userId, 'edit');
+            if (!found.success) {
+                return found;
+            }
+            
+            tasks[found.index] = { ...tasks[found.index], deletedAt: new Date().toISOString(), deletedBy: userId };
+            
+            return { success: true };
+        }, 'Erro ao excluir tarefa');
+    }
+    
+    /**
+     * Alterna status de conclusão da tarefa
+     * Concluir uma tarefa repetida gera a próxima ocorrência da série, que passa a
+     * carregar a regra; a ocorrência concluída permanece como histórico. Reabrir a
+     * ocorrência desfaz a geração enquanto a seguinte ainda estiver pendente e
+     * intocada (sem alterações nem comentários); caso contrário, é recusado.
+     * @param {string} taskId - ID da tarefa
+     * @param {string} userId - ID do usuário (precisa poder editar a tarefa)
+     * @returns {Object} - Resultado da operação com novo status (e próxima ocorrência)
+     */
+    static toggleTaskCompletion(taskId, userId) {
+        return this.mutateTasks(userId, tasks => {
+            const found = this.findTask(tasks, taskId, userId, 'edit');
+            if (!found.success) {
+                return found;
+            }
+            
+            const taskIndex = found.index;
+            const task = tasks[taskIndex];
+            const now = new Date().toISOString();
+            
+            // Inverter status de conclusão
+            if (task.completed) {
+                return reopenTask(tasks, taskIndex, now, id => this.countComments(id));
+            }
+            return completeTask(tasks, taskIndex, now);
+        }, 'Erro ao atualizar tarefa');
+    }
+    
+    /**
+     * Pula a ocorrência atual de uma tarefa repetida, movendo-a para a próxima data
+     * @param {string} taskId - ID da tarefa
+     * @param {string} userId - ID do usuário (precisa poder editar a tarefa)
+     * @returns {Object} - Resultado da operação com a nova data
+     */
+    static skipOccurrence(taskId, userId) {
+        return this.mutateTasks(userId, tasks => {
+            const found = this.findTask(tasks, taskId, userId, 'edit');
+            if (!found.success) {
+                return found;
+            }
+            
+            const taskIndex = found.index;
+            const task = tasks[taskIndex];
+            if (!task.recurrence || task.completed) {
+                return { success: false, message: 'Apenas tarefas repetidas pendentes podem ter ocorrências puladas.' };
+            }
+            
+            const next = recurrence.nextOccurrence(task.recurrence, task.dueDate, { occurrence: task.occurrence });
+            if (!next) {
+                return { success: false, message: 'Esta é a última ocorrência da série.' };
+            }
+            
+            tasks[taskIndex] = {
+                ...task,
+                dueDate: next.date,
+                occurrence: next.occurrence,
+                updatedAt: new Date().toISOString()
+            };
+            
+            return { success: true, dueDate: next.date };
+        }, 'Erro ao pular ocorrência');
+    }
+    
+    /**
+     * Lista as ocorrências concluídas da série de uma tarefa
+     * @param {string} taskId - ID da tarefa
+     * @param {string} userId - ID do usuário (precisa poder ver a tarefa)
+     * @returns {Array|null} - Ocorrências concluídas (mais recentes primeiro) ou null se a tarefa não existir
+     */
+    static getSeriesHistory(taskId, userId) {
+        const task = this.cache('tasks').get(taskId);
+        
+        if (!task || !hasPermission(this.getTaskRole(task, userId), 'view')) {
+            return null;
+        }
+        if (!task.seriesId) {
+            return [];
+        }
+        
+        return this.getTasks(task.userId)
+            .filter(other => other.seriesId === task.seriesId && other.completed)
+            .sort((a, b) => b.completedAt.localeCompare(a.completedAt));
+    }
+    
+    /**
+     * Gera estatísticas das tarefas do usuário
+     * @param {string} userId - ID do usuário
+     * @returns {Object} - Estatísticas organizadas
+     */
+    static getTaskStats(userId) {
+        // Agregado mantido de forma incremental pelo cache a cada gravação
+        const cache = this.cache('tasks');
+        const stats = cache.aggregate(userId);
+        
+        // Contagens por vencimento dependem da data atual: calculadas na leitura
+        const now = new Date();
+        const due = { overdue: 0, today: 0, thisWeek: 0 };
+        this.getTasks(userId).forEach(task => {
+            const status = dates.getDueStatus(task, now);
+            if (status.overdue) due.overdue++;
+            if (status.today) due.today++;
+            if (status.thisWeek) due.thisWeek++;
+        });
+        
+        return {
+            total: stats.total,
+            completed: stats.completed,
+            pending: stats.pending,
+            byPriority: { ...stats.byPriority },
+            checklist: { ...stats.checklist },
+            byTag: { ...stats.byTag },
+            byProject: Object.fromEntries(Object.entries(stats.byProject).map(([id, project]) => [id, { ...project }])),
+            due
+        };
+    }
+    
+    // =========================================================================
+    // LIXEIRA
+    // =========================================================================
+    
+    /**
+     * Data em que uma tarefa da lixeira será removida definitivamente
+     * @param {Object} task - Tarefa na lixeira
+     * @returns {string} - Data/hora ISO
+     */
+    static getTrashExpiry(task) {
+        const retention = config.TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+        return new Date(new Date(task.deletedAt).getTime() + retention).toISOString();
+    }
+    
+    /**
+     * Lista as tarefas da lixeira que o usuário pode restaurar (mais recentes primeiro)
+     * @param {string} userId - ID do usuário (precisa poder editar a tarefa)
+     * @returns {Array} - Tarefas com expiresAt
+     */
+    static getTrash(userId) {
+        return this.cache('tasks').all()
+            .filter(task => task.deletedAt && hasPermission(this.getTaskRole(task, userId, true), 'edit'))
+            .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt))
+            .map(task => ({ ...task, expiresAt: this.getTrashExpiry(task) }));
+    }
+    
+    /**
+     * Restaura uma tarefa da lixeira
+     * @param {string} taskId - ID da tarefa
+     * @param {string} userId - ID do usuário (precisa poder editar a tarefa)
+     * @returns {Object} - Resultado da operação
+     */
+    static restoreTask(taskId, userId) {
+        return this.mutateTasks(userId, tasks => {
+            const index = tasks.findIndex(task => task.id === taskId && task.deletedAt);
+            const role = index === -1 ? null : this.getTaskRole(tasks[index], userId, true);
+            
+            if (!hasPermission(role, 'edit')) {
+                return { success: false, message: 'Tarefa não encontrada na lixeira' };
+            }
+            
+            const { deletedAt, deletedBy, ...task } = tasks[index];
+            tasks[index] = task;
+            
+            return { success: true };
+        }, 'Erro ao restaurar tarefa');
+    }
+    
+    /**
+     * Remove definitivamente tarefas da lixeira (com seus comentários)
+     * @param {string|null} actorId - Usuário que fez a remoção (null = limpeza automática)
+     * @param {Function} predicate - Seleciona as tarefas da lixeira a remover
+     * @returns {Object} - Resultado com a quantidade removida (purged)
+     */
+    static purgeTasks(actorId, predicate) {
+        return this.getStorage().transaction(() => {
+            const purgedIds = [];
+            
+            const result = this.mutateTasks(actorId, tasks => {
+                const total = tasks.length;
+                let kept = 0;
+                
+                tasks.forEach(task => {
+                    if (task.deletedAt && predicate(task)) {
+                        purgedIds.push(task.id);
+                    } else {
+                        tasks[kept++] = task;
+                    }
+                });
+                tasks.length = kept;
+                
+                // Só grava a coleção se alguma tarefa foi removida
+                return { success: kept < total };
+            }, 'Erro ao esvaziar a lixeira');
+            
+            if (!result.success) {
+                // Sem message: nenhuma tarefa selecionada (nada foi gravado)
+                return result.message ? result : { success: true, purged: 0 };
+            }
+            
+            this.removeTaskComments(purgedIds);
+            return { success: true, purged: purgedIds.length };
+        });
+    }
+    
+    /**
+     * Remove definitivamente uma tarefa da lixeira
+     * @param {string} taskId - ID da tarefa
+     * @param {string} userId - ID do usuário (precisa poder editar a tarefa)
+     * @returns {Object} - Resultado da operação
+     */
+    static purgeTask(taskId, userId) {
+        const result = this.purgeTasks(userId, task =>
+            task.id === taskId && hasPermission(this.getTaskRole(task, userId, true), 'edit'));
+        
+        if (result.purged === 0) {
+            return { success: false, message: 'Tarefa não encontrada na lixeira' };
+        }
+        return result;
+    }
+    
+    /**
+     * Esvazia a lixeira do usuário (tarefas que ele pode editar)
+     * @param {string} userId - ID do usuário
+     * @returns {Object} - Resultado com a quantidade removida (purged)
+     */
+    static emptyTrash(userId) {
+        return this.purgeTasks(userId, task => hasPermission(this.getTaskRole(task, userId, true), 'edit'));
+    }
+    
+    /**
+     * Remove as tarefas que estão na lixeira há mais de config.TRASH_RETENTION_DAYS
+     * @param {Date} [now] - Instante de referência (padrão: agora)
+     * @returns {Object} - Resultado com a quantidade removida (purged)
+     */
+    static purgeExpiredTrash(now = new Date()) {
+        const limit = now.toISOString();
+        return this.purgeTasks(null, task => this.getTrashExpiry(task) <= limit);
+    }
+    
+    // =========================================================================
+    // BUSCA
+    // =========================================================================
+    
+    /**
+     * Busca textual em uma lista de tarefas (ver search.js para a sintaxe)
+     * Pesquisa título, tags, descrição, itens da checklist e comentários
+     * @param {Array} tasks - Tarefas em que buscar (já filtradas por permissão)
+     * @param {string} query - Consulta digitada
+     * @returns {Array} - Resultados { task, score, highlights }, do mais relevante ao menos relevante
+     */
+    static searchTasks(tasks, query) {
+        const items = search.parseQuery(query);
+        if (items.length === 0) {
+            return [];
+        }
+        
+        const tags = this.cache('tags');
+        const comments = this.cache('comments');
+        const results = [];
+        
+        tasks.forEach(task => {
+            const fields = [
+                { name: 'title', text: task.title, whole: true },
+                { name: 'tags', text: task.tags.map(tagId => (tags.get(tagId) || {}).name).filter(Boolean).join(', '), whole: true },
+                { name: 'description', text: task.description },
+                { name: 'checklist', text: task.checklist.map(item => item.text).join('\n') },
+                { name: 'comments', text: comments.group(task.id).map(comment => comment.text).join('\n') }
+            ].map(field => ({ ...field, weight: SEARCH_FIELD_WEIGHTS[field.name] }));
+            
+            const match = search.matchDocument(items, fields);
+            if (match) {
+                results.push({ task, ...match });
+            }
+        });
+        
+        // Empate: a tarefa atualizada mais recentemente primeiro
+        return results.sort((a, b) => b.score - a.score || b.task.updatedAt.localeCompare(a.task.updatedAt));
+    }
+    
+    // =========================================================================
+    // CHECKLISTS DAS TAREFAS
+    // =========================================================================
+    
+    /**
+     * Altera a checklist de uma tarefa dentro de uma transação
+     * Depois da alteração aplica a conclusão automática (checklistAutoComplete)
+     * @param {string} taskId - ID da tarefa
+     * @param {string} userId - ID do usuário (precisa poder editar a tarefa)
+     * @param {Function} change - Recebe a cópia dos itens e retorna { success, ... }
+     * @param {string} errorMessage - Mensagem em caso de falha de gravação
+     * @returns {Object} - Resultado com a checklist atualizada e o status da tarefa
+     */
+    static mutateChecklist(taskId, userId, change, errorMessage) {
+        return this.mutateTasks(userId, tasks => {
+            const found = this.findTask(tasks, taskId, userId, 'edit');
+            if (!found.success) {
+                return found;
+            }
+            
+            const taskIndex = found.index;
+            const task = tasks[taskIndex];
+            const checklist = [...task.checklist];
+            const wasDone = isChecklistDone(checklist);
+            
+            const result = change(checklist);
+            if (!result.success) {
+                return result;
+            }
+            
+            const now = new Date().toISOString();
+            tasks[taskIndex] = { ...task, checklist, updatedAt: now };
+            
+            const autoComplete = applyChecklistAutoComplete(tasks, taskIndex, wasDone, now, id => this.countComments(id));
+            if (autoComplete && !autoComplete.success) {
+                return autoComplete;
+            }
+            
+            return {
+                ...result,
+                checklist,
+                taskCompleted: tasks[taskIndex].completed,
+                autoCompleted: autoComplete ? autoComplete.completed : null,
+                nextDueDate: autoComplete ? autoComplete.nextDueDate || null : null
+            };
+        }, errorMessage);
+    }
+    
+    /**
+     * Adiciona item ao final da checklist
+     * @param {string} taskId - ID da tarefa
+     * @param {string} userId - ID do usuário (precisa poder editar a tarefa)
+     * @param {string} text - Texto do item
+     * @returns {Object} - Resultado da operação com o ID do item
+     */
+    static addChecklistItem(taskId, userId, text) {
+        return this.mutateChecklist(taskId, userId, checklist => {
+            if (checklist.length >= CHECKLIST_MAX_ITEMS) {
+                return { success: false, message: `A checklist pode ter no máximo ${CHECKLIST_MAX_ITEMS} itens.` };
+            }
+            
+            const item = { id: generateId(), text, completed: false, createdAt: new Date().toISOString() };
+            checklist.push(item);
+            
+            return { success: true, itemId: item.id };
+        }, 'Erro ao adicionar item');
+    }
+    
+    /**
+     * Marca ou desmarca um item da checklist
+     * @param {string} taskId - ID da tarefa
+     * @param {string} userId - ID do usuário (precisa poder editar a tarefa)
+     * @param {string} itemId - ID do item
+     * @returns {Object} - Resultado da operação com o novo status do item
+     */
+    static toggleChecklistItem(taskId, userId, itemId) {
+        return this.mutateChecklist(taskId, userId, checklist => {
+            const itemIndex = checklist.findIndex(item => item.id === itemId);
+            
+            if (itemIndex === -1) {
+                return { success: false, message: 'Item não encontrado' };
+            }
+            
+            checklist[itemIndex] = { ...checklist[itemIndex], completed: !checklist[itemIndex].completed };
+            
+            return { success: true, completed: checklist[itemIndex].completed };
+        }, 'Erro ao atualizar item');
+    }
+    
+    /**
+     * Reordena a checklist
+     * @param {string} taskId - ID da tarefa
+     * @param {string} userId - ID do usuário (precisa poder editar a tarefa)
+     * @param {Array<string>} itemIds - Todos os IDs dos itens, na nova ordem
+     * @returns {Object} - Resultado da operação
+     */
+    static reorderChecklist(taskId, userId, itemIds) {
+        return this.mutateChecklist(taskId, userId, checklist => {
+            const byId = new Map(checklist.map(item => [item.id, item]));
+            
+            if (!Array.isArray(itemIds) || itemIds.length !== checklist.length ||
+                new Set(itemIds).size !== itemIds.length || !itemIds.every(id => byId.has(id))) {
+                return { success: false, message: 'Informe todos os itens da checklist, cada um uma vez.' };
+            }
+            
+            checklist.splice(0, checklist.length, ...itemIds.map(id => byId.get(id)));
+            
+            return { success: true };
+        }, 'Erro ao reordenar checklist');
+    }
+    
+    /**
+     * Remove um item da checklist
+     * @param {string} taskId - ID da tarefa
+     * @param {string} userId - ID do usuário (precisa poder editar a tarefa)
+     * @param {string} itemId - ID do item
+     * @returns {Object} - Resultado da operação
+     */
+    static removeChecklistItem(taskId, userId, itemId) {
+        return this.mutateChecklist(taskId, userId, checklist => {
+            const itemIndex = checklist.findIndex(item => item.id === itemId);
+            
+            if (itemIndex === -1) {
+                return { success: false, message: 'Item não encontrado' };
+            }
+            
+            checklist.splice(itemIndex, 1);
+            
+            return { success: true };
+        }, 'Erro ao remover item');
+    }
+    
+    // =========================================================================
+    // COMENTÁRIOS DAS TAREFAS
+    // =========================================================================
+    
+    /**
+     * Lista os comentários de uma tarefa (mais antigos primeiro)
+     * @param {string} taskId - ID da tarefa
+     * @param {string} userId - ID do usuário (precisa poder ver a tarefa)
+     * @returns {Array|null} - Comentários ou null se a tarefa não existir
+     */
+    static getComments(taskId, userId) {
+        const task = this.cache('tasks').get(taskId);
+        
+        if (!task || !hasPermission(this.getTaskRole(task, userId), 'view')) {
+            return null;
+        }
+        
+        return this.cache('comments').group(taskId)
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    }
+    
+    /**
+     * Quantidade de comentários de uma tarefa
+     * @param {string} taskId - ID da tarefa
+     * @returns {number} - Total de comentários
+     */
+    static countComments(taskId) {
+        return this.cache('comments').group(taskId).length;
+    }
+    
+    /**
+     * Adiciona comentário a uma tarefa
+     * Qualquer membro que vê a tarefa pode comentar (inclusive leitores)
+     * @param {string} taskId - ID da tarefa
+     * @param {string} userId - ID do autor
+     * @param {string} text - Texto do comentário
+     * @returns {Object} - Resultado com o comentário e os IDs dos membros mencionados
+     */
+    static addComment(taskId, userId, text) {
+        const task = this.cache('tasks').get(taskId);
+        
+        if (!task || !hasPermission(this.getTaskRole(task, userId), 'view')) {
+            return { success: false, message: 'Tarefa não encontrada' };
+        }
+        
+        const members = this.getTaskMembers(task);
+        const now = new Date().toISOString();
+        const comment = {
+            id: generateId(),
+            taskId,
+            userId,
+            text,
+            mentions: findMentions(text, members).filter(memberId => memberId !== userId),
+            createdAt: now,
+            updatedAt: now
+        };
+        
+        return this.mutate('comments', comments => {
+            comments.push(comment);
+            return { success: true, comment };
+        }, 'Erro ao adicionar comentário');
+    }
+    
+    /**
+     * Edita um comentário (somente o autor)
+     * Retorna apenas as menções novas, para não notificar duas vezes
+     * @param {string} taskId - ID da tarefa
+     * @param {string} commentId - ID do comentário
+     * @param {string} userId - ID do autor
+     * @param {string} text - Novo texto
+     * @returns {Object} - Resultado com o comentário e as menções novas
+     */
+    static updateComment(taskId, commentId, userId, text) {
+        return this.mutate('comments', comments => {
+            const index = comments.findIndex(comment => comment.id === commentId && comment.taskId === taskId);
+            const task = index === -1 ? null : this.cache('tasks').get(comments[index].taskId);
+            
+            if (!task || !this.getTaskRole(task, userId)) {
+                return { success: false, message: 'Comentário não encontrado' };
+            }
+            if (comments[index].userId !== userId) {
+                return { success: false, message: 'Somente o autor pode editar o comentário.' };
+            }
+            
+            const current = comments[index];
+            const mentions = findMentions(text, this.getTaskMembers(task)).filter(memberId => memberId !== userId);
+            
+            comments[index] = { ...current, text, mentions, updatedAt: new Date().toISOString() };
+            
+            return {
+                success: true,
+                comment: comments[index],
+                mentions: mentions.filter(memberId => !current.mentions.includes(memberId))
+            };
+        }, 'Erro ao editar comentário');
+    }
+    
+    /**
+     * Exclui um comentário (o autor ou o dono do projeto da tarefa)
+     * @param {string} taskId - ID da tarefa
+     * @param {string} commentId - ID do comentário
+     * @param {string} userId - ID do usuário
+     * @returns {Object} - Resultado da operação
+     */
+    static deleteComment(taskId, commentId, userId) {
+        return this.mutate('comments', comments => {
+            const index = comments.findIndex(comment => comment.id === commentId && comment.taskId === taskId);
+            const task = index === -1 ? null : this.cache('tasks').get(comments[index].taskId);
+            const role = task ? this.getTaskRole(task, userId) : null;
+            
+            if (!role) {
+                return { success: false, message: 'Comentário não encontrado' };
+            }
+            if (comments[index].userId !== userId && role !== 'owner') {
+                return { success: false, message: 'Somente o autor ou o dono do projeto pode excluir o comentário.' };
+            }
+            
+            comments.splice(index, 1);
+            
+            return { success: true };
+        }, 'Erro ao excluir comentário');
+    }
+    
+    /**
+     * Remove os comentários de tarefas excluídas
+     * @param {Array<string>} taskIds - IDs das tarefas
+     */
+    static removeTaskComments(taskIds) {
+        const ids = new Set(taskIds);
+        
+        this.mutate('comments', comments => {
+            const total = comments.length;
+            let kept = 0;
+            
+            comments.forEach(comment => {
+                if (!ids.has(comment.taskId)) comments[kept++] = comment;
+            });
+            comments.length = kept;
+            
+            // Só grava a coleção se alguma tarefa tinha comentários
+            return { success: kept < total };
+        }, 'Erro ao remover comentários');
+    }
+    
+    // =========================================================================
+    // HISTÓRICO DE ATIVIDADES
+    // =========================================================================
+    
+    /**
+     * Valor exibível de um campo da tarefa no momento do evento
+     * IDs de projeto, responsável e tags são gravados pelo nome, para que o
+     * histórico continue legível depois que esses registros mudarem
+     * @param {Object} task - Tarefa
+     * @param {string} field - Campo (um de ACTIVITY_FIELDS)
+     * @returns {*} - Valor a gravar no evento
+     */
+    static activityValue(task, field) {
+        const value = task[field];
+        
+        if (activityKey(value) === 'null') {
+            return field === 'completed' || field === 'checklistAutoComplete' ? false : null;
+        }
+        
+        switch (field) {
+            case 'recurrence':
+                return recurrence.toRRule(value);
+            case 'projectId': {
+                const project = this.cache('projects').get(value);
+                return project ? project.name : null;
+            }
+            case 'assigneeId': {
+                const user = this.cache('users').get(value);
+                return user ? user.username : null;
+            }
+            case 'tags':
+                return value.map(tagId => {
+                    const tag = this.cache('tags').get(tagId);
+                    return tag ? tag.name : '?';
+                });
+            case 'checklist':
+                return value.map(item => `[${item.completed ? 'x' : ' '}] ${item.text}`);
+            default:
+                return value;
+        }
+    }
+    
+    /**
+     * Registra os eventos de uma alteração nas tarefas (chamado por mutateTasks)
+     * @param {string|null} actorId - Usuário que fez a alteração
+     * @param {Map} before - Tarefas antes da alteração, por ID
+     * @param {Array} tasks - Tarefas depois da alteração
+     */
+    static recordTaskActivity(actorId, before, tasks) {
+        const createdAt = new Date().toISOString();
+        const events = [];
+        
+        const addEvent = (task, action, changes) => events.push({
+            id: generateId(),
+            taskId: task.id,
+            userId: task.userId,
+            projectId: task.projectId,
+            actorId,
+            action,
+            taskTitle: task.title,
+            changes,
+            createdAt
+        });
+        
+        const diff = (previous, task) => ACTIVITY_FIELDS
+            .filter(field => activityKey(previous[field]) !== activityKey(task[field]))
+            .map(field => ({ field, from: this.activityValue(previous, field), to: this.activityValue(task, field) }));
+        
+        const remaining = new Map(before);
+        
+        tasks.forEach(task => {
+            const previous = remaining.get(task.id);
+            remaining.delete(task.id);
+            
+            if (previous === task) return;
+            
+            if (!previous) {
+                addEvent(task, 'created', diff({}, task));
+                return;
+            }
+            
+            // Ida e volta da lixeira
+            if (Boolean(previous.deletedAt) !== Boolean(task.deletedAt)) {
+                addEvent(task, task.deletedAt ? 'deleted' : 'restored', []);
+                return;
+            }
+            
+            // Alterações apenas em campos não acompanhados (ex.: updatedAt) não geram evento
+            const changes = diff(previous, task);
+            if (changes.length === 0) return;
+            
+            let action = 'updated';
+            if (Boolean(previous.completed) !== Boolean(task.completed)) {
+                action = task.completed ? 'completed' : 'reopened';
+            }
+            addEvent(task, action, changes);
+        });
+        
+        // Tarefas removidas do armazenamento (da lixeira ou ocorrências desfeitas)
+        remaining.forEach(task => addEvent(task, task.deletedAt ? 'purged' : 'deleted', []));
+        
+        if (events.length > 0) {
+            this.mutate('activity', records => {
+                records.push(...events);
+                return { success: true };
+            }, 'Erro ao registrar histórico de atividades');
+        }
+    }
+    
+    /**
+     * Histórico de alterações de uma tarefa (mais recentes primeiro)
+     * @param {string} taskId - ID da tarefa
+     * @param {string} userId - ID do usuário (precisa poder ver a tarefa)
+     * @returns {Array|null} - Eventos ou null se a tarefa não existir
+     */
+    static getTaskActivity(taskId, userId) {
+        const task = this.cache('tasks').get(taskId);
+        
+        if (!task || !hasPermission(this.getTaskRole(task, userId), 'view')) {
+            return null;
+        }
+        
+        // Os eventos são agrupados pelo dono da tarefa, que não muda ao movê-la
+        return this.cache('activity').group(task.userId)
+            .filter(event => event.taskId === taskId)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+    
+    /**
+     * Feed de atividades do usuário: eventos das suas tarefas e das tarefas
+     * dos projetos compartilhados com ele (mais recentes primeiro)
+     * @param {string} userId - ID do usuário
+     * @param {Object} [options] - Filtros
+     * @param {string} [options.from] - Data inicial AAAA-MM-DD (inclusiva, horário local)
+     * @param {string} [options.to] - Data final AAAA-MM-DD (inclusiva, horário local)
+     * @param {number} [options.limit] - Quantidade máxima de eventos
+     * @returns {Array} - Eventos encontrados
+     */
+    static getActivityFeed(userId, { from = null, to = null, limit = 50 } = {}) {
+        const activity = this.cache('activity');
+        const events = activity.group(userId);
+        
+        // Projetos compartilhados: apenas os eventos do dono que pertencem ao projeto
+        this.getSharedProjects(userId).forEach(project => {
+            events.push(...activity.group(project.userId).filter(event => event.projectId === project.id));
+        });
+        
+        return events
+            .filter(event => {
+                const day = dates.toDateKey(new Date(event.createdAt));
+                return (!from || day >= from) && (!to || day <= to);
+            })
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+            .slice(0, Math.min(limit, ACTIVITY_FEED_MAX));
+    }
+    
+    /**
+     * Remove os eventos registrados há mais de config.ACTIVITY_RETENTION_DAYS
+     * Sem prazo configurado, o histórico é mantido e nada é removido
+     * @param {Date} [now] - Instante de referência (padrão: agora)
+     * @param {number|null} [retentionDays] - Prazo em dias (padrão: o configurado)
+     * @returns {Object} - Resultado com a quantidade removida (purged)
+     */
+    static purgeExpiredActivity(now = new Date(), retentionDays = config.ACTIVITY_RETENTION_DAYS) {
+        if (!retentionDays) {
+            return { success: true, purged: 0 };
+        }
+        
+        const limit = new Date(now.getTime() - retentionDays * 24 * 60 * 60 * 1000).toISOString();
+        let purged = 0;
+        
+        const result = this.mutate('activity', records => {
+            const total = records.length;
+            let kept = 0;
+            
+            records.forEach(event => {
+                if (event.createdAt > limit) records[kept++] = event;
+            });
+            records.length = kept;
+            purged = total - kept;
+            
+            // Só grava a coleção se algum evento foi removido
+            return { success: purged > 0 };
+        }, 'Erro ao limpar o histórico de atividades');
+        
+        if (!result.success) {
+            return result.message ? result : { success: true, purged: 0 };
+        }
+        return { success: true, purged };
+    }
+    
+    // =========================================================================
+    // PROJETOS
+    // =========================================================================
+    
+    /**
+     * Lista os projetos do usuário (Inbox primeiro, depois em ordem alfabética)
+     * @param {string} userId - ID do usuário
+     * @returns {Array} - Projetos, incluindo os arquivados
+     */
+    static getProjects(userId) {
+        return this.cache('projects').group(userId).sort((a, b) =>
+            Number(Boolean(b.isInbox)) - Number(Boolean(a.isInbox)) ||
+            a.name.localeCompare(b.name, 'pt-BR', { sensitivity: 'base' }));
+    }
+    
+    /**
+     * Retorna o projeto Inbox do usuário (somente leitura: o Inbox é criado com a
+     * conta, e a migração de projetos o criou para as contas anteriores)
+     * @param {string} userId - ID do usuário
+     * @returns {Object|null} - Projeto Inbox ou null se não existir
+     */
+    static getInbox(userId) {
+        return this.cache('projects').group(userId).find(project => project.isInbox) || null;
+    }
+    
+    /**
+     * Cria o projeto Inbox de um usuário (ver createUser)
+     * @param {string} userId - ID do usuário
+     * @returns {Object} - Resultado da operação com o ID do projeto
+     */
+    static createInbox(userId) {
+        const project = {
+            id: generateId(),
+            userId,
+            name: 'Inbox',
+            color: PROJECT_DEFAULT_COLOR,
+            isInbox: true,
+            archivedAt: null,
+            createdAt: new Date().toISOString()
+        };
+        
+        return this.mutate('projects', projects => {
+            projects.push(project);
+            return { success: true, projectId: project.id };
+        }, 'Erro ao criar projeto Inbox');
+    }
+    
+    /**
+     * Valida o projeto de destino de uma tarefa (próprio ou compartilhado com permissão de edição)
+     * @param {string} userId - ID do usuário
+     * @param {string|null} projectId - ID informado (vazio = Inbox)
+     * @returns {Object} - { success, projectId, ownerId } ou { success: false, message }
+     */
+    static resolveProjectId(userId, projectId) {
+        if (!projectId) {
+            const inbox = this.getInbox(userId);
+            return inbox
+                ? { success: true, projectId: inbox.id, ownerId: userId }
+                : { success: false, message: 'Projeto Inbox não encontrado' };
+        }
+        
+        const project = this.cache('projects').get(String(projectId));
+        const role = this.getProjectRole(project, userId);
+        if (!role) {
+            return { success: false, message: 'Projeto não encontrado' };
+        }
+        if (!hasPermission(role, 'edit')) {
+            return { success: false, message: 'Você só pode visualizar as tarefas deste projeto.' };
+        }
+        if (project.archivedAt) {
+            return { success: false, message: 'O projeto está arquivado. Restaure-o para adicionar tarefas.' };
+        }
+        
+        return { success: true, projectId: project.id, ownerId: project.userId };
+    }
+    
+    /**
+     * Cria novo projeto
+     * @param {string} userId - ID do usuário proprietário
+     * @param {string} name - Nome do projeto
+     * @param {string} color - Cor no formato #rrggbb
+     * @returns {Object} - Resultado da operação com o ID do projeto
+     */
+    static createProject(userId, name, color) {
+        return this.mutate('projects', projects => {
+            const userProjects = projects.filter(project => project.userId === userId);
+            
+            if (findByName(userProjects, name)) {
+                return { success: false, message: 'Já existe um projeto com esse nome.' };
+            }
+            if (userProjects.length >= PROJECTS_MAX_PER_USER) {
+                return { success: false, message: `Limite de ${PROJECTS_MAX_PER_USER} projetos atingido.` };
+            }
+            
+            const project = {
+                id: generateId(),
+                userId,
+                name,
+                color,
+                isInbox: false,
+                archivedAt: null,
+                createdAt: new Date().toISOString()
+            };
+            projects.push(project);
+            
+            return { success: true, projectId: project.id };
+        }, 'Erro ao criar projeto');
+    }
+    
+    /**
+     * Renomeia um projeto e/ou altera sua cor
+     * @param {string} userId - ID do usuário proprietário
+     * @param {string} projectId - ID do projeto
+     * @param {Object} data - { name, color } (campos ausentes são mantidos)
+     * @returns {Object} - Resultado da operação
+     */
+    static updateProject(userId, projectId, data) {
+        return this.mutate('projects', projects => {
+            const index = projects.findIndex(project => project.id === projectId && project.userId === userId);
+            
+            if (index === -1) {
+                return { success: false, message: 'Projeto não encontrado' };
+            }
+            
+            const userProjects = projects.filter(project => project.userId === userId);
+            if (data.name && findByName(userProjects, data.name, projectId)) {
+                return { success: false, message: 'Já existe um projeto com esse nome.' };
+            }
+            
+            projects[index] = {
+                ...projects[index],
+                name: data.name || projects[index].name,
+                color: data.color || projects[index].color
+            };
+            
+            return { success: true };
+        }, 'Erro ao atualizar projeto');
+    }
+    
+    /**
+     * Arquiva ou restaura um projeto (o Inbox não pode ser arquivado)
+     * As tarefas de projetos arquivados ficam fora da listagem geral do dashboard
+     * @param {string} userId - ID do usuário proprietário
+     * @param {string} projectId - ID do projeto
+     * @param {boolean} archived - True para arquivar, false para restaurar
+     * @returns {Object} - Resultado da operação
+     */
+    static setProjectArchived(userId, projectId, archived) {
+        return this.mutate('projects', projects => {
+            const index = projects.findIndex(project => project.id === projectId && project.userId === userId);
+            
+            if (index === -1) {
+                return { success: false, message: 'Projeto não encontrado' };
+            }
+            if (projects[index].isInbox && archived) {
+                return { success: false, message: 'O Inbox não pode ser arquivado.' };
+            }
+            
+            projects[index] = { ...projects[index], archivedAt: archived ? new Date().toISOString() : null };
+            
+            return { success: true };
+        }, 'Erro ao arquivar projeto');
+    }
+    
+    /**
+     * Exclui um projeto, movendo suas tarefas para o Inbox (os membros perdem o acesso)
+     * @param {string} userId - ID do usuário proprietário
+     * @param {string} projectId - ID do projeto
+     * @returns {Object} - Resultado com a quantidade de tarefas movidas
+     */
+    static deleteProject(userId, projectId) {
+        const project = this.cache('projects').get(projectId);
+        
+        if (!project || project.userId !== userId) {
+            return { success: false, message: 'Projeto não encontrado' };
+        }
+        if (project.isInbox) {
+            return { success: false, message: 'O Inbox não pode ser excluído.' };
+        }
+        
+        const inbox = this.getInbox(userId);
+        if (!inbox) {
+            return { success: false, message: 'Projeto Inbox não encontrado' };
+        }
+        
+        return this.getStorage().transaction(() => {
+            const inboxId = inbox.id;
+            let tasksMoved = 0;
+            
+            this.mutateTasks(userId, tasks => {
+                tasks.forEach((task, index) => {
+                    if (task.userId !== userId || task.projectId !== projectId) return;
+                    
+                    // O Inbox é pessoal: só o próprio dono continua responsável
+                    tasks[index] = { ...task, projectId: inboxId, assigneeId: task.assigneeId === userId ? userId : null };
+                    tasksMoved++;
+                });
+                
+                // Só grava a coleção se o projeto tinha tarefas
+                return { success: tasksMoved > 0 };
+            }, 'Erro ao mover tarefas do projeto');
+            
+            const result = this.mutate('projects', projects => {
+                const index = projects.findIndex(other => other.id === projectId);
+                if (index === -1) {
+                    return { success: false, message: 'Projeto não encontrado' };
+                }
+                
+                projects.splice(index, 1);
+                return { success: true };
+            }, 'Erro ao excluir projeto');
+            
+            return result.success ? { success: true, tasksMoved } : result;
+        });
+    }
+    
+    // =========================================================================
+    // MEMBROS DE PROJETOS
+    // =========================================================================
+    
+    /**
+     * Papel do usuário em um projeto
+     * @param {Object|undefined} project - Projeto
+     * @param {string} userId - ID do usuário
+     * @returns {string|null} - owner, editor, viewer ou null se não for membro
+     */
+    static getProjectRole(project, userId) {
+        if (!project) {
+            return null;
+        }
+        if (project.userId === userId) {
+            return 'owner';
+        }
+        
+        const member = (project.members || []).find(other => other.userId === userId);
+        return member ? member.role : null;
+    }
+    
+    /**
+     * Lista os projetos de outros usuários em que o usuário é membro
+     * @param {string} userId - ID do usuário
+     * @returns {Array} - Projetos compartilhados (em ordem alfabética)
+     */
+    static getSharedProjects(userId) {
+        return this.cache('projects').all()
+            .filter(project => project.userId !== userId && (project.members || []).some(member => member.userId === userId))
+            .sort((a, b) => a.name.localeCompare(b.name, 'pt-BR', { sensitivity: 'base' }));
+    }
+    
+    /**
+     * Lista o dono e os membros de um projeto com o nome de usuário
+     * @param {Object} project - Projeto
+     * @returns {Array} - Lista de { userId, username, role } (dono primeiro)
+     */
+    static getProjectMembers(project) {
+        return [{ userId: project.userId, role: 'owner' }, ...(project.members || [])]
+            .map(member => {
+                const user = this.cache('users').get(member.userId);
+                return { userId: member.userId, username: user ? user.username : '?', role: member.role };
+            });
+    }
+    
+    /**
+     * Lista quem tem acesso a uma tarefa (dono e membros do projeto dela)
+     * @param {Object} task - Tarefa
+     * @returns {Array} - Lista de { userId, username, role }
+     */
+    static getTaskMembers(task) {
+        const project = this.cache('projects').get(task.projectId);
+        return this.getProjectMembers(project || { userId: task.userId });
+    }
+    
+    /**
+     * Estatísticas das tarefas de um projeto (mantidas no agregado do dono)
+     * @param {Object} project - Projeto
+     * @returns {Object} - { total, completed, pending }
+     */
+    static getProjectStats(project) {
+        const stats = this.cache('tasks').aggregate(project.userId).byProject[project.id];
+        return stats ? { ...stats } : { total: 0, completed: 0, pending: 0 };
+    }
+    
+    /**
+     * Valida o responsável por uma tarefa (precisa ser membro do projeto)
+     * @param {string} projectId - ID do projeto da tarefa
+     * @param {string|null} assigneeId - ID do responsável (vazio = ninguém)
+     * @returns {Object} - { success, assigneeId } ou { success: false, message }
+     */
+    static resolveAssigneeId(projectId, assigneeId) {
+        if (!assigneeId) {
+            return { success: true, assigneeId: null };
+        }
+        
+        if (!this.getProjectRole(this.cache('projects').get(projectId), String(assigneeId))) {
+            return { success: false, message: 'O responsável precisa ser membro do projeto.' };
+        }
+        
+        return { success: true, assigneeId: String(assigneeId) };
+    }
+    
+    /**
+     * Convida um usuário cadastrado para um projeto
+     * @param {string} ownerId - ID do dono do projeto
+     * @param {string} projectId - ID do projeto
+     * @param {string} login - Nome de usuário ou email do convidado
+     * @param {string} role - editor ou viewer
+     * @returns {Object} - Resultado da operação com o usuário adicionado
+     */
+    static addProjectMember(ownerId, projectId, login, role) {
+        if (!PROJECT_MEMBER_ROLES.includes(role)) {
+            return { success: false, message: 'Papel inválido' };
+        }
+        
+        const user = this.getUserByLogin(login);
+        if (!user) {
+            return { success: false, message: 'Usuário não encontrado.' };
+        }
+        if (user.id === ownerId) {
+            return { success: false, message: 'Você já é o dono do projeto.' };
+        }
+        
+        return this.mutate('projects', projects => {
+            const index = projects.findIndex(project => project.id === projectId && project.userId === ownerId);
+            
+            if (index === -1) {
+                return { success: false, message: 'Projeto não encontrado' };
+            }
+            
+            const project = projects[index];
+            if (project.isInbox) {
+                return { success: false, message: 'O Inbox não pode ser compartilhado.' };
+            }
+            if ((project.members || []).some(member => member.userId === user.id)) {
+                return { success: false, message: `${user.username} já é membro do projeto.` };
+            }
+            
+            projects[index] = {
+                ...project,
+                members: [...(project.members || []), { userId: user.id, role, addedAt: new Date().toISOString() }]
+            };
+            
+            return { success: true, user };
+        }, 'Erro ao adicionar membro');
+    }
+    
+    /**
+     * Altera o papel de um membro do projeto
+     * @param {string} ownerId - ID do dono do projeto
+     * @param {string} projectId - ID do projeto
+     * @param {string} memberId - ID do membro
+     * @param {string} role - editor ou viewer
+     * @returns {Object} - Resultado da operação
+     */
+    static updateProjectMember(ownerId, projectId, memberId, role) {
+        if (!PROJECT_MEMBER_ROLES.includes(role)) {
+            return { success: false, message: 'Papel inválido' };
+        }
+        
+        return this.mutate('projects', projects => {
+            const index = projects.findIndex(project => project.id === projectId && project.userId === ownerId);
+            
+            if (index === -1) {
+                return { success: false, message: 'Projeto não encontrado' };
+            }
+            
+            const members = [...(projects[index].members || [])];
+            const memberIndex = members.findIndex(member => member.userId === memberId);
+            if (memberIndex === -1) {
+                return { success: false, message: 'Membro não encontrado' };
+            }
+            
+            members[memberIndex] = { ...members[memberIndex], role };
+            projects[index] = { ...projects[index], members };
+            
+            return { success: true };
+        }, 'Erro ao atualizar membro');
+    }
+    
+    /**
+     * Remove um membro do projeto (pelo dono) ou sai do projeto (pelo próprio membro)
+     * As tarefas do projeto atribuídas ao membro ficam sem responsável
+     * @param {string} userId - ID de quem remove (dono ou o próprio membro)
+     * @param {string} projectId - ID do projeto
+     * @param {string} memberId - ID do membro
+     * @returns {Object} - Resultado da operação
+     */
+    static removeProjectMember(userId, projectId, memberId) {
+        const project = this.cache('projects').get(projectId);
+        const role = this.getProjectRole(project, userId);
+        
+        if (!role || (role !== 'owner' && userId !== memberId)) {
+            return { success: false, message: 'Projeto não encontrado' };
+        }
+        if (!(project.members || []).some(member => member.userId === memberId)) {
+            return { success: false, message: 'Membro não encontrado' };
+        }
+        
+        return this.getStorage().transaction(() => {
+            const result = this.mutate('projects', projects => {
+                const index = projects.findIndex(other => other.id === projectId);
+                
+                projects[index] = {
+                    ...projects[index],
+                    members: projects[index].members.filter(member => member.userId !== memberId)
+                };
+                
+                return { success: true };
+            }, 'Erro ao remover membro');
+            
+            if (result.success) {
+                this.unassignTasks(userId, memberId, projectId);
+            }
+            
+            return result;
+        });
+    }
+    
+    /**
+     * Remove o responsável das tarefas atribuídas a um usuário
+     * @param {string} actorId - Usuário que provocou a alteração (registrado no histórico)
+     * @param {string} assigneeId - ID do responsável
+     * @param {string|null} projectId - Restringe a um projeto (null = todos)
+     */
+    static unassignTasks(actorId, assigneeId, projectId = null) {
+        this.mutateTasks(actorId, tasks => {
+            let changed = 0;
+            
+            tasks.forEach((task, index) => {
+                if (task.assigneeId !== assigneeId || (projectId && task.projectId !== projectId)) return;
+                
+                tasks[index] = { ...task, assigneeId: null };
+                changed++;
+            });
+            
+            // Só grava a coleção se alguma tarefa mudou
+            return { success: changed > 0 };
+        }, 'Erro ao remover responsável das tarefas');
+    }
+    
+    /**
+     * Retira o usuário de todos os projetos compartilhados (exclusão da conta)
+     * @param {string} userId - ID do usuário
+     */
+    static removeUserFromProjects(userId) {
+        this.mutate('projects', projects => {
+            let changed = 0;
+            
+            projects.forEach((project, index) => {
+                if (!(project.members || []).some(member => member.userId === userId)) return;
+                
+                projects[index] = { ...project, members: project.members.filter(member => member.userId !== userId) };
+                changed++;
+            });
+            
+            // Só grava a coleção se o usuário participava de algum projeto
+            return { success: changed > 0 };
+        }, 'Erro ao remover usuário dos projetos');
+        
+        this.unassignTasks(userId, userId);
+    }
+    
+    // =========================================================================
+    // TAGS
+    // =========================================================================
+    
+    /**
+     * Lista as tags do usuário em ordem alfabética
+     * @param {string} userId - ID do usuário
+     * @returns {Array} - Tags { id, userId, name, color, createdAt }
+     */
+    static getTags(userId) {
+        return this.cache('tags').group(userId)
+            .sort((a, b) => a.name.localeCompare(b.name, 'pt-BR', { sensitivity: 'base' }));
+    }
+    
+    /**
+     * Valida uma lista de IDs de tags do usuário (remove repetições)
+     * @param {string} userId - ID do usuário
+     * @param {Array<string>} tagIds - IDs informados
+     * @returns {Object} - { success, tagIds } ou { success: false, message }
+     */
+    static resolveTagIds(userId, tagIds) {
+        if (!Array.isArray(tagIds)) {
+            return { success: false, message: 'As tags devem ser uma lista de IDs.' };
+        }
+        
+        const owned = new Set(this.cache('tags').group(userId).map(tag => tag.id));
+        const unique = [...new Set(tagIds.map(String))];
+        
+        if (!unique.every(id => owned.has(id))) {
+            return { success: false, message: 'Tag não encontrada' };
+        }
+        
+        return { success: true, tagIds: unique };
+    }
+    
+    /**
+     * Valida as tags de uma tarefa: elas pertencem ao dono da tarefa (o dono do
+     * projeto), e só ele pode alterá-las; repetir as tags atuais não é uma alteração
+     * @param {string} userId - ID do usuário que cria ou edita a tarefa
+     * @param {string} ownerId - ID do dono da tarefa
+     * @param {Array<string>} tagIds - IDs informados
+     * @param {Array<string>} [currentIds] - Tags atuais da tarefa
+     * @returns {Object} - { success, tagIds, changed } ou { success: false, message }
+     */
+    static resolveTaskTags(userId, ownerId, tagIds, currentIds = []) {
+        if (!Array.isArray(tagIds)) {
+            return { success: false, message: 'As tags devem ser uma lista de IDs.' };
+        }
+        
+        const unique = [...new Set(tagIds.map(String))];
+        if (unique.length === currentIds.length && unique.every(id => currentIds.includes(id))) {
+            return { success: true, tagIds: currentIds, changed: false };
+        }
+        if (userId !== ownerId) {
+            return { success: false, message: 'Apenas o dono do projeto pode alterar as tags da tarefa.' };
+        }
+        
+        const tags = this.resolveTagIds(ownerId, unique);
+        return tags.success ? { ...tags, changed: true } : tags;
+    }
+    
+    /**
+     * Cria nova tag
+     * @param {string} userId - ID do usuário proprietário
+     * @param {string} name - Nome da tag
+     * @param {string} color - Cor no formato #rrggbb
+     * @returns {Object} - Resultado da operação com o ID da tag
+     */
+    static createTag(userId, name, color) {
+        return this.mutate('tags', tags => {
+            const userTags = tags.filter(tag => tag.userId === userId);
+            
+            if (findByName(userTags, name)) {
+                return { success: false, message: 'Já existe uma tag com esse nome.' };
+            }
+            if (userTags.length >= TAGS_MAX_PER_USER) {
+                return { success: false, message: `Limite de ${TAGS_MAX_PER_USER} tags atingido.` };
+            }
+            
+            const tag = { id: generateId(), userId, name, color, createdAt: new Date().toISOString() };
+            tags.push(tag);
+            
+            return { success: true, tagId: tag.id };
+        }, 'Erro ao criar tag');
+    }
+    
+    /**
+     * Renomeia e/ou altera a cor de uma tag
+     * As tarefas referenciam a tag pelo ID, então a mudança vale para todas
+     * @param {string} userId - ID do usuário proprietário
+     * @param {string} tagId - ID da tag
+     * @param {Object} data - { name, color } (campos ausentes são mantidos)
+     * @returns {Object} - Resultado da operação
+     */
+    static updateTag(userId, tagId, data) {
+        return this.mutate('tags', tags => {
+            const index = tags.findIndex(tag => tag.id === tagId && tag.userId === userId);
+            
+            if (index === -1) {
+                return { success: false, message: 'Tag não encontrada' };
+            }
+            
+            const userTags = tags.filter(tag => tag.userId === userId);
+            if (data.name && findByName(userTags, data.name, tagId)) {
+                return { success: false, message: 'Já existe uma tag com esse nome. Use "Mesclar" para juntar as duas.' };
+            }
+            
+            tags[index] = {
+                ...tags[index],
+                name: data.name || tags[index].name,
+                color: data.color || tags[index].color
+            };
+            
+            return { success: true };
+        }, 'Erro ao atualizar tag');
+    }
+    
+    /**
+     * Substitui (ou remove) uma tag em todas as tarefas do usuário
+     * @param {string} userId - ID do usuário
+     * @param {string} tagId - Tag a substituir
+     * @param {string|null} replacementId - Nova tag (null apenas remove)
+     * @returns {number} - Quantidade de tarefas alteradas
+     */
+    static retagTasks(userId, tagId, replacementId) {
+        let changed = 0;
+        
+        this.mutateTasks(userId, tasks => {
+            tasks.forEach((task, index) => {
+                if (task.userId !== userId || !task.tags.includes(tagId)) return;
+                
+                const tags = task.tags.filter(id => id !== tagId);
+                if (replacementId && !tags.includes(replacementId)) {
+                    tags.push(replacementId);
+                }
+                
+                tasks[index] = { ...task, tags };
+                changed++;
+            });
+            
+            // Só grava a coleção se alguma tarefa usava a tag
+            return { success: changed > 0 };
+        }, 'Erro ao atualizar tags das tarefas');
+        
+        return changed;
+    }
+    
+    /**
+     * Mescla uma tag em outra: as tarefas passam para a tag de destino e a de origem é excluída
+     * @param {string} userId - ID do usuário proprietário
+     * @param {string} sourceId - Tag mesclada (removida)
+     * @param {string} targetId - Tag que permanece
+     * @returns {Object} - Resultado com a quantidade de tarefas alteradas
+     */
+    static mergeTags(userId, sourceId, targetId) {
+        if (sourceId === targetId) {
+            return { success: false, message: 'Escolha uma tag diferente para mesclar.' };
+        }
+        
+        const owned = this.cache('tags').group(userId).map(tag => tag.id);
+        if (!owned.includes(sourceId) || !owned.includes(targetId)) {
+            return { success: false, message: 'Tag não encontrada' };
+        }
+        
+        return this.getStorage().transaction(() => {
+            const tasksUpdated = this.retagTasks(userId, sourceId, targetId);
+            const result = this.removeTag(userId, sourceId);
+            
+            return result.success ? { success: true, tasksUpdated } : result;
+        });
+    }
+    
+    /**
+     * Exclui uma tag e a remove das tarefas
+     * @param {string} userId - ID do usuário proprietário
+     * @param {string} tagId - ID da tag
+     * @returns {Object} - Resultado com a quantidade de tarefas alteradas
+     */
+    static deleteTag(userId, tagId) {
+        if (!this.cache('tags').group(userId).some(tag => tag.id === tagId)) {
+            return { success: false, message: 'Tag não encontrada' };
+        }
+        
+        return this.getStorage().transaction(() => {
+            const tasksUpdated = this.retagTasks(userId, tagId, null);
+            const result = this.removeTag(userId, tagId);
+            
+            return result.success ? { success: true, tasksUpdated } : result;
+        });
+    }
+    
+    /**
+     * Remove o registro de uma tag (sem alterar as tarefas)
+     * @param {string} userId - ID do usuário proprietário
+     * @param {string} tagId - ID da tag
+     * @returns {Object} - Resultado da operação
+     */
+    static removeTag(userId, tagId) {
+        return this.mutate('tags', tags => {
+            const index = tags.findIndex(tag => tag.id === tagId && tag.userId === userId);
+            
+            if (index === -1) {
+                return { success: false, message: 'Tag não encontrada' };
+            }
+            
+            tags.splice(index, 1);
+            return { success: true };
+        }, 'Erro ao excluir tag');
+    }
+    
+    // =========================================================================
+    // ADMINISTRAÇÃO
+    // =========================================================================
+    
+    /**
+     * Conta os administradores ativos (não desativados), opcionalmente ignorando um usuário
+     * @param {Array} users - Lista de usuários
+     * @param {string} [exceptUserId] - Usuário desconsiderado na contagem
+     * @returns {number} - Quantidade de administradores ativos
+     */
+    static countActiveAdmins(users, exceptUserId = null) {
+        return users.filter(user => user.role === 'admin' && !user.disabledAt && user.id !== exceptUserId).length;
+    }
+    
+    /**
+     * Lista todos os usuários com as estatísticas de tarefas de cada um
+     * @returns {Array} - Usuários (sem senha) com createdAt, disabledAt e tasks
+     */
+    static getUsersOverview() {
+        return this.getUsers().map(user => ({
+            ...publicUser(user),
+            createdAt: user.createdAt || null,
+            disabledAt: user.disabledAt || null,
+            tasks: this.getTaskStats(user.id)
+        }));
+    }
+    
+    /**
+     * Totais do sistema para o painel de administração
+     * @returns {Object} - Contagens de usuários, tarefas e tokens de API
+     */
+    static getSystemStats() {
+        const users = this.getUsers();
+        const tasks = createTaskStats();
+        const now = new Date();
+        
+        this.cache('tasks').all().forEach(task => accumulateTaskStats(tasks, task, 1));
+        
+        return {
+            users: {
+                total: users.length,
+                admins: users.filter(user => user.role === 'admin').length,
+                disabled: users.filter(user => user.disabledAt).length,
+                unverified: users.filter(user => user.emailVerified === false).length,
+                twoFactor: users.filter(user => user.twoFactor && user.twoFactor.enabledAt).length
+            },
+            tasks,
+            apiTokens: this.cache('apiTokens').all()
+                .filter(token => !token.revokedAt && (!token.expiresAt || new Date(token.expiresAt) > now)).length
+        };
+    }
+    
+    /**
+     * Define o papel de um usuário
+     * O último administrador ativo não pode perder o papel
+     * @param {string} userId - ID do usuário
+     * @param {string} role - 'user' ou 'admin'
+     * @returns {Object} - Resultado da operação
+     */
+    static setUserRole(userId, role) {
+        if (!USER_ROLES.includes(role)) {
+            return { success: false, message: 'Papel inválido' };
+        }
+        
+        return this.mutate('users', users => {
+            const index = users.findIndex(user => user.id === userId);
+            
+            if (index === -1) {
+                return { success: false, message: 'Usuário não encontrado' };
+            }
+            if (users[index].role === role) {
+                return { success: true, changed: false };
+            }
+            if (role !== 'admin' && this.countActiveAdmins(users, userId) === 0) {
+                return { success: false, message: 'O sistema precisa de pelo menos um administrador ativo' };
+            }
+            
+            users[index] = { ...users[index], role };
+            
+            return { success: true, changed: true };
+        }, 'Erro ao alterar papel do usuário');
+    }
+    
+    /**
+     * Promove a administrador o usuário informado (bootstrap pelo CLI ou ADMIN_USER)
+     * @param {string} login - Nome de usuário ou email
+     * @returns {Object} - Resultado com changed = false se o usuário já era administrador
+     */
+    static bootstrapAdmin(login) {
+        const user = this.getUserByLogin(login);
+        
+        if (!user) {
+            return { success: false, message: `Usuário não encontrado: ${login}` };
+        }
+        
+        return { ...this.setUserRole(user.id, 'admin'), user };
+    }
+    
+    /**
+     * Desativa ou reativa uma conta
+     * Desativar encerra as sessões do usuário e bloqueia login e tokens de API
+     * @param {string} userId - ID do usuário
+     * @param {boolean} disabled - True para desativar, false para reativar
+     * @returns {Object} - Resultado da operação
+     */
+    static setUserDisabled(userId, disabled) {
+        return this.mutate('users', users => {
+            const index = users.findIndex(user => user.id === userId);
+            
+            if (index === -1) {
+                return { success: false, message: 'Usuário não encontrado' };
+            }
+            
+            const { disabledAt, ...user } = users[index];
+            
+            if (!disabled) {
+                users[index] = user;
+                return { success: true };
+            }
+            if (user.role === 'admin' && this.countActiveAdmins(users, userId) === 0) {
+                return { success: false, message: 'O sistema precisa de pelo menos um administrador ativo' };
+            }
+            
+            users[index] = {
+                ...user,
+                disabledAt: disabledAt || new Date().toISOString(),
+                sessionEpoch: (user.sessionEpoch || 0) + 1
+            };
+            
+            return { success: true };
+        }, 'Erro ao alterar situação da conta');
+    }
+    
+    /**
+     * Exige que o usuário defina uma nova senha
+     * As sessões são encerradas e o login fica bloqueado até a redefinição por email
+     * @param {string} userId - ID do usuário
+     * @returns {Object} - Resultado da operação
+     */
+    static requirePasswordReset(userId) {
+        return this.mutate('users', users => {
+            const index = users.findIndex(user => user.id === userId);
+            
+            if (index === -1) {
+                return { success: false, message: 'Usuário não encontrado' };
+            }
+            
+            users[index] = {
+                ...users[index],
+                passwordResetRequired: true,
+                sessionEpoch: (users[index].sessionEpoch || 0) + 1
+            };
+            
+            return { success: true };
+        }, 'Erro ao exigir redefinição de senha');
+    }
+    
+    /**
+     * Remove de uma coleção todos os registros do usuário (campo userId)
+     * @param {string} collection - Nome da coleção
+     * @param {string} userId - ID do usuário
+     */
+    static removeUserRecords(collection, userId) {
+        this.mutate(collection, records => {
+            const total = records.length;
+            let kept = 0;
+            
+            records.forEach(record => {
+                if (record.userId !== userId) records[kept++] = record;
+            });
+            records.length = kept;
+            
+            // Só grava a coleção se havia registros do usuário
+            return { success: kept < total };
+        }, `Erro ao remover registros de ${collection}`);
+    }
+    
+    /**
+     * Remove um usuário e todos os registros vinculados a ele
+     * (tarefas, projetos, tokens de API, links pendentes e tentativas de login);
+     * o usuário também deixa os projetos compartilhados com ele. O histórico de
+     * atividades é mantido
+     * @param {string} userId - ID do usuário
+     * @returns {Object} - Resultado da operação
+     */
+    static deleteUser(userId) {
+        return this.getStorage().transaction(() => {
+            const result = this.mutate('users', users => {
+                const index = users.findIndex(user => user.id === userId);
+                
+                if (index === -1) {
+                    return { success: false, message: 'Usuário não encontrado' };
+                }
+                if (users[index].role === 'admin' && this.countActiveAdmins(users, userId) === 0) {
+                    return { success: false, message: 'O sistema precisa de pelo menos um administrador ativo' };
+                }
+                
+                users.splice(index, 1);
+                return { success: true };
+            }, 'Erro ao excluir usuário');
+            
+            if (!result.success) {
+                return result;
+            }
+            
+            // Comentários de outros usuários nas tarefas excluídas também são removidos
+            this.removeTaskComments(this.cache('tasks').group(userId).map(task => task.id));
+            USER_OWNED_COLLECTIONS.forEach(collection => this.removeUserRecords(collection, userId));
+            this.removeUserFromProjects(userId);
+            
+            this.clearLoginFailures(`user:${userId}`);
+            
+            return { success: true };
+        });
     }
 }
 
@@ -0,0 +1,138 @@
+/**
+ * Datas de vencimento das tarefas
+ * O vencimento é uma data de calendário (AAAA-MM-DD) com horário opcional (HH:MM),
+ * interpretados no fuso horário local do servidor. Sem horário, a tarefa vence
+ * ao final do dia.
+ */
+
+/**
+ * Antecedência com que uma tarefa passa a ser considerada "vencendo em breve" (ms)
+ */
+const DUE_SOON_WINDOW = 24 * 60 * 60 * 1000;
+
+// =============================================================================
+// VALIDAÇÃO
+// =============================================================================
+
+/**
+ * Verifica se o texto é uma data de calendário válida no formato AAAA-MM-DD
+ * @param {string} value - Data informada
+ * @returns {boolean} - True se válida
+ */
+function isValidDate(value) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value));
+    if (!match) return false;
+    
+    // Rejeita datas inexistentes como 2024-02-30 (o Date "transborda" para o mês seguinte)
+    const [year, month, day] = match.slice(1).map(Number);
+    const date = new Date(year, month - 1, day);
+    return date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day;
+}
+
+/**
+ * Verifica se o texto é um horário válido no formato HH:MM
+ * @param {string} value - Horário informado
+ * @returns {boolean} - True se válido
+ */
+function isValidTime(value) {
+    return /^([01]\d|2[0-3]):[0-5]\d$/.test(String(value));
+}
+
+/**
+ * Normaliza o vencimento recebido do cliente (valores vazios removem o vencimento)
+ * @param {string} dueDate - Data de vencimento (AAAA-MM-DD)
+ * @param {string} dueTime - Horário de vencimento (HH:MM, opcional)
+ * @returns {Object} - { success, dueDate, dueTime } ou { success: false, message }
+ */
+function normalizeDue(dueDate, dueTime) {
+    const date = dueDate ? String(dueDate).trim() : '';
+    const time = dueTime ? String(dueTime).trim() : '';
+    
+    if (!date) {
+        if (time) {
+            return { success: false, message: 'Informe a data de vencimento para definir o horário.' };
+        }
+        return { success: true, dueDate: null, dueTime: null };
+    }
+    
+    if (!isValidDate(date)) {
+        return { success: false, message: 'Data de vencimento inválida (use AAAA-MM-DD).' };
+    }
+    
+    if (time && !isValidTime(time)) {
+        return { success: false, message: 'Horário de vencimento inválido (use HH:MM).' };
+    }
+    
+    return { success: true, dueDate: date, dueTime: time || null };
+}
+
+// =============================================================================
+// CÁLCULOS
+// =============================================================================
+
+/**
+ * Formata uma data local como AAAA-MM-DD
+ * @param {Date} date - Data a formatar
+ * @returns {string} - Data no formato AAAA-MM-DD
+ */
+function toDateKey(date) {
+    const pad = number => String(number).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Instante de vencimento de uma tarefa
+ * @param {Object} task - Tarefa
+ * @returns {number|null} - Timestamp em milissegundos ou null se não houver vencimento
+ */
+function getDueAt(task) {
+    if (!task.dueDate) return null;
+    
+    const [year, month, day] = task.dueDate.split('-').map(Number);
+    
+    if (task.dueTime) {
+        const [hours, minutes] = task.dueTime.split(':').map(Number);
+        return new Date(year, month - 1, day, hours, minutes).getTime();
+    }
+    
+    // Sem horário: vence no último instante do dia
+    return new Date(year, month - 1, day + 1).getTime() - 1;
+}
+
+/**
+ * Classifica o vencimento de uma tarefa em relação a um instante de referência
+ * Tarefas concluídas ou sem vencimento não entram em nenhuma categoria
+ * @param {Object} task - Tarefa
+ * @param {Date} [now] - Instante de referência (padrão: agora)
+ * @returns {Object} - { overdue, today, thisWeek, soon }
+ */
+function getDueStatus(task, now = new Date()) {
+    const dueAt = getDueAt(task);
+    
+    if (task.completed || dueAt === null) {
+        return { overdue: false, today: false, thisWeek: false, soon: false };
+    }
+    
+    // Semana de segunda a domingo: "esta semana" vai de hoje até o domingo
+    const today = toDateKey(now);
+    const daysUntilSunday = (7 - now.getDay()) % 7;
+    const sunday = toDateKey(new Date(now.getFullYear(), now.getMonth(), now.getDate() + daysUntilSunday));
+    const remaining = dueAt - now.getTime();
+    
+    return {
+        overdue: remaining < 0,
+        today: task.dueDate === today,
+        thisWeek: task.dueDate >= today && task.dueDate <= sunday,
+        soon: remaining >= 0 && remaining <= DUE_SOON_WINDOW
+    };
+}
+
+module.exports = {
+    DUE_SOON_WINDOW,
+    isValidDate,
+    isValidTime,
+    normalizeDue,
+    toDateKey,
+    getDueAt,
+    getDueStatus
+};
@@ -0,0 +1,422 @@
+/**
+ * Listagem de tarefas (GET /api/tasks)
+ * Filtros combináveis, ordenação por várias chaves e paginação por cursor.
+ *
+ * A ordenação é uma lista de chaves separadas por vírgula; o prefixo "-" inverte
+ * a ordem da chave (ex.: "-priority,dueDate"). O ID da tarefa desempata no final,
+ * o que torna a ordem total: o cursor guarda os valores das chaves da última
+ * tarefa entregue e a página seguinte começa logo depois dela, mesmo que tarefas
+ * tenham sido criadas ou removidas entre as requisições.
+ */
+
+const dates = require('./dates');
+const search = require('./search');
+
+/**
+ * Valores aceitos nos filtros
+ */
+const STATUSES = ['all', 'pending', 'completed'];
+const PRIORITIES = ['low', 'medium', 'high'];
+const DUE_FILTERS = ['overdue', 'today', 'this-week'];
+
+/**
+ * Chaves de ordenação aceitas e ordenação padrão (mais recentes primeiro)
+ */
+const SORT_KEYS = ['createdAt', 'updatedAt', 'dueDate', 'priority', 'title'];
+const DEFAULT_SORT = '-createdAt';
+
+/**
+ * Tamanho padrão e máximo de uma página
+ */
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+/**
+ * Filtros do parâmetro filter de /api/dashboard-data, traduzidos para os
+ * parâmetros da listagem (prioridades consideram apenas tarefas pendentes)
+ */
+const DASHBOARD_FILTERS = {
+    all: {},
+    pending: { status: 'pending' },
+    completed: { status: 'completed' },
+    high: { status: 'pending', priority: 'high' },
+    medium: { status: 'pending', priority: 'medium' },
+    low: { status: 'pending', priority: 'low' },
+    overdue: { due: 'overdue' },
+    today: { due: 'today' },
+    'this-week': { due: 'this-week' },
+    assigned: { assignee: 'me' }
+};
+
+// =============================================================================
+// VALIDAÇÃO
+// =============================================================================
+
+/**
+ * Separa uma lista de valores recebida como "a,b,c"
+ * @param {*} value - Valor do parâmetro
+ * @returns {Array<string>} - Valores não vazios
+ */
+function parseList(value) {
+    return String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Valida um intervalo de datas (AAAA-MM-DD, inclusivo)
+ * @param {*} from - Data inicial (opcional)
+ * @param {*} to - Data final (opcional)
+ * @param {string} label - Nome do intervalo nas mensagens de erro
+ * @returns {Object} - { success, from, to } ou { success: false, message }
+ */
+function parseDateRange(from, to, label) {
+    const range = { from: from ? String(from) : null, to: to ? String(to) : null };
+    
+    if ((range.from && !dates.isValidDate(range.from)) || (range.to && !dates.isValidDate(range.to))) {
+        return { success: false, message: `Data de ${label} inválida (use AAAA-MM-DD).` };
+    }
+    if (range.from && range.to && range.from > range.to) {
+        return { success: false, message: `O intervalo de ${label} termina antes de começar.` };
+    }
+    
+    return { success: true, ...range };
+}
+
+/**
+ * Interpreta a ordenação ("-priority,dueDate")
+ * @param {*} value - Valor do parâmetro sort (vazio = DEFAULT_SORT)
+ * @returns {Object} - { success, sort: [{ key, desc }] } ou { success: false, message }
+ */
+function parseSort(value) {
+    const sort = [];
+    
+    for (const item of parseList(value || DEFAULT_SORT)) {
+        const desc = item.startsWith('-');
+        const key = desc ? item.slice(1) : item;
+        
+        if (!SORT_KEYS.includes(key)) {
+            return { success: false, message: `Ordenação inválida: ${key} (use ${SORT_KEYS.join(', ')}).` };
+        }
+        if (sort.some(other => other.key === key)) {
+            return { success: false, message: `Chave de ordenação repetida: ${key}.` };
+        }
+        sort.push({ key, desc });
+    }
+    
+    return { success: true, sort };
+}
+
+/**
+ * Representação textual da ordenação (inverso de parseSort)
+ * @param {Array} sort - Chaves de ordenação
+ * @returns {string} - Ex.: "-priority,dueDate"
+ */
+function formatSort(sort) {
+    return sort.map(({ key, desc }) => `${desc ? '-' : ''}${key}`).join(',');
+}
+
+/**
+ * Valida os parâmetros da listagem
+ * Parâmetros: status, priority (lista), due, assignee (me, none ou ID), tags/tagMatch,
+ * createdFrom/createdTo, updatedFrom/updatedTo, sort, limit e cursor
+ * @param {Object} query - Parâmetros da URL
+ * @param {string} userId - ID do usuário (resolve assignee=me)
+ * @returns {Object} - { success, filters, sort, limit, cursor } ou { success: false, message }
+ */
+function parseListQuery(query, userId) {
+    const status = query.status || 'all';
+    if (!STATUSES.includes(status)) {
+        return { success: false, message: `Status inválido (use ${STATUSES.join(', ')}).` };
+    }
+    
+    const priorities = parseList(query.priority);
+    if (priorities.some(priority => !PRIORITIES.includes(priority))) {
+        return { success: false, message: `Prioridade inválida (use ${PRIORITIES.join(', ')}).` };
+    }
+    
+    const due = query.due || null;
+    if (due && !DUE_FILTERS.includes(due)) {
+        return { success: false, message: `Filtro de vencimento inválido (use ${DUE_FILTERS.join(', ')}).` };
+    }
+    
+    const created = parseDateRange(query.createdFrom, query.createdTo, 'criação');
+    if (!created.success) {
+        return created;
+    }
+    
+    const updated = parseDateRange(query.updatedFrom, query.updatedTo, 'atualização');
+    if (!updated.success) {
+        return updated;
+    }
+    
+    const sort = parseSort(query.sort);
+    if (!sort.success) {
+        return sort;
+    }
+    
+    const limit = query.limit === undefined ? DEFAULT_LIMIT : parseInt(query.limit, 10);
+    if (Number.isNaN(limit) || limit < 1) {
+        return { success: false, message: 'Limite inválido.' };
+    }
+    
+    let assigneeId;
+    if (query.assignee) {
+        assigneeId = query.assignee === 'me' ? userId : (query.assignee === 'none' ? null : String(query.assignee));
+    }
+    
+    return {
+        success: true,
+        filters: {
+            status,
+            priorities,
+            due,
+            assigneeId,
+            tagIds: parseList(query.tags),
+            tagMatch: query.tagMatch === 'all' ? 'all' : 'any',
+            created: { from: created.from, to: created.to },
+            updated: { from: updated.from, to: updated.to }
+        },
+        sort: sort.sort,
+        limit: Math.min(limit, MAX_LIMIT),
+        cursor: query.cursor ? String(query.cursor) : null
+    };
+}
+
+/**
+ * Valida os parâmetros de /api/dashboard-data (filter, sort, tags/tagMatch)
+ * Valores desconhecidos caem no padrão, como antes da listagem paginada:
+ * filter=all e sort=createdAt (mais recentes primeiro); sort=dueDate ordena
+ * pelo vencimento mais próximo, mantendo os mais recentes primeiro no empate
+ * @param {Object} query - Parâmetros da URL
+ * @param {string} userId - ID do usuário (resolve filter=assigned)
+ * @returns {Object} - { filter, sortKey, tagIds, tagMatch, filters, sort }
+ */
+function parseDashboardQuery(query, userId) {
+    const filter = Object.prototype.hasOwnProperty.call(DASHBOARD_FILTERS, query.filter) ? query.filter : 'all';
+    const sortKey = query.sort === 'dueDate' ? 'dueDate' : 'createdAt';
+    const parsed = parseListQuery({
+        ...DASHBOARD_FILTERS[filter],
+        tags: query.tags,
+        tagMatch: query.tagMatch,
+        sort: sortKey === 'dueDate' ? 'dueDate,-createdAt' : DEFAULT_SORT
+    }, userId);
+    
+    return {
+        filter,
+        sortKey,
+        tagIds: parsed.filters.tagIds,
+        tagMatch: parsed.filters.tagMatch,
+        filters: parsed.filters,
+        sort: parsed.sort
+    };
+}
+
+// =============================================================================
+// FILTROS
+// =============================================================================
+
+/**
+ * Verifica se uma data/hora ISO cai no intervalo (comparado pela data local)
+ * @param {string} value - Data/hora ISO
+ * @param {Object} range - { from, to } em AAAA-MM-DD
+ * @returns {boolean} - True se estiver no intervalo
+ */
+function inDateRange(value, range) {
+    if (!range.from && !range.to) return true;
+    
+    const day = dates.toDateKey(new Date(value));
+    return (!range.from || day >= range.from) && (!range.to || day <= range.to);
+}
+
+/**
+ * Aplica os filtros combinados (todos precisam ser atendidos)
+ * @param {Array} tasks - Tarefas
+ * @param {Object} filters - Filtros (parseListQuery)
+ * @param {Date} [now] - Instante de referência dos filtros de vencimento
+ * @returns {Array} - Tarefas que atendem aos filtros
+ */
+function filterTasks(tasks, filters, now = new Date()) {
+    const dueKey = { overdue: 'overdue', today: 'today', 'this-week': 'thisWeek' }[filters.due];
+    const tagMatcher = filters.tagMatch === 'all' ? 'every' : 'some';
+    
+    return tasks.filter(task => {
+        if (filters.status === 'pending' && task.completed) return false;
+        if (filters.status === 'completed' && !task.completed) return false;
+        if (filters.priorities.length > 0 && !filters.priorities.includes(task.priority)) return false;
+        if (dueKey && !dates.getDueStatus(task, now)[dueKey]) return false;
+        if (filters.assigneeId !== undefined && (task.assigneeId || null) !== filters.assigneeId) return false;
+        if (filters.tagIds.length > 0 && !filters.tagIds[tagMatcher](tagId => task.tags.includes(tagId))) return false;
+        
+        return inDateRange(task.createdAt, filters.created) && inDateRange(task.updatedAt, filters.updated);
+    });
+}
+
+/**
+ * Contagens usadas nos botões de filtro do dashboard
+ * @param {Array} tasks - Tarefas do escopo (antes dos filtros)
+ * @param {string} userId - ID do usuário (tarefas atribuídas a ele)
+ * @param {Date} [now] - Instante de referência dos vencimentos
+ * @returns {Object} - { all, pending, completed, high, overdue, today, thisWeek, assigned }
+ */
+function countTasks(tasks, userId, now = new Date()) {
+    const counts = { all: tasks.length, pending: 0, completed: 0, high: 0, overdue: 0, today: 0, thisWeek: 0, assigned: 0 };
+    
+    tasks.forEach(task => {
+        const status = dates.getDueStatus(task, now);
+        
+        counts[task.completed ? 'completed' : 'pending']++;
+        if (!task.completed && task.priority === 'high') counts.high++;
+        if (status.overdue) counts.overdue++;
+        if (status.today) counts.today++;
+        if (status.thisWeek) counts.thisWeek++;
+        if (task.assigneeId === userId) counts.assigned++;
+    });
+    
+    return counts;
+}
+
+// =============================================================================
+// ORDENAÇÃO
+// =============================================================================
+
+/**
+ * Valor de uma chave de ordenação
+ * Vencimento usa o instante calculado (com horário), prioridade a posição em
+ * PRIORITIES (ordem crescente: baixa, média, alta) e título o texto sem acentos
+ * @param {Object} task - Tarefa
+ * @param {string} key - Chave (uma de SORT_KEYS)
+ * @returns {string|number|null} - Valor comparável (null = sem valor)
+ */
+function sortValue(task, key) {
+    switch (key) {
+        case 'dueDate':
+            return dates.getDueAt(task);
+        case 'priority': {
+            const rank = PRIORITIES.indexOf(task.priority);
+            return rank === -1 ? null : rank;
+        }
+        case 'title':
+            return search.normalize(task.title).text;
+        default:
+            return task[key] || null;
+    }
+}
+
+/**
+ * Valores de ordenação de uma tarefa: as chaves pedidas e, por último, o ID
+ * @param {Object} task - Tarefa
+ * @param {Array} sort - Chaves de ordenação
+ * @returns {Array} - Valores na ordem das chaves
+ */
+function sortValues(task, sort) {
+    return [...sort.map(({ key }) => sortValue(task, key)), task.id];
+}
+
+/**
+ * Compara dois conjuntos de valores de ordenação
+ * Valores ausentes ficam sempre no fim, em qualquer direção
+ * @param {Array} a - Valores (sortValues)
+ * @param {Array} b - Valores (sortValues)
+ * @param {Array} sort - Chaves de ordenação
+ * @returns {number} - Resultado para Array.prototype.sort
+ */
+function compareValues(a, b, sort) {
+    for (let i = 0; i < a.length; i++) {
+        if (a[i] === b[i]) continue;
+        if (a[i] === null) return 1;
+        if (b[i] === null) return -1;
+        
+        const result = a[i] < b[i] ? -1 : 1;
+        return i < sort.length && sort[i].desc ? -result : result;
+    }
+    return 0;
+}
+
+/**
+ * Ordena as tarefas (retorna um novo array)
+ * @param {Array} tasks - Tarefas
+ * @param {Array} sort - Chaves de ordenação
+ * @returns {Array} - Tarefas ordenadas
+ */
+function sortTasks(tasks, sort) {
+    return tasks
+        .map(task => ({ task, values: sortValues(task, sort) }))
+        .sort((a, b) => compareValues(a.values, b.values, sort))
+        .map(entry => entry.task);
+}
+
+// =============================================================================
+// PAGINAÇÃO
+// =============================================================================
+
+/**
+ * Gera o cursor que aponta para depois de uma tarefa
+ * @param {Object} task - Última tarefa da página
+ * @param {Array} sort - Chaves de ordenação
+ * @returns {string} - Cursor opaco (base64url)
+ */
+function encodeCursor(task, sort) {
+    return Buffer.from(JSON.stringify({ sort: formatSort(sort), values: sortValues(task, sort) })).toString('base64url');
+}
+
+/**
+ * Lê um cursor, conferindo se foi gerado com a mesma ordenação
+ * @param {string} cursor - Cursor recebido
+ * @param {Array} sort - Chaves de ordenação atuais
+ * @returns {Array|null} - Valores de ordenação ou null se o cursor for inválido
+ */
+function decodeCursor(cursor, sort) {
+    try {
+        const data = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        
+        if (data.sort !== formatSort(sort) || !Array.isArray(data.values) || data.values.length !== sort.length + 1) {
+            return null;
+        }
+        return data.values;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Recorta uma página de uma lista já ordenada
+ * @param {Array} tasks - Tarefas ordenadas com sortTasks
+ * @param {Array} sort - Chaves de ordenação
+ * @param {string|null} cursor - Cursor da página anterior (null = primeira página)
+ * @param {number} limit - Tamanho da página
+ * @returns {Object} - { success, tasks, nextCursor } ou { success: false, message }
+ */
+function paginate(tasks, sort, cursor, limit) {
+    let start = 0;
+    
+    if (cursor) {
+        const after = decodeCursor(cursor, sort);
+        if (!after) {
+            return { success: false, message: 'Cursor inválido ou de outra ordenação.' };
+        }
+        
+        start = tasks.findIndex(task => compareValues(sortValues(task, sort), after, sort) > 0);
+        if (start === -1) start = tasks.length;
+    }
+    
+    const page = tasks.slice(start, start + limit);
+    const hasMore = start + limit < tasks.length;
+    
+    return {
+        success: true,
+        tasks: page,
+        nextCursor: hasMore ? encodeCursor(page[page.length - 1], sort) : null
+    };
+}
+
+module.exports = {
+    SORT_KEYS,
+    DEFAULT_SORT,
+    MAX_LIMIT,
+    parseListQuery,
+    parseDashboardQuery,
+    formatSort,
+    filterTasks,
+    countTasks,
+    sortTasks,
+    paginate
+};
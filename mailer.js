@@ -0,0 +1,153 @@
+/**
+ * Envio de emails do sistema
+ * O transporte é plugável: por padrão as mensagens são gravadas como arquivos
+ * .eml no diretório de saída (config.MAIL_OUTBOX_DIR), o que permite testar
+ * o fluxo sem servidor de email. Outros transportes (ex.: SMTP) podem ser
+ * registrados com setTransport().
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { config, generateId } = require('./config');
+
+// =============================================================================
+// TRANSPORTES
+// =============================================================================
+
+/**
+ * Cria transporte que grava cada mensagem como arquivo .eml
+ * @param {string} dir - Diretório de saída
+ * @returns {Object} - Transporte com send(message)
+ */
+function createOutboxTransport(dir) {
+    return {
+        name: 'outbox',
+        send(message) {
+            fs.mkdirSync(dir, { recursive: true });
+
+            const file = path.join(dir, `${Date.now()}-${message.id}.eml`);
+            fs.writeFileSync(file, message.raw);
+
+            return { file };
+        }
+    };
+}
+
+/**
+ * Cria transporte que apenas imprime a mensagem no console
+ * @returns {Object} - Transporte com send(message)
+ */
+function createConsoleTransport() {
+    return {
+        name: 'console',
+        send(message) {
+            console.log(`--- Email para ${message.to} ---\n${message.raw}\n--- Fim do email ---`);
+            return {};
+        }
+    };
+}
+
+/**
+ * Transportes disponíveis, indexados pelo nome usado em MAIL_TRANSPORT
+ */
+const transports = {
+    outbox: () => createOutboxTransport(config.MAIL_OUTBOX_DIR),
+    console: createConsoleTransport
+};
+
+/**
+ * Transporte ativo (criado sob demanda a partir da configuração)
+ */
+let transport = null;
+
+/**
+ * Substitui o transporte de envio
+ * @param {Object} customTransport - Objeto com send(message) síncrono ou assíncrono
+ */
+function setTransport(customTransport) {
+    transport = customTransport;
+}
+
+/**
+ * Retorna o transporte ativo
+ * @returns {Object} - Transporte configurado
+ */
+function getTransport() {
+    if (!transport) {
+        const factory = transports[config.MAIL_TRANSPORT];
+        if (!factory) {
+            throw new Error(`Transporte de email desconhecido: ${config.MAIL_TRANSPORT}`);
+        }
+        transport = factory();
+    }
+    return transport;
+}
+
+// =============================================================================
+// MONTAGEM E ENVIO
+// =============================================================================
+
+/**
+ * Remove quebras de linha de um valor de cabeçalho, impedindo que dados do
+ * usuário (como o nome em menções) injetem cabeçalhos extras
+ * @param {string} value - Valor do cabeçalho
+ * @returns {string} - Valor em uma única linha
+ */
+function sanitizeHeader(value) {
+    return String(value == null ? '' : value).replace(/[\r\n]+/g, ' ').trim();
+}
+
+/**
+ * Codifica um cabeçalho com caracteres não ASCII (RFC 2047)
+ * @param {string} value - Valor do cabeçalho
+ * @returns {string} - Valor codificado quando necessário
+ */
+function encodeHeader(value) {
+    value = sanitizeHeader(value);
+    return /^[\x00-\x7F]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value).toString('base64')}?=`;
+}
+
+/**
+ * Monta a mensagem no formato RFC 5322 (texto simples, UTF-8)
+ * @param {Object} options - Dados da mensagem
+ * @returns {Object} - Mensagem com id, to, subject, text e raw
+ */
+function buildMessage({ to, subject, text }) {
+    const id = generateId();
+    to = sanitizeHeader(to);
+    subject = sanitizeHeader(subject);
+    const headers = [
+        `From: ${encodeHeader(config.MAIL_FROM)}`,
+        `To: ${to}`,
+        `Subject: ${encodeHeader(subject)}`,
+        `Date: ${new Date().toUTCString()}`,
+        `Message-ID: <${id}@${os.hostname()}>`,
+        'MIME-Version: 1.0',
+        'Content-Type: text/plain; charset=UTF-8',
+        'Content-Transfer-Encoding: 8bit'
+    ];
+
+    return { id, to, subject, text, raw: `${headers.join('\r\n')}\r\n\r\n${text.replace(/\r?\n/g, '\r\n')}\r\n` };
+}
+
+/**
+ * Envia um email pelo transporte ativo
+ * @param {Object} options - Dados da mensagem
+ * @param {string} options.to - Destinatário
+ * @param {string} options.subject - Assunto
+ * @param {string} options.text - Corpo em texto simples
+ * @returns {Promise<Object>} - Informações retornadas pelo transporte
+ */
+async function sendMail({ to, subject, text }) {
+    const message = buildMessage({ to, subject, text });
+    return getTransport().send(message);
+}
+
+module.exports = {
+    sendMail,
+    setTransport,
+    getTransport,
+    createOutboxTransport,
+    createConsoleTransport
+};
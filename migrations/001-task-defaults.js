@@ -0,0 +1,31 @@
+/**
+ * Migração 001 - Valores padrão das tarefas
+ * Preenche campos ausentes ou inválidos em tarefas gravadas por versões antigas
+ */
+
+const PRIORITIES = ['low', 'medium', 'high'];
+
+module.exports = {
+    description: 'Preenche descrição, prioridade, status e datas ausentes nas tarefas',
+
+    up({ read, write }) {
+        const tasks = read('tasks').map(task => {
+            const createdAt = task.createdAt || task.updatedAt || new Date(0).toISOString();
+
+            return {
+                ...task,
+                description: typeof task.description === 'string' ? task.description : '',
+                priority: PRIORITIES.includes(task.priority) ? task.priority : 'medium',
+                completed: task.completed === true,
+                createdAt,
+                updatedAt: task.updatedAt || createdAt
+            };
+        });
+
+        write('tasks', tasks);
+    },
+
+    down() {
+        // Os valores preenchidos também são válidos na versão 0: nada a desfazer
+    }
+};
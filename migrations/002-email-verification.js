@@ -0,0 +1,29 @@
+/**
+ * Migração 002 - Confirmação de email
+ * Contas criadas antes da confirmação de email são consideradas confirmadas
+ */
+
+module.exports = {
+    description: 'Marca os usuários existentes como tendo email confirmado',
+
+    up({ read, write }) {
+        const migratedAt = new Date().toISOString();
+        const users = read('users').map(user => {
+            if (typeof user.emailVerified === 'boolean') return user;
+
+            return { ...user, emailVerified: true, emailVerifiedAt: migratedAt };
+        });
+
+        write('users', users);
+    },
+
+    down({ read, write }) {
+        const users = read('users').map(user => {
+            const { emailVerified, emailVerifiedAt, ...rest } = user;
+            return rest;
+        });
+
+        write('users', users);
+        write('emailVerifications', []);
+    }
+};
@@ -0,0 +1,21 @@
+/**
+ * Migração 003 - Papéis de usuário
+ * Usuários existentes recebem o papel comum 'user'; administradores são
+ * promovidos depois, pelo CLI (admin:grant) ou pela variável ADMIN_USER.
+ * Irreversível (sem down): desfazê-la rebaixaria os administradores e
+ * reativaria contas desativadas
+ */
+
+module.exports = {
+    description: 'Adiciona o papel (role) aos usuários existentes',
+
+    up({ read, write }) {
+        const users = read('users').map(user => {
+            if (user.role) return user;
+
+            return { ...user, role: 'user' };
+        });
+
+        write('users', users);
+    }
+};
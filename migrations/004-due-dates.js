@@ -0,0 +1,26 @@
+/**
+ * Migração 004 - Vencimentos
+ * Tarefas gravadas antes dos vencimentos recebem dueDate e dueTime nulos;
+ * valores inválidos (ou horário sem data) também são descartados
+ */
+
+const dates = require('../dates');
+
+module.exports = {
+    description: 'Preenche dueDate e dueTime ausentes ou inválidos nas tarefas',
+
+    up({ read, write }) {
+        const tasks = read('tasks').map(task => {
+            const dueDate = dates.isValidDate(task.dueDate) ? task.dueDate : null;
+            const dueTime = dueDate && dates.isValidTime(task.dueTime) ? task.dueTime : null;
+
+            return { ...task, dueDate, dueTime };
+        });
+
+        write('tasks', tasks);
+    },
+
+    down() {
+        // Vencimentos nulos também são aceitos na versão 3: nada a desfazer
+    }
+};
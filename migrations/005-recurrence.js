@@ -0,0 +1,25 @@
+/**
+ * Migração 005 - Tarefas repetidas
+ * Tarefas gravadas antes da repetição recebem os campos da série vazios e a data
+ * de conclusão (para as concluídas, a última atualização é a melhor estimativa)
+ */
+
+module.exports = {
+    description: 'Preenche recurrence, seriesId, occurrence e completedAt ausentes nas tarefas',
+
+    up({ read, write }) {
+        const tasks = read('tasks').map(task => ({
+            ...task,
+            recurrence: task.recurrence || null,
+            seriesId: task.seriesId || null,
+            occurrence: task.occurrence || null,
+            completedAt: task.completed ? (task.completedAt || task.updatedAt) : null
+        }));
+
+        write('tasks', tasks);
+    },
+
+    down() {
+        // Os valores preenchidos também são válidos na versão 4: nada a desfazer
+    }
+};
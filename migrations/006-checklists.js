@@ -0,0 +1,37 @@
+/**
+ * Migração 006 - Checklists
+ * Tarefas gravadas antes das checklists recebem a lista vazia e a conclusão
+ * automática desativada; itens malformados são descartados e os demais são
+ * mantidos como estão, recebendo apenas os campos que faltarem
+ */
+
+const { generateId } = require('../config');
+
+module.exports = {
+    description: 'Preenche checklist e checklistAutoComplete ausentes nas tarefas',
+
+    up({ read, write }) {
+        const tasks = read('tasks').map(task => {
+            const items = Array.isArray(task.checklist) ? task.checklist : [];
+
+            return {
+                ...task,
+                checklist: items
+                    .filter(item => item && typeof item.text === 'string' && item.text.trim())
+                    .map(item => ({
+                        ...item,
+                        id: item.id || generateId(),
+                        completed: item.completed === true,
+                        createdAt: item.createdAt || task.createdAt
+                    })),
+                checklistAutoComplete: task.checklistAutoComplete === true
+            };
+        });
+
+        write('tasks', tasks);
+    },
+
+    down() {
+        // Os valores preenchidos também são válidos na versão 5: nada a desfazer
+    }
+};
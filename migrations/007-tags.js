@@ -0,0 +1,28 @@
+/**
+ * Migração 007 - Tags
+ * Tarefas gravadas antes das tags recebem a lista vazia; IDs repetidos ou de
+ * tags que não existem mais são descartados
+ */
+
+module.exports = {
+    description: 'Preenche tags ausentes nas tarefas e remove IDs de tags inexistentes',
+
+    up({ read, write }) {
+        const tagIds = new Set(read('tags').map(tag => tag.id));
+
+        const tasks = read('tasks').map(task => {
+            const tags = Array.isArray(task.tags) ? task.tags : [];
+
+            return {
+                ...task,
+                tags: [...new Set(tags)].filter(tagId => tagIds.has(tagId))
+            };
+        });
+
+        write('tasks', tasks);
+    },
+
+    down() {
+        // Listas de tags vazias também são válidas na versão 6: nada a desfazer
+    }
+};
@@ -0,0 +1,37 @@
+/**
+ * Migração 008 - Projetos
+ * Cada usuário recebe o projeto padrão "Inbox", que passa a conter as tarefas
+ * existentes (e as criadas sem projeto).
+ * Irreversível (sem down): desfazê-la apagaria todos os projetos e membros
+ */
+
+const { generateId } = require('../config');
+
+module.exports = {
+    description: 'Cria o projeto Inbox de cada usuário e move as tarefas existentes para ele',
+
+    up({ read, write }) {
+        const createdAt = new Date().toISOString();
+        const projects = read('projects');
+        const inboxes = new Map(projects.filter(project => project.isInbox).map(project => [project.userId, project.id]));
+
+        read('users').forEach(user => {
+            if (inboxes.has(user.id)) return;
+
+            const inbox = { id: generateId(), userId: user.id, name: 'Inbox', color: '#667eea', isInbox: true, archivedAt: null, createdAt };
+            projects.push(inbox);
+            inboxes.set(user.id, inbox.id);
+        });
+
+        const projectIds = new Set(projects.map(project => project.id));
+        const tasks = read('tasks').map(task => {
+            if (task.projectId && projectIds.has(task.projectId)) return task;
+            if (!inboxes.has(task.userId)) return task;
+
+            return { ...task, projectId: inboxes.get(task.userId) };
+        });
+
+        write('projects', projects);
+        write('tasks', tasks);
+    }
+};
@@ -0,0 +1,24 @@
+/**
+ * Migração 009 - Tags do dono da tarefa
+ * As tags de uma tarefa pertencem ao dono dela (o dono do projeto); IDs de tags
+ * de outros usuários, gravados por membros de projetos compartilhados, são descartados
+ */
+
+module.exports = {
+    description: 'Remove das tarefas as tags que não pertencem ao dono da tarefa',
+
+    up({ read, write }) {
+        const owners = new Map(read('tags').map(tag => [tag.id, tag.userId]));
+
+        const tasks = read('tasks').map(task => ({
+            ...task,
+            tags: task.tags.filter(tagId => owners.get(tagId) === task.userId)
+        }));
+
+        write('tasks', tasks);
+    },
+
+    down() {
+        // As tags removidas pertenciam a outros usuários: nada a restaurar
+    }
+};
@@ -0,0 +1,233 @@
+/**
+ * Executor de migrações do esquema de dados
+ * As migrações ficam neste diretório com o nome NNN-descricao.js, em que NNN
+ * é a versão do esquema que a migração produz. Cada arquivo exporta:
+ *   description      - texto curto exibido no CLI
+ *   up(context)      - aplica a migração
+ *   down(context)    - desfaz a migração (opcional: sem down, a migração é
+ *                      irreversível e o rollback que passaria por ela é recusado)
+ * O contexto recebido oferece read(collection) e write(collection, records).
+ *
+ * A versão atual fica no registro "schema" da coleção meta.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Coleção e registro onde a versão do esquema é armazenada
+ */
+const META_COLLECTION = 'meta';
+const SCHEMA_ID = 'schema';
+
+/**
+ * Carrega as migrações do diretório, ordenadas por versão
+ * @returns {Array} - Lista de { version, name, description, up, down }
+ */
+function loadMigrations() {
+    const migrations = fs.readdirSync(__dirname)
+        .filter(file => /^\d{3}-.+\.js$/.test(file))
+        .sort()
+        .map(file => {
+            const migration = require(path.join(__dirname, file));
+            return {
+                version: parseInt(file.slice(0, 3), 10),
+                name: file.replace(/\.js$/, ''),
+                description: migration.description || '',
+                up: migration.up,
+                down: typeof migration.down === 'function' ? migration.down : null
+            };
+        });
+
+    migrations.forEach((migration, index) => {
+        if (migration.version !== index + 1) {
+            throw new Error(`Sequência de migrações inválida: esperado ${index + 1}, encontrado ${migration.name}`);
+        }
+    });
+
+    return migrations;
+}
+
+/**
+ * Lê o registro de esquema armazenado
+ * @param {Object} context - Contexto com read(collection)
+ * @returns {Object} - { version, history }
+ */
+function readSchema(context) {
+    const record = context.read(META_COLLECTION).find(item => item.id === SCHEMA_ID);
+    return record ? { version: record.version, history: record.history || [] } : { version: 0, history: [] };
+}
+
+/**
+ * Grava o registro de esquema
+ * @param {Object} context - Contexto com read/write
+ * @param {Object} schema - { version, history }
+ */
+function writeSchema(context, schema) {
+    const meta = context.read(META_COLLECTION).filter(item => item.id !== SCHEMA_ID);
+    meta.push({ id: SCHEMA_ID, version: schema.version, history: schema.history });
+    context.write(META_COLLECTION, meta);
+}
+
+/**
+ * Cria o contexto entregue às migrações
+ * Em modo simulação, as gravações ficam em memória e a coleção original não é tocada
+ * @param {Object} storage - Adaptador de armazenamento
+ * @param {boolean} dryRun - Se true, não grava no armazenamento
+ * @returns {Object} - Contexto { read, write, changes }
+ */
+function createContext(storage, dryRun) {
+    const overlay = new Map();
+    const changes = new Map();
+
+    return {
+        read(collection) {
+            if (overlay.has(collection)) {
+                return JSON.parse(overlay.get(collection));
+            }
+            return storage.read(collection);
+        },
+
+        write(collection, records) {
+            if (!changes.has(collection)) {
+                changes.set(collection, { before: storage.read(collection), after: null });
+            }
+            changes.get(collection).after = records;
+
+            if (dryRun) {
+                overlay.set(collection, JSON.stringify(records));
+            } else {
+                storage.write(collection, records);
+            }
+        },
+
+        /**
+         * Resume as alterações feitas em cada coleção (exceto meta)
+         * @returns {Array} - Lista de { collection, before, after, changed }
+         */
+        summary() {
+            return Array.from(changes.entries())
+                .filter(([collection]) => collection !== META_COLLECTION)
+                .map(([collection, { before, after }]) => {
+                    const previous = new Map(before.map(record => [record.id, JSON.stringify(record)]));
+                    const changed = after.filter(record => previous.get(record.id) !== JSON.stringify(record)).length;
+                    return { collection, before: before.length, after: after.length, changed };
+                });
+        }
+    };
+}
+
+/**
+ * Retorna a versão atual do esquema e as migrações pendentes
+ * @param {Object} storage - Adaptador de armazenamento
+ * @returns {Object} - { version, latest, pending, history }
+ */
+function status(storage) {
+    const migrations = loadMigrations();
+    const schema = readSchema(storage);
+
+    return {
+        version: schema.version,
+        latest: migrations.length,
+        pending: migrations.filter(migration => migration.version > schema.version),
+        history: schema.history
+    };
+}
+
+/**
+ * Aplica as migrações pendentes até a versão alvo
+ * @param {Object} storage - Adaptador de armazenamento
+ * @param {Object} [options] - Opções
+ * @param {number} [options.to] - Versão alvo (padrão: a mais recente)
+ * @param {boolean} [options.dryRun] - Simula sem gravar
+ * @returns {Object} - { from, to, applied: [{ name, changes }] }
+ */
+function migrate(storage, { to = null, dryRun = false } = {}) {
+    const migrations = loadMigrations();
+    const target = to === null ? migrations.length : to;
+
+    return storage.transaction(() => {
+        const context = createContext(storage, dryRun);
+        const schema = readSchema(context);
+
+        if (schema.version > migrations.length) {
+            throw new Error(`Versão do esquema (${schema.version}) é mais nova que a suportada por este código (${migrations.length})`);
+        }
+        if (target < schema.version || target > migrations.length) {
+            throw new Error(`Versão alvo inválida: ${target}`);
+        }
+
+        const from = schema.version;
+        const applied = migrations
+            .filter(migration => migration.version > from && migration.version <= target)
+            .map(migration => {
+                const step = createContext({ read: context.read, write: context.write }, false);
+                migration.up(step);
+
+                schema.version = migration.version;
+                schema.history.push({ version: migration.version, name: migration.name, appliedAt: new Date().toISOString() });
+                writeSchema(context, schema);
+
+                return { name: migration.name, changes: step.summary() };
+            });
+
+        return { from, to: schema.version, applied };
+    });
+}
+
+/**
+ * Desfaz migrações aplicadas até a versão alvo
+ * @param {Object} storage - Adaptador de armazenamento
+ * @param {Object} [options] - Opções
+ * @param {number} [options.to] - Versão alvo (padrão: versão atual - 1)
+ * @param {boolean} [options.dryRun] - Simula sem gravar
+ * @returns {Object} - { from, to, reverted: [{ name, changes }] }
+ */
+function rollback(storage, { to = null, dryRun = false } = {}) {
+    const migrations = loadMigrations();
+
+    return storage.transaction(() => {
+        const context = createContext(storage, dryRun);
+        const schema = readSchema(context);
+        const target = to === null ? Math.max(schema.version - 1, 0) : to;
+
+        if (schema.version > migrations.length) {
+            throw new Error(`Versão do esquema (${schema.version}) é mais nova que a suportada por este código (${migrations.length})`);
+        }
+        if (target < 0 || target > schema.version) {
+            throw new Error(`Versão alvo inválida: ${target}`);
+        }
+
+        const from = schema.version;
+        const steps = migrations
+            .filter(migration => migration.version <= from && migration.version > target)
+            .reverse();
+
+        // Recusar antes de reverter qualquer passo: nada é alterado
+        const irreversible = steps.find(migration => !migration.down);
+        if (irreversible) {
+            throw new Error(`A migração ${irreversible.name} é irreversível: não é possível voltar para a versão ${target}`);
+        }
+
+        const reverted = steps.map(migration => {
+            const step = createContext({ read: context.read, write: context.write }, false);
+            migration.down(step);
+
+            schema.version = migration.version - 1;
+            schema.history.push({ version: schema.version, name: `${migration.name} (revertida)`, appliedAt: new Date().toISOString() });
+            writeSchema(context, schema);
+
+            return { name: migration.name, changes: step.summary() };
+        });
+
+        return { from, to: schema.version, reverted };
+    });
+}
+
+module.exports = {
+    META_COLLECTION,
+    loadMigrations,
+    status,
+    migrate,
+    rollback
+};
@@ -0,0 +1,224 @@
+// Função para mostrar alertas
+function showAlert(message, type = 'error') {
+    const container = document.getElementById('alert-container');
+    const alert = document.createElement('div');
+    alert.className = `alert alert-${type}`;
+    alert.textContent = message;
+    
+    container.innerHTML = '';
+    container.appendChild(alert);
+    
+    // Remover alerta após 5 segundos
+    setTimeout(() => {
+        alert.remove();
+    }, 5000);
+}
+
+// Token CSRF da sessão (obtido sob demanda)
+let csrfToken = null;
+
+// Obter token CSRF da sessão atual
+async function getCsrfToken(refresh = false) {
+    if (!csrfToken || refresh) {
+        const response = await fetch('/auth/csrf-token', { credentials: 'same-origin' });
+        const data = await response.json();
+        csrfToken = data.csrfToken;
+    }
+    return csrfToken;
+}
+
+// Função para fazer requisições AJAX
+async function makeRequest(url, method = 'GET', data = null, retry = true) {
+    const options = {
+        method,
+        headers: {
+            'Content-Type': 'application/json',
+        },
+        credentials: 'same-origin'
+    };
+    
+    if (data) {
+        options.body = JSON.stringify(data);
+    }
+    
+    try {
+        // Requisições que alteram estado enviam o token CSRF
+        if (method !== 'GET') {
+            options.headers['X-CSRF-Token'] = await getCsrfToken();
+        }
+        
+        const response = await fetch(url, options);
+        
+        if (!response.ok) {
+            const body = await response.json().catch(() => null);
+            
+            // Token expirado (ex.: nova sessão): obter outro e repetir uma vez
+            if (body && body.code === 'CSRF_INVALID' && retry) {
+                await getCsrfToken(true);
+                return makeRequest(url, method, data, false);
+            }
+            
+            console.error('Erro HTTP:', response.status, response.statusText);
+            return body || { success: false, message: `Erro HTTP: ${response.status}` };
+        }
+        
+        return await response.json();
+    } catch (error) {
+        console.error('Erro na requisição:', error);
+        return { success: false, message: 'Erro de conexão' };
+    }
+}
+
+// Entidades usadas por escapeHtml (aspas incluídas: o resultado também vai em atributos)
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+// Função para escapar HTML (conteúdo e valores de atributos)
+function escapeHtml(text) {
+    return String(text == null ? '' : text).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+// Formatar data opcional no padrão brasileiro
+function formatOptionalDate(date, fallback = '—') {
+    return date ? new Date(date).toLocaleString('pt-BR') : fallback;
+}
+
+// =============================================================================
+// TOTAIS DO SISTEMA
+// =============================================================================
+
+// Carregar totais do sistema
+async function loadStats() {
+    const result = await makeRequest('/api/admin/stats');
+    
+    if (!result.success) {
+        showAlert(result.message || 'Erro ao carregar totais');
+        return;
+    }
+    
+    const stats = result.stats;
+    document.getElementById('stat-users').textContent = stats.users.total;
+    document.getElementById('stat-tasks').textContent = stats.tasks.total;
+    document.getElementById('stat-completed').textContent = stats.tasks.completed;
+    document.getElementById('stat-sessions').textContent = stats.sessions;
+    document.getElementById('stat-details').textContent =
+        `${stats.users.admins} administrador(es), ${stats.users.disabled} conta(s) desativada(s), ` +
+        `${stats.users.unverified} email(s) não confirmado(s), ${stats.users.twoFactor} com dois fatores, ` +
+        `${stats.tasks.pending} tarefa(s) pendente(s), ${stats.apiTokens} token(s) de API ativo(s).`;
+}
+
+// =============================================================================
+// USUÁRIOS
+// =============================================================================
+
+// Usuários carregados (consultados pelas ações da tabela)
+let users = [];
+
+// Carregar usuários
+async function loadUsers() {
+    const result = await makeRequest('/api/admin/users');
+    
+    if (!result.success) {
+        showAlert(result.message || 'Erro ao carregar usuários');
+        return;
+    }
+    
+    users = result.users;
+    renderUsers(users, result.currentUserId);
+}
+
+// Renderizar tabela de usuários
+function renderUsers(users, currentUserId) {
+    const list = document.getElementById('users-list');
+    
+    list.innerHTML = users.map(user => {
+        const isSelf = user.id === currentUserId;
+        const status = [
+            user.disabled ? 'Desativada' : 'Ativa',
+            user.emailVerified ? null : 'email não confirmado',
+            user.passwordResetRequired ? 'nova senha exigida' : null
+        ].filter(Boolean).join(', ');
+        
+        const actions = isSelf ? '<em>Você</em>' : `
+            <button onclick="setRole('${user.id}', '${user.role === 'admin' ? 'user' : 'admin'}')" class="btn btn-small btn-secondary">
+                ${user.role === 'admin' ? 'Remover admin' : 'Tornar admin'}
+            </button>
+            ${user.disabled
+                ? `<button onclick="userAction('${user.id}', 'enable')" class="btn btn-small btn-success">Reativar</button>`
+                : `<button onclick="userAction('${user.id}', 'disable')" class="btn btn-small btn-warning">Desativar</button>`}
+            <button onclick="userAction('${user.id}', 'password-reset')" class="btn btn-small btn-secondary">Exigir nova senha</button>
+            <button onclick="deleteUser('${user.id}')" class="btn btn-small btn-danger">Excluir</button>
+        `;
+        
+        return `
+            <tr class="${user.disabled ? 'inactive' : ''}">
+                <td>${escapeHtml(user.username)}</td>
+                <td>${escapeHtml(user.email)}</td>
+                <td>${user.role === 'admin' ? 'Administrador' : 'Usuário'}</td>
+                <td>${user.tasks.completed}/${user.tasks.total}</td>
+                <td>${formatOptionalDate(user.createdAt)}</td>
+                <td>${status}</td>
+                <td class="admin-actions">${actions}</td>
+            </tr>
+        `;
+    }).join('');
+}
+
+// Recarregar painel após uma ação
+function refresh() {
+    loadStats();
+    loadUsers();
+}
+
+// Ações simples sobre um usuário (desativar, reativar, exigir nova senha)
+async function userAction(userId, action) {
+    const confirmations = {
+        disable: 'Desativar esta conta? O usuário será desconectado e não poderá entrar.',
+        'password-reset': 'Exigir nova senha? A senha atual deixará de valer e um link será enviado por email.'
+    };
+    
+    if (confirmations[action] && !confirm(confirmations[action])) {
+        return;
+    }
+    
+    const result = await makeRequest(`/api/admin/users/${userId}/${action}`, 'POST');
+    
+    if (result.success) {
+        showAlert(result.message, 'success');
+        refresh();
+    } else {
+        showAlert(result.message);
+    }
+}
+
+// Alterar papel do usuário
+async function setRole(userId, role) {
+    const result = await makeRequest(`/api/admin/users/${userId}/role`, 'PUT', { role });
+    
+    if (result.success) {
+        showAlert(result.message, 'success');
+        refresh();
+    } else {
+        showAlert(result.message);
+    }
+}
+
+// Excluir usuário e todos os seus dados
+async function deleteUser(userId) {
+    const user = users.find(item => item.id === userId);
+    
+    if (!user || !confirm(`Excluir o usuário ${user.username}? Todas as tarefas dele serão removidas. Esta ação não pode ser desfeita.`)) {
+        return;
+    }
+    
+    const result = await makeRequest(`/api/admin/users/${userId}`, 'DELETE');
+    
+    if (result.success) {
+        showAlert(result.message, 'success');
+        refresh();
+    } else {
+        showAlert(result.message);
+    }
+}
+
+// Carregar painel
+document.addEventListener('DOMContentLoaded', refresh);
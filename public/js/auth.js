@@ -10,7 +10,10 @@ function showTab(tabName) {
     });
     
     // Adicionar classe active na aba e formulário selecionados
-    event.target.classList.add('active');
+    const tabBtn = document.querySelector(`.tab-btn[data-tab="${tabName}"]`);
+    if (tabBtn) {
+        tabBtn.classList.add('active');
+    }
     document.getElementById(tabName + '-form').classList.add('active');
 }
 
@@ -30,13 +33,27 @@ function showAlert(message, type = 'error') {
     }, 5000);
 }
 
+// Token CSRF da sessão (obtido sob demanda)
+let csrfToken = null;
+
+// Obter token CSRF da sessão atual
+async function getCsrfToken(refresh = false) {
+    if (!csrfToken || refresh) {
+        const response = await fetch('/auth/csrf-token', { credentials: 'same-origin' });
+        const data = await response.json();
+        csrfToken = data.csrfToken;
+    }
+    return csrfToken;
+}
+
 // Função para fazer requisições AJAX
-async function makeRequest(url, method = 'GET', data = null) {
+async function makeRequest(url, method = 'GET', data = null, retry = true) {
     const options = {
         method,
         headers: {
             'Content-Type': 'application/json',
-        }
+        },
+        credentials: 'same-origin'
     };
     
     if (data) {
@@ -44,8 +61,21 @@ async function makeRequest(url, method = 'GET', data = null) {
     }
     
     try {
+        // Requisições que alteram estado enviam o token CSRF
+        if (method !== 'GET') {
+            options.headers['X-CSRF-Token'] = await getCsrfToken();
+        }
+        
         const response = await fetch(url, options);
-        return await response.json();
+        const result = await response.json();
+        
+        // Token expirado (ex.: nova sessão): obter outro e repetir uma vez
+        if (result.code === 'CSRF_INVALID' && retry) {
+            await getCsrfToken(true);
+            return makeRequest(url, method, data, false);
+        }
+        
+        return result;
     } catch (error) {
         console.error('Erro na requisição:', error);
         return { success: false, message: 'Erro de conexão' };
@@ -55,7 +85,35 @@ async function makeRequest(url, method = 'GET', data = null) {
 // Processar formulário de login
 document.addEventListener('DOMContentLoaded', function() {
     const loginForm = document.getElementById('login-form');
+    const twoFactorForm = document.getElementById('twofactor-form');
     const registerForm = document.getElementById('register-form');
+    const forgotForm = document.getElementById('forgot-form');
+    const resetForm = document.getElementById('reset-form');
+    
+    // Resultado da confirmação de email (redirecionamento de /auth/verify-email)
+    const verified = new URLSearchParams(window.location.search).get('verified');
+    if (verified === '1') {
+        showAlert('Email confirmado com sucesso! Faça login para continuar.', 'success');
+    } else if (verified === '0') {
+        showAlert('Link de confirmação inválido ou expirado. Entre para solicitar um novo.');
+    }
+    
+    // Reenviar email de confirmação para o usuário informado no login
+    const resendBtn = document.getElementById('resend-verification-btn');
+    if (resendBtn) {
+        resendBtn.addEventListener('click', async function() {
+            const login = document.getElementById('username').value;
+            const result = await makeRequest('/auth/resend-verification', 'POST', { login });
+            showAlert(result.message, result.success ? 'success' : 'error');
+        });
+    }
+    
+    // Link de redefinição recebido por email: abrir formulário de nova senha
+    const resetToken = new URLSearchParams(window.location.search).get('token');
+    if (window.location.pathname === '/auth/reset-password' && resetToken) {
+        document.getElementById('reset-token').value = resetToken;
+        showTab('reset');
+    }
     
     if (loginForm) {
         loginForm.addEventListener('submit', async function(e) {
@@ -73,7 +131,18 @@ document.addEventListener('DOMContentLoaded', function() {
             
             const result = await makeRequest('/auth/login', 'POST', data);
             
-            if (result.success) {
+            // Email não confirmado: oferecer reenvio do link
+            document.getElementById('resend-verification-btn').style.display =
+                result.code === 'EMAIL_NOT_VERIFIED' ? 'block' : 'none';
+            
+            if (result.success && result.twoFactorRequired) {
+                // Senha correta: pedir o código do segundo fator
+                showAlert(result.message, 'success');
+                showTab('twofactor');
+                document.getElementById('twofactor-code').focus();
+                submitBtn.disabled = false;
+                submitBtn.textContent = 'Entrar';
+            } else if (result.success) {
                 showAlert('Login realizado com sucesso!', 'success');
                 setTimeout(() => {
                     window.location.href = result.redirect || '/dashboard';
@@ -86,6 +155,41 @@ document.addEventListener('DOMContentLoaded', function() {
         });
     }
     
+    if (twoFactorForm) {
+        twoFactorForm.addEventListener('submit', async function(e) {
+            e.preventDefault();
+            
+            const formData = new FormData(this);
+            const submitBtn = this.querySelector('button[type="submit"]');
+            submitBtn.disabled = true;
+            submitBtn.textContent = 'Verificando...';
+            
+            const result = await makeRequest('/auth/login/2fa', 'POST', { code: formData.get('code') });
+            
+            if (result.success) {
+                let message = 'Login realizado com sucesso!';
+                if (result.recoveryCodesRemaining !== undefined) {
+                    message += ` Código de recuperação usado: restam ${result.recoveryCodesRemaining}.`;
+                }
+                
+                showAlert(message, 'success');
+                setTimeout(() => {
+                    window.location.href = result.redirect || '/dashboard';
+                }, result.recoveryCodesRemaining !== undefined ? 3000 : 1000);
+            } else {
+                showAlert(result.message);
+                this.reset();
+                submitBtn.disabled = false;
+                submitBtn.textContent = 'Verificar';
+                
+                // Verificação expirada ou conta bloqueada: recomeçar pelo login
+                if (result.code === 'TWO_FACTOR_EXPIRED' || result.code === 'ACCOUNT_LOCKED') {
+                    showTab('login');
+                }
+            }
+        });
+    }
+    
     if (registerForm) {
         registerForm.addEventListener('submit', async function(e) {
             e.preventDefault();
@@ -118,6 +222,65 @@ document.addEventListener('DOMContentLoaded', function() {
         });
     }
     
+    if (forgotForm) {
+        forgotForm.addEventListener('submit', async function(e) {
+            e.preventDefault();
+            
+            const formData = new FormData(this);
+            const data = {
+                email: formData.get('email')
+            };
+            
+            const submitBtn = this.querySelector('button[type="submit"]');
+            submitBtn.disabled = true;
+            submitBtn.textContent = 'Enviando...';
+            
+            const result = await makeRequest('/auth/forgot-password', 'POST', data);
+            
+            if (result.success) {
+                showAlert(result.message, 'success');
+                this.reset();
+            } else {
+                showAlert(result.message);
+            }
+            
+            submitBtn.disabled = false;
+            submitBtn.textContent = 'Enviar link';
+        });
+    }
+    
+    if (resetForm) {
+        resetForm.addEventListener('submit', async function(e) {
+            e.preventDefault();
+            
+            const formData = new FormData(this);
+            const data = {
+                token: formData.get('token'),
+                password: formData.get('password'),
+                confirmPassword: formData.get('confirmPassword')
+            };
+            
+            const submitBtn = this.querySelector('button[type="submit"]');
+            submitBtn.disabled = true;
+            submitBtn.textContent = 'Salvando...';
+            
+            const result = await makeRequest('/auth/reset-password', 'POST', data);
+            
+            if (result.success) {
+                showAlert(result.message, 'success');
+                this.reset();
+                // Remover token da URL e voltar para o login
+                window.history.replaceState(null, '', '/auth');
+                showTab('login');
+            } else {
+                showAlert(result.message);
+            }
+            
+            submitBtn.disabled = false;
+            submitBtn.textContent = 'Redefinir senha';
+        });
+    }
+    
     // Validação em tempo real para o formulário de cadastro
     const password = document.getElementById('reg-password');
     const confirmPassword = document.getElementById('confirm-password');
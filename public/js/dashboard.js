@@ -1,7 +1,23 @@
 // Variáveis globais
 let currentFilter = 'all';
-let allTasks = [];
+let currentSort = '-createdAt';
+let userTags = [];
+let selectedTags = [];
+let tagMatch = 'any';
+let userProjects = [];
+let currentProject = null;
+let currentUserId = null;
+let membersProjectId = null;
+let shownTasks = [];
+let nextCursor = null;
+let listedParams = '';
+let loadingMore = false;
+let listVersion = 0;
+let tasksObserver = null;
 let currentEditingTask = null;
+let currentComments = [];
+let searchQuery = '';
+let searchTimer = null;
 
 // Função para mostrar alertas
 function showAlert(message, type = 'error') {
@@ -19,8 +35,52 @@ function showAlert(message, type = 'error') {
     }, 5000);
 }
 
+// Tempo em que o aviso "Desfazer" fica visível (ms)
+const UNDO_TIMEOUT = 8000;
+let undoTimer = null;
+
+// Aviso com a opção de desfazer a última ação
+// undo() refaz a ação inversa e retorna a resposta da API
+function showUndoToast(message, undo) {
+    document.getElementById('undo-message').textContent = message;
+    document.getElementById('undo-toast').classList.add('visible');
+    
+    document.getElementById('undo-button').onclick = async () => {
+        hideUndoToast();
+        const result = await undo();
+        
+        if (result.success) {
+            loadDashboardData(currentFilter);
+        } else {
+            showAlert(result.message);
+        }
+    };
+    
+    clearTimeout(undoTimer);
+    undoTimer = setTimeout(hideUndoToast, UNDO_TIMEOUT);
+}
+
+// Esconder o aviso "Desfazer"
+function hideUndoToast() {
+    clearTimeout(undoTimer);
+    document.getElementById('undo-toast').classList.remove('visible');
+}
+
+// Token CSRF da sessão (obtido sob demanda)
+let csrfToken = null;
+
+// Obter token CSRF da sessão atual
+async function getCsrfToken(refresh = false) {
+    if (!csrfToken || refresh) {
+        const response = await fetch('/auth/csrf-token', { credentials: 'same-origin' });
+        const data = await response.json();
+        csrfToken = data.csrfToken;
+    }
+    return csrfToken;
+}
+
 // Função para fazer requisições AJAX
-async function makeRequest(url, method = 'GET', data = null) {
+async function makeRequest(url, method = 'GET', data = null, retry = true) {
     const options = {
         method,
         headers: {
@@ -34,11 +94,24 @@ async function makeRequest(url, method = 'GET', data = null) {
     }
     
     try {
+        // Requisições que alteram estado enviam o token CSRF
+        if (method !== 'GET') {
+            options.headers['X-CSRF-Token'] = await getCsrfToken();
+        }
+        
         const response = await fetch(url, options);
         
         if (!response.ok) {
+            const body = await response.json().catch(() => null);
+            
+            // Token expirado (ex.: nova sessão): obter outro e repetir uma vez
+            if (body && body.code === 'CSRF_INVALID' && retry) {
+                await getCsrfToken(true);
+                return makeRequest(url, method, data, false);
+            }
+            
             console.error('Erro HTTP:', response.status, response.statusText);
-            return { success: false, message: `Erro HTTP: ${response.status}` };
+            return body || { success: false, message: `Erro HTTP: ${response.status}` };
         }
         
         return await response.json();
@@ -48,47 +121,518 @@ async function makeRequest(url, method = 'GET', data = null) {
     }
 }
 
+// Tarefas por página na rolagem infinita (o servidor aceita até 100)
+const TASK_PAGE_SIZE = 20;
+const TASK_MAX_LIMIT = 100;
+
+// Parâmetros de GET /api/tasks de cada botão de filtro
+const FILTER_PARAMS = {
+    all: {},
+    pending: { status: 'pending' },
+    completed: { status: 'completed' },
+    high: { status: 'pending', priority: 'high' },
+    overdue: { due: 'overdue' },
+    today: { due: 'today' },
+    'this-week': { due: 'this-week' },
+    assigned: { assignee: 'me' }
+};
+
 // Carregar dados do dashboard
 async function loadDashboardData(filter = 'all') {
     try {
-        const response = await fetch(`/api/dashboard-data?filter=${filter}`);
+        const params = new URLSearchParams({ project: currentProject || '', summary: '1' });
+        const response = await fetch(`/api/dashboard-data?${params}`);
         const data = await response.json();
         
         // Atualizar informações do usuário
         document.getElementById('user-greeting').textContent = `Olá, ${data.user.username}!`;
+        document.getElementById('verify-banner').style.display = data.user.emailVerified ? 'none' : 'block';
+        document.getElementById('admin-link').style.display = data.user.role === 'admin' ? 'inline-block' : 'none';
         
         // Atualizar estatísticas
         document.getElementById('total-tasks').textContent = data.stats.total;
         document.getElementById('completed-tasks').textContent = data.stats.completed;
         document.getElementById('pending-tasks').textContent = data.stats.pending;
         document.getElementById('high-priority-tasks').textContent = data.stats.byPriority.high;
+        document.getElementById('checklist-progress').textContent = `${data.stats.checklist.completed}/${data.stats.checklist.items}`;
         
-        // Atualizar contadores dos filtros
-        document.getElementById('filter-all-count').textContent = data.allTasks.length;
-        document.getElementById('filter-pending-count').textContent = data.stats.pending;
-        document.getElementById('filter-completed-count').textContent = data.stats.completed;
-        document.getElementById('filter-high-count').textContent = data.stats.byPriority.high;
+        // Tags do usuário: filtro, formulário de nova tarefa e gerenciamento
+        userTags = data.tags;
+        selectedTags = selectedTags.filter(id => userTags.some(tag => tag.id === id));
+        renderTagFilter();
+        renderTagsList();
         
-        // Armazenar todas as tarefas
-        allTasks = data.allTasks;
-        
-        // Renderizar tarefas
-        renderTasks(data.tasks);
+        // Projetos: barra lateral e projeto sugerido no formulário de nova tarefa
+        currentUserId = data.user.id;
+        userProjects = data.projects;
+        currentProject = data.project;
+        renderProjects();
+        renderProjectOptions('projectId', currentProject);
+        renderAssigneeOptions('assigneeId', document.getElementById('projectId').value, document.getElementById('assigneeId').value);
+        renderTaskTagOptions('task-tags', document.getElementById('projectId').value, getCheckedTags('task-tags'));
+        renderMembers();
         
         // Atualizar filtro ativo
         updateActiveFilter(filter);
         
+        // Renderizar tarefas (ou refazer a busca em andamento)
+        await loadTasks();
+    
     } catch (error) {
         console.error('Erro ao carregar dados:', error);
         showAlert('Erro ao carregar dados do dashboard');
     }
 }
 
+// Parâmetros da listagem atual: filtro, tags, projeto e ordenação
+function taskListParams() {
+    return new URLSearchParams({
+        ...FILTER_PARAMS[currentFilter],
+        tags: selectedTags.join(','),
+        tagMatch,
+        project: currentProject || '',
+        sort: currentSort
+    });
+}
+
+// Carregar a primeira página de tarefas
+// Com a mesma listagem (ex.: após editar uma tarefa), recarrega tudo o que já estava na tela
+async function loadTasks() {
+    const params = taskListParams();
+    const sameList = params.toString() === listedParams;
+    listedParams = params.toString();
+    params.set('limit', sameList ? Math.min(Math.max(TASK_PAGE_SIZE, shownTasks.length), TASK_MAX_LIMIT) : TASK_PAGE_SIZE);
+    
+    const result = await makeRequest(`/api/tasks?${params}`);
+    if (!result.success) {
+        showAlert(result.message);
+        return;
+    }
+    
+    // Atualizar contadores dos filtros
+    document.getElementById('filter-all-count').textContent = result.counts.all;
+    document.getElementById('filter-pending-count').textContent = result.counts.pending;
+    document.getElementById('filter-completed-count').textContent = result.counts.completed;
+    document.getElementById('filter-high-count').textContent = result.counts.high;
+    document.getElementById('filter-overdue-count').textContent = result.counts.overdue;
+    document.getElementById('filter-today-count').textContent = result.counts.today;
+    document.getElementById('filter-this-week-count').textContent = result.counts.thisWeek;
+    document.getElementById('filter-assigned-count').textContent = result.counts.assigned;
+    
+    if (searchQuery.trim()) {
+        runSearch();
+        return;
+    }
+    
+    nextCursor = result.nextCursor;
+    renderTasks(result.tasks);
+    updateTasksMore(result.total);
+}
+
+// Carregar a página seguinte ao chegar no fim da lista
+async function loadMoreTasks() {
+    if (!nextCursor || loadingMore || searchQuery.trim()) {
+        return;
+    }
+    
+    const cursor = nextCursor;
+    const version = listVersion;
+    const params = taskListParams();
+    params.set('limit', TASK_PAGE_SIZE);
+    params.set('cursor', cursor);
+    
+    loadingMore = true;
+    updateTasksMore();
+    const result = await makeRequest(`/api/tasks?${params}`);
+    loadingMore = false;
+    
+    // Ignorar a página de uma listagem que já foi recarregada (mesmo que o cursor coincida)
+    if (version !== listVersion || cursor !== nextCursor) {
+        return;
+    }
+    if (!result.success) {
+        showAlert(result.message);
+        updateTasksMore();
+        return;
+    }
+    
+    // Tarefas já exibidas não são repetidas (ex.: páginas que se sobrepõem após alterações)
+    const shownIds = new Set(shownTasks.map(task => task.id));
+    const newTasks = result.tasks.filter(task => !shownIds.has(task.id));
+    
+    shownTasks.push(...newTasks);
+    nextCursor = result.nextCursor;
+    document.getElementById('tasks-grid').insertAdjacentHTML('beforeend', newTasks.map(task => taskCard(task)).join(''));
+    updateTasksMore(result.total);
+}
+
+// Rodapé da lista: quantidade exibida e indicador de carregamento
+// Observar de novo faz o IntersectionObserver avisar se o fim da lista continua visível
+function updateTasksMore(total) {
+    const tasksMore = document.getElementById('tasks-more');
+    
+    if (total !== undefined) {
+        tasksMore.dataset.total = total;
+    }
+    
+    tasksMore.style.display = shownTasks.length > 0 && !searchQuery.trim() ? 'block' : 'none';
+    tasksMore.textContent = loadingMore
+        ? 'Carregando mais tarefas...'
+        : `Mostrando ${shownTasks.length} de ${tasksMore.dataset.total} tarefa(s)`;
+    
+    if (tasksObserver && nextCursor && !loadingMore) {
+        tasksObserver.unobserve(tasksMore);
+        tasksObserver.observe(tasksMore);
+    }
+}
+
+// Rolagem infinita: carregar mais tarefas quando o rodapé da lista se aproxima da tela
+function setupInfiniteScroll() {
+    tasksObserver = new IntersectionObserver(entries => {
+        if (entries.some(entry => entry.isIntersecting)) {
+            loadMoreTasks();
+        }
+    }, { rootMargin: '200px' });
+    
+    tasksObserver.observe(document.getElementById('tasks-more'));
+}
+
+// Antecedência para destacar tarefas que vencem em breve (24 horas)
+const DUE_SOON_WINDOW = 24 * 60 * 60 * 1000;
+
+// Situação do vencimento da tarefa (horário local do navegador)
+function getDueInfo(task) {
+    if (!task.dueDate) return null;
+    
+    const [year, month, day] = task.dueDate.split('-').map(Number);
+    let dueAt;
+    
+    if (task.dueTime) {
+        const [hours, minutes] = task.dueTime.split(':').map(Number);
+        dueAt = new Date(year, month - 1, day, hours, minutes);
+    } else {
+        // Sem horário: vence no último instante do dia
+        dueAt = new Date(year, month - 1, day + 1, 0, 0, 0, -1);
+    }
+    
+    const remaining = dueAt.getTime() - Date.now();
+    const label = new Date(year, month - 1, day).toLocaleDateString('pt-BR') + (task.dueTime ? ` às ${task.dueTime}` : '');
+    
+    return {
+        label,
+        overdue: !task.completed && remaining < 0,
+        soon: !task.completed && remaining >= 0 && remaining <= DUE_SOON_WINDOW
+    };
+}
+
+// Nomes abreviados dos dias da semana (índice = Date#getDay) e códigos do RRULE
+const WEEKDAY_LABELS = ['dom', 'seg', 'ter', 'qua', 'qui', 'sex', 'sáb'];
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Formatar data AAAA-MM-DD como DD/MM/AAAA
+function formatDay(date) {
+    return date.split('-').reverse().join('/');
+}
+
+// Descrição da regra de repetição exibida no cartão
+function describeRecurrence(task) {
+    const rule = task.recurrence;
+    let text;
+    
+    if (rule.freq === 'daily') {
+        text = rule.interval > 1 ? `A cada ${rule.interval} dias` : 'Diária';
+    } else if (rule.freq === 'weekly') {
+        const days = rule.weekdays || [new Date(`${rule.start}T00:00`).getDay()];
+        text = `${rule.interval > 1 ? `A cada ${rule.interval} semanas` : 'Semanal'}: ${days.map(day => WEEKDAY_LABELS[day]).join(', ')}`;
+    } else {
+        const day = rule.monthDay || Number(rule.start.slice(8));
+        text = `${rule.interval > 1 ? `A cada ${rule.interval} meses` : 'Mensal'}, dia ${day}`;
+    }
+    
+    if (rule.count) text += ` (${task.occurrence}/${rule.count})`;
+    if (rule.until) text += ` até ${formatDay(rule.until)}`;
+    
+    return text;
+}
+
+// Converter a regra normalizada em texto RRULE
+function toRRule(rule) {
+    const parts = [`FREQ=${rule.freq.toUpperCase()}`];
+    
+    if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+    if (rule.weekdays) parts.push(`BYDAY=${rule.weekdays.map(day => WEEKDAY_CODES[day]).join(',')}`);
+    if (rule.monthDay) parts.push(`BYMONTHDAY=${rule.monthDay}`);
+    if (rule.count) parts.push(`COUNT=${rule.count}`);
+    if (rule.until) parts.push(`UNTIL=${rule.until.replace(/-/g, '')}`);
+    
+    return parts.join(';');
+}
+
+// Mostrar apenas o campo da opção de repetição escolhida
+function updateRecurrenceFields(form) {
+    const type = form.querySelector('[name="recurrenceType"]').value;
+    form.querySelectorAll('.recurrence-option').forEach(option => {
+        option.style.display = option.dataset.recurrence === type ? 'block' : 'none';
+    });
+}
+
+// Ler a repetição escolhida no formulário (null = não repetir)
+function readRecurrence(form) {
+    const field = name => form.querySelector(`[name="${name}"]`);
+    
+    switch (field('recurrenceType').value) {
+        case 'daily':
+            return { type: 'daily' };
+        case 'weekly': {
+            const weekdays = Array.from(form.querySelectorAll('[name="recurrenceWeekdays"]:checked')).map(input => Number(input.value));
+            return { type: 'weekly', weekdays: weekdays.length > 0 ? weekdays : null };
+        }
+        case 'monthly':
+            return { type: 'monthly', day: field('recurrenceMonthDay').value ? Number(field('recurrenceMonthDay').value) : null };
+        case 'interval':
+            return { type: 'interval', days: Number(field('recurrenceInterval').value) };
+        case 'rrule':
+            return { type: 'rrule', rule: field('recurrenceRule').value };
+        default:
+            return null;
+    }
+}
+
+// Preencher o formulário com a regra de uma tarefa
+// Regras sem opção equivalente (intervalos, COUNT, UNTIL) são exibidas como RRULE
+function fillRecurrence(form, rule) {
+    const field = name => form.querySelector(`[name="${name}"]`);
+    let type = 'none';
+    
+    form.querySelectorAll('[name="recurrenceWeekdays"]').forEach(input => { input.checked = false; });
+    field('recurrenceMonthDay').value = '';
+    field('recurrenceInterval').value = 2;
+    field('recurrenceRule').value = '';
+    
+    if (rule) {
+        const simple = !rule.count && !rule.until;
+        
+        if (simple && rule.freq === 'daily') {
+            type = rule.interval > 1 ? 'interval' : 'daily';
+            field('recurrenceInterval').value = rule.interval > 1 ? rule.interval : 2;
+        } else if (simple && rule.interval === 1 && rule.freq === 'weekly') {
+            type = 'weekly';
+            (rule.weekdays || []).forEach(day => {
+                form.querySelector(`[name="recurrenceWeekdays"][value="${day}"]`).checked = true;
+            });
+        } else if (simple && rule.interval === 1 && rule.freq === 'monthly') {
+            type = 'monthly';
+            field('recurrenceMonthDay').value = rule.monthDay || '';
+        } else {
+            type = 'rrule';
+            field('recurrenceRule').value = toRRule(rule);
+        }
+    }
+    
+    field('recurrenceType').value = type;
+    updateRecurrenceFields(form);
+}
+
+// Cor do texto legível sobre a cor da tag
+function tagTextColor(color) {
+    const [r, g, b] = [1, 3, 5].map(start => parseInt(color.slice(start, start + 2), 16));
+    return (r * 299 + g * 587 + b * 114) / 1000 > 150 ? '#1a202c' : '#ffffff';
+}
+
+// HTML de uma tag
+function tagChip(tag, extraClass = '') {
+    return `<span class="tag-chip ${extraClass}" style="background: ${tag.color}; color: ${tagTextColor(tag.color)};">${escapeHtml(tag.name)}</span>`;
+}
+
+// Chips de filtro por tag
+function renderTagFilter() {
+    document.getElementById('tag-filter-chips').innerHTML = userTags.length === 0
+        ? '<small>Nenhuma tag criada.</small>'
+        : userTags.map(tag => `
+            <span onclick="toggleTagFilter('${tag.id}')">${tagChip({ ...tag, name: `${tag.name} (${tag.count})` }, selectedTags.includes(tag.id) ? 'selected' : '')}</span>
+        `).join('');
+}
+
+// Opções de tags de um formulário (checkboxes estilizados como chips)
+function renderTagOptions(containerId, checkedIds) {
+    document.getElementById(containerId).innerHTML = userTags.length === 0
+        ? '<small>Crie tags em "Gerenciar tags".</small>'
+        : userTags.map(tag => `
+            <label>
+                <input type="checkbox" name="tags" value="${tag.id}" ${checkedIds.includes(tag.id) ? 'checked' : ''}>
+                ${tagChip(tag)}
+            </label>
+        `).join('');
+}
+
+// Opções de tags de uma tarefa: as tags são do dono do projeto, o único que pode alterá-las
+function renderTaskTagOptions(containerId, projectId, checkedIds) {
+    const project = userProjects.find(other => other.id === projectId);
+    
+    if (project && project.role !== 'owner') {
+        document.getElementById(containerId).innerHTML = '<small>Somente o dono do projeto altera as tags.</small>';
+        return;
+    }
+    renderTagOptions(containerId, checkedIds);
+}
+
+// IDs das tags marcadas em um formulário
+function getCheckedTags(containerId) {
+    return Array.from(document.querySelectorAll(`#${containerId} input[name="tags"]:checked`)).map(input => input.value);
+}
+
+// Selecionar ou remover tag do filtro
+function toggleTagFilter(tagId) {
+    selectedTags = selectedTags.includes(tagId)
+        ? selectedTags.filter(id => id !== tagId)
+        : [...selectedTags, tagId];
+    loadDashboardData(currentFilter);
+}
+
+// Alternar entre OU (any) e E (all) no filtro por tags
+function setTagMatch(match) {
+    tagMatch = match;
+    if (selectedTags.length > 0) {
+        loadDashboardData(currentFilter);
+    }
+}
+
+// Rótulos dos papéis em projetos compartilhados
+const ROLE_LABELS = { owner: 'Dono', editor: 'Editor', viewer: 'Leitor' };
+
+// Item da barra lateral de projetos (também recebe cartões arrastados)
+function projectItem(project) {
+    const active = project.id === currentProject ? 'active' : '';
+    const owner = project.role === 'owner';
+    const droppable = !project.archivedAt && owner;
+    const shared = project.members.length > 1 ? `<span class="project-count" title="Compartilhado com ${project.members.length - 1} membro(s)">👥</span>` : '';
+    
+    let actions;
+    if (!owner) {
+        actions = `
+            <small>${ROLE_LABELS[project.role]}</small>
+            <button onclick="leaveProject('${project.id}')" class="btn btn-small btn-secondary" title="Sair do projeto">Sair</button>
+        `;
+    } else if (project.archivedAt) {
+        actions = `
+            <button onclick="archiveProject('${project.id}', false)" class="btn btn-small btn-secondary" title="Restaurar">Restaurar</button>
+            <button onclick="deleteProject('${project.id}')" class="btn btn-small btn-danger" title="Excluir">&times;</button>
+        `;
+    } else {
+        actions = `
+            <button onclick="renameProject('${project.id}')" class="btn btn-small btn-secondary" title="Renomear">✎</button>
+            ${project.isInbox ? '' : `
+            <button onclick="openMembersModal('${project.id}')" class="btn btn-small btn-secondary" title="Membros">👥</button>
+            <button onclick="archiveProject('${project.id}', true)" class="btn btn-small btn-secondary" title="Arquivar">🗄</button>
+            <button onclick="deleteProject('${project.id}')" class="btn btn-small btn-danger" title="Excluir">&times;</button>
+            `}
+        `;
+    }
+    
+    return `
+        <li class="project-item ${active}" ${droppable ? `ondragover="allowTaskDrop(event)" ondragleave="leaveTaskDrop(event)" ondrop="dropTask(event, '${project.id}')"` : ''}>
+            <span class="project-name" onclick="selectProject('${project.id}')">
+                <input type="color" value="${project.color}" title="Cor" ${owner ? '' : 'disabled'} onclick="event.stopPropagation()" onchange="recolorProject('${project.id}', this.value)">
+                ${escapeHtml(project.name)}
+            </span>
+            ${shared}
+            <span class="project-count" title="${project.stats.pending} pendente(s) de ${project.stats.total}">${project.stats.pending}/${project.stats.total}</span>
+            <span class="project-actions">${actions}</span>
+        </li>
+    `;
+}
+
+// Barra lateral de projetos ("Todas" mostra as tarefas de todos os projetos ativos)
+function renderProjects() {
+    const active = userProjects.filter(project => !project.archivedAt);
+    const own = active.filter(project => project.role === 'owner');
+    const shared = active.filter(project => project.role !== 'owner');
+    const archived = userProjects.filter(project => project.archivedAt);
+    const pending = active.reduce((sum, project) => sum + project.stats.pending, 0);
+    const total = active.reduce((sum, project) => sum + project.stats.total, 0);
+    
+    document.getElementById('project-list').innerHTML = `
+        <li class="project-item ${currentProject ? '' : 'active'}">
+            <span class="project-name" onclick="selectProject(null)">Todas</span>
+            <span class="project-count">${pending}/${total}</span>
+        </li>
+    ` + own.map(projectItem).join('');
+    
+    document.getElementById('shared-project-list').innerHTML = shared.length === 0
+        ? '<li><small>Nenhum projeto compartilhado com você.</small></li>'
+        : shared.map(projectItem).join('');
+    
+    document.getElementById('archived-count').textContent = archived.length;
+    document.getElementById('archived-project-list').innerHTML = archived.length === 0
+        ? '<li><small>Nenhum projeto arquivado.</small></li>'
+        : archived.map(projectItem).join('');
+    
+    const project = userProjects.find(other => other.id === currentProject);
+    document.getElementById('tasks-title').textContent = project
+        ? `${project.name}${project.archivedAt ? ' (arquivado)' : ''}`
+        : 'Suas Tarefas';
+}
+
+// Opções de projeto de um formulário: projetos ativos em que o usuário pode criar tarefas
+// (ownOnly: somente os próprios, destinos possíveis ao mover uma tarefa),
+// além do selecionado se keepSelected (sem seleção válida, fica o Inbox, que é o primeiro)
+function renderProjectOptions(selectId, selectedId, keepSelected = false, ownOnly = false) {
+    document.getElementById(selectId).innerHTML = userProjects
+        .filter(project => (!project.archivedAt && (ownOnly ? project.role === 'owner' : project.role !== 'viewer')) || (keepSelected && project.id === selectedId))
+        .map(project => `<option value="${project.id}" ${project.id === selectedId ? 'selected' : ''}>${escapeHtml(project.name)}${project.archivedAt ? ' (arquivado)' : ''}</option>`)
+        .join('');
+}
+
+// Opções de responsável: membros do projeto escolhido no formulário
+function renderAssigneeOptions(selectId, projectId, selectedId) {
+    const project = userProjects.find(other => other.id === projectId);
+    const members = project ? project.members : [];
+    
+    document.getElementById(selectId).innerHTML = '<option value="">Ninguém</option>' + members
+        .map(member => `<option value="${member.userId}" ${member.userId === selectedId ? 'selected' : ''}>${escapeHtml(member.username)}</option>`)
+        .join('');
+}
+
+// Nome de usuário de um membro de qualquer projeto visível
+function memberName(userId) {
+    for (const project of userProjects) {
+        const member = project.members.find(other => other.userId === userId);
+        if (member) return member.username;
+    }
+    return '?';
+}
+
+// Mostrar as tarefas de um projeto (null = todas)
+function selectProject(projectId) {
+    currentProject = projectId;
+    loadDashboardData(currentFilter);
+}
+
+// Rótulos do projeto (visão "Todas") e do responsável no cartão
+function taskLabels(task) {
+    const project = userProjects.find(other => other.id === task.projectId);
+    const labels = [];
+    
+    if (project && !currentProject) {
+        labels.push(`<span class="project-label"><span class="project-dot" style="background: ${project.color};"></span>${escapeHtml(project.name)}</span>`);
+    }
+    if (task.assigneeId) {
+        const mine = task.assigneeId === currentUserId;
+        labels.push(`<span class="project-label ${mine ? 'assigned-to-me' : ''}">👤 ${mine ? 'Você' : escapeHtml(memberName(task.assigneeId))}</span>`);
+    }
+    
+    return labels.join(' ');
+}
+
 // Renderizar tarefas na tela
-function renderTasks(tasks) {
+// highlights: trechos encontrados pela busca, por ID da tarefa
+function renderTasks(tasks, highlights = {}) {
     const tasksGrid = document.getElementById('tasks-grid');
     const emptyState = document.getElementById('empty-state');
     
+    shownTasks = [...tasks];
+    listVersion++;
+    
     if (tasks.length === 0) {
         tasksGrid.style.display = 'none';
         emptyState.style.display = 'block';
@@ -98,50 +642,117 @@ function renderTasks(tasks) {
     tasksGrid.style.display = 'grid';
     emptyState.style.display = 'none';
     
-    tasksGrid.innerHTML = tasks.map(task => {
-        const priorityLabels = { low: 'Baixa', medium: 'Média', high: 'Alta' };
-        const createdAt = new Date(task.createdAt).toLocaleString('pt-BR');
-        const updatedAt = new Date(task.updatedAt).toLocaleString('pt-BR');
-        
-        return `
-            <div class="task-card ${task.completed ? 'completed' : ''} priority-${task.priority}">
-                <div class="task-header">
-                    <h3>${escapeHtml(task.title)}</h3>
-                    <span class="priority-badge priority-${task.priority}">
-                        ${priorityLabels[task.priority]}
-                    </span>
+    tasksGrid.innerHTML = tasks.map(task => taskCard(task, highlights[task.id])).join('');
+}
+
+// Cartão de uma tarefa
+// found: trechos encontrados pela busca nesta tarefa
+function taskCard(task, found = []) {
+    const priorityLabels = { low: 'Baixa', medium: 'Média', high: 'Alta' };
+    const createdAt = new Date(task.createdAt).toLocaleString('pt-BR');
+    const updatedAt = new Date(task.updatedAt).toLocaleString('pt-BR');
+    const due = getDueInfo(task);
+    
+    // Leitores de um projeto compartilhado só visualizam a tarefa
+    const editable = task.role !== 'viewer';
+    
+    const titleMatch = found.find(snippet => snippet.field === 'title');
+    
+    const checklist = task.checklist;
+    const checklistDone = checklist.filter(item => item.completed).length;
+    const checklistBar = checklist.length === 0 ? '' : `
+            <div class="checklist-progress" title="Itens concluídos da checklist">
+                <div class="progress-bar">
+                    <div class="progress-fill" style="width: ${Math.round(checklistDone / checklist.length * 100)}%"></div>
                 </div>
+                <span>${checklistDone}/${checklist.length}</span>
+            </div>`;
+    
+    let dueBadge = '';
+    if (due) {
+        const dueClass = due.overdue ? 'due-overdue' : (due.soon ? 'due-soon' : '');
+        const duePrefix = due.overdue ? 'Atrasada desde' : 'Vence em';
+        dueBadge = `<span class="due-badge ${dueClass}">${duePrefix} ${due.label}</span>`;
+    }
+    
+    return `
+        <div class="task-card ${task.completed ? 'completed' : ''} ${due && due.overdue ? 'overdue' : ''} priority-${task.priority}" ${task.role === 'owner' ? `draggable="true" ondragstart="startTaskDrag(event, '${task.id}')"` : ''}>
+            <div class="task-header">
+                <h3>${titleMatch ? highlightSnippet(titleMatch) : escapeHtml(task.title)}</h3>
+                <span class="priority-badge priority-${task.priority}">
+                    ${priorityLabels[task.priority]}
+                </span>
+            </div>
+            
+            ${taskLabels(task)}
+            ${dueBadge}
+            ${task.recurrence ? `<span class="recurrence-badge">🔁 ${describeRecurrence(task)}</span>` : ''}
+            
+            ${task.description ? `<p class="task-description">${escapeHtml(task.description).replace(/\n/g, '<br>')}</p>` : ''}
+            
+            ${searchSnippets(found)}
+            
+            ${checklistBar}
+            
+            ${task.tags.length > 0 ? `<div class="task-tags tag-chips">${task.tags
+                .map(tagId => userTags.find(tag => tag.id === tagId))
+                .filter(Boolean)
+                .map(tag => tagChip(tag))
+                .join(' ')}</div>` : ''}
+            
+            <div class="task-meta">
+                <small>Criada em: ${createdAt}</small>
+                ${task.updatedAt !== task.createdAt ? `<small>Atualizada em: ${updatedAt}</small>` : ''}
+                ${task.commentCount > 0 ? `<small class="comment-count" onclick="editTask('${task.id}')">💬 ${task.commentCount} comentário(s)</small>` : ''}
+            </div>
+            
+            <div class="task-actions">
+                ${editable ? `
+                <button onclick="toggleTask('${task.id}')" class="btn btn-small ${task.completed ? 'btn-warning' : 'btn-success'}">
+                    ${task.completed ? 'Reabrir' : 'Concluir'}
+                </button>
                 
-                ${task.description ? `<p class="task-description">${escapeHtml(task.description).replace(/\n/g, '<br>')}</p>` : ''}
+                <button onclick="editTask('${task.id}')" class="btn btn-small btn-secondary">
+                    Editar
+                </button>
+                ` : `
+                <button onclick="editTask('${task.id}')" class="btn btn-small btn-secondary">
+                    Ver
+                </button>
+                `}
                 
-                <div class="task-meta">
-                    <small>Criada em: ${createdAt}</small>
-                    ${task.updatedAt !== task.createdAt ? `<small>Atualizada em: ${updatedAt}</small>` : ''}
-                </div>
+                ${editable && task.recurrence && !task.completed ? `
+                <button onclick="skipOccurrence('${task.id}')" class="btn btn-small btn-secondary">
+                    Pular
+                </button>
                 
-                <div class="task-actions">
-                    <button onclick="toggleTask('${task.id}')" class="btn btn-small ${task.completed ? 'btn-warning' : 'btn-success'}">
-                        ${task.completed ? 'Reabrir' : 'Concluir'}
-                    </button>
-                    
-                    <button onclick="editTask('${task.id}')" class="btn btn-small btn-secondary">
-                        Editar
-                    </button>
-                    
-                    <button onclick="deleteTask('${task.id}')" class="btn btn-small btn-danger">
-                        Excluir
-                    </button>
-                </div>
+                <button onclick="stopRecurrence('${task.id}')" class="btn btn-small btn-secondary">
+                    Parar repetição
+                </button>
+                ` : ''}
+                
+                ${task.seriesId ? `
+                <button onclick="showHistory('${task.id}')" class="btn btn-small btn-secondary">
+                    Histórico
+                </button>
+                ` : ''}
+                
+                ${editable ? `
+                <button onclick="deleteTask('${task.id}')" class="btn btn-small btn-danger">
+                    Excluir
+                </button>
+                ` : ''}
             </div>
-        `;
-    }).join('');
+        </div>
+    `;
 }
 
-// Função para escapar HTML
+// Entidades usadas por escapeHtml (aspas incluídas: o resultado também vai em atributos)
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+// Função para escapar HTML (conteúdo e valores de atributos)
 function escapeHtml(text) {
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
+    return String(text == null ? '' : text).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
 }
 
 // Atualizar filtro ativo
@@ -166,12 +777,24 @@ function filterTasks(filter) {
     loadDashboardData(filter);
 }
 
+// Ordenar tarefas (chaves de GET /api/tasks, ex.: "-priority,dueDate")
+function sortTasks(sort) {
+    currentSort = sort;
+    loadDashboardData(currentFilter);
+}
+
 // Criar nova tarefa
 async function createTask(formData) {
     const data = {
         title: formData.get('title'),
         description: formData.get('description'),
-        priority: formData.get('priority')
+        priority: formData.get('priority'),
+        dueDate: formData.get('dueDate'),
+        dueTime: formData.get('dueTime'),
+        recurrence: readRecurrence(document.getElementById('task-form')),
+        tags: getCheckedTags('task-tags'),
+        projectId: formData.get('projectId'),
+        assigneeId: formData.get('assigneeId')
     };
     
     const result = await makeRequest('/api/tasks', 'POST', data);
@@ -179,6 +802,8 @@ async function createTask(formData) {
     if (result.success) {
         showAlert(result.message, 'success');
         document.getElementById('task-form').reset();
+        updateRecurrenceFields(document.getElementById('task-form'));
+        renderTaskTagOptions('task-tags', document.getElementById('projectId').value, []);
         loadDashboardData(currentFilter);
     } else {
         showAlert(result.message);
@@ -190,7 +815,7 @@ async function toggleTask(taskId) {
     const result = await makeRequest(`/api/tasks/${taskId}/toggle`, 'PATCH');
     
     if (result.success) {
-        showAlert(result.message, 'success');
+        showUndoToast(result.message, () => makeRequest(`/api/tasks/${taskId}/toggle`, 'PATCH'));
         loadDashboardData(currentFilter);
     } else {
         showAlert(result.message);
@@ -199,7 +824,7 @@ async function toggleTask(taskId) {
 
 // Editar tarefa
 function editTask(taskId) {
-    const task = allTasks.find(t => t.id === taskId);
+    const task = shownTasks.find(t => t.id === taskId);
     if (!task) return;
     
     currentEditingTask = task;
@@ -209,6 +834,34 @@ function editTask(taskId) {
     document.getElementById('editTitle').value = task.title;
     document.getElementById('editDescription').value = task.description;
     document.getElementById('editPriority').value = task.priority;
+    document.getElementById('editDueDate').value = task.dueDate || '';
+    document.getElementById('editDueTime').value = task.dueTime || '';
+    document.getElementById('editChecklistAutoComplete').checked = Boolean(task.checklistAutoComplete);
+    document.getElementById('newChecklistItem').value = '';
+    renderChecklist(task.checklist);
+    renderTaskTagOptions('edit-tags', task.projectId, task.tags);
+    renderProjectOptions('editProjectId', task.projectId, true, true);
+    renderAssigneeOptions('editAssigneeId', task.projectId, task.assigneeId);
+    
+    // Guardar a regra exibida: só é enviada (e reinicia a série) se for alterada
+    const editForm = document.getElementById('editForm');
+    fillRecurrence(editForm, task.recurrence);
+    editForm.dataset.recurrence = JSON.stringify(readRecurrence(editForm));
+    
+    // Leitores abrem a tarefa somente para leitura (podem apenas comentar)
+    const readOnly = task.role === 'viewer';
+    Array.from(editForm.elements).forEach(element => {
+        if (!element.closest('.comments-section, .modal-actions')) element.disabled = readOnly;
+    });
+    editForm.querySelector('button[type="submit"]').style.display = readOnly ? 'none' : '';
+    
+    // Só o dono move a tarefa, e apenas entre os próprios projetos
+    document.getElementById('editProjectId').disabled = task.role !== 'owner';
+    
+    document.getElementById('newComment').value = '';
+    loadComments(task.id);
+    document.getElementById('edit-activity').open = false;
+    document.getElementById('edit-activity-list').innerHTML = '';
     
     // Mostrar modal
     document.getElementById('editModal').style.display = 'block';
@@ -230,13 +883,53 @@ async function updateTask(taskId, formData) {
     const data = {
         title: formData.get('title'),
         description: formData.get('description'),
-        priority: formData.get('priority')
+        priority: formData.get('priority'),
+        dueDate: formData.get('dueDate'),
+        dueTime: formData.get('dueTime'),
+        checklistAutoComplete: formData.get('checklistAutoComplete') === 'on'
     };
     
+    // As tags só são enviadas pelo dono, e apenas se mudarem
+    const tags = getCheckedTags('edit-tags');
+    if (currentEditingTask.role === 'owner' && [...tags].sort().join() !== [...currentEditingTask.tags].sort().join()) {
+        data.tags = tags;
+    }
+    
+    // O projeto só é enviado se mudar (a tarefa pode estar em um projeto arquivado);
+    // o campo fica desativado para quem não é o dono
+    if (currentEditingTask.role === 'owner' && formData.get('projectId') !== currentEditingTask.projectId) {
+        data.projectId = formData.get('projectId');
+    }
+    if (formData.get('assigneeId') !== (currentEditingTask.assigneeId || '')) {
+        data.assigneeId = formData.get('assigneeId');
+    }
+    
+    const editForm = document.getElementById('editForm');
+    const recurrence = readRecurrence(editForm);
+    if (JSON.stringify(recurrence) !== editForm.dataset.recurrence) {
+        data.recurrence = recurrence;
+    }
+    
+    // Valores anteriores dos campos enviados, para desfazer a edição
+    const task = currentEditingTask;
+    const previous = {
+        title: task.title,
+        description: task.description,
+        priority: task.priority,
+        dueDate: task.dueDate || '',
+        dueTime: task.dueTime || '',
+        checklistAutoComplete: Boolean(task.checklistAutoComplete),
+        tags: task.tags,
+        projectId: task.projectId,
+        assigneeId: task.assigneeId || '',
+        recurrence: JSON.parse(editForm.dataset.recurrence)
+    };
+    const undoData = Object.fromEntries(Object.keys(data).map(key => [key, previous[key]]));
+    
     const result = await makeRequest(`/api/tasks/${taskId}`, 'PUT', data);
     
     if (result.success) {
-        showAlert(result.message, 'success');
+        showUndoToast(result.message, () => makeRequest(`/api/tasks/${taskId}`, 'PUT', undoData));
         closeEditModal();
         loadDashboardData(currentFilter);
     } else {
@@ -244,83 +937,872 @@ async function updateTask(taskId, formData) {
     }
 }
 
-// Excluir tarefa
+// Excluir tarefa (vai para a lixeira; o aviso permite desfazer)
 async function deleteTask(taskId) {
-    if (!confirm('Tem certeza que deseja excluir esta tarefa?')) {
-        return;
-    }
-    
     const result = await makeRequest(`/api/tasks/${taskId}`, 'DELETE');
     
     if (result.success) {
-        showAlert(result.message, 'success');
+        showUndoToast(result.message, () => makeRequest(`/api/trash/${taskId}/restore`, 'POST'));
         loadDashboardData(currentFilter);
     } else {
         showAlert(result.message);
     }
 }
 
-// Logout
-async function logout() {
-    try {
-        await fetch('/logout', { method: 'POST' });
-        window.location.href = '/auth';
-    } catch (error) {
-        console.error('Erro ao fazer logout:', error);
-        window.location.href = '/auth';
-    }
+// Texto de um comentário com as menções (@usuario) destacadas
+function formatCommentText(comment) {
+    const project = userProjects.find(other => other.id === currentEditingTask.projectId);
+    let html = escapeHtml(comment.text).replace(/\n/g, '<br>');
+    
+    (project ? project.members : []).forEach(member => {
+        const mention = `@${escapeHtml(member.username)}`;
+        html = html.split(mention).join(`<span class="mention">${mention}</span>`);
+    });
+    
+    return html;
 }
 
-// Busca em tempo real
-function setupSearch() {
-    const searchInput = document.getElementById('search-input');
+// Renderizar os comentários da tarefa em edição
+function renderComments(comments) {
+    const list = document.getElementById('edit-comments');
     
-    searchInput.addEventListener('input', function() {
-        const searchTerm = this.value.toLowerCase();
-        const taskCards = document.querySelectorAll('.task-card');
+    if (comments.length === 0) {
+        list.innerHTML = '<li><small>Nenhum comentário ainda.</small></li>';
+        return;
+    }
+    
+    list.innerHTML = comments.map(comment => {
+        const mine = comment.userId === currentUserId;
+        const edited = comment.updatedAt !== comment.createdAt ? ' (editado)' : '';
         
-        taskCards.forEach(card => {
-            const title = card.querySelector('h3').textContent.toLowerCase();
-            const description = card.querySelector('.task-description');
-            const descText = description ? description.textContent.toLowerCase() : '';
-            
-            if (title.includes(searchTerm) || descText.includes(searchTerm)) {
-                card.style.display = 'block';
-                card.style.animation = 'fadeIn 0.3s ease';
-            } else {
-                card.style.display = 'none';
-            }
-        });
-    });
+        return `
+            <li class="comment">
+                <div class="comment-header">
+                    <strong>${escapeHtml(comment.author)}</strong>
+                    <small>${new Date(comment.createdAt).toLocaleString('pt-BR')}${edited}</small>
+                    ${mine ? `<button type="button" onclick="editComment('${comment.id}')" class="btn btn-small btn-secondary">Editar</button>` : ''}
+                    ${mine || currentEditingTask.role === 'owner' ? `<button type="button" onclick="deleteComment('${comment.id}')" class="btn btn-small btn-danger">&times;</button>` : ''}
+                </div>
+                <p>${formatCommentText(comment)}</p>
+            </li>
+        `;
+    }).join('');
 }
 
-// Event listeners
-document.addEventListener('DOMContentLoaded', function() {
-    // Carregar dados iniciais
-    loadDashboardData();
+// Carregar os comentários da tarefa em edição
+async function loadComments(taskId) {
+    const result = await makeRequest(`/api/tasks/${taskId}/comments`);
     
-    // Configurar busca
-    setupSearch();
+    if (result.success && currentEditingTask && currentEditingTask.id === taskId) {
+        currentComments = result.comments;
+        renderComments(currentComments);
+    }
+}
+
+// Comentar na tarefa em edição
+async function addComment() {
+    const input = document.getElementById('newComment');
+    const taskId = currentEditingTask.id;
+    const result = await makeRequest(`/api/tasks/${taskId}/comments`, 'POST', { text: input.value });
     
-    // Formulário de nova tarefa
-    const taskForm = document.getElementById('task-form');
-    if (taskForm) {
-        taskForm.addEventListener('submit', async function(e) {
-            e.preventDefault();
-            
-            const formData = new FormData(this);
-            const submitBtn = this.querySelector('button[type="submit"]');
-            
-            submitBtn.disabled = true;
-            submitBtn.textContent = 'Criando...';
-            
-            await createTask(formData);
-            
+    if (result.success) {
+        input.value = '';
+        loadComments(taskId);
+        loadDashboardData(currentFilter);
+    } else {
+        showAlert(result.message);
+    }
+}
+
+// Editar um comentário próprio
+async function editComment(commentId) {
+    const comment = currentComments.find(other => other.id === commentId);
+    const text = prompt('Editar comentário:', comment.text);
+    if (!text || text === comment.text) {
+        return;
+    }
+    
+    const taskId = currentEditingTask.id;
+    const result = await makeRequest(`/api/tasks/${taskId}/comments/${commentId}`, 'PUT', { text });
+    
+    if (result.success) {
+        loadComments(taskId);
+    } else {
+        showAlert(result.message);
+    }
+}
+
+// Excluir um comentário
+async function deleteComment(commentId) {
+    if (!confirm('Excluir este comentário?')) {
+        return;
+    }
+    
+    const taskId = currentEditingTask.id;
+    const result = await makeRequest(`/api/tasks/${taskId}/comments/${commentId}`, 'DELETE');
+    
+    if (result.success) {
+        loadComments(taskId);
+        loadDashboardData(currentFilter);
+    } else {
+        showAlert(result.message);
+    }
+}
+
+// Rótulos do histórico de alterações
+const ACTIVITY_ACTION_LABELS = {
+    created: 'criou a tarefa',
+    updated: 'alterou a tarefa',
+    completed: 'concluiu a tarefa',
+    reopened: 'reabriu a tarefa',
+    deleted: 'moveu a tarefa para a lixeira',
+    restored: 'restaurou a tarefa',
+    purged: 'excluiu a tarefa definitivamente'
+};
+const ACTIVITY_FIELD_LABELS = {
+    title: 'Título',
+    description: 'Descrição',
+    priority: 'Prioridade',
+    dueDate: 'Vencimento',
+    dueTime: 'Horário',
+    recurrence: 'Repetição',
+    projectId: 'Projeto',
+    assigneeId: 'Responsável',
+    tags: 'Tags',
+    checklist: 'Checklist',
+    checklistAutoComplete: 'Conclusão automática',
+    completed: 'Concluída'
+};
+
+// Valor de um campo no histórico, pronto para exibição
+function formatActivityValue(field, value) {
+    const priorityLabels = { low: 'Baixa', medium: 'Média', high: 'Alta' };
+    
+    if (value === null || (Array.isArray(value) && value.length === 0)) return '(vazio)';
+    if (typeof value === 'boolean') return value ? 'sim' : 'não';
+    if (field === 'priority') return priorityLabels[value] || value;
+    if (field === 'dueDate') return formatDay(value);
+    if (Array.isArray(value)) return value.join(', ');
+    return value;
+}
+
+// Renderizar o histórico da tarefa em edição
+function renderActivity(activity) {
+    const list = document.getElementById('edit-activity-list');
+    
+    if (activity.length === 0) {
+        list.innerHTML = '<li><small>Nenhuma alteração registrada.</small></li>';
+        return;
+    }
+    
+    list.innerHTML = activity.map(event => `
+        <li class="activity-item">
+            <strong>${escapeHtml(event.actor)}</strong> ${ACTIVITY_ACTION_LABELS[event.action]}
+            <small>${new Date(event.createdAt).toLocaleString('pt-BR')}</small>
+            <ul>
+                ${event.changes.map(change => `
+                    <li>
+                        ${ACTIVITY_FIELD_LABELS[change.field] || change.field}:
+                        ${escapeHtml(String(formatActivityValue(change.field, change.from)))} →
+                        ${escapeHtml(String(formatActivityValue(change.field, change.to)))}
+                    </li>
+                `).join('')}
+            </ul>
+        </li>
+    `).join('');
+}
+
+// Carregar o histórico da tarefa em edição
+async function loadTaskActivity() {
+    const taskId = currentEditingTask.id;
+    const result = await makeRequest(`/api/tasks/${taskId}/activity`);
+    
+    if (result.success && currentEditingTask && currentEditingTask.id === taskId) {
+        renderActivity(result.activity);
+    }
+}
+
+// Renderizar a checklist da tarefa em edição
+function renderChecklist(items) {
+    const list = document.getElementById('edit-checklist');
+    
+    list.innerHTML = items.map((item, index) => `
+        <li class="${item.completed ? 'done' : ''}">
+            <input type="checkbox" ${item.completed ? 'checked' : ''} onchange="toggleChecklistItem('${item.id}')">
+            <span>${escapeHtml(item.text)}</span>
+            <button type="button" onclick="moveChecklistItem(${index}, -1)" class="btn btn-small btn-secondary" ${index === 0 ? 'disabled' : ''} title="Mover para cima">↑</button>
+            <button type="button" onclick="moveChecklistItem(${index}, 1)" class="btn btn-small btn-secondary" ${index === items.length - 1 ? 'disabled' : ''} title="Mover para baixo">↓</button>
+            <button type="button" onclick="removeChecklistItem('${item.id}')" class="btn btn-small btn-danger" title="Remover">&times;</button>
+        </li>
+    `).join('');
+}
+
+// Aplicar o resultado de uma operação na checklist
+function applyChecklistResult(result) {
+    if (!result.success) {
+        showAlert(result.message);
+        return;
+    }
+    
+    currentEditingTask.checklist = result.checklist;
+    renderChecklist(result.checklist);
+    
+    // Mensagens de conclusão automática merecem destaque; as demais são silenciosas
+    if (result.taskCompleted !== currentEditingTask.completed) {
+        currentEditingTask.completed = result.taskCompleted;
+        showAlert(result.message, 'success');
+    }
+    
+    loadDashboardData(currentFilter);
+}
+
+// Adicionar item à checklist
+async function addChecklistItem() {
+    const input = document.getElementById('newChecklistItem');
+    if (!input.value.trim() || !currentEditingTask) return;
+    
+    const result = await makeRequest(`/api/tasks/${currentEditingTask.id}/checklist`, 'POST', { text: input.value });
+    if (result.success) {
+        input.value = '';
+        input.focus();
+    }
+    applyChecklistResult(result);
+}
+
+// Marcar ou desmarcar item da checklist
+async function toggleChecklistItem(itemId) {
+    const result = await makeRequest(`/api/tasks/${currentEditingTask.id}/checklist/${itemId}/toggle`, 'PATCH');
+    applyChecklistResult(result);
+}
+
+// Mover item uma posição para cima (-1) ou para baixo (1)
+async function moveChecklistItem(index, offset) {
+    const itemIds = currentEditingTask.checklist.map(item => item.id);
+    const target = index + offset;
+    if (target < 0 || target >= itemIds.length) return;
+    
+    [itemIds[index], itemIds[target]] = [itemIds[target], itemIds[index]];
+    
+    const result = await makeRequest(`/api/tasks/${currentEditingTask.id}/checklist/order`, 'PUT', { itemIds });
+    applyChecklistResult(result);
+}
+
+// Remover item da checklist
+async function removeChecklistItem(itemId) {
+    const result = await makeRequest(`/api/tasks/${currentEditingTask.id}/checklist/${itemId}`, 'DELETE');
+    applyChecklistResult(result);
+}
+
+// Lista do modal de gerenciamento de tags
+function renderTagsList() {
+    const list = document.getElementById('tags-list');
+    
+    if (userTags.length === 0) {
+        list.innerHTML = '<li>Nenhuma tag criada.</li>';
+        return;
+    }
+    
+    list.innerHTML = userTags.map(tag => `
+        <li class="tag-row">
+            <input type="color" id="tag-color-${tag.id}" value="${tag.color}" title="Cor">
+            <input type="text" id="tag-name-${tag.id}" value="${escapeHtml(tag.name)}" maxlength="30">
+            <small>${tag.count} tarefa(s)</small>
+            <button onclick="saveTag('${tag.id}')" class="btn btn-small btn-primary">Salvar</button>
+            <select id="tag-merge-${tag.id}" title="Mesclar em">
+                <option value="">Mesclar em...</option>
+                ${userTags.filter(other => other.id !== tag.id).map(other => `<option value="${other.id}">${escapeHtml(other.name)}</option>`).join('')}
+            </select>
+            <button onclick="mergeTag('${tag.id}')" class="btn btn-small btn-secondary">Mesclar</button>
+            <button onclick="deleteTag('${tag.id}')" class="btn btn-small btn-danger">Excluir</button>
+        </li>
+    `).join('');
+}
+
+// Abrir modal de tags
+function openTagsModal() {
+    renderTagsList();
+    document.getElementById('tagsModal').style.display = 'block';
+    document.getElementById('newTagName').focus();
+}
+
+// Fechar modal de tags
+function closeTagsModal() {
+    document.getElementById('tagsModal').style.display = 'none';
+}
+
+// Criar tag
+async function createTag(formData) {
+    const result = await makeRequest('/api/tags', 'POST', {
+        name: formData.get('name'),
+        color: formData.get('color')
+    });
+    
+    if (result.success) {
+        showAlert(result.message, 'success');
+        document.getElementById('newTagName').value = '';
+        loadDashboardData(currentFilter);
+    } else {
+        showAlert(result.message);
+    }
+}
+
+// Renomear tag ou alterar sua cor
+async function saveTag(tagId) {
+    const result = await makeRequest(`/api/tags/${tagId}`, 'PUT', {
+        name: document.getElementById(`tag-name-${tagId}`).value,
+        color: document.getElementById(`tag-color-${tagId}`).value
+    });
+    
+    showAlert(result.message, result.success ? 'success' : 'error');
+    if (result.success) {
+        loadDashboardData(currentFilter);
+    }
+}
+
+// Mesclar tag na tag escolhida
+async function mergeTag(tagId) {
+    const targetId = document.getElementById(`tag-merge-${tagId}`).value;
+    if (!targetId) {
+        showAlert('Escolha a tag que vai receber as tarefas.');
+        return;
+    }
+    
+    const source = userTags.find(tag => tag.id === tagId);
+    const target = userTags.find(tag => tag.id === targetId);
+    if (!confirm(`Mesclar "${source.name}" em "${target.name}"? A tag "${source.name}" será excluída.`)) {
+        return;
+    }
+    
+    const result = await makeRequest(`/api/tags/${tagId}/merge`, 'POST', { targetId });
+    
+    showAlert(result.message, result.success ? 'success' : 'error');
+    if (result.success) {
+        loadDashboardData(currentFilter);
+    }
+}
+
+// Excluir tag
+async function deleteTag(tagId) {
+    const tag = userTags.find(t => t.id === tagId);
+    if (!confirm(`Excluir a tag "${tag.name}"? Ela será removida de ${tag.count} tarefa(s).`)) {
+        return;
+    }
+    
+    const result = await makeRequest(`/api/tags/${tagId}`, 'DELETE');
+    
+    showAlert(result.message, result.success ? 'success' : 'error');
+    if (result.success) {
+        loadDashboardData(currentFilter);
+    }
+}
+
+// Criar projeto
+async function createProject(formData) {
+    const result = await makeRequest('/api/projects', 'POST', {
+        name: formData.get('name'),
+        color: formData.get('color')
+    });
+    
+    if (result.success) {
+        showAlert(result.message, 'success');
+        document.getElementById('newProjectName').value = '';
+        loadDashboardData(currentFilter);
+    } else {
+        showAlert(result.message);
+    }
+}
+
+// Renomear projeto
+async function renameProject(projectId) {
+    const project = userProjects.find(other => other.id === projectId);
+    const name = prompt('Novo nome do projeto:', project.name);
+    if (!name || name === project.name) {
+        return;
+    }
+    
+    const result = await makeRequest(`/api/projects/${projectId}`, 'PUT', { name });
+    
+    showAlert(result.message, result.success ? 'success' : 'error');
+    if (result.success) {
+        loadDashboardData(currentFilter);
+    }
+}
+
+// Alterar a cor de um projeto
+async function recolorProject(projectId, color) {
+    const result = await makeRequest(`/api/projects/${projectId}`, 'PUT', { color });
+    
+    if (result.success) {
+        loadDashboardData(currentFilter);
+    } else {
+        showAlert(result.message);
+    }
+}
+
+// Arquivar ou restaurar projeto
+async function archiveProject(projectId, archived) {
+    const result = await makeRequest(`/api/projects/${projectId}/${archived ? 'archive' : 'unarchive'}`, 'POST');
+    
+    showAlert(result.message, result.success ? 'success' : 'error');
+    if (result.success) {
+        loadDashboardData(currentFilter);
+    }
+}
+
+// Excluir projeto (as tarefas vão para o Inbox)
+async function deleteProject(projectId) {
+    const project = userProjects.find(other => other.id === projectId);
+    if (!confirm(`Excluir o projeto "${project.name}"? Suas ${project.stats.total} tarefa(s) serão movidas para o Inbox.`)) {
+        return;
+    }
+    
+    const result = await makeRequest(`/api/projects/${projectId}`, 'DELETE');
+    
+    showAlert(result.message, result.success ? 'success' : 'error');
+    if (result.success) {
+        loadDashboardData(currentFilter);
+    }
+}
+
+// Abrir modal de membros de um projeto
+function openMembersModal(projectId) {
+    membersProjectId = projectId;
+    renderMembers();
+    document.getElementById('membersModal').style.display = 'block';
+    document.getElementById('newMemberLogin').focus();
+}
+
+// Fechar modal de membros
+function closeMembersModal() {
+    document.getElementById('membersModal').style.display = 'none';
+    membersProjectId = null;
+}
+
+// Lista de membros do projeto aberto no modal
+function renderMembers() {
+    const project = userProjects.find(other => other.id === membersProjectId);
+    if (!project) {
+        return;
+    }
+    
+    document.getElementById('members-project-name').textContent = project.name;
+    document.getElementById('members-list').innerHTML = project.members.map(member => `
+        <li class="tag-row">
+            <span class="member-name">${escapeHtml(member.username)}</span>
+            ${member.role === 'owner' ? `<small>${ROLE_LABELS.owner}</small>` : `
+            <select onchange="changeMemberRole('${member.userId}', this.value)" title="Papel">
+                <option value="editor" ${member.role === 'editor' ? 'selected' : ''}>${ROLE_LABELS.editor}</option>
+                <option value="viewer" ${member.role === 'viewer' ? 'selected' : ''}>${ROLE_LABELS.viewer}</option>
+            </select>
+            <button onclick="removeMember('${member.userId}')" class="btn btn-small btn-danger">Remover</button>
+            `}
+        </li>
+    `).join('');
+}
+
+// Convidar usuário para o projeto aberto no modal
+async function inviteMember(formData) {
+    const result = await makeRequest(`/api/projects/${membersProjectId}/members`, 'POST', {
+        login: formData.get('login'),
+        role: formData.get('role')
+    });
+    
+    if (result.success) {
+        showAlert(result.message, 'success');
+        document.getElementById('newMemberLogin').value = '';
+        loadDashboardData(currentFilter);
+    } else {
+        showAlert(result.message);
+    }
+}
+
+// Alterar o papel de um membro
+async function changeMemberRole(userId, role) {
+    const result = await makeRequest(`/api/projects/${membersProjectId}/members/${userId}`, 'PUT', { role });
+    
+    showAlert(result.message, result.success ? 'success' : 'error');
+    loadDashboardData(currentFilter);
+}
+
+// Remover membro do projeto (suas tarefas ficam sem responsável)
+async function removeMember(userId) {
+    if (!confirm(`Remover ${memberName(userId)} do projeto?`)) {
+        return;
+    }
+    
+    const result = await makeRequest(`/api/projects/${membersProjectId}/members/${userId}`, 'DELETE');
+    
+    showAlert(result.message, result.success ? 'success' : 'error');
+    if (result.success) {
+        loadDashboardData(currentFilter);
+    }
+}
+
+// Sair de um projeto compartilhado
+async function leaveProject(projectId) {
+    const project = userProjects.find(other => other.id === projectId);
+    if (!confirm(`Sair do projeto "${project.name}"? Você deixará de ver suas tarefas.`)) {
+        return;
+    }
+    
+    const result = await makeRequest(`/api/projects/${projectId}/members/${currentUserId}`, 'DELETE');
+    
+    showAlert(result.message, result.success ? 'success' : 'error');
+    if (result.success) {
+        if (currentProject === projectId) {
+            currentProject = null;
+        }
+        loadDashboardData(currentFilter);
+    }
+}
+
+// Arrastar cartão de tarefa até um projeto da barra lateral
+function startTaskDrag(event, taskId) {
+    event.dataTransfer.setData('text/plain', taskId);
+    event.dataTransfer.effectAllowed = 'move';
+}
+
+function allowTaskDrop(event) {
+    event.preventDefault();
+    event.currentTarget.classList.add('drop-target');
+}
+
+function leaveTaskDrop(event) {
+    event.currentTarget.classList.remove('drop-target');
+}
+
+async function dropTask(event, projectId) {
+    event.preventDefault();
+    event.currentTarget.classList.remove('drop-target');
+    
+    const taskId = event.dataTransfer.getData('text/plain');
+    const task = shownTasks.find(t => t.id === taskId);
+    if (!task || task.projectId === projectId) {
+        return;
+    }
+    
+    const result = await makeRequest(`/api/tasks/${taskId}/move`, 'PATCH', { projectId });
+    
+    showAlert(result.message, result.success ? 'success' : 'error');
+    if (result.success) {
+        loadDashboardData(currentFilter);
+    }
+}
+
+// Pular a ocorrência atual de uma tarefa repetida
+async function skipOccurrence(taskId) {
+    const result = await makeRequest(`/api/tasks/${taskId}/skip`, 'POST');
+    
+    if (result.success) {
+        showAlert(result.message, 'success');
+        loadDashboardData(currentFilter);
+    } else {
+        showAlert(result.message);
+    }
+}
+
+// Encerrar a repetição de uma tarefa
+async function stopRecurrence(taskId) {
+    if (!confirm('Parar a repetição? Esta ocorrência vira uma tarefa comum.')) {
+        return;
+    }
+    
+    const result = await makeRequest(`/api/tasks/${taskId}/recurrence`, 'DELETE');
+    
+    if (result.success) {
+        showAlert(result.message, 'success');
+        loadDashboardData(currentFilter);
+    } else {
+        showAlert(result.message);
+    }
+}
+
+// Mostrar ocorrências concluídas da série
+async function showHistory(taskId) {
+    const result = await makeRequest(`/api/tasks/${taskId}/history`);
+    
+    if (!result.success) {
+        showAlert(result.message);
+        return;
+    }
+    
+    const list = document.getElementById('history-list');
+    list.innerHTML = result.history.length === 0
+        ? '<li>Nenhuma ocorrência concluída ainda.</li>'
+        : result.history.map(entry => `
+            <li>
+                ${escapeHtml(entry.title)}${entry.dueDate ? ` - ${formatDay(entry.dueDate)}` : ''}
+                <small>Concluída em: ${new Date(entry.completedAt).toLocaleString('pt-BR')}</small>
+            </li>
+        `).join('');
+    
+    document.getElementById('historyModal').style.display = 'block';
+}
+
+// Fechar modal de histórico
+function closeHistoryModal() {
+    document.getElementById('historyModal').style.display = 'none';
+}
+
+// Abrir a lixeira
+function openTrashModal() {
+    document.getElementById('trashModal').style.display = 'block';
+    loadTrash();
+}
+
+// Fechar a lixeira
+function closeTrashModal() {
+    document.getElementById('trashModal').style.display = 'none';
+}
+
+// Carregar as tarefas da lixeira
+async function loadTrash() {
+    const result = await makeRequest('/api/trash');
+    
+    if (!result.success) {
+        showAlert(result.message);
+        return;
+    }
+    
+    document.getElementById('trash-retention').textContent = result.retentionDays;
+    
+    const list = document.getElementById('trash-list');
+    list.innerHTML = result.tasks.length === 0
+        ? '<li><small>A lixeira está vazia.</small></li>'
+        : result.tasks.map(task => `
+            <li class="tag-row">
+                <span class="member-name">${escapeHtml(task.title)}</span>
+                <small title="Removida definitivamente em ${new Date(task.expiresAt).toLocaleDateString('pt-BR')}">Excluída em ${new Date(task.deletedAt).toLocaleString('pt-BR')}</small>
+                <button onclick="restoreTask('${task.id}')" class="btn btn-small btn-success">Restaurar</button>
+                <button onclick="purgeTask('${task.id}')" class="btn btn-small btn-danger">Excluir</button>
+            </li>
+        `).join('');
+}
+
+// Restaurar uma tarefa da lixeira
+async function restoreTask(taskId) {
+    const result = await makeRequest(`/api/trash/${taskId}/restore`, 'POST');
+    
+    if (result.success) {
+        showAlert(result.message, 'success');
+        loadTrash();
+        loadDashboardData(currentFilter);
+    } else {
+        showAlert(result.message);
+    }
+}
+
+// Excluir definitivamente uma tarefa da lixeira
+async function purgeTask(taskId) {
+    if (!confirm('Excluir definitivamente esta tarefa? Esta ação não pode ser desfeita.')) {
+        return;
+    }
+    
+    const result = await makeRequest(`/api/trash/${taskId}`, 'DELETE');
+    
+    if (result.success) {
+        showAlert(result.message, 'success');
+        loadTrash();
+    } else {
+        showAlert(result.message);
+    }
+}
+
+// Esvaziar a lixeira
+async function emptyTrash() {
+    if (!confirm('Excluir definitivamente todas as tarefas da lixeira?')) {
+        return;
+    }
+    
+    const result = await makeRequest('/api/trash', 'DELETE');
+    
+    if (result.success) {
+        showAlert(result.message, 'success');
+        loadTrash();
+    } else {
+        showAlert(result.message);
+    }
+}
+
+// Reenviar email de confirmação
+async function resendVerification() {
+    const result = await makeRequest('/auth/resend-verification', 'POST');
+    showAlert(result.message, result.success ? 'success' : 'error');
+}
+
+// Logout
+async function logout() {
+    try {
+        await fetch('/logout', {
+            method: 'POST',
+            headers: { 'X-CSRF-Token': await getCsrfToken() },
+            credentials: 'same-origin'
+        });
+        window.location.href = '/auth';
+    } catch (error) {
+        console.error('Erro ao fazer logout:', error);
+        window.location.href = '/auth';
+    }
+}
+
+// Intervalo sem digitação antes de buscar (ms)
+const SEARCH_DEBOUNCE = 300;
+
+// Rótulos dos campos exibidos nos trechos encontrados pela busca
+const SEARCH_FIELD_LABELS = { tags: 'Tags', description: 'Descrição', checklist: 'Checklist', comments: 'Comentários' };
+
+// Busca no servidor enquanto o usuário digita (após uma pausa na digitação)
+function setupSearch() {
+    const searchInput = document.getElementById('search-input');
+    
+    searchInput.addEventListener('input', function() {
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(() => {
+            searchQuery = this.value;
+            
+            if (searchQuery.trim()) {
+                runSearch();
+            } else {
+                loadDashboardData(currentFilter);
+            }
+        }, SEARCH_DEBOUNCE);
+    });
+}
+
+// Consulta enviada ao servidor: a palavra ainda sendo digitada vira prefixo ("reun" -> "reun*")
+function buildSearchQuery(text) {
+    const openQuote = (text.match(/"/g) || []).length % 2 === 1;
+    return openQuote || /[\s"*]$/.test(text) ? text : `${text}*`;
+}
+
+// Buscar tarefas no servidor (no projeto selecionado, se houver)
+async function runSearch() {
+    const query = searchQuery;
+    const params = new URLSearchParams({ q: buildSearchQuery(query), project: currentProject || '' });
+    const result = await makeRequest(`/api/search?${params}`);
+    
+    // Ignorar a resposta de uma busca que já foi substituída
+    if (query !== searchQuery) {
+        return;
+    }
+    if (!result.success) {
+        showAlert(result.message);
+        return;
+    }
+    
+    document.getElementById('tasks-title').textContent = `Resultados para "${query.trim()}" (${result.total})`;
+    nextCursor = null;
+    renderTasks(
+        result.results.map(entry => entry.task),
+        Object.fromEntries(result.results.map(entry => [entry.task.id, entry.highlights]))
+    );
+    updateTasksMore();
+}
+
+// Trecho com as partes encontradas destacadas
+function highlightSnippet(snippet) {
+    let html = '';
+    let position = 0;
+    
+    snippet.ranges.forEach(([start, end]) => {
+        html += `${escapeHtml(snippet.text.slice(position, start))}<mark>${escapeHtml(snippet.text.slice(start, end))}</mark>`;
+        position = end;
+    });
+    
+    return html + escapeHtml(snippet.text.slice(position));
+}
+
+// Trechos encontrados fora do título (descrição, tags, checklist e comentários)
+function searchSnippets(highlights) {
+    const snippets = highlights.filter(snippet => snippet.field !== 'title');
+    if (snippets.length === 0) {
+        return '';
+    }
+    
+    return `
+                <div class="search-snippets">
+                    ${snippets.map(snippet => `<p><strong>${SEARCH_FIELD_LABELS[snippet.field]}:</strong> ${highlightSnippet(snippet).replace(/\n/g, ' · ')}</p>`).join('')}
+                </div>`;
+}
+
+// Event listeners
+document.addEventListener('DOMContentLoaded', function() {
+    // Carregar dados iniciais
+    loadDashboardData();
+    
+    // Resultado da confirmação de email (redirecionamento de /auth/verify-email)
+    const verified = new URLSearchParams(window.location.search).get('verified');
+    if (verified === '1') {
+        showAlert('Email confirmado com sucesso!', 'success');
+    } else if (verified === '0') {
+        showAlert('Link de confirmação inválido ou expirado.');
+    }
+    
+    // Configurar busca
+    setupSearch();
+    
+    // Carregar mais tarefas ao rolar a lista
+    setupInfiniteScroll();
+    
+    // Campos da repetição acompanham o tipo escolhido
+    document.querySelectorAll('.recurrence-type').forEach(select => {
+        select.addEventListener('change', () => updateRecurrenceFields(select.form));
+    });
+    
+    // Formulário de nova tarefa
+    const taskForm = document.getElementById('task-form');
+    if (taskForm) {
+        taskForm.addEventListener('submit', async function(e) {
+            e.preventDefault();
+            
+            const formData = new FormData(this);
+            const submitBtn = this.querySelector('button[type="submit"]');
+            
+            submitBtn.disabled = true;
+            submitBtn.textContent = 'Criando...';
+            
+            await createTask(formData);
+            
             submitBtn.disabled = false;
             submitBtn.textContent = 'Criar Tarefa';
         });
     }
     
+    // Enter no campo de novo item adiciona o item (sem enviar o formulário de edição)
+    document.getElementById('newChecklistItem').addEventListener('keydown', function(e) {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            addChecklistItem();
+        }
+    });
+    
+    // Formulário de novo projeto
+    document.getElementById('project-form').addEventListener('submit', function(e) {
+        e.preventDefault();
+        createProject(new FormData(this));
+    });
+    
+    // Formulário de convite para projeto
+    document.getElementById('member-form').addEventListener('submit', function(e) {
+        e.preventDefault();
+        inviteMember(new FormData(this));
+    });
+    
+    // Responsáveis acompanham o projeto escolhido
+    document.getElementById('projectId').addEventListener('change', function() {
+        renderAssigneeOptions('assigneeId', this.value, document.getElementById('assigneeId').value);
+        renderTaskTagOptions('task-tags', this.value, getCheckedTags('task-tags'));
+    });
+    document.getElementById('editProjectId').addEventListener('change', function() {
+        renderAssigneeOptions('editAssigneeId', this.value, document.getElementById('editAssigneeId').value);
+    });
+    
+    // Formulário de nova tag
+    document.getElementById('tag-form').addEventListener('submit', function(e) {
+        e.preventDefault();
+        createTag(new FormData(this));
+    });
+    
     // Formulário de edição
     const editForm = document.getElementById('editForm');
     if (editForm) {
@@ -343,9 +1825,16 @@ document.addEventListener('DOMContentLoaded', function() {
     
     // Fechar modal ao clicar fora dele
     window.onclick = function(event) {
-        const modal = document.getElementById('editModal');
-        if (event.target === modal) {
+        if (event.target === document.getElementById('editModal')) {
             closeEditModal();
+        } else if (event.target === document.getElementById('historyModal')) {
+            closeHistoryModal();
+        } else if (event.target === document.getElementById('tagsModal')) {
+            closeTagsModal();
+        } else if (event.target === document.getElementById('membersModal')) {
+            closeMembersModal();
+        } else if (event.target === document.getElementById('trashModal')) {
+            closeTrashModal();
         }
     };
     
@@ -353,6 +1842,10 @@ document.addEventListener('DOMContentLoaded', function() {
     document.addEventListener('keydown', function(event) {
         if (event.key === 'Escape') {
             closeEditModal();
+            closeHistoryModal();
+            closeTagsModal();
+            closeMembersModal();
+            closeTrashModal();
         }
     });
     
@@ -0,0 +1,510 @@
+// Função para mostrar alertas
+function showAlert(message, type = 'error') {
+    const container = document.getElementById('alert-container');
+    const alert = document.createElement('div');
+    alert.className = `alert alert-${type}`;
+    alert.textContent = message;
+    
+    container.innerHTML = '';
+    container.appendChild(alert);
+    
+    // Remover alerta após 5 segundos
+    setTimeout(() => {
+        alert.remove();
+    }, 5000);
+}
+
+// Token CSRF da sessão (obtido sob demanda)
+let csrfToken = null;
+
+// Obter token CSRF da sessão atual
+async function getCsrfToken(refresh = false) {
+    if (!csrfToken || refresh) {
+        const response = await fetch('/auth/csrf-token', { credentials: 'same-origin' });
+        const data = await response.json();
+        csrfToken = data.csrfToken;
+    }
+    return csrfToken;
+}
+
+// Função para fazer requisições AJAX
+async function makeRequest(url, method = 'GET', data = null, retry = true) {
+    const options = {
+        method,
+        headers: {
+            'Content-Type': 'application/json',
+        },
+        credentials: 'same-origin'
+    };
+    
+    if (data) {
+        options.body = JSON.stringify(data);
+    }
+    
+    try {
+        // Requisições que alteram estado enviam o token CSRF
+        if (method !== 'GET') {
+            options.headers['X-CSRF-Token'] = await getCsrfToken();
+        }
+        
+        const response = await fetch(url, options);
+        
+        if (!response.ok) {
+            const body = await response.json().catch(() => null);
+            
+            // Token expirado (ex.: nova sessão): obter outro e repetir uma vez
+            if (body && body.code === 'CSRF_INVALID' && retry) {
+                await getCsrfToken(true);
+                return makeRequest(url, method, data, false);
+            }
+            
+            console.error('Erro HTTP:', response.status, response.statusText);
+            return body || { success: false, message: `Erro HTTP: ${response.status}` };
+        }
+        
+        return await response.json();
+    } catch (error) {
+        console.error('Erro na requisição:', error);
+        return { success: false, message: 'Erro de conexão' };
+    }
+}
+
+// Entidades usadas por escapeHtml (aspas incluídas: o resultado também vai em atributos)
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+// Função para escapar HTML (conteúdo e valores de atributos)
+function escapeHtml(text) {
+    return String(text == null ? '' : text).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+// Formatar data opcional no padrão brasileiro
+function formatOptionalDate(date, fallback = '—') {
+    return date ? new Date(date).toLocaleString('pt-BR') : fallback;
+}
+
+// =============================================================================
+// PERFIL E SENHA
+// =============================================================================
+
+// Carregar dados do perfil
+async function loadProfile() {
+    const result = await makeRequest('/api/account');
+    
+    if (!result.success) {
+        showAlert(result.message || 'Erro ao carregar perfil');
+        return;
+    }
+    
+    document.getElementById('profile-username').value = result.user.username;
+    document.getElementById('profile-email').value = result.user.email;
+    document.getElementById('profile-email-status').textContent = result.user.emailVerified
+        ? 'Email confirmado.'
+        : 'Email ainda não confirmado. Verifique sua caixa de entrada.';
+}
+
+// Salvar nome de usuário e email
+async function updateProfile(formData) {
+    const data = {
+        username: formData.get('username'),
+        email: formData.get('email'),
+        currentPassword: formData.get('currentPassword')
+    };
+    
+    const result = await makeRequest('/api/account', 'PUT', data);
+    
+    if (result.success) {
+        showAlert(result.message, 'success');
+        document.getElementById('profile-password').value = '';
+        loadProfile();
+    } else {
+        showAlert(result.message);
+    }
+}
+
+// Alterar senha
+async function changePassword(formData) {
+    const data = {
+        currentPassword: formData.get('currentPassword'),
+        newPassword: formData.get('newPassword'),
+        confirmPassword: formData.get('confirmPassword')
+    };
+    
+    const result = await makeRequest('/api/account/password', 'PUT', data);
+    
+    if (result.success) {
+        showAlert(result.message, 'success');
+        document.getElementById('password-form').reset();
+        loadSessions();
+    } else {
+        showAlert(result.message);
+    }
+}
+
+// Excluir a conta após confirmação
+async function deleteAccount(formData) {
+    if (!confirm('Excluir sua conta permanentemente? Todas as suas tarefas serão apagadas. Esta ação não pode ser desfeita.')) {
+        return;
+    }
+    
+    const data = {
+        password: formData.get('password'),
+        code: formData.get('code')
+    };
+    
+    const result = await makeRequest('/api/account', 'DELETE', data);
+    
+    if (result.success) {
+        window.location.href = result.redirect || '/auth';
+    } else {
+        showAlert(result.message);
+    }
+}
+
+// =============================================================================
+// TOKENS DE API
+// =============================================================================
+
+// Carregar tokens de API
+async function loadTokens() {
+    const result = await makeRequest('/api/tokens');
+    
+    if (!result.success) {
+        showAlert(result.message || 'Erro ao carregar tokens');
+        return;
+    }
+    
+    renderTokens(result.tokens);
+}
+
+// Renderizar lista de tokens
+function renderTokens(tokens) {
+    const list = document.getElementById('tokens-list');
+    
+    if (tokens.length === 0) {
+        list.innerHTML = '<tr><td colspan="6">Nenhum token criado.</td></tr>';
+        return;
+    }
+    
+    const scopeLabels = { read: 'Somente leitura', 'read-write': 'Leitura e escrita' };
+    const now = new Date();
+    
+    list.innerHTML = tokens.map(token => {
+        const expired = token.expiresAt && new Date(token.expiresAt) <= now;
+        const inactive = token.revokedAt || expired;
+        let status = '';
+        
+        if (token.revokedAt) {
+            status = 'Revogado';
+        } else if (expired) {
+            status = 'Expirado';
+        }
+        
+        return `
+            <tr class="${inactive ? 'inactive' : ''}">
+                <td>${escapeHtml(token.name)}</td>
+                <td><code>${escapeHtml(token.prefix)}…</code></td>
+                <td>${scopeLabels[token.scope]}</td>
+                <td>${formatOptionalDate(token.expiresAt, 'Nunca')}</td>
+                <td>${formatOptionalDate(token.lastUsedAt, 'Nunca usado')}</td>
+                <td>
+                    ${inactive ? status : `<button onclick="revokeToken('${token.id}')" class="btn btn-small btn-danger">Revogar</button>`}
+                </td>
+            </tr>
+        `;
+    }).join('');
+}
+
+// Criar token de API
+async function createToken(formData) {
+    const data = {
+        name: formData.get('name'),
+        scope: formData.get('scope'),
+        expiresInDays: formData.get('expiresInDays') || null
+    };
+    
+    const result = await makeRequest('/api/tokens', 'POST', data);
+    
+    if (result.success) {
+        showAlert(result.message, 'success');
+        document.getElementById('token-form').reset();
+        document.getElementById('new-token-value').textContent = result.token;
+        document.getElementById('new-token').style.display = 'block';
+        loadTokens();
+    } else {
+        showAlert(result.message);
+    }
+}
+
+// Revogar token de API
+async function revokeToken(tokenId) {
+    if (!confirm('Revogar este token? Scripts que o utilizam deixarão de funcionar.')) {
+        return;
+    }
+    
+    const result = await makeRequest(`/api/tokens/${tokenId}`, 'DELETE');
+    
+    if (result.success) {
+        showAlert(result.message, 'success');
+        loadTokens();
+    } else {
+        showAlert(result.message);
+    }
+}
+
+// =============================================================================
+// AUTENTICAÇÃO EM DOIS FATORES
+// =============================================================================
+
+// Carregar estado da autenticação em dois fatores
+async function loadTwoFactor() {
+    const result = await makeRequest('/api/2fa');
+    
+    if (!result.success) {
+        showAlert(result.message || 'Erro ao carregar autenticação em dois fatores');
+        return;
+    }
+    
+    renderTwoFactor(result.twoFactor);
+}
+
+// Exibir os controles conforme o estado (ativada ou não)
+function renderTwoFactor(twoFactor) {
+    const status = document.getElementById('twofactor-status');
+    
+    if (twoFactor.enabled) {
+        status.textContent = `Ativada em ${formatOptionalDate(twoFactor.enabledAt)}. ` +
+            `Códigos de recuperação restantes: ${twoFactor.recoveryCodesRemaining}.`;
+    } else {
+        status.textContent = 'Desativada. Além da senha, o login pode exigir um código gerado pelo seu celular.';
+    }
+    
+    document.getElementById('twofactor-off').style.display = twoFactor.enabled ? 'none' : 'block';
+    document.getElementById('twofactor-manage-form').style.display = twoFactor.enabled ? 'block' : 'none';
+    document.getElementById('twofactor-setup').style.display = 'none';
+    
+    // Com dois fatores ativos, excluir a conta também exige um código
+    document.getElementById('delete-code-group').style.display = twoFactor.enabled ? 'block' : 'none';
+    document.getElementById('delete-code').required = twoFactor.enabled;
+}
+
+// Mostrar códigos de recuperação recém-gerados
+function showRecoveryCodes(codes) {
+    document.getElementById('recovery-codes-list').innerHTML = codes
+        .map(code => `<li>${escapeHtml(code)}</li>`)
+        .join('');
+    document.getElementById('recovery-codes').style.display = 'block';
+}
+
+// Iniciar ativação: exibir QR code e chave
+async function startTwoFactorSetup() {
+    const result = await makeRequest('/api/2fa/setup', 'POST');
+    
+    if (!result.success) {
+        showAlert(result.message);
+        return;
+    }
+    
+    document.getElementById('twofactor-qr').src = result.qrCode;
+    document.getElementById('twofactor-secret').textContent = result.secret.match(/.{1,4}/g).join(' ');
+    document.getElementById('twofactor-uri').href = result.uri;
+    document.getElementById('twofactor-off').style.display = 'none';
+    document.getElementById('twofactor-setup').style.display = 'block';
+    document.getElementById('twofactor-enable-code').focus();
+}
+
+// Confirmar ativação com o código do aplicativo
+async function enableTwoFactor(formData) {
+    const result = await makeRequest('/api/2fa/enable', 'POST', { code: formData.get('code') });
+    
+    if (result.success) {
+        showAlert(result.message, 'success');
+        document.getElementById('twofactor-enable-form').reset();
+        showRecoveryCodes(result.recoveryCodes);
+        loadTwoFactor();
+    } else {
+        showAlert(result.message);
+    }
+}
+
+// Gerar novos códigos de recuperação ou desativar (reautenticação)
+async function manageTwoFactor(action, formData) {
+    if (action === 'disable' && !confirm('Desativar a autenticação em dois fatores? O login voltará a pedir apenas a senha.')) {
+        return;
+    }
+    
+    const data = {
+        password: formData.get('password'),
+        code: formData.get('code')
+    };
+    
+    const result = await makeRequest(`/api/2fa/${action}`, 'POST', data);
+    
+    if (result.success) {
+        showAlert(result.message, 'success');
+        document.getElementById('twofactor-manage-form').reset();
+        
+        if (result.recoveryCodes) {
+            showRecoveryCodes(result.recoveryCodes);
+        } else {
+            document.getElementById('recovery-codes').style.display = 'none';
+        }
+        loadTwoFactor();
+    } else {
+        showAlert(result.message);
+    }
+}
+
+// =============================================================================
+// SESSÕES ATIVAS
+// =============================================================================
+
+// Descrever navegador e sistema a partir do User-Agent
+function describeDevice(userAgent) {
+    if (!userAgent) {
+        return 'Dispositivo desconhecido';
+    }
+    
+    const browsers = [['Edg/', 'Edge'], ['OPR/', 'Opera'], ['Firefox/', 'Firefox'], ['Chrome/', 'Chrome'], ['Safari/', 'Safari'], ['curl/', 'curl']];
+    const systems = [['Windows', 'Windows'], ['Android', 'Android'], ['iPhone', 'iOS'], ['iPad', 'iPadOS'], ['Mac OS X', 'macOS'], ['Linux', 'Linux']];
+    
+    const browser = browsers.find(([marker]) => userAgent.includes(marker));
+    const system = systems.find(([marker]) => userAgent.includes(marker));
+    
+    if (!browser && !system) {
+        return userAgent.slice(0, 60);
+    }
+    
+    return [browser ? browser[1] : 'Navegador', system ? system[1] : null].filter(Boolean).join(' em ');
+}
+
+// Carregar sessões ativas
+async function loadSessions() {
+    const result = await makeRequest('/api/sessions');
+    
+    if (!result.success) {
+        showAlert(result.message || 'Erro ao carregar sessões');
+        return;
+    }
+    
+    renderSessions(result.sessions);
+}
+
+// Renderizar lista de sessões
+function renderSessions(sessions) {
+    const list = document.getElementById('sessions-list');
+    
+    document.getElementById('revoke-other-sessions-btn').disabled = sessions.every(session => session.current);
+    
+    list.innerHTML = sessions.map(session => `
+        <tr>
+            <td title="${escapeHtml(session.userAgent)}">${escapeHtml(describeDevice(session.userAgent))}</td>
+            <td>${escapeHtml(session.ip || '—')}</td>
+            <td>${formatOptionalDate(session.createdAt)}</td>
+            <td>${formatOptionalDate(session.lastSeenAt)}</td>
+            <td>
+                ${session.current ? '<strong>Sessão atual</strong>' : `<button onclick="revokeSession('${session.id}')" class="btn btn-small btn-danger">Encerrar</button>`}
+            </td>
+        </tr>
+    `).join('');
+}
+
+// Encerrar uma sessão
+async function revokeSession(sessionId) {
+    if (!confirm('Encerrar esta sessão? O dispositivo precisará fazer login novamente.')) {
+        return;
+    }
+    
+    const result = await makeRequest(`/api/sessions/${sessionId}`, 'DELETE');
+    
+    if (result.success) {
+        showAlert(result.message, 'success');
+        loadSessions();
+    } else {
+        showAlert(result.message);
+    }
+}
+
+// Encerrar todas as sessões exceto a atual
+async function revokeOtherSessions() {
+    if (!confirm('Encerrar todas as outras sessões? Os outros dispositivos precisarão fazer login novamente.')) {
+        return;
+    }
+    
+    const result = await makeRequest('/api/sessions', 'DELETE');
+    
+    if (result.success) {
+        showAlert(result.message, 'success');
+        loadSessions();
+    } else {
+        showAlert(result.message);
+    }
+}
+
+// Event listeners
+document.addEventListener('DOMContentLoaded', function() {
+    loadProfile();
+    loadTokens();
+    loadTwoFactor();
+    loadSessions();
+    
+    document.getElementById('revoke-other-sessions-btn').addEventListener('click', revokeOtherSessions);
+    
+    // Formulários de perfil, senha e exclusão da conta
+    const accountForms = {
+        'profile-form': updateProfile,
+        'password-form': changePassword,
+        'delete-account-form': deleteAccount
+    };
+    
+    Object.entries(accountForms).forEach(([formId, handler]) => {
+        document.getElementById(formId).addEventListener('submit', async function(e) {
+            e.preventDefault();
+            
+            const submitBtn = this.querySelector('button[type="submit"]');
+            submitBtn.disabled = true;
+            
+            await handler(new FormData(this));
+            
+            submitBtn.disabled = false;
+        });
+    });
+    
+    document.getElementById('twofactor-setup-btn').addEventListener('click', startTwoFactorSetup);
+    
+    document.getElementById('twofactor-enable-form').addEventListener('submit', async function(e) {
+        e.preventDefault();
+        
+        const submitBtn = this.querySelector('button[type="submit"]');
+        submitBtn.disabled = true;
+        
+        await enableTwoFactor(new FormData(this));
+        
+        submitBtn.disabled = false;
+    });
+    
+    document.getElementById('twofactor-manage-form').addEventListener('submit', async function(e) {
+        e.preventDefault();
+        
+        // O botão clicado define a ação: novos códigos ou desativar
+        const action = e.submitter ? e.submitter.dataset.action : 'recovery-codes';
+        await manageTwoFactor(action, new FormData(this));
+    });
+    
+    const tokenForm = document.getElementById('token-form');
+    if (tokenForm) {
+        tokenForm.addEventListener('submit', async function(e) {
+            e.preventDefault();
+            
+            const formData = new FormData(this);
+            const submitBtn = this.querySelector('button[type="submit"]');
+            
+            submitBtn.disabled = true;
+            submitBtn.textContent = 'Criando...';
+            
+            await createToken(formData);
+            
+            submitBtn.disabled = false;
+            submitBtn.textContent = 'Criar Token';
+        });
+    }
+});
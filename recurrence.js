@@ -0,0 +1,358 @@
+/**
+ * Regras de repetição de tarefas
+ * Aceita predefinições (diária, semanal em dias escolhidos, mensal no dia N,
+ * a cada N dias) e um subconjunto de RRULE (RFC 5545): FREQ=DAILY|WEEKLY|MONTHLY,
+ * INTERVAL, BYDAY (sem prefixo numérico), BYMONTHDAY (um único dia), COUNT e UNTIL.
+ *
+ * As datas são chaves de calendário AAAA-MM-DD (as mesmas de task.dueDate).
+ * Os cálculos usam dias inteiros em UTC, sem interferência de horário de verão.
+ */
+
+const { isValidDate, toDateKey } = require('./dates');
+
+/**
+ * Milissegundos em um dia
+ */
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Limite da busca pela próxima ocorrência (dias); evita laços sem fim em regras
+ * que nunca coincidem
+ */
+const MAX_SEARCH_DAYS = 10 * 366;
+
+/**
+ * Limites aceitos para INTERVAL e COUNT
+ */
+const LIMITS = { interval: 365, count: 1000 };
+
+/**
+ * Códigos de dia da semana do RRULE (índice = Date#getDay: 0 = domingo)
+ */
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+/**
+ * Frequências suportadas (valor do RRULE -> valor normalizado)
+ */
+const FREQUENCIES = { DAILY: 'daily', WEEKLY: 'weekly', MONTHLY: 'monthly' };
+
+// =============================================================================
+// ARITMÉTICA DE DATAS
+// =============================================================================
+
+/**
+ * Converte AAAA-MM-DD em número de dias desde 1970-01-01
+ * @param {string} key - Data
+ * @returns {number} - Número do dia
+ */
+function toDayNumber(key) {
+    const [year, month, day] = key.split('-').map(Number);
+    return Date.UTC(year, month - 1, day) / DAY;
+}
+
+/**
+ * Converte número de dias desde 1970-01-01 em AAAA-MM-DD
+ * @param {number} dayNumber - Número do dia
+ * @returns {string} - Data
+ */
+function fromDayNumber(dayNumber) {
+    return new Date(dayNumber * DAY).toISOString().slice(0, 10);
+}
+
+/**
+ * Índice da semana (semanas começam na segunda-feira)
+ * @param {number} dayNumber - Número do dia
+ * @returns {number} - Índice da semana
+ */
+function weekIndex(dayNumber) {
+    // 1970-01-01 foi uma quinta-feira: deslocar 3 dias alinha o início na segunda
+    return Math.floor((dayNumber + 3) / 7);
+}
+
+// =============================================================================
+// INTERPRETAÇÃO
+// =============================================================================
+
+/**
+ * Valida um inteiro positivo dentro do limite
+ * @param {*} value - Valor informado
+ * @param {number} max - Valor máximo
+ * @returns {number|null} - Número ou null se inválido
+ */
+function parsePositiveInt(value, max) {
+    const number = Number(value);
+    return Number.isInteger(number) && number >= 1 && number <= max ? number : null;
+}
+
+/**
+ * Monta a regra normalizada validando os campos
+ * @param {Object} fields - { freq, interval, weekdays, monthDay, count, until }
+ * @returns {Object} - { success, recurrence } ou { success: false, message }
+ */
+function buildRule({ freq, interval = 1, weekdays = null, monthDay = null, count = null, until = null }) {
+    const recurrence = {
+        freq,
+        interval: parsePositiveInt(interval, LIMITS.interval),
+        weekdays: null,
+        monthDay: null,
+        count: null,
+        until: null
+    };
+    
+    if (!recurrence.interval) {
+        return { success: false, message: `O intervalo da repetição deve ser um número de 1 a ${LIMITS.interval}.` };
+    }
+    
+    if (weekdays !== null) {
+        const days = Array.isArray(weekdays) ? weekdays.map(Number) : [];
+        if (days.length === 0 || days.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+            return { success: false, message: 'Escolha ao menos um dia da semana válido.' };
+        }
+        recurrence.weekdays = [...new Set(days)].sort((a, b) => a - b);
+    }
+    
+    if (monthDay !== null) {
+        recurrence.monthDay = parsePositiveInt(monthDay, 31);
+        if (!recurrence.monthDay) {
+            return { success: false, message: 'O dia do mês deve ser um número de 1 a 31.' };
+        }
+    }
+    
+    if (count !== null) {
+        recurrence.count = parsePositiveInt(count, LIMITS.count);
+        if (!recurrence.count) {
+            return { success: false, message: `O número de ocorrências deve ser de 1 a ${LIMITS.count}.` };
+        }
+    }
+    
+    if (until !== null) {
+        if (!isValidDate(until)) {
+            return { success: false, message: 'Data final da repetição inválida.' };
+        }
+        recurrence.until = until;
+    }
+    
+    if (recurrence.count && recurrence.until) {
+        return { success: false, message: 'Use COUNT ou UNTIL, não os dois.' };
+    }
+    
+    return { success: true, recurrence };
+}
+
+/**
+ * Interpreta uma regra no formato RRULE (subconjunto suportado)
+ * @param {string} text - Regra, com ou sem o prefixo "RRULE:"
+ * @returns {Object} - { success, recurrence } ou { success: false, message }
+ */
+function parseRRule(text) {
+    const fields = {};
+    const rule = String(text).trim().replace(/^RRULE:/i, '');
+    
+    for (const part of rule.split(';').filter(Boolean)) {
+        const [name, value = ''] = part.split('=');
+        const key = name.trim().toUpperCase();
+        const upper = value.trim().toUpperCase();
+        
+        switch (key) {
+            case 'FREQ':
+                if (!FREQUENCIES[upper]) {
+                    return { success: false, message: `Frequência não suportada: ${value} (use DAILY, WEEKLY ou MONTHLY).` };
+                }
+                fields.freq = FREQUENCIES[upper];
+                break;
+            case 'INTERVAL':
+                fields.interval = upper;
+                break;
+            case 'BYDAY': {
+                const days = upper.split(',').map(code => WEEKDAY_CODES.indexOf(code.trim()));
+                if (days.includes(-1)) {
+                    return { success: false, message: `BYDAY inválido: ${value} (use MO, TU, WE, TH, FR, SA, SU).` };
+                }
+                fields.weekdays = days;
+                break;
+            }
+            case 'BYMONTHDAY':
+                fields.monthDay = upper;
+                break;
+            case 'COUNT':
+                fields.count = upper;
+                break;
+            case 'UNTIL': {
+                // Aceita AAAAMMDD ou AAAAMMDDTHHMMSSZ (o horário é ignorado)
+                const match = /^(\d{4})(\d{2})(\d{2})(T\d{6}Z?)?$/.exec(upper);
+                fields.until = match ? `${match[1]}-${match[2]}-${match[3]}` : upper;
+                break;
+            }
+            default:
+                return { success: false, message: `Parte da regra não suportada: ${key}` };
+        }
+    }
+    
+    if (!fields.freq) {
+        return { success: false, message: 'A regra precisa de FREQ (DAILY, WEEKLY ou MONTHLY).' };
+    }
+    if (fields.weekdays && fields.freq !== 'weekly') {
+        return { success: false, message: 'BYDAY só é suportado com FREQ=WEEKLY.' };
+    }
+    if (fields.monthDay && fields.freq !== 'monthly') {
+        return { success: false, message: 'BYMONTHDAY só é suportado com FREQ=MONTHLY.' };
+    }
+    
+    return buildRule(fields);
+}
+
+/**
+ * Interpreta a repetição recebida do cliente
+ * Formatos aceitos:
+ *   { type: 'daily' }
+ *   { type: 'weekly', weekdays: [1, 3] }     (0 = domingo ... 6 = sábado)
+ *   { type: 'monthly', day: 15 }
+ *   { type: 'interval', days: 3 }            (a cada N dias)
+ *   { type: 'rrule', rule: 'FREQ=...' } ou a própria regra como texto
+ * Valores vazios (null, '', { type: 'none' }) removem a repetição.
+ * @param {Object|string|null} input - Repetição informada
+ * @returns {Object} - { success, recurrence } (recurrence null = sem repetição)
+ */
+function parseRecurrence(input) {
+    if (!input || input === 'none' || input.type === 'none') {
+        return { success: true, recurrence: null };
+    }
+    
+    if (typeof input === 'string') {
+        return parseRRule(input);
+    }
+    
+    switch (input.type) {
+        case 'daily':
+            return buildRule({ freq: 'daily' });
+        case 'interval':
+            return buildRule({ freq: 'daily', interval: input.days });
+        case 'weekly':
+            return buildRule({ freq: 'weekly', weekdays: input.weekdays || null });
+        case 'monthly':
+            return buildRule({ freq: 'monthly', monthDay: input.day || null });
+        case 'rrule':
+            return parseRRule(input.rule || '');
+        default:
+            return { success: false, message: 'Tipo de repetição inválido.' };
+    }
+}
+
+/**
+ * Converte a regra normalizada em texto RRULE
+ * @param {Object} recurrence - Regra normalizada
+ * @returns {string} - Ex.: FREQ=WEEKLY;BYDAY=MO,WE
+ */
+function toRRule(recurrence) {
+    const parts = [`FREQ=${recurrence.freq.toUpperCase()}`];
+    
+    if (recurrence.interval > 1) parts.push(`INTERVAL=${recurrence.interval}`);
+    if (recurrence.weekdays) parts.push(`BYDAY=${recurrence.weekdays.map(day => WEEKDAY_CODES[day]).join(',')}`);
+    if (recurrence.monthDay) parts.push(`BYMONTHDAY=${recurrence.monthDay}`);
+    if (recurrence.count) parts.push(`COUNT=${recurrence.count}`);
+    if (recurrence.until) parts.push(`UNTIL=${recurrence.until.replace(/-/g, '')}`);
+    
+    return parts.join(';');
+}
+
+// =============================================================================
+// OCORRÊNCIAS
+// =============================================================================
+
+/**
+ * Verifica se um dia coincide com a regra
+ * O início da série (recurrence.start) define a fase dos intervalos e, quando a
+ * regra não escolhe dias, o dia da semana ou do mês das ocorrências
+ * @param {Object} recurrence - Regra normalizada com start
+ * @param {number} dayNumber - Dia a verificar
+ * @returns {boolean} - True se houver ocorrência no dia
+ */
+function matches(recurrence, dayNumber) {
+    const start = toDayNumber(recurrence.start);
+    if (dayNumber < start) return false;
+    
+    const date = new Date(dayNumber * DAY);
+    const startDate = new Date(start * DAY);
+    
+    switch (recurrence.freq) {
+        case 'daily':
+            return (dayNumber - start) % recurrence.interval === 0;
+        
+        case 'weekly': {
+            const weekdays = recurrence.weekdays || [startDate.getUTCDay()];
+            return weekdays.includes(date.getUTCDay()) &&
+                (weekIndex(dayNumber) - weekIndex(start)) % recurrence.interval === 0;
+        }
+        
+        case 'monthly': {
+            const months = (date.getUTCFullYear() - startDate.getUTCFullYear()) * 12 +
+                date.getUTCMonth() - startDate.getUTCMonth();
+            if (months % recurrence.interval !== 0) return false;
+            
+            // Meses mais curtos que o dia escolhido usam o último dia do mês
+            const lastDay = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+            const monthDay = recurrence.monthDay || startDate.getUTCDate();
+            return date.getUTCDate() === Math.min(monthDay, lastDay);
+        }
+        
+        default:
+            return false;
+    }
+}
+
+/**
+ * Calcula a próxima ocorrência posterior a uma data
+ * Ocorrências anteriores a notBefore são puladas, mas contam para COUNT
+ * @param {Object} recurrence - Regra normalizada com start
+ * @param {string} after - Data da ocorrência atual (AAAA-MM-DD)
+ * @param {Object} [options] - Opções
+ * @param {string} [options.notBefore] - Primeira data aceitável (padrão: hoje)
+ * @param {number} [options.occurrence] - Número da ocorrência atual na série
+ * @returns {Object|null} - { date, occurrence } ou null se a série terminou
+ */
+function nextOccurrence(recurrence, after, { notBefore = toDateKey(new Date()), occurrence = 1 } = {}) {
+    const minimum = toDayNumber(notBefore);
+    const until = recurrence.until ? toDayNumber(recurrence.until) : Infinity;
+    let day = toDayNumber(after) + 1;
+    const limit = Math.max(day, minimum) + MAX_SEARCH_DAYS;
+    
+    for (; day <= limit && day <= until; day++) {
+        if (!matches(recurrence, day)) continue;
+        
+        occurrence++;
+        if (recurrence.count && occurrence > recurrence.count) return null;
+        if (day >= minimum) return { date: fromDayNumber(day), occurrence };
+    }
+    
+    return null;
+}
+
+/**
+ * Inicia (ou reinicia) uma série a partir da data da primeira ocorrência
+ * Sem data informada, a série começa na primeira data da regra a partir de hoje
+ * @param {Object} recurrence - Regra normalizada (o start anterior é ignorado)
+ * @param {string|null} dueDate - Data da primeira ocorrência
+ * @returns {Object|null} - { recurrence, dueDate } ou null se a regra não gerar ocorrências
+ */
+function startSeries(recurrence, dueDate) {
+    if (dueDate) {
+        if (recurrence.until && dueDate > recurrence.until) return null;
+        return { recurrence: { ...recurrence, start: dueDate }, dueDate };
+    }
+    
+    const today = toDateKey(new Date());
+    const yesterday = fromDayNumber(toDayNumber(today) - 1);
+    const first = nextOccurrence({ ...recurrence, start: today }, yesterday, { notBefore: today, occurrence: 0 });
+    
+    return first ? { recurrence: { ...recurrence, start: first.date }, dueDate: first.date } : null;
+}
+
+module.exports = {
+    WEEKDAY_CODES,
+    parseRecurrence,
+    parseRRule,
+    toRRule,
+    matches,
+    nextOccurrence,
+    startSeries
+};
@@ -0,0 +1,240 @@
+/**
+ * Busca textual nas tarefas
+ * A comparação ignora maiúsculas e acentos ("reuniao" encontra "Reunião").
+ * Sintaxe da consulta:
+ *   palavra        - palavra inteira
+ *   pal*           - prefixo (palavras que começam com "pal")
+ *   "duas palavras" - frase (palavras consecutivas, nesta ordem)
+ * Todos os itens da consulta precisam aparecer em algum campo da tarefa.
+ */
+
+/**
+ * Quantidade máxima de itens considerados em uma consulta
+ */
+const MAX_QUERY_ITEMS = 10;
+
+/**
+ * Caracteres de contexto exibidos ao redor do primeiro trecho encontrado
+ */
+const SNIPPET_CONTEXT = 60;
+
+/**
+ * Ocorrências de um mesmo item contadas por campo (evita que repetições dominem a pontuação)
+ */
+const MAX_MATCHES_PER_FIELD = 3;
+
+// =============================================================================
+// NORMALIZAÇÃO
+// =============================================================================
+
+/**
+ * Normaliza um texto para comparação (minúsculas, sem acentos)
+ * Devolve também, para cada caractere normalizado, a posição correspondente
+ * no texto original, usada para destacar os trechos encontrados
+ * @param {string} text - Texto original
+ * @returns {Object} - { text, positions }
+ */
+function normalize(text) {
+    let normalized = '';
+    const positions = [];
+    let index = 0;
+    
+    for (const char of String(text || '')) {
+        const plain = char.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+        
+        for (let i = 0; i < plain.length; i++) {
+            positions.push(index);
+        }
+        normalized += plain;
+        index += char.length;
+    }
+    positions.push(index);
+    
+    return { text: normalized, positions };
+}
+
+/**
+ * Separa as palavras (sequências de letras e dígitos) de um texto normalizado
+ * @param {string} text - Texto normalizado
+ * @returns {Array} - Lista de { word, start, end }
+ */
+function tokenize(text) {
+    const words = [];
+    const pattern = /[\p{L}\p{N}]+/gu;
+    let match;
+    
+    while ((match = pattern.exec(text)) !== null) {
+        words.push({ word: match[0], start: match.index, end: match.index + match[0].length });
+    }
+    
+    return words;
+}
+
+// =============================================================================
+// CONSULTA
+// =============================================================================
+
+/**
+ * Interpreta o texto da consulta
+ * Cada item é uma sequência de palavras; prefix indica que a última pode ser só o início
+ * (uma palavra solta é uma sequência de tamanho 1)
+ * @param {string} query - Consulta digitada
+ * @returns {Array} - Itens { words, prefix, phrase }
+ */
+function parseQuery(query) {
+    const items = [];
+    const pattern = /"([^"]*)"?|(\S+)/g;
+    let match;
+    
+    while ((match = pattern.exec(String(query || ''))) !== null && items.length < MAX_QUERY_ITEMS) {
+        const phrase = match[1] !== undefined;
+        const raw = phrase ? match[1] : match[2];
+        const prefix = !phrase && raw.endsWith('*');
+        const words = tokenize(normalize(raw).text).map(token => token.word);
+        
+        if (words.length > 0) {
+            items.push({ words, prefix, phrase: words.length > 1 });
+        }
+    }
+    
+    return items;
+}
+
+/**
+ * Procura as ocorrências de um item da consulta nas palavras de um campo
+ * @param {Object} item - Item da consulta
+ * @param {Array} tokens - Palavras do campo (tokenize)
+ * @returns {Array} - Ocorrências { start, end, exact } no texto normalizado
+ *                    (exact = false quando a última palavra casou só pelo prefixo)
+ */
+function findItem(item, tokens) {
+    const matches = [];
+    const last = item.words.length - 1;
+    
+    for (let i = 0; i + last < tokens.length; i++) {
+        const found = item.words.every((word, offset) => {
+            const token = tokens[i + offset].word;
+            return offset === last && item.prefix ? token.startsWith(word) : token === word;
+        });
+        
+        if (found) {
+            matches.push({
+                start: tokens[i].start,
+                end: tokens[i + last].end,
+                exact: tokens[i + last].word === item.words[last]
+            });
+        }
+    }
+    
+    return matches;
+}
+
+// =============================================================================
+// PONTUAÇÃO E DESTAQUES
+// =============================================================================
+
+/**
+ * Recorta o trecho de um campo ao redor do primeiro resultado
+ * Os intervalos destacados são relativos ao trecho devolvido
+ * @param {string} text - Texto original do campo
+ * @param {Array} ranges - Intervalos [início, fim] no texto original, em ordem
+ * @param {boolean} whole - Devolver o texto inteiro (campos curtos, como o título)
+ * @returns {Object} - { text, ranges }
+ */
+function buildSnippet(text, ranges, whole) {
+    if (whole || text.length <= SNIPPET_CONTEXT * 2) {
+        return { text, ranges };
+    }
+    
+    let start = Math.max(0, ranges[0][0] - SNIPPET_CONTEXT);
+    let end = Math.min(text.length, ranges[0][1] + SNIPPET_CONTEXT);
+    
+    // Não cortar palavras ao meio
+    while (start > 0 && /\S/.test(text[start - 1])) start--;
+    while (end < text.length && /\S/.test(text[end])) end++;
+    
+    const prefix = start > 0 ? '…' : '';
+    const suffix = end < text.length ? '…' : '';
+    const shift = prefix.length - start;
+    
+    return {
+        text: `${prefix}${text.slice(start, end)}${suffix}`,
+        ranges: ranges
+            .filter(([from, to]) => from >= start && to <= end)
+            .map(([from, to]) => [from + shift, to + shift])
+    };
+}
+
+/**
+ * Une intervalos sobrepostos ou encostados
+ * @param {Array} ranges - Intervalos [início, fim]
+ * @returns {Array} - Intervalos ordenados e sem sobreposição
+ */
+function mergeRanges(ranges) {
+    return ranges
+        .sort((a, b) => a[0] - b[0])
+        .reduce((merged, range) => {
+            const previous = merged[merged.length - 1];
+            if (previous && range[0] <= previous[1]) {
+                previous[1] = Math.max(previous[1], range[1]);
+            } else {
+                merged.push([...range]);
+            }
+            return merged;
+        }, []);
+}
+
+/**
+ * Compara a consulta com os campos de um documento
+ * A pontuação soma, para cada item, o peso dos campos em que aparece multiplicado
+ * pelo número de ocorrências (frases valem o dobro; palavras inteiras valem mais
+ * que prefixos)
+ * @param {Array} items - Itens da consulta (parseQuery)
+ * @param {Array} fields - Campos { name, text, weight, whole }
+ * @returns {Object|null} - { score, highlights: [{ field, text, ranges }] } ou null se não corresponder
+ */
+function matchDocument(items, fields) {
+    const prepared = fields
+        .filter(field => field.text)
+        .map(field => {
+            const normalized = normalize(field.text);
+            return { ...field, normalized, tokens: tokenize(normalized.text), ranges: [] };
+        });
+    
+    let score = 0;
+    
+    for (const item of items) {
+        let itemScore = 0;
+        
+        prepared.forEach(field => {
+            const matches = findItem(item, field.tokens);
+            if (matches.length === 0) return;
+            
+            matches.slice(0, MAX_MATCHES_PER_FIELD).forEach(match => {
+                itemScore += field.weight * (match.exact ? 1 : 0.5) * (item.phrase ? 2 : 1);
+            });
+            matches.forEach(match => {
+                field.ranges.push([field.normalized.positions[match.start], field.normalized.positions[match.end]]);
+            });
+        });
+        
+        // Todos os itens precisam ser encontrados
+        if (itemScore === 0) {
+            return null;
+        }
+        score += itemScore;
+    }
+    
+    const highlights = prepared
+        .filter(field => field.ranges.length > 0)
+        .map(field => ({ field: field.name, ...buildSnippet(field.text, mergeRanges(field.ranges), field.whole) }));
+    
+    return { score, highlights };
+}
+
+module.exports = {
+    normalize,
+    tokenize,
+    parseQuery,
+    matchDocument
+};
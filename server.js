@@ -6,45 +6,165 @@
 const express = require('express');
 const session = require('express-session');
 const path = require('path');
+const QRCode = require('qrcode');
 const Database = require('./database');
-const { config, sanitizeInput, validateEmail, isLoggedIn, requireAuth, formatDate } = require('./config');
+const { FileSessionStore } = require('./storage');
+const mailer = require('./mailer');
+const dates = require('./dates');
+const recurrence = require('./recurrence');
+const listing = require('./listing');
+const {
+    config, sanitizeInput, validateEmail, isLoggedIn, getBearerToken, getUserId, wantsJson,
+    requireAuth, requireSession, requireRole, requireVerifiedEmail, getCsrfToken, verifyCsrf, formatDate
+} = require('./config');
 
 const app = express();
 
 // Inicialização da aplicação
 Database.init();
 
+// Promover o administrador inicial informado em ADMIN_USER
+if (config.ADMIN_USER) {
+    const bootstrap = Database.bootstrapAdmin(config.ADMIN_USER);
+    
+    if (!bootstrap.success) {
+        console.warn(`ADMIN_USER ignorado: ${bootstrap.message}`);
+    } else if (bootstrap.changed) {
+        console.log(`Usuário ${bootstrap.user.username} promovido a administrador (ADMIN_USER)`);
+    }
+}
+
+/**
+ * Intervalo da limpeza automática da lixeira e do histórico de atividades (ms)
+ */
+const PURGE_INTERVAL = 60 * 60 * 1000;
+
+/**
+ * Remove definitivamente as tarefas que passaram do prazo da lixeira
+ * e os eventos do histórico que passaram do prazo de retenção
+ */
+function purgeExpiredRecords() {
+    const trash = Database.purgeExpiredTrash();
+    
+    if (!trash.success) {
+        console.error('Falha na limpeza da lixeira:', trash.message);
+    } else if (trash.purged > 0) {
+        console.log(`Lixeira: ${trash.purged} tarefa(s) removida(s) definitivamente`);
+    }
+    
+    const activity = Database.purgeExpiredActivity();
+    
+    if (!activity.success) {
+        console.error('Falha na limpeza do histórico de atividades:', activity.message);
+    } else if (activity.purged > 0) {
+        console.log(`Histórico: ${activity.purged} evento(s) antigo(s) removido(s)`);
+    }
+}
+
+purgeExpiredRecords();
+setInterval(purgeExpiredRecords, PURGE_INTERVAL).unref();
+
+// Confiar no proxy reverso para obter o IP real do cliente (req.ip)
+app.set('trust proxy', config.TRUST_PROXY);
+
 // Configuração de middleware
 app.use(express.urlencoded({ extended: true })); // Parse de dados de formulário
 app.use(express.json()); // Parse de dados JSON
 app.use(express.static(path.join(__dirname, 'public'))); // Servir arquivos estáticos
 
+/**
+ * Autenticação por token de API (Authorization: Bearer)
+ * Requisições com token não usam sessão nem cookies; um token inválido é rejeitado com 401
+ */
+app.use((req, res, next) => {
+    const token = getBearerToken(req);
+    
+    if (!token) {
+        return next();
+    }
+    
+    const result = Database.authenticateApiToken(token);
+    
+    if (!result.success) {
+        res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+        return res.status(401).json({ success: false, code: 'INVALID_TOKEN', message: result.message });
+    }
+    
+    req.apiToken = result.token;
+    next();
+});
+
+/**
+ * Login, cadastro e recuperação de conta dependem da sessão do navegador:
+ * requisições com token de API (que não têm sessão) são recusadas
+ */
+app.use('/auth', (req, res, next) => {
+    if (req.apiToken) {
+        return res.status(400).json({
+            success: false,
+            code: 'SESSION_REQUIRED',
+            message: 'As rotas de autenticação não aceitam tokens de API.'
+        });
+    }
+    next();
+});
+
+// Sessões persistidas em arquivos (sobrevivem a reinícios do servidor)
+const sessionStore = new FileSessionStore({ dir: config.SESSIONS_DIR });
+
 // Configuração de sessões
-app.use(session({
+const sessionMiddleware = session({
     secret: config.SESSION_SECRET,
-    resave: true, // Força resalvar sessão mesmo se não modificada
-    saveUninitialized: true, // Salva sessões não inicializadas  
+    store: sessionStore,
+    resave: false, // O store renova a expiração via touch(), sem regravar a cada requisição
+    saveUninitialized: false, // Só grava sessões com dados (ex.: token CSRF ou login)
     cookie: { 
         secure: false, // HTTPS apenas em produção
         httpOnly: true, // Previne acesso via JavaScript (segurança XSS)
         maxAge: 24 * 60 * 60 * 1000 // 24 horas de validade
     }
-}));
+});
+
+// Sessões apenas para o navegador: requisições com token de API não criam sessão
+app.use((req, res, next) => req.apiToken ? next() : sessionMiddleware(req, res, next));
+
+// Proteção CSRF para todas as requisições que alteram estado
+app.use(verifyCsrf);
 
 // Configuração do template engine
 app.set('view engine', 'html');
 app.set('views', path.join(__dirname, 'views'));
 
+/**
+ * Intervalo mínimo entre atualizações do último acesso de uma sessão (ms)
+ */
+const SESSION_ACTIVITY_INTERVAL = 60 * 1000;
+
 /**
  * Middleware global para disponibilizar dados do usuário
  * Injeta informações de autenticação em todas as views
+ * A consulta usa o cache indexado do Database, sem reler users.json
  */
 app.use((req, res, next) => {
     res.locals.user = null;
     res.locals.isLoggedIn = false;
     
-    if (isLoggedIn(req)) {
-        res.locals.user = Database.getUserById(req.session.userId);
+    // Sessões anteriores a uma redefinição de senha (ou de usuário removido) são revogadas
+    if (isLoggedIn(req) && Database.getSessionEpoch(req.session.userId) !== (req.session.sessionEpoch || 0)) {
+        delete req.session.userId;
+        delete req.session.username;
+        delete req.session.sessionEpoch;
+    }
+    
+    // Registrar atividade da sessão para a lista de sessões ativas (no máximo uma vez por minuto)
+    if (isLoggedIn(req) && req.session.client &&
+        Date.now() - new Date(req.session.client.lastSeenAt) > SESSION_ACTIVITY_INTERVAL) {
+        req.session.client = { ...req.session.client, ip: req.ip, lastSeenAt: new Date().toISOString() };
+    }
+    
+    const userId = getUserId(req);
+    if (userId) {
+        res.locals.user = Database.getUserById(userId);
         res.locals.isLoggedIn = true;
     }
     
@@ -70,6 +190,35 @@ app.get('/', (req, res) => {
 // ROTAS DE AUTENTICAÇÃO
 // =============================================================================
 
+/**
+ * Responde a uma tentativa de login bloqueada
+ * Contas bloqueadas recebem 423; atrasos por excesso de tentativas recebem 429
+ * @param {Object} res - Objeto de resposta Express
+ * @param {Object} block - Bloqueio retornado por Database.getLoginBlock/registerLoginFailure
+ * @param {string} scope - 'ip' ou 'account'
+ */
+function sendLoginBlocked(res, block, scope) {
+    const retryAfter = Math.max(1, Math.ceil((new Date(block.blockedUntil) - Date.now()) / 1000));
+    res.set('Retry-After', String(retryAfter));
+    
+    if (scope === 'account' && block.locked) {
+        const minutes = Math.ceil(retryAfter / 60);
+        return res.status(423).json({
+            success: false,
+            code: 'ACCOUNT_LOCKED',
+            message: `Conta temporariamente bloqueada por excesso de tentativas. Tente novamente em ${minutes} minuto(s).`,
+            retryAfter
+        });
+    }
+    
+    res.status(429).json({
+        success: false,
+        code: 'TOO_MANY_ATTEMPTS',
+        message: `Muitas tentativas de login. Aguarde ${retryAfter} segundo(s) e tente novamente.`,
+        retryAfter
+    });
+}
+
 /**
  * Página de login e cadastro
  * Redireciona usuários já autenticados para o dashboard
@@ -84,23 +233,104 @@ app.get('/auth', (req, res) => {
 });
 
 /**
- * Processamento de login
- * Autentica usuário e cria sessão
+ * Gera token de confirmação e envia o link para o email do usuário
+ * Falhas de envio são apenas registradas: o usuário pode pedir reenvio
+ * @param {Object} user - Usuário (id, username, email)
  */
-app.post('/auth/login', (req, res) => {
-    const { username, password } = req.body;
+function sendVerificationEmail(user) {
+    const verification = Database.createEmailVerification(user.id);
     
-    // Validação básica dos campos
-    if (!username || !password) {
-        return res.json({ success: false, message: 'Por favor, preencha todos os campos.' });
+    if (!verification.success) {
+        return;
     }
     
-    const result = Database.authenticateUser(sanitizeInput(username), password);
+    const link = `${config.APP_URL}/auth/verify-email?token=${verification.token}`;
     
-    if (result.success) {
+    mailer.sendMail({
+        to: user.email,
+        subject: `${config.APP_NAME} - Confirme seu email`,
+        text: [
+            `Olá, ${user.username}!`,
+            '',
+            'Para confirmar o email da sua conta, acesse:',
+            link,
+            '',
+            `O link expira em ${config.EMAIL_VERIFICATION_TTL_HOURS} horas.`,
+            'Se você não criou esta conta, ignore este email.'
+        ].join('\n')
+    }).catch(error => console.error('Erro ao enviar email de confirmação:', error));
+}
+
+/**
+ * Gera token de redefinição e envia o link para o email do usuário
+ * @param {Object} user - Usuário (id, username, email)
+ * @param {Array<string>} intro - Parágrafo(s) antes do link
+ * @param {string} closing - Última linha do email
+ */
+function sendPasswordResetEmail(user, intro, closing) {
+    const reset = Database.createPasswordReset(user.id);
+    
+    if (!reset.success) {
+        return;
+    }
+    
+    const link = `${config.APP_URL}/auth/reset-password?token=${reset.token}`;
+    
+    mailer.sendMail({
+        to: user.email,
+        subject: `${config.APP_NAME} - Redefinição de senha`,
+        text: [
+            `Olá, ${user.username}!`,
+            '',
+            ...intro,
+            link,
+            '',
+            `O link expira em ${config.PASSWORD_RESET_TTL_MINUTES} minutos e só pode ser usado uma vez.`,
+            closing
+        ].join('\n')
+    }).catch(error => console.error('Erro ao enviar email de redefinição:', error));
+}
+
+/**
+ * Token CSRF da sessão atual
+ * Usado pelos scripts do frontend em toda requisição que altera estado
+ */
+app.get('/auth/csrf-token', (req, res) => {
+    res.json({ csrfToken: getCsrfToken(req) });
+});
+
+/**
+ * Cria a sessão do usuário autenticado e responde ao login
+ * @param {Object} req - Objeto de requisição Express
+ * @param {Object} res - Objeto de resposta Express
+ * @param {Object} user - Usuário autenticado (id, username)
+ * @param {Object} [extra] - Campos adicionais da resposta
+ */
+function completeLogin(req, res, user, extra = {}) {
+    // Nova sessão (novo ID) a cada login, evitando fixação de sessão: a anterior
+    // é removida do armazenamento e apenas o token CSRF é mantido
+    const csrfToken = req.session.csrfToken;
+    
+    req.session.regenerate((regenerateErr) => {
+        if (regenerateErr) {
+            console.error('Erro ao renovar sessão:', regenerateErr);
+            return res.json({ success: false, message: 'Erro ao salvar sessão' });
+        }
+        
         // Criar sessão do usuário
-        req.session.userId = result.user.id;
-        req.session.username = result.user.username;
+        req.session.csrfToken = csrfToken;
+        req.session.userId = user.id;
+        req.session.username = user.username;
+        req.session.sessionEpoch = Database.getSessionEpoch(user.id);
+        
+        // Dados exibidos na lista de sessões ativas
+        const now = new Date().toISOString();
+        req.session.client = {
+            userAgent: String(req.get('User-Agent') || '').slice(0, 300),
+            ip: req.ip,
+            createdAt: now,
+            lastSeenAt: now
+        };
         
         // Salvar sessão explicitamente para garantir persistência
         req.session.save((err) => {
@@ -109,13 +339,169 @@ app.post('/auth/login', (req, res) => {
                 return res.json({ success: false, message: 'Erro ao salvar sessão' });
             }
             
-            res.json({ success: true, redirect: '/dashboard' });
+            res.json({ success: true, redirect: '/dashboard', ...extra });
         });
+    });
+}
+
+/**
+ * Processamento de login
+ * Autentica usuário e cria sessão; com dois fatores ativos, aguarda o código
+ */
+app.post('/auth/login', (req, res) => {
+    const { username, password } = req.body;
+    
+    // Validação básica dos campos
+    if (!username || !password) {
+        return res.json({ success: false, message: 'Por favor, preencha todos os campos.' });
+    }
+    
+    const login = sanitizeInput(username);
+    const ipKey = `ip:${req.ip}`;
+    const accountKey = Database.getLoginAccountKey(login);
+    
+    // Rejeitar antes de verificar a senha se o IP ou a conta estiverem bloqueados
+    const ipBlock = Database.getLoginBlock(ipKey);
+    if (ipBlock) {
+        console.warn(`Login recusado: IP ${req.ip} bloqueado até ${ipBlock.blockedUntil}`);
+        return sendLoginBlocked(res, ipBlock, 'ip');
+    }
+    
+    const accountBlock = Database.getLoginBlock(accountKey);
+    if (accountBlock) {
+        console.warn(`Login recusado: conta ${accountKey} bloqueada até ${accountBlock.blockedUntil} (IP ${req.ip})`);
+        return sendLoginBlocked(res, accountBlock, 'account');
+    }
+    
+    const result = Database.authenticateUser(login, password);
+    
+    if (result.success) {
+        // Contas desativadas pelo administrador não entram
+        if (result.user.disabled) {
+            return res.status(403).json({
+                success: false,
+                code: 'ACCOUNT_DISABLED',
+                message: 'Esta conta foi desativada. Entre em contato com o administrador.'
+            });
+        }
+        
+        // Redefinição exigida pelo administrador: a senha atual não é mais aceita
+        if (result.user.passwordResetRequired) {
+            return res.status(403).json({
+                success: false,
+                code: 'PASSWORD_RESET_REQUIRED',
+                message: 'É necessário definir uma nova senha. Use o link enviado por email ou a opção "Esqueci a senha".'
+            });
+        }
+        
+        // Política 'block': login só após confirmar o email
+        if (config.EMAIL_VERIFICATION_POLICY === 'block' && !result.user.emailVerified) {
+            return res.status(403).json({
+                success: false,
+                code: 'EMAIL_NOT_VERIFIED',
+                message: 'Confirme seu email antes de entrar. Verifique sua caixa de entrada.'
+            });
+        }
+        
+        // Dois fatores: a sessão só recebe o userId depois do código (POST /auth/login/2fa).
+        // As falhas da conta só são zeradas quando o segundo fator é aceito; zerá-las aqui
+        // permitiria tentar códigos sem limite a quem conhece a senha
+        if (result.user.twoFactorEnabled) {
+            req.session.twoFactor = {
+                userId: result.user.id,
+                accountKey,
+                expiresAt: Date.now() + config.TWO_FACTOR.LOGIN_TTL_MINUTES * 60 * 1000
+            };
+            
+            return req.session.save((err) => {
+                if (err) {
+                    console.error('Erro ao salvar sessão:', err);
+                    return res.json({ success: false, message: 'Erro ao salvar sessão' });
+                }
+                
+                res.json({
+                    success: true,
+                    twoFactorRequired: true,
+                    message: 'Informe o código do aplicativo autenticador.'
+                });
+            });
+        }
+        
+        Database.clearLoginFailures(accountKey);
+        completeLogin(req, res, result.user);
     } else {
+        const ipFailure = Database.registerLoginFailure(ipKey, config.LOGIN_THROTTLE.IP_MAX_ATTEMPTS);
+        const accountFailure = Database.registerLoginFailure(accountKey, config.LOGIN_THROTTLE.ACCOUNT_MAX_ATTEMPTS);
+        
+        if (accountFailure.locked) {
+            console.warn(`Conta ${accountKey} bloqueada até ${accountFailure.blockedUntil} após ${accountFailure.failures} falhas (IP ${req.ip})`);
+            return sendLoginBlocked(res, accountFailure, 'account');
+        }
+        if (ipFailure.locked) {
+            console.warn(`IP ${req.ip} bloqueado até ${ipFailure.blockedUntil} após ${ipFailure.failures} falhas`);
+        }
+        
         res.json({ success: false, message: result.message });
     }
 });
 
+/**
+ * Segunda etapa do login com dois fatores
+ * Aceita o código do aplicativo autenticador ou um código de recuperação.
+ * Falhas contam para o mesmo limite de tentativas do login por senha.
+ */
+app.post('/auth/login/2fa', (req, res) => {
+    const pending = req.session.twoFactor;
+    
+    if (!pending || pending.expiresAt < Date.now()) {
+        delete req.session.twoFactor;
+        return res.json({
+            success: false,
+            code: 'TWO_FACTOR_EXPIRED',
+            message: 'A verificação expirou. Entre novamente com usuário e senha.'
+        });
+    }
+    
+    const ipKey = `ip:${req.ip}`;
+    
+    const ipBlock = Database.getLoginBlock(ipKey);
+    if (ipBlock) {
+        return sendLoginBlocked(res, ipBlock, 'ip');
+    }
+    
+    const accountBlock = Database.getLoginBlock(pending.accountKey);
+    if (accountBlock) {
+        return sendLoginBlocked(res, accountBlock, 'account');
+    }
+    
+    const result = Database.verifyTwoFactor(pending.userId, sanitizeInput(String(req.body.code || '')));
+    
+    if (result.success) {
+        Database.clearLoginFailures(pending.accountKey);
+        
+        const user = Database.getUserById(pending.userId);
+        const extra = {};
+        
+        if (result.method === 'recovery') {
+            console.log(`Código de recuperação usado no login do usuário ${pending.userId} (${result.recoveryCodesRemaining} restantes)`);
+            extra.recoveryCodesRemaining = result.recoveryCodesRemaining;
+        }
+        
+        return completeLogin(req, res, user, extra);
+    }
+    
+    Database.registerLoginFailure(ipKey, config.LOGIN_THROTTLE.IP_MAX_ATTEMPTS);
+    const accountFailure = Database.registerLoginFailure(pending.accountKey, config.LOGIN_THROTTLE.ACCOUNT_MAX_ATTEMPTS);
+    
+    if (accountFailure.locked) {
+        console.warn(`Conta ${pending.accountKey} bloqueada até ${accountFailure.blockedUntil} após falhas no segundo fator (IP ${req.ip})`);
+        delete req.session.twoFactor;
+        return sendLoginBlocked(res, accountFailure, 'account');
+    }
+    
+    res.json({ success: false, message: result.message });
+});
+
 /**
  * Processamento de cadastro
  * Cria novo usuário e redireciona para login
@@ -155,12 +541,112 @@ app.post('/auth/register', (req, res) => {
     );
     
     if (result.success) {
-        res.json({ success: true, message: 'Usuário criado com sucesso! Faça login para continuar.' });
+        sendVerificationEmail(Database.getUserById(result.userId));
+        res.json({ success: true, message: 'Usuário criado com sucesso! Enviamos um link de confirmação para o seu email. Faça login para continuar.' });
+    } else {
+        res.json({ success: false, message: result.message });
+    }
+});
+
+/**
+ * Solicitação de redefinição de senha
+ * Envia link com token de uso único para o email informado
+ * A resposta é a mesma exista ou não a conta, para não revelar emails cadastrados
+ */
+app.post('/auth/forgot-password', (req, res) => {
+    const email = sanitizeInput(req.body.email);
+    
+    if (!email || !validateEmail(email)) {
+        return res.json({ success: false, message: 'Informe um email válido.' });
+    }
+    
+    const user = Database.getUserByEmail(email);
+    
+    if (user) {
+        sendPasswordResetEmail(user, [
+            'Recebemos um pedido para redefinir a sua senha. Para escolher uma nova senha, acesse:'
+        ], 'Se você não fez este pedido, ignore este email: sua senha continua a mesma.');
+    }
+    
+    res.json({
+        success: true,
+        message: 'Se o email estiver cadastrado, você receberá um link para redefinir a senha.'
+    });
+});
+
+/**
+ * Página de redefinição de senha (link enviado por email)
+ * O formulário fica em auth.html e lê o token da query string
+ */
+app.get('/auth/reset-password', (req, res) => {
+    res.sendFile(path.join(__dirname, 'views', 'auth.html'));
+});
+
+/**
+ * Processamento da redefinição de senha
+ * Consome o token, grava a nova senha e revoga as sessões existentes
+ */
+app.post('/auth/reset-password', (req, res) => {
+    const { token, password, confirmPassword } = req.body;
+    
+    if (!token || !password || !confirmPassword) {
+        return res.json({ success: false, message: 'Por favor, preencha todos os campos.' });
+    }
+    
+    if (password.length < 6) {
+        return res.json({ success: false, message: 'A senha deve ter pelo menos 6 caracteres.' });
+    }
+    
+    if (password !== confirmPassword) {
+        return res.json({ success: false, message: 'As senhas não coincidem.' });
+    }
+    
+    const result = Database.resetPassword(String(token), password);
+    
+    if (result.success) {
+        // Nova senha definida: liberar eventual bloqueio por tentativas
+        Database.clearLoginFailures(`user:${result.userId}`);
+        console.log(`Senha redefinida para o usuário ${result.userId}; sessões anteriores revogadas`);
+        res.json({ success: true, message: 'Senha redefinida com sucesso! Faça login com a nova senha.' });
     } else {
         res.json({ success: false, message: result.message });
     }
 });
 
+/**
+ * Confirmação de email (link enviado por email)
+ * Redireciona para o login ou dashboard com o resultado na query string
+ */
+app.get('/auth/verify-email', (req, res) => {
+    const result = Database.verifyEmail(String(req.query.token || ''));
+    const target = isLoggedIn(req) ? '/dashboard' : '/auth';
+    
+    res.redirect(`${target}?verified=${result.success ? '1' : '0'}`);
+});
+
+/**
+ * Reenvio do email de confirmação
+ * Usa o usuário da sessão ou o usuário/email informado; a resposta não revela se a conta existe
+ */
+app.post('/auth/resend-verification', (req, res) => {
+    let user = null;
+    
+    if (isLoggedIn(req)) {
+        user = Database.getUserById(req.session.userId);
+    } else if (req.body.login) {
+        user = Database.getUserByLogin(sanitizeInput(req.body.login));
+    }
+    
+    if (user && !user.emailVerified) {
+        sendVerificationEmail(user);
+    }
+    
+    res.json({
+        success: true,
+        message: 'Se houver uma confirmação pendente, um novo link foi enviado para o seu email.'
+    });
+});
+
 // =============================================================================
 // ROTAS DO DASHBOARD
 // =============================================================================
@@ -173,46 +659,157 @@ app.get('/dashboard', requireAuth, (req, res) => {
     res.sendFile(path.join(__dirname, 'views', 'dashboard.html'));
 });
 
+/**
+ * Projetos do usuário (próprios e compartilhados com ele) com papel, membros e estatísticas
+ * @param {string} userId - ID do usuário
+ * @returns {Array} - Projetos para a API
+ */
+function listProjects(userId) {
+    return [...Database.getProjects(userId), ...Database.getSharedProjects(userId)].map(project => ({
+        ...project,
+        role: Database.getProjectRole(project, userId),
+        members: Database.getProjectMembers(project),
+        stats: Database.getProjectStats(project)
+    }));
+}
+
+/**
+ * Tarefas no escopo do dashboard (próprias e de projetos compartilhados)
+ * Com projeto, somente as tarefas dele; sem projeto, todas exceto as de projetos arquivados
+ * @param {string} userId - ID do usuário
+ * @param {Array} projects - Projetos do usuário (listProjects)
+ * @param {Object|null} project - Projeto selecionado
+ * @returns {Array} - Tarefas visíveis no escopo
+ */
+function getScopedTasks(userId, projects, project) {
+    const archivedIds = new Set(projects.filter(other => other.archivedAt).map(other => other.id));
+    
+    return Database.getVisibleTasks(userId).filter(task => project
+        ? task.projectId === project.id
+        : !archivedIds.has(task.projectId));
+}
+
+/**
+ * Tarefa com o papel do usuário e a quantidade de comentários, para a API
+ * @param {Object} task - Tarefa
+ * @param {string} userId - ID do usuário
+ * @returns {Object} - Tarefa com role e commentCount
+ */
+function publicTask(task, userId) {
+    return {
+        ...task,
+        role: Database.getTaskRole(task, userId),
+        commentCount: Database.countComments(task.id)
+    };
+}
+
 /**
  * API para dados do dashboard
- * Retorna informações do usuário, tarefas e estatísticas
+ * Retorna informações do usuário, estatísticas, tags, projetos e as tarefas
+ * filtradas por filter, tags/tagMatch e sort (ver listing.parseDashboardQuery).
+ * Com summary=1 as tarefas são omitidas: o dashboard as carrega em páginas por GET /api/tasks
  */
 app.get('/api/dashboard-data', requireAuth, (req, res) => {
-    const userId = req.session.userId;
+    const userId = getUserId(req);
     const user = Database.getUserById(userId);
-    const tasks = Database.getTasks(userId);
     const stats = Database.getTaskStats(userId);
+    const projects = listProjects(userId);
+    const project = projects.find(other => other.id === req.query.project) || null;
+    const summary = {
+        user,
+        stats,
+        tags: Database.getTags(userId).map(tag => ({ ...tag, count: stats.byTag[tag.id] || 0 })),
+        projects,
+        project: project ? project.id : null
+    };
     
-    // Aplicar filtros se especificados na query string
-    const filter = req.query.filter || 'all';
-    let filteredTasks = tasks;
-    
-    // Aplicar filtros baseado no parâmetro da query
-    switch (filter) {
-        case 'pending':
-            filteredTasks = tasks.filter(task => !task.completed);
-            break;
-        case 'completed':
-            filteredTasks = tasks.filter(task => task.completed);
-            break;
-        case 'high':
-        case 'medium':
-        case 'low':
-            filteredTasks = tasks.filter(task => task.priority === filter && !task.completed);
-            break;
-        default: // 'all'
-            filteredTasks = tasks;
-    }
-    
-    // Ordenar por data de criação (mais recentes primeiro)
-    filteredTasks.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    if (req.query.summary === '1') {
+        return res.json(summary);
+    }
+    
+    const query = listing.parseDashboardQuery(req.query, userId);
+    const tasks = listing.sortTasks(listing.filterTasks(getScopedTasks(userId, projects, project), query.filters), query.sort);
     
     res.json({
-        user,
-        tasks: filteredTasks,
-        allTasks: tasks,
-        stats,
-        filter
+        ...summary,
+        tasks: tasks.map(task => publicTask(task, userId)),
+        allTasks: Database.getVisibleTasks(userId).map(task => publicTask(task, userId)),
+        filter: query.filter,
+        sort: query.sortKey,
+        tagFilter: { tags: query.tagIds, match: query.tagMatch }
+    });
+});
+
+/**
+ * Listar tarefas com filtros combinados, ordenação e paginação por cursor
+ * Parâmetros em listing.parseListQuery; project restringe a um projeto (como no dashboard).
+ * A resposta traz o total filtrado, as contagens do escopo para os botões de filtro
+ * e nextCursor para a página seguinte (null na última)
+ */
+app.get('/api/tasks', requireAuth, (req, res) => {
+    const userId = getUserId(req);
+    const query = listing.parseListQuery(req.query, userId);
+    if (!query.success) {
+        return res.json(query);
+    }
+    
+    const projects = listProjects(userId);
+    const project = projects.find(other => other.id === req.query.project) || null;
+    const scopedTasks = getScopedTasks(userId, projects, project);
+    const now = new Date();
+    
+    const tasks = listing.sortTasks(listing.filterTasks(scopedTasks, query.filters, now), query.sort);
+    const page = listing.paginate(tasks, query.sort, query.cursor, query.limit);
+    if (!page.success) {
+        return res.json(page);
+    }
+    
+    res.json({
+        success: true,
+        tasks: page.tasks.map(task => publicTask(task, userId)),
+        total: tasks.length,
+        counts: listing.countTasks(scopedTasks, userId, now),
+        sort: listing.formatSort(query.sort),
+        nextCursor: page.nextCursor
+    });
+});
+
+// =============================================================================
+// ROTA DE BUSCA
+// =============================================================================
+
+/**
+ * Tamanho máximo da consulta e quantidade máxima de resultados por busca
+ */
+const SEARCH_QUERY_MAX_LENGTH = 200;
+const SEARCH_MAX_RESULTS = 100;
+
+/**
+ * Busca textual nas tarefas visíveis (ver search.js para a sintaxe)
+ * Parâmetros: q (consulta), project (restringe a um projeto; sem ele, ignora
+ * os projetos arquivados, como o dashboard) e limit (padrão 50)
+ */
+app.get('/api/search', requireAuth, (req, res) => {
+    const userId = getUserId(req);
+    const query = String(req.query.q || '').trim();
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, SEARCH_MAX_RESULTS);
+    
+    if (!query) {
+        return res.json({ success: false, message: 'Digite o que deseja buscar.' });
+    }
+    if (query.length > SEARCH_QUERY_MAX_LENGTH) {
+        return res.json({ success: false, message: `A busca pode ter no máximo ${SEARCH_QUERY_MAX_LENGTH} caracteres.` });
+    }
+    
+    const projects = listProjects(userId);
+    const project = projects.find(other => other.id === req.query.project) || null;
+    const results = Database.searchTasks(getScopedTasks(userId, projects, project), query);
+    
+    res.json({
+        success: true,
+        query,
+        total: results.length,
+        results: results.slice(0, limit).map(result => ({ ...result, task: publicTask(result.task, userId) }))
     });
 });
 
@@ -222,22 +819,55 @@ app.get('/api/dashboard-data', requireAuth, (req, res) => {
 
 /**
  * Criar nova tarefa
- * Requer título, descrição e prioridade opcionais
+ * Requer título; descrição, prioridade, vencimento (data e horário), repetição, tags,
+ * projeto e responsável são opcionais (sem projeto, a tarefa vai para o Inbox)
  */
-app.post('/api/tasks', requireAuth, (req, res) => {
-    const { title, description, priority } = req.body;
-    const userId = req.session.userId;
+app.post('/api/tasks', requireAuth, requireVerifiedEmail, (req, res) => {
+    const { title, description, priority, dueDate, dueTime } = req.body;
+    const userId = getUserId(req);
     // Validação do campo obrigatório
     if (!title) {
         return res.json({ success: false, message: 'O título da tarefa é obrigatório.' });
     }
     
+    const due = dates.normalizeDue(dueDate, dueTime);
+    if (!due.success) {
+        return res.json({ success: false, message: due.message });
+    }
+    
+    const rule = recurrence.parseRecurrence(req.body.recurrence);
+    if (!rule.success) {
+        return res.json({ success: false, message: rule.message });
+    }
+    
+    const project = Database.resolveProjectId(userId, req.body.projectId);
+    if (!project.success) {
+        return res.json({ success: false, message: project.message });
+    }
+    
+    // As tags são do dono do projeto, a quem a tarefa pertence
+    const tags = Database.resolveTaskTags(userId, project.ownerId, req.body.tags || []);
+    if (!tags.success) {
+        return res.json({ success: false, message: tags.message });
+    }
+    
+    const assignee = Database.resolveAssigneeId(project.projectId, req.body.assigneeId);
+    if (!assignee.success) {
+        return res.json({ success: false, message: assignee.message });
+    }
+    
     // Criar tarefa com dados sanitizados
     const result = Database.createTask(
         userId,
         sanitizeInput(title),
         sanitizeInput(description || ''),
-        sanitizeInput(priority || 'medium')
+        sanitizeInput(priority || 'medium'),
+        due.dueDate,
+        due.dueTime,
+        rule.recurrence,
+        tags.tagIds,
+        project.projectId,
+        assignee.assigneeId
     );
     
     if (result.success) {
@@ -248,12 +878,13 @@ app.post('/api/tasks', requireAuth, (req, res) => {
 });
 
 /**
- * Atualizar tarefa existente
- * Permite modificar título, descrição e prioridade
+ * Atualizar tarefa existente (dono ou editor do projeto)
+ * Permite modificar título, descrição, prioridade, vencimento, repetição, tags, projeto,
+ * responsável e a conclusão automática pela checklist (os seis últimos só quando enviados)
  */
-app.put('/api/tasks/:id', requireAuth, (req, res) => {
+app.put('/api/tasks/:id', requireAuth, requireVerifiedEmail, (req, res) => {
     const taskId = req.params.id;
-    const userId = req.session.userId;
+    const userId = getUserId(req);
     const { title, description, priority } = req.body;
     
     // Sanitizar dados de entrada
@@ -263,50 +894,1290 @@ app.put('/api/tasks/:id', requireAuth, (req, res) => {
         priority: sanitizeInput(priority)
     };
     
-    const result = Database.updateTask(taskId, userId, data);
+    if ('dueDate' in req.body) {
+        const due = dates.normalizeDue(req.body.dueDate, req.body.dueTime);
+        if (!due.success) {
+            return res.json({ success: false, message: due.message });
+        }
+        data.dueDate = due.dueDate;
+        data.dueTime = due.dueTime;
+    }
     
-    if (result.success) {
-        res.json({ success: true, message: 'Tarefa atualizada com sucesso!' });
+    if ('checklistAutoComplete' in req.body) {
+        data.checklistAutoComplete = Boolean(req.body.checklistAutoComplete);
+    }
+    
+    // Validadas contra as tags do dono da tarefa (ver Database.updateTask)
+    if ('tags' in req.body) {
+        data.tags = req.body.tags || [];
+    }
+    
+    if ('projectId' in req.body) {
+        const project = Database.resolveProjectId(userId, req.body.projectId);
+        if (!project.success) {
+            return res.json({ success: false, message: project.message });
+        }
+        data.projectId = project.projectId;
+    }
+    
+    // O responsável é validado contra os membros do projeto (o de destino, se mudar)
+    if ('assigneeId' in req.body) {
+        data.assigneeId = req.body.assigneeId ? String(req.body.assigneeId) : null;
+    }
+    
+    // Editar a série: a nova regra vale a partir desta ocorrência
+    if ('recurrence' in req.body) {
+        const rule = recurrence.parseRecurrence(req.body.recurrence);
+        if (!rule.success) {
+            return res.json({ success: false, message: rule.message });
+        }
+        data.recurrence = rule.recurrence;
+    }
+    
+    const result = Database.updateTask(taskId, userId, data);
+    
+    if (result.success) {
+        res.json({ success: true, message: 'Tarefa atualizada com sucesso!' });
+    } else {
+        res.json({ success: false, message: result.message });
+    }
+});
+
+/**
+ * Excluir tarefa
+ * Move a tarefa para a lixeira (pode ser restaurada)
+ */
+app.delete('/api/tasks/:id', requireAuth, requireVerifiedEmail, (req, res) => {
+    const taskId = req.params.id;
+    const userId = getUserId(req);
+    
+    const result = Database.deleteTask(taskId, userId);
+    
+    if (result.success) {
+        res.json({ success: true, message: 'Tarefa movida para a lixeira.' });
+    } else {
+        res.json({ success: false, message: result.message });
+    }
+});
+
+/**
+ * Alternar status de conclusão da tarefa
+ * Marca como concluída ou pendente
+ */
+app.patch('/api/tasks/:id/toggle', requireAuth, requireVerifiedEmail, (req, res) => {
+    const taskId = req.params.id;
+    const userId = getUserId(req);
+    
+    const result = Database.toggleTaskCompletion(taskId, userId);
+    
+    if (result.success) {
+        let message = result.completed ? 'Tarefa marcada como concluída!' : 'Tarefa marcada como pendente!';
+        if (result.nextDueDate) {
+            message += ` Próxima ocorrência em ${formatDueDate(result.nextDueDate)}.`;
+        } else if (result.seriesEnded) {
+            message += ' Esta era a última ocorrência da série.';
+        }
+        
+        res.json({
+            success: true,
+            message,
+            completed: result.completed,
+            nextTaskId: result.nextTaskId || null,
+            nextDueDate: result.nextDueDate || null
+        });
+    } else {
+        res.json({ success: false, message: result.message });
+    }
+});
+
+/**
+ * Mover tarefa para outro projeto (sem projeto, volta para o Inbox)
+ */
+app.patch('/api/tasks/:id/move', requireAuth, requireVerifiedEmail, (req, res) => {
+    const userId = getUserId(req);
+    const project = Database.resolveProjectId(userId, req.body.projectId);
+    if (!project.success) {
+        return res.json({ success: false, message: project.message });
+    }
+    
+    const result = Database.updateTask(req.params.id, userId, { projectId: project.projectId });
+    
+    if (result.success) {
+        res.json({ success: true, message: 'Tarefa movida com sucesso!' });
+    } else {
+        res.json({ success: false, message: result.message });
+    }
+});
+
+/**
+ * Atribuir tarefa a um membro do projeto (sem responsável, remove a atribuição)
+ */
+app.patch('/api/tasks/:id/assign', requireAuth, requireVerifiedEmail, (req, res) => {
+    const assigneeId = req.body.assigneeId ? String(req.body.assigneeId) : null;
+    const result = Database.updateTask(req.params.id, getUserId(req), { assigneeId });
+    
+    if (result.success) {
+        res.json({ success: true, message: assigneeId ? 'Tarefa atribuída com sucesso!' : 'Atribuição removida.' });
+    } else {
+        res.json({ success: false, message: result.message });
+    }
+});
+
+// =============================================================================
+// ROTAS DE TAREFAS REPETIDAS
+// =============================================================================
+
+/**
+ * Formata uma data AAAA-MM-DD no padrão brasileiro (DD/MM/AAAA)
+ * @param {string} dueDate - Data de vencimento
+ * @returns {string} - Data formatada
+ */
+function formatDueDate(dueDate) {
+    return dueDate.split('-').reverse().join('/');
+}
+
+/**
+ * Pular a ocorrência atual de uma tarefa repetida
+ * A tarefa passa para a próxima data da série
+ */
+app.post('/api/tasks/:id/skip', requireAuth, requireVerifiedEmail, (req, res) => {
+    const result = Database.skipOccurrence(req.params.id, getUserId(req));
+    
+    if (result.success) {
+        res.json({ success: true, message: `Ocorrência pulada. Próxima em ${formatDueDate(result.dueDate)}.`, dueDate: result.dueDate });
+    } else {
+        res.json({ success: false, message: result.message });
+    }
+});
+
+/**
+ * Encerrar a repetição
+ * A ocorrência atual vira uma tarefa comum; o histórico da série é mantido
+ */
+app.delete('/api/tasks/:id/recurrence', requireAuth, requireVerifiedEmail, (req, res) => {
+    const result = Database.updateTask(req.params.id, getUserId(req), { recurrence: null });
+    
+    if (result.success) {
+        res.json({ success: true, message: 'Repetição encerrada.' });
+    } else {
+        res.json({ success: false, message: result.message });
+    }
+});
+
+/**
+ * Histórico de conclusões da série de uma tarefa
+ */
+app.get('/api/tasks/:id/history', requireAuth, (req, res) => {
+    const history = Database.getSeriesHistory(req.params.id, getUserId(req));
+    
+    if (!history) {
+        return res.json({ success: false, message: 'Tarefa não encontrada' });
+    }
+    
+    res.json({
+        success: true,
+        history: history.map(task => ({
+            id: task.id,
+            title: task.title,
+            dueDate: task.dueDate,
+            occurrence: task.occurrence,
+            completedAt: task.completedAt
+        }))
+    });
+});
+
+// =============================================================================
+// ROTAS DE CHECKLISTS
+// =============================================================================
+
+/**
+ * Tamanho máximo do texto de um item da checklist
+ */
+const CHECKLIST_ITEM_MAX_LENGTH = 200;
+
+/**
+ * Responde uma operação na checklist com os itens atualizados
+ * Informa quando a conclusão automática concluiu ou reabriu a tarefa
+ * @param {Object} res - Resposta do Express
+ * @param {Object} result - Resultado de Database (mutateChecklist)
+ * @param {string} message - Mensagem de sucesso da operação
+ */
+function sendChecklistResult(res, result, message) {
+    if (!result.success) {
+        return res.json({ success: false, message: result.message });
+    }
+    
+    if (result.autoCompleted === true) {
+        message = 'Todos os itens concluídos: tarefa concluída!';
+        if (result.nextDueDate) {
+            message += ` Próxima ocorrência em ${formatDueDate(result.nextDueDate)}.`;
+        }
+    } else if (result.autoCompleted === false) {
+        message = 'Item desmarcado: tarefa reaberta.';
+    }
+    
+    res.json({
+        success: true,
+        message,
+        itemId: result.itemId,
+        checklist: result.checklist,
+        taskCompleted: result.taskCompleted
+    });
+}
+
+/**
+ * Adicionar item ao final da checklist
+ */
+app.post('/api/tasks/:id/checklist', requireAuth, requireVerifiedEmail, (req, res) => {
+    const text = sanitizeInput(String(req.body.text || ''));
+    
+    if (!text) {
+        return res.json({ success: false, message: 'O texto do item é obrigatório.' });
+    }
+    if (text.length > CHECKLIST_ITEM_MAX_LENGTH) {
+        return res.json({ success: false, message: `O item pode ter no máximo ${CHECKLIST_ITEM_MAX_LENGTH} caracteres.` });
+    }
+    
+    const result = Database.addChecklistItem(req.params.id, getUserId(req), text);
+    sendChecklistResult(res, result, 'Item adicionado.');
+});
+
+/**
+ * Reordenar a checklist
+ * Recebe todos os IDs dos itens na nova ordem
+ */
+app.put('/api/tasks/:id/checklist/order', requireAuth, requireVerifiedEmail, (req, res) => {
+    const result = Database.reorderChecklist(req.params.id, getUserId(req), req.body.itemIds);
+    sendChecklistResult(res, result, 'Checklist reordenada.');
+});
+
+/**
+ * Marcar ou desmarcar item da checklist
+ */
+app.patch('/api/tasks/:id/checklist/:itemId/toggle', requireAuth, requireVerifiedEmail, (req, res) => {
+    const result = Database.toggleChecklistItem(req.params.id, getUserId(req), req.params.itemId);
+    sendChecklistResult(res, result, result.completed ? 'Item concluído.' : 'Item desmarcado.');
+});
+
+/**
+ * Remover item da checklist
+ */
+app.delete('/api/tasks/:id/checklist/:itemId', requireAuth, requireVerifiedEmail, (req, res) => {
+    const result = Database.removeChecklistItem(req.params.id, getUserId(req), req.params.itemId);
+    sendChecklistResult(res, result, 'Item removido.');
+});
+
+// =============================================================================
+// ROTAS DE TAGS
+// =============================================================================
+
+/**
+ * Tamanho máximo do nome de uma tag
+ */
+const TAG_NAME_MAX_LENGTH = 30;
+
+/**
+ * Cor usada quando a tag é criada sem cor
+ */
+const TAG_DEFAULT_COLOR = '#667eea';
+
+/**
+ * Valida nome e cor de uma tag recebidos do cliente
+ * @param {Object} body - Corpo da requisição
+ * @param {boolean} partial - Permite campos ausentes (edição)
+ * @returns {Object} - { success, name, color } ou { success: false, message }
+ */
+function parseTagInput(body, partial) {
+    const name = body.name === undefined && partial ? undefined : sanitizeInput(String(body.name || ''));
+    const color = body.color === undefined ? (partial ? undefined : TAG_DEFAULT_COLOR) : String(body.color).toLowerCase();
+    
+    if (name !== undefined && !name) {
+        return { success: false, message: 'O nome da tag é obrigatório.' };
+    }
+    if (name && name.length > TAG_NAME_MAX_LENGTH) {
+        return { success: false, message: `O nome da tag pode ter no máximo ${TAG_NAME_MAX_LENGTH} caracteres.` };
+    }
+    if (name && name.includes(',')) {
+        return { success: false, message: 'O nome da tag não pode conter vírgulas.' };
+    }
+    if (color !== undefined && !/^#[0-9a-f]{6}$/.test(color)) {
+        return { success: false, message: 'Cor inválida (use o formato #rrggbb).' };
+    }
+    
+    return { success: true, name, color };
+}
+
+/**
+ * Listar tags do usuário com a quantidade de tarefas de cada uma
+ */
+app.get('/api/tags', requireAuth, (req, res) => {
+    const userId = getUserId(req);
+    const { byTag } = Database.getTaskStats(userId);
+    
+    res.json({
+        success: true,
+        tags: Database.getTags(userId).map(tag => ({ ...tag, count: byTag[tag.id] || 0 }))
+    });
+});
+
+/**
+ * Criar tag
+ */
+app.post('/api/tags', requireAuth, requireVerifiedEmail, (req, res) => {
+    const input = parseTagInput(req.body, false);
+    if (!input.success) {
+        return res.json(input);
+    }
+    
+    const result = Database.createTag(getUserId(req), input.name, input.color);
+    
+    if (result.success) {
+        res.json({ success: true, message: 'Tag criada com sucesso!', tagId: result.tagId });
+    } else {
+        res.json({ success: false, message: result.message });
+    }
+});
+
+/**
+ * Renomear tag ou alterar sua cor (vale para todas as tarefas com a tag)
+ */
+app.put('/api/tags/:id', requireAuth, requireVerifiedEmail, (req, res) => {
+    const input = parseTagInput(req.body, true);
+    if (!input.success) {
+        return res.json(input);
+    }
+    
+    const result = Database.updateTag(getUserId(req), req.params.id, { name: input.name, color: input.color });
+    
+    if (result.success) {
+        res.json({ success: true, message: 'Tag atualizada com sucesso!' });
+    } else {
+        res.json({ success: false, message: result.message });
+    }
+});
+
+/**
+ * Mesclar tag em outra
+ * As tarefas da tag passam para targetId e a tag é excluída
+ */
+app.post('/api/tags/:id/merge', requireAuth, requireVerifiedEmail, (req, res) => {
+    const result = Database.mergeTags(getUserId(req), req.params.id, String(req.body.targetId || ''));
+    
+    if (result.success) {
+        res.json({ success: true, message: `Tags mescladas (${result.tasksUpdated} tarefa(s) atualizada(s)).` });
+    } else {
+        res.json({ success: false, message: result.message });
+    }
+});
+
+/**
+ * Excluir tag (removida também das tarefas)
+ */
+app.delete('/api/tags/:id', requireAuth, requireVerifiedEmail, (req, res) => {
+    const result = Database.deleteTag(getUserId(req), req.params.id);
+    
+    if (result.success) {
+        res.json({ success: true, message: 'Tag excluída com sucesso!' });
+    } else {
+        res.json({ success: false, message: result.message });
+    }
+});
+
+// =============================================================================
+// ROTAS DE COMENTÁRIOS
+// =============================================================================
+
+/**
+ * Tamanho máximo de um comentário
+ */
+const COMMENT_MAX_LENGTH = 2000;
+
+/**
+ * Valida o texto de um comentário recebido do cliente
+ * @param {*} value - Texto informado
+ * @returns {Object} - { success, text } ou { success: false, message }
+ */
+function parseCommentText(value) {
+    const text = sanitizeInput(String(value || ''));
+    
+    if (!text) {
+        return { success: false, message: 'O comentário não pode ficar vazio.' };
+    }
+    if (text.length > COMMENT_MAX_LENGTH) {
+        return { success: false, message: `O comentário pode ter no máximo ${COMMENT_MAX_LENGTH} caracteres.` };
+    }
+    
+    return { success: true, text };
+}
+
+/**
+ * Comentário com o nome do autor, para a API
+ * @param {Object} comment - Comentário
+ * @returns {Object} - Comentário com author
+ */
+function publicComment(comment) {
+    const author = Database.getUserById(comment.userId);
+    return { ...comment, author: author ? author.username : '?' };
+}
+
+/**
+ * Avisa por email os membros mencionados em um comentário
+ * @param {string} authorId - ID do autor do comentário
+ * @param {Object} comment - Comentário
+ * @param {Array<string>} mentions - IDs dos mencionados a avisar
+ */
+function sendMentionEmails(authorId, comment, mentions) {
+    const author = Database.getUserById(authorId);
+    const task = Database.getTaskById(comment.taskId);
+    
+    mentions.forEach(userId => {
+        const user = Database.getUserById(userId);
+        if (!user || !author || !task) return;
+        
+        mailer.sendMail({
+            to: user.email,
+            subject: `${config.APP_NAME} - ${author.username} mencionou você`,
+            text: [
+                `Olá, ${user.username}!`,
+                '',
+                `${author.username} mencionou você em um comentário na tarefa "${task.title}":`,
+                '',
+                comment.text,
+                '',
+                `${config.APP_URL}/dashboard`
+            ].join('\n')
+        }).catch(error => console.error('Erro ao enviar email de menção:', error));
+    });
+}
+
+/**
+ * Listar comentários de uma tarefa (mais antigos primeiro)
+ */
+app.get('/api/tasks/:id/comments', requireAuth, (req, res) => {
+    const comments = Database.getComments(req.params.id, getUserId(req));
+    
+    if (!comments) {
+        return res.json({ success: false, message: 'Tarefa não encontrada' });
+    }
+    
+    res.json({ success: true, comments: comments.map(publicComment) });
+});
+
+/**
+ * Comentar em uma tarefa
+ * Menções no formato @usuario avisam por email os membros do projeto citados
+ */
+app.post('/api/tasks/:id/comments', requireAuth, requireVerifiedEmail, (req, res) => {
+    const input = parseCommentText(req.body.text);
+    if (!input.success) {
+        return res.json(input);
+    }
+    
+    const userId = getUserId(req);
+    const result = Database.addComment(req.params.id, userId, input.text);
+    
+    if (result.success) {
+        sendMentionEmails(userId, result.comment, result.comment.mentions);
+        res.json({ success: true, message: 'Comentário adicionado!', comment: publicComment(result.comment) });
+    } else {
+        res.json({ success: false, message: result.message });
+    }
+});
+
+/**
+ * Editar comentário (somente o autor)
+ */
+app.put('/api/tasks/:id/comments/:commentId', requireAuth, requireVerifiedEmail, (req, res) => {
+    const input = parseCommentText(req.body.text);
+    if (!input.success) {
+        return res.json(input);
+    }
+    
+    const userId = getUserId(req);
+    const result = Database.updateComment(req.params.id, req.params.commentId, userId, input.text);
+    
+    if (result.success) {
+        sendMentionEmails(userId, result.comment, result.mentions);
+        res.json({ success: true, message: 'Comentário atualizado!', comment: publicComment(result.comment) });
+    } else {
+        res.json({ success: false, message: result.message });
+    }
+});
+
+/**
+ * Excluir comentário (o autor ou o dono do projeto)
+ */
+app.delete('/api/tasks/:id/comments/:commentId', requireAuth, requireVerifiedEmail, (req, res) => {
+    const result = Database.deleteComment(req.params.id, req.params.commentId, getUserId(req));
+    
+    if (result.success) {
+        res.json({ success: true, message: 'Comentário excluído.' });
+    } else {
+        res.json({ success: false, message: result.message });
+    }
+});
+
+// =============================================================================
+// ROTAS DA LIXEIRA
+// =============================================================================
+
+/**
+ * Listar as tarefas da lixeira (com a data de remoção definitiva)
+ */
+app.get('/api/trash', requireAuth, (req, res) => {
+    const tasks = Database.getTrash(getUserId(req));
+    res.json({ success: true, tasks, retentionDays: config.TRASH_RETENTION_DAYS });
+});
+
+/**
+ * Restaurar uma tarefa da lixeira
+ */
+app.post('/api/trash/:id/restore', requireAuth, requireVerifiedEmail, (req, res) => {
+    const result = Database.restoreTask(req.params.id, getUserId(req));
+    
+    if (!result.success) {
+        return res.json(result);
+    }
+    
+    res.json({ success: true, message: 'Tarefa restaurada!' });
+});
+
+/**
+ * Excluir definitivamente uma tarefa da lixeira
+ */
+app.delete('/api/trash/:id', requireAuth, requireVerifiedEmail, (req, res) => {
+    const result = Database.purgeTask(req.params.id, getUserId(req));
+    
+    if (!result.success) {
+        return res.json(result);
+    }
+    
+    res.json({ success: true, message: 'Tarefa excluída definitivamente.' });
+});
+
+/**
+ * Esvaziar a lixeira
+ */
+app.delete('/api/trash', requireAuth, requireVerifiedEmail, (req, res) => {
+    const result = Database.emptyTrash(getUserId(req));
+    
+    if (!result.success) {
+        return res.json(result);
+    }
+    
+    res.json({ success: true, message: `${result.purged} tarefa(s) excluída(s) definitivamente.`, purged: result.purged });
+});
+
+// =============================================================================
+// ROTAS DE HISTÓRICO DE ATIVIDADES
+// =============================================================================
+
+/**
+ * Evento do histórico com o nome de quem fez a alteração, para a API
+ * Eventos sem actorId são da limpeza automática da lixeira
+ * @param {Object} event - Evento
+ * @returns {Object} - Evento com actor
+ */
+function publicActivity(event) {
+    if (!event.actorId) {
+        return { ...event, actor: 'Sistema' };
+    }
+    
+    const actor = Database.getUserById(event.actorId);
+    return { ...event, actor: actor ? actor.username : '?' };
+}
+
+/**
+ * Valida os filtros do feed de atividades (datas AAAA-MM-DD e limite)
+ * @param {Object} query - Parâmetros da URL
+ * @returns {Object} - { success, from, to, limit } ou { success: false, message }
+ */
+function parseActivityQuery(query) {
+    const from = query.from ? String(query.from) : null;
+    const to = query.to ? String(query.to) : null;
+    const limit = query.limit === undefined ? 50 : parseInt(query.limit, 10);
+    
+    if ((from && !dates.isValidDate(from)) || (to && !dates.isValidDate(to))) {
+        return { success: false, message: 'Data inválida (use AAAA-MM-DD).' };
+    }
+    if (from && to && from > to) {
+        return { success: false, message: 'A data inicial deve ser anterior à final.' };
+    }
+    if (Number.isNaN(limit) || limit < 1) {
+        return { success: false, message: 'Limite inválido.' };
+    }
+    
+    return { success: true, from, to, limit };
+}
+
+/**
+ * Histórico de alterações de uma tarefa (mais recentes primeiro)
+ */
+app.get('/api/tasks/:id/activity', requireAuth, (req, res) => {
+    const activity = Database.getTaskActivity(req.params.id, getUserId(req));
+    
+    if (!activity) {
+        return res.json({ success: false, message: 'Tarefa não encontrada' });
+    }
+    
+    res.json({ success: true, activity: activity.map(publicActivity) });
+});
+
+/**
+ * Feed de atividades do usuário, com filtro opcional por período
+ * Parâmetros: from e to (AAAA-MM-DD, inclusivos) e limit (máximo 200)
+ */
+app.get('/api/activity', requireAuth, (req, res) => {
+    const query = parseActivityQuery(req.query);
+    if (!query.success) {
+        return res.json(query);
+    }
+    
+    const activity = Database.getActivityFeed(getUserId(req), query);
+    res.json({ success: true, activity: activity.map(publicActivity) });
+});
+
+// =============================================================================
+// ROTAS DE PROJETOS
+// =============================================================================
+
+/**
+ * Tamanho máximo do nome de um projeto
+ */
+const PROJECT_NAME_MAX_LENGTH = 40;
+
+/**
+ * Cor usada quando o projeto é criado sem cor (a mesma do Inbox)
+ */
+const PROJECT_DEFAULT_COLOR = '#667eea';
+
+/**
+ * Valida nome e cor de um projeto recebidos do cliente
+ * @param {Object} body - Corpo da requisição
+ * @param {boolean} partial - Permite campos ausentes (edição)
+ * @returns {Object} - { success, name, color } ou { success: false, message }
+ */
+function parseProjectInput(body, partial) {
+    const name = body.name === undefined && partial ? undefined : sanitizeInput(String(body.name || ''));
+    const color = body.color === undefined ? (partial ? undefined : PROJECT_DEFAULT_COLOR) : String(body.color).toLowerCase();
+    
+    if (name !== undefined && !name) {
+        return { success: false, message: 'O nome do projeto é obrigatório.' };
+    }
+    if (name && name.length > PROJECT_NAME_MAX_LENGTH) {
+        return { success: false, message: `O nome do projeto pode ter no máximo ${PROJECT_NAME_MAX_LENGTH} caracteres.` };
+    }
+    if (color !== undefined && !/^#[0-9a-f]{6}$/.test(color)) {
+        return { success: false, message: 'Cor inválida (use o formato #rrggbb).' };
+    }
+    
+    return { success: true, name, color };
+}
+
+/**
+ * Listar projetos do usuário (próprios, incluindo arquivados, e compartilhados com ele)
+ * com papel, membros e estatísticas de cada um
+ */
+app.get('/api/projects', requireAuth, (req, res) => {
+    res.json({ success: true, projects: listProjects(getUserId(req)) });
+});
+
+/**
+ * Criar projeto
+ */
+app.post('/api/projects', requireAuth, requireVerifiedEmail, (req, res) => {
+    const input = parseProjectInput(req.body, false);
+    if (!input.success) {
+        return res.json(input);
+    }
+    
+    const result = Database.createProject(getUserId(req), input.name, input.color);
+    
+    if (result.success) {
+        res.json({ success: true, message: 'Projeto criado com sucesso!', projectId: result.projectId });
+    } else {
+        res.json({ success: false, message: result.message });
+    }
+});
+
+/**
+ * Renomear projeto ou alterar sua cor
+ */
+app.put('/api/projects/:id', requireAuth, requireVerifiedEmail, (req, res) => {
+    const input = parseProjectInput(req.body, true);
+    if (!input.success) {
+        return res.json(input);
+    }
+    
+    const result = Database.updateProject(getUserId(req), req.params.id, { name: input.name, color: input.color });
+    
+    if (result.success) {
+        res.json({ success: true, message: 'Projeto atualizado com sucesso!' });
+    } else {
+        res.json({ success: false, message: result.message });
+    }
+});
+
+/**
+ * Arquivar projeto (suas tarefas deixam de aparecer em "Todas")
+ */
+app.post('/api/projects/:id/archive', requireAuth, requireVerifiedEmail, (req, res) => {
+    const result = Database.setProjectArchived(getUserId(req), req.params.id, true);
+    
+    if (result.success) {
+        res.json({ success: true, message: 'Projeto arquivado.' });
+    } else {
+        res.json({ success: false, message: result.message });
+    }
+});
+
+/**
+ * Restaurar projeto arquivado
+ */
+app.post('/api/projects/:id/unarchive', requireAuth, requireVerifiedEmail, (req, res) => {
+    const result = Database.setProjectArchived(getUserId(req), req.params.id, false);
+    
+    if (result.success) {
+        res.json({ success: true, message: 'Projeto restaurado.' });
     } else {
         res.json({ success: false, message: result.message });
     }
 });
 
 /**
- * Excluir tarefa
- * Remove permanentemente a tarefa do usuário
+ * Excluir projeto (suas tarefas são movidas para o Inbox)
  */
-app.delete('/api/tasks/:id', requireAuth, (req, res) => {
-    const taskId = req.params.id;
-    const userId = req.session.userId;
+app.delete('/api/projects/:id', requireAuth, requireVerifiedEmail, (req, res) => {
+    const result = Database.deleteProject(getUserId(req), req.params.id);
     
-    const result = Database.deleteTask(taskId, userId);
+    if (result.success) {
+        res.json({ success: true, message: `Projeto excluído (${result.tasksMoved} tarefa(s) movida(s) para o Inbox).` });
+    } else {
+        res.json({ success: false, message: result.message });
+    }
+});
+
+/**
+ * Convidar usuário cadastrado para o projeto (somente o dono)
+ * Corpo: { login: nome de usuário ou email, role: editor | viewer }
+ */
+app.post('/api/projects/:id/members', requireAuth, requireVerifiedEmail, (req, res) => {
+    const result = Database.addProjectMember(
+        getUserId(req),
+        req.params.id,
+        String(req.body.login || '').trim(),
+        String(req.body.role || 'editor')
+    );
     
     if (result.success) {
-        res.json({ success: true, message: 'Tarefa excluída com sucesso!' });
+        res.json({ success: true, message: `${result.user.username} agora é membro do projeto.` });
     } else {
         res.json({ success: false, message: result.message });
     }
 });
 
 /**
- * Alternar status de conclusão da tarefa
- * Marca como concluída ou pendente
+ * Alterar o papel de um membro (somente o dono)
  */
-app.patch('/api/tasks/:id/toggle', requireAuth, (req, res) => {
-    const taskId = req.params.id;
-    const userId = req.session.userId;
+app.put('/api/projects/:id/members/:userId', requireAuth, requireVerifiedEmail, (req, res) => {
+    const result = Database.updateProjectMember(getUserId(req), req.params.id, req.params.userId, String(req.body.role || ''));
     
-    const result = Database.toggleTaskCompletion(taskId, userId);
+    if (result.success) {
+        res.json({ success: true, message: 'Papel atualizado com sucesso!' });
+    } else {
+        res.json({ success: false, message: result.message });
+    }
+});
+
+/**
+ * Remover membro (dono) ou sair do projeto (o próprio membro)
+ */
+app.delete('/api/projects/:id/members/:userId', requireAuth, requireVerifiedEmail, (req, res) => {
+    const userId = getUserId(req);
+    const result = Database.removeProjectMember(userId, req.params.id, req.params.userId);
+    
+    if (result.success) {
+        res.json({ success: true, message: req.params.userId === userId ? 'Você saiu do projeto.' : 'Membro removido do projeto.' });
+    } else {
+        res.json({ success: false, message: result.message });
+    }
+});
+
+// =============================================================================
+// ROTAS DE CONFIGURAÇÕES DA CONTA
+// =============================================================================
+
+/**
+ * Página de configurações da conta
+ * Perfil, senha, tokens de API, dois fatores, sessões ativas e exclusão da conta
+ */
+app.get('/settings', requireSession, (req, res) => {
+    res.sendFile(path.join(__dirname, 'views', 'settings.html'));
+});
+
+/**
+ * Listar tokens de API do usuário
+ */
+app.get('/api/tokens', requireSession, (req, res) => {
+    res.json({ success: true, tokens: Database.getApiTokens(getUserId(req)) });
+});
+
+/**
+ * Criar token de API
+ * O token em texto plano é retornado apenas nesta resposta
+ */
+app.post('/api/tokens', requireSession, (req, res) => {
+    const { name, scope, expiresInDays } = req.body;
+    
+    if (!name || !sanitizeInput(name)) {
+        return res.json({ success: false, message: 'Informe um nome para o token.' });
+    }
+    
+    const days = expiresInDays ? parseInt(expiresInDays, 10) : null;
+    if (days !== null && (Number.isNaN(days) || days < 1 || days > 3650)) {
+        return res.json({ success: false, message: 'Validade inválida.' });
+    }
+    
+    const result = Database.createApiToken(getUserId(req), sanitizeInput(name), scope || 'read', days);
+    
+    if (result.success) {
+        res.json({
+            success: true,
+            message: 'Token criado! Copie-o agora: ele não será exibido novamente.',
+            token: result.token,
+            apiToken: result.apiToken
+        });
+    } else {
+        res.json({ success: false, message: result.message });
+    }
+});
+
+/**
+ * Revogar token de API
+ */
+app.delete('/api/tokens/:id', requireSession, (req, res) => {
+    const result = Database.revokeApiToken(req.params.id, getUserId(req));
+    
+    if (result.success) {
+        res.json({ success: true, message: 'Token revogado com sucesso!' });
+    } else {
+        res.json({ success: false, message: result.message });
+    }
+});
+
+/**
+ * Dados do perfil do usuário
+ */
+app.get('/api/account', requireSession, (req, res) => {
+    res.json({ success: true, user: Database.getUserById(getUserId(req)) });
+});
+
+/**
+ * Atualizar nome de usuário e email
+ * Trocar o email exige a senha atual (currentPassword); o novo email precisa ser
+ * confirmado: o link é enviado para o novo endereço
+ */
+app.put('/api/account', requireSession, (req, res) => {
+    const username = sanitizeInput(req.body.username);
+    const email = sanitizeInput(req.body.email);
+    
+    if (!username || !email) {
+        return res.json({ success: false, message: 'Por favor, preencha todos os campos.' });
+    }
+    
+    if (!validateEmail(email)) {
+        return res.json({ success: false, message: 'Email inválido.' });
+    }
+    
+    const userId = getUserId(req);
+    const result = Database.updateProfile(userId, { username, email, currentPassword: req.body.currentPassword });
+    
+    if (!result.success) {
+        return res.json({ success: false, message: result.message });
+    }
+    
+    req.session.username = username;
+    
+    if (result.emailChanged) {
+        sendVerificationEmail(Database.getUserById(userId));
+        return res.json({ success: true, message: 'Perfil atualizado! Enviamos um link de confirmação para o novo email.' });
+    }
+    
+    res.json({ success: true, message: 'Perfil atualizado com sucesso!' });
+});
+
+/**
+ * Alterar senha (exige a senha atual)
+ * As demais sessões do usuário são encerradas; a sessão atual continua válida
+ */
+app.put('/api/account/password', requireSession, (req, res) => {
+    const { currentPassword, newPassword, confirmPassword } = req.body;
+    
+    if (!currentPassword || !newPassword || !confirmPassword) {
+        return res.json({ success: false, message: 'Por favor, preencha todos os campos.' });
+    }
+    
+    if (newPassword.length < 6) {
+        return res.json({ success: false, message: 'A senha deve ter pelo menos 6 caracteres.' });
+    }
+    
+    if (newPassword !== confirmPassword) {
+        return res.json({ success: false, message: 'As senhas não coincidem.' });
+    }
+    
+    const result = Database.changePassword(getUserId(req), currentPassword, newPassword);
+    
+    if (!result.success) {
+        return res.json({ success: false, message: result.message });
+    }
+    
+    // Manter a sessão atual na nova época (as demais são revogadas)
+    req.session.sessionEpoch = result.sessionEpoch;
+    console.log(`Senha alterada pelo usuário ${getUserId(req)}; outras sessões revogadas`);
+    res.json({ success: true, message: 'Senha alterada com sucesso! As outras sessões foram encerradas.' });
+});
+
+/**
+ * Excluir a própria conta
+ * Exige a senha (e o código, com dois fatores ativos); remove tarefas, tokens e sessões
+ */
+app.delete('/api/account', requireSession, (req, res, next) => {
+    const { password, code } = req.body;
+    const userId = getUserId(req);
+    
+    if (!password || !Database.verifyUserPassword(userId, password)) {
+        return res.json({ success: false, message: 'Senha incorreta.' });
+    }
+    
+    if (Database.getTwoFactorStatus(userId).enabled) {
+        const check = Database.verifyTwoFactor(userId, sanitizeInput(String(code || '')));
+        if (!check.success) {
+            return res.json({ success: false, code: 'TWO_FACTOR_REQUIRED', message: 'Informe um código de verificação válido.' });
+        }
+    }
+    
+    const result = Database.deleteUser(userId);
+    
+    if (!result.success) {
+        return res.json({ success: false, message: result.message });
+    }
+    
+    console.log(`Usuário ${userId} excluiu a própria conta`);
+    destroyUserSessions(userId)
+        .then(() => {
+            res.clearCookie('connect.sid');
+            res.json({ success: true, message: 'Conta excluída.', redirect: '/auth' });
+        })
+        .catch(next);
+});
+
+/**
+ * Estado da autenticação em dois fatores
+ */
+app.get('/api/2fa', requireSession, (req, res) => {
+    res.json({ success: true, twoFactor: Database.getTwoFactorStatus(getUserId(req)) });
+});
+
+/**
+ * Iniciar ativação da autenticação em dois fatores
+ * Retorna o segredo, o URI otpauth:// e o QR code correspondente (data URL)
+ */
+app.post('/api/2fa/setup', requireSession, (req, res, next) => {
+    const result = Database.startTwoFactorSetup(getUserId(req));
+    
+    if (!result.success) {
+        return res.json({ success: false, message: result.message });
+    }
+    
+    QRCode.toDataURL(result.uri, { margin: 1, width: 220 })
+        .then(qrCode => res.json({ success: true, secret: result.secret, uri: result.uri, qrCode }))
+        .catch(next);
+});
+
+/**
+ * Confirmar ativação com o primeiro código do aplicativo
+ * Os códigos de recuperação são retornados apenas nesta resposta
+ */
+app.post('/api/2fa/enable', requireSession, (req, res) => {
+    const result = Database.enableTwoFactor(getUserId(req), sanitizeInput(String(req.body.code || '')));
+    
+    if (result.success) {
+        res.json({
+            success: true,
+            message: 'Autenticação em dois fatores ativada! Guarde os códigos de recuperação em local seguro.',
+            recoveryCodes: result.recoveryCodes
+        });
+    } else {
+        res.json({ success: false, message: result.message });
+    }
+});
+
+/**
+ * Gerar novos códigos de recuperação (exige senha e código)
+ */
+app.post('/api/2fa/recovery-codes', requireSession, (req, res) => {
+    const { password, code } = req.body;
+    
+    if (!password || !code) {
+        return res.json({ success: false, message: 'Informe a senha e um código de verificação.' });
+    }
+    
+    const result = Database.regenerateRecoveryCodes(getUserId(req), password, sanitizeInput(String(code)));
+    
+    if (result.success) {
+        res.json({
+            success: true,
+            message: 'Novos códigos gerados. Os códigos anteriores deixaram de valer.',
+            recoveryCodes: result.recoveryCodes
+        });
+    } else {
+        res.json({ success: false, message: result.message });
+    }
+});
+
+/**
+ * Desativar autenticação em dois fatores (exige senha e código)
+ */
+app.post('/api/2fa/disable', requireSession, (req, res) => {
+    const { password, code } = req.body;
+    
+    if (!password || !code) {
+        return res.json({ success: false, message: 'Informe a senha e um código de verificação.' });
+    }
+    
+    const result = Database.disableTwoFactor(getUserId(req), password, sanitizeInput(String(code)));
+    
+    if (result.success) {
+        console.log(`Autenticação em dois fatores desativada para o usuário ${getUserId(req)}`);
+        res.json({ success: true, message: 'Autenticação em dois fatores desativada.' });
+    } else {
+        res.json({ success: false, message: result.message });
+    }
+});
+
+/**
+ * Lista as sessões ativas de um usuário
+ * @param {string} userId - ID do usuário
+ * @returns {Promise<Array>} - Registros { id, expiresAt, session } do usuário
+ */
+async function getUserSessions(userId) {
+    const records = await sessionStore.list();
+    return records.filter(record => record.session.userId === userId);
+}
+
+/**
+ * Encerra todas as sessões de um usuário (ex.: conta desativada ou excluída)
+ * @param {string} userId - ID do usuário
+ * @returns {Promise<number>} - Quantidade de sessões encerradas
+ */
+async function destroyUserSessions(userId) {
+    const records = await getUserSessions(userId);
+    await Promise.all(records.map(record => sessionStore.destroyById(record.id)));
+    return records.length;
+}
+
+/**
+ * Listar sessões ativas do usuário (dispositivo, IP e último acesso)
+ */
+app.get('/api/sessions', requireSession, (req, res, next) => {
+    const currentId = FileSessionStore.idFor(req.sessionID);
+    
+    getUserSessions(getUserId(req))
+        .then(records => {
+            const sessions = records
+                .map(record => {
+                    const client = record.session.client || {};
+                    return {
+                        id: record.id,
+                        current: record.id === currentId,
+                        userAgent: client.userAgent || '',
+                        ip: client.ip || null,
+                        createdAt: client.createdAt || null,
+                        lastSeenAt: client.lastSeenAt || null,
+                        expiresAt: new Date(record.expiresAt).toISOString()
+                    };
+                })
+                .sort((a, b) => (b.current - a.current) || String(b.lastSeenAt).localeCompare(String(a.lastSeenAt)));
+            
+            res.json({ success: true, sessions });
+        })
+        .catch(next);
+});
+
+/**
+ * Encerrar todas as outras sessões do usuário (a sessão atual é mantida)
+ */
+app.delete('/api/sessions', requireSession, (req, res, next) => {
+    const currentId = FileSessionStore.idFor(req.sessionID);
+    
+    getUserSessions(getUserId(req))
+        .then(records => {
+            const others = records.filter(record => record.id !== currentId);
+            return Promise.all(others.map(record => sessionStore.destroyById(record.id))).then(() => others.length);
+        })
+        .then(count => {
+            console.log(`Usuário ${getUserId(req)} encerrou ${count} outra(s) sessão(ões)`);
+            res.json({ success: true, message: `${count} sessão(ões) encerrada(s).`, revoked: count });
+        })
+        .catch(next);
+});
+
+/**
+ * Encerrar uma sessão específica do usuário
+ */
+app.delete('/api/sessions/:id', requireSession, (req, res, next) => {
+    if (req.params.id === FileSessionStore.idFor(req.sessionID)) {
+        return res.json({ success: false, message: 'Para encerrar a sessão atual, use o botão Sair.' });
+    }
+    
+    getUserSessions(getUserId(req))
+        .then(records => {
+            if (!records.some(record => record.id === req.params.id)) {
+                return res.json({ success: false, message: 'Sessão não encontrada' });
+            }
+            
+            return sessionStore.destroyById(req.params.id)
+                .then(() => res.json({ success: true, message: 'Sessão encerrada com sucesso!' }));
+        })
+        .catch(next);
+});
+
+// =============================================================================
+// ROTAS DE ADMINISTRAÇÃO
+// =============================================================================
+
+/**
+ * Recusa ações administrativas sobre a própria conta
+ * @param {Object} req - Objeto de requisição Express
+ * @param {Object} res - Objeto de resposta Express
+ * @returns {boolean} - True se a requisição foi recusada
+ */
+function rejectSelfAction(req, res) {
+    if (req.params.id !== getUserId(req)) {
+        return false;
+    }
+    
+    res.json({ success: false, message: 'Esta ação não pode ser aplicada à sua própria conta.' });
+    return true;
+}
+
+/**
+ * Painel de administração
+ */
+app.get('/admin', requireRole('admin'), (req, res) => {
+    res.sendFile(path.join(__dirname, 'views', 'admin.html'));
+});
+
+/**
+ * Totais do sistema (usuários, tarefas, tokens e sessões ativas)
+ */
+app.get('/api/admin/stats', requireRole('admin'), (req, res, next) => {
+    sessionStore.list()
+        .then(sessions => {
+            const stats = Database.getSystemStats();
+            stats.sessions = sessions.filter(record => record.session.userId).length;
+            res.json({ success: true, stats });
+        })
+        .catch(next);
+});
+
+/**
+ * Listar usuários com as estatísticas de tarefas
+ */
+app.get('/api/admin/users', requireRole('admin'), (req, res) => {
+    res.json({ success: true, users: Database.getUsersOverview(), currentUserId: getUserId(req) });
+});
+
+/**
+ * Alterar papel do usuário ('user' ou 'admin')
+ */
+app.put('/api/admin/users/:id/role', requireRole('admin'), (req, res) => {
+    if (rejectSelfAction(req, res)) return;
+    
+    const result = Database.setUserRole(req.params.id, req.body.role);
+    
+    if (result.success) {
+        console.log(`Admin ${getUserId(req)} definiu o papel '${req.body.role}' para o usuário ${req.params.id}`);
+        res.json({ success: true, message: 'Papel atualizado com sucesso!' });
+    } else {
+        res.json({ success: false, message: result.message });
+    }
+});
+
+/**
+ * Desativar conta (encerra sessões e bloqueia login e tokens de API)
+ */
+app.post('/api/admin/users/:id/disable', requireRole('admin'), (req, res, next) => {
+    if (rejectSelfAction(req, res)) return;
+    
+    const result = Database.setUserDisabled(req.params.id, true);
+    
+    if (!result.success) {
+        return res.json({ success: false, message: result.message });
+    }
+    
+    console.log(`Admin ${getUserId(req)} desativou o usuário ${req.params.id}`);
+    destroyUserSessions(req.params.id)
+        .then(() => res.json({ success: true, message: 'Conta desativada.' }))
+        .catch(next);
+});
+
+/**
+ * Reativar conta
+ */
+app.post('/api/admin/users/:id/enable', requireRole('admin'), (req, res) => {
+    const result = Database.setUserDisabled(req.params.id, false);
     
     if (result.success) {
-        const message = result.completed ? 'Tarefa marcada como concluída!' : 'Tarefa marcada como pendente!';
-        res.json({ success: true, message, completed: result.completed });
+        console.log(`Admin ${getUserId(req)} reativou o usuário ${req.params.id}`);
+        res.json({ success: true, message: 'Conta reativada.' });
     } else {
         res.json({ success: false, message: result.message });
     }
 });
 
+/**
+ * Exigir nova senha: bloqueia a senha atual, encerra as sessões e envia link de redefinição
+ */
+app.post('/api/admin/users/:id/password-reset', requireRole('admin'), (req, res, next) => {
+    if (rejectSelfAction(req, res)) return;
+    
+    const result = Database.requirePasswordReset(req.params.id);
+    
+    if (!result.success) {
+        return res.json({ success: false, message: result.message });
+    }
+    
+    const user = Database.getUserById(req.params.id);
+    sendPasswordResetEmail(user, [
+        'O administrador do sistema solicitou que você defina uma nova senha.',
+        'Sua senha atual não é mais aceita. Para escolher uma nova senha, acesse:'
+    ], `Se o link expirar, use a opção "Esqueci a senha" na tela de login.`);
+    
+    console.log(`Admin ${getUserId(req)} exigiu redefinição de senha do usuário ${req.params.id}`);
+    destroyUserSessions(req.params.id)
+        .then(() => res.json({ success: true, message: 'Redefinição exigida. Um link foi enviado para o email do usuário.' }))
+        .catch(next);
+});
+
+/**
+ * Excluir usuário com suas tarefas, tokens e sessões
+ */
+app.delete('/api/admin/users/:id', requireRole('admin'), (req, res, next) => {
+    if (rejectSelfAction(req, res)) return;
+    
+    const result = Database.deleteUser(req.params.id);
+    
+    if (!result.success) {
+        return res.json({ success: false, message: result.message });
+    }
+    
+    console.log(`Admin ${getUserId(req)} excluiu o usuário ${req.params.id}`);
+    destroyUserSessions(req.params.id)
+        .then(() => res.json({ success: true, message: 'Usuário excluído.' }))
+        .catch(next);
+});
+
 // =============================================================================
 // ROTA DE LOGOUT E TRATAMENTO DE ERROS
 // =============================================================================
@@ -315,7 +2186,7 @@ app.patch('/api/tasks/:id/toggle', requireAuth, (req, res) => {
  * Logout do usuário
  * Destrói a sessão e limpa cookies
  */
-app.post('/logout', (req, res) => {
+app.post('/logout', requireSession, (req, res) => {
     req.session.destroy((err) => {
         if (err) {
             console.error('Erro ao fazer logout:', err);
@@ -332,6 +2203,24 @@ app.use((req, res) => {
     res.status(404).send('Página não encontrada');
 });
 
+/**
+ * Middleware para tratar erros não capturados (500)
+ * Ocorre, por exemplo, quando um arquivo de dados está corrompido e sem backup válido
+ */
+app.use((err, req, res, next) => {
+    console.error('Erro não tratado:', err);
+    
+    if (res.headersSent) {
+        return next(err);
+    }
+    
+    if (wantsJson(req)) {
+        res.status(500).json({ success: false, message: 'Erro interno ao acessar os dados' });
+    } else {
+        res.status(500).send('Erro interno do servidor');
+    }
+});
+
 // =============================================================================
 // INICIALIZAÇÃO DO SERVIDOR
 // =============================================================================
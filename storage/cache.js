@@ -0,0 +1,170 @@
+/**
+ * Cache em memória de uma coleção do armazenamento
+ * Mantém os registros indexados por id e, opcionalmente, agrupados por um campo
+ * (ex.: userId), além de agregados atualizados de forma incremental.
+ *
+ * Os registros em cache são congelados: alterações devem substituir o objeto
+ * (ex.: records[i] = { ...records[i], completed: true }) em vez de modificá-lo.
+ * Assim, commit() identifica o que mudou por identidade, sem comparar conteúdo.
+ */
+
+/**
+ * Congela um objeto e todos os objetos aninhados
+ * @param {*} value - Valor a congelar
+ * @returns {*} - O próprio valor, congelado
+ */
+function deepFreeze(value) {
+    if (value && typeof value === 'object' && !Object.isFrozen(value)) {
+        Object.values(value).forEach(deepFreeze);
+        Object.freeze(value);
+    }
+    return value;
+}
+
+class CollectionCache {
+
+    /**
+     * @param {Object} storage - Adaptador de armazenamento
+     * @param {string} collection - Nome da coleção
+     * @param {Object} [options] - Opções de indexação
+     * @param {string} [options.groupBy] - Campo usado para agrupar registros
+     * @param {Function} [options.createAggregate] - Cria o agregado vazio de um grupo
+     * @param {Function} [options.accumulate] - (agregado, registro, sinal) soma (+1) ou subtrai (-1) um registro
+     */
+    constructor(storage, collection, { groupBy = null, createAggregate = null, accumulate = null } = {}) {
+        this.storage = storage;
+        this.collection = collection;
+        this.groupBy = groupBy;
+        this.createAggregate = createAggregate;
+        this.accumulate = accumulate;
+        this.version = null;
+        this.byId = new Map();
+        this.groups = new Map();
+        this.aggregates = new Map();
+    }
+
+    /**
+     * Recarrega a coleção se ela foi alterada fora deste cache
+     * (outro processo, edição manual do arquivo etc.)
+     */
+    refresh() {
+        const version = this.storage.version(this.collection);
+        if (version !== this.version) {
+            this.load(this.storage.read(this.collection));
+            this.version = version;
+        }
+    }
+
+    /**
+     * Reconstrói todos os índices a partir dos registros informados
+     * @param {Array} records - Registros da coleção
+     */
+    load(records) {
+        this.byId = new Map();
+        this.groups = new Map();
+        this.aggregates = new Map();
+        records.forEach(record => this.index(deepFreeze(record)));
+    }
+
+    /**
+     * Incorpora ao cache os registros que acabaram de ser gravados
+     * Apenas registros novos, removidos ou substituídos são reindexados
+     * @param {Array} records - Registros gravados
+     */
+    commit(records) {
+        const ids = new Set(records.map(record => record.id));
+
+        this.byId.forEach(record => {
+            if (!ids.has(record.id)) this.unindex(record);
+        });
+
+        const byId = new Map();
+        records.forEach(record => {
+            const previous = this.byId.get(record.id);
+            if (previous !== record) {
+                if (previous) this.unindex(previous, record);
+                this.index(deepFreeze(record));
+            }
+            byId.set(record.id, record);
+        });
+
+        this.byId = byId;
+        this.version = this.storage.version(this.collection);
+    }
+
+    /**
+     * Adiciona um registro aos índices e agregados
+     * @param {Object} record - Registro congelado
+     */
+    index(record) {
+        this.byId.set(record.id, record);
+
+        if (this.groupBy) {
+            const key = record[this.groupBy];
+            if (!this.groups.has(key)) this.groups.set(key, new Map());
+            this.groups.get(key).set(record.id, record);
+
+            if (this.accumulate) {
+                if (!this.aggregates.has(key)) this.aggregates.set(key, this.createAggregate());
+                this.accumulate(this.aggregates.get(key), record, 1);
+            }
+        }
+    }
+
+    /**
+     * Remove um registro dos índices e agregados
+     * @param {Object} record - Registro previamente indexado
+     * @param {Object} [replacement] - Registro que o substituirá; se ficar no mesmo
+     *                                 grupo, mantém a posição original no grupo
+     */
+    unindex(record, replacement = null) {
+        if (this.byId.get(record.id) === record) {
+            this.byId.delete(record.id);
+        }
+
+        if (this.groupBy) {
+            const key = record[this.groupBy];
+            const group = this.groups.get(key);
+            if (group && group.get(record.id) === record) {
+                if (!replacement || replacement[this.groupBy] !== key) {
+                    group.delete(record.id);
+                }
+                if (this.accumulate) this.accumulate(this.aggregates.get(key), record, -1);
+            }
+        }
+    }
+
+    /**
+     * @returns {Array} - Cópia do array com todos os registros (congelados)
+     */
+    all() {
+        return Array.from(this.byId.values());
+    }
+
+    /**
+     * @param {string} id - ID do registro
+     * @returns {Object|undefined} - Registro congelado
+     */
+    get(id) {
+        return this.byId.get(id);
+    }
+
+    /**
+     * @param {*} key - Valor do campo de agrupamento
+     * @returns {Array} - Registros do grupo (congelados)
+     */
+    group(key) {
+        const group = this.groups.get(key);
+        return group ? Array.from(group.values()) : [];
+    }
+
+    /**
+     * @param {*} key - Valor do campo de agrupamento
+     * @returns {Object} - Agregado do grupo (não deve ser modificado)
+     */
+    aggregate(key) {
+        return this.aggregates.get(key) || this.createAggregate();
+    }
+}
+
+module.exports = CollectionCache;
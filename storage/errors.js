@@ -0,0 +1,17 @@
+/**
+ * Erros compartilhados pelos adaptadores de armazenamento
+ */
+
+/**
+ * Erro lançado quando os dados de uma coleção estão corrompidos e não puderam ser recuperados
+ */
+class StorageCorruptError extends Error {
+    constructor(source, cause) {
+        super(`Dados corrompidos: ${source}`);
+        this.name = 'StorageCorruptError';
+        this.source = source;
+        this.cause = cause;
+    }
+}
+
+module.exports = { StorageCorruptError };
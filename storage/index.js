@@ -0,0 +1,59 @@
+/**
+ * Fábrica de adaptadores de armazenamento
+ * Todos os adaptadores expõem a mesma interface síncrona:
+ *   init(collections)          - prepara o backend para as coleções informadas
+ *   read(collection)           - retorna o array de registros da coleção
+ *   write(collection, records) - substitui o array de registros da coleção (atomicamente)
+ *   transaction(fn)            - executa fn com acesso exclusivo (reentrante)
+ *   version(collection)        - identificador que muda a cada alteração da coleção
+ *   close()                    - libera recursos do backend
+ */
+
+const { config } = require('../config');
+const { StorageCorruptError } = require('./errors');
+const CollectionCache = require('./cache');
+const JsonStorage = require('./json');
+const MemoryStorage = require('./memory');
+const SqliteStorage = require('./sqlite');
+const FileSessionStore = require('./sessions');
+
+/**
+ * Construtores disponíveis, indexados pelo nome usado em STORAGE_DRIVER
+ */
+const drivers = {
+    json: ({ waitForLock = false }) => new JsonStorage({
+        dataDir: config.DATA_DIR,
+        files: { users: config.USERS_FILE, tasks: config.TASKS_FILE },
+        waitForLock
+    }),
+    memory: () => new MemoryStorage(),
+    sqlite: () => new SqliteStorage({ file: config.SQLITE_FILE })
+};
+
+/**
+ * Cria o adaptador de armazenamento configurado
+ * @param {string} driver - Nome do driver (json, memory, sqlite)
+ * @param {Object} [options] - Opções do adaptador
+ * @param {boolean} [options.waitForLock] - json: aguarda o bloqueio em vez de falhar na hora
+ * @returns {Object} - Instância do adaptador
+ */
+function createStorage(driver = config.STORAGE_DRIVER, options = {}) {
+    const factory = drivers[driver];
+
+    if (!factory) {
+        throw new Error(`Driver de armazenamento desconhecido: ${driver}`);
+    }
+
+    return factory(options);
+}
+
+module.exports = {
+    createStorage,
+    drivers: Object.keys(drivers),
+    StorageCorruptError,
+    CollectionCache,
+    JsonStorage,
+    MemoryStorage,
+    SqliteStorage,
+    FileSessionStore
+};
@@ -0,0 +1,331 @@
+/**
+ * Adaptador de armazenamento em arquivos JSON
+ * Cada coleção é persistida em um arquivo próprio dentro do diretório de dados
+ *
+ * Gravações são atômicas (arquivo temporário + rename) e cada arquivo mantém
+ * uma cópia de segurança (.bak) com a versão anterior à última gravação, usada
+ * para recuperar arquivos corrompidos.
+ * Alterações são serializadas entre processos por um arquivo de bloqueio. Por
+ * padrão o bloqueio não espera (o servidor não pode travar o event loop): se
+ * outro processo o detém, a operação falha na hora. O CLI usa waitForLock.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { StorageCorruptError } = require('./errors');
+
+/**
+ * Tempo máximo aguardando o bloqueio antes de desistir (ms), quando a espera
+ * está habilitada (waitForLock e inicialização)
+ */
+const LOCK_TIMEOUT = 5000;
+
+/**
+ * Idade a partir da qual um bloqueio é considerado abandonado (ms)
+ */
+const LOCK_STALE = 30000;
+
+/**
+ * Bloqueia a thread atual pelo tempo informado sem ocupar a CPU
+ * @param {number} ms - Tempo de espera em milissegundos
+ */
+function sleep(ms) {
+    Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+/**
+ * Grava conteúdo em um arquivo de forma atômica
+ * O conteúdo é gravado e sincronizado em um temporário antes de substituir o destino
+ * @param {string} file - Caminho do arquivo de destino
+ * @param {string} content - Conteúdo a ser gravado
+ */
+function writeAtomic(file, content) {
+    const tmp = `${file}.${process.pid}.tmp`;
+    const fd = fs.openSync(tmp, 'w');
+
+    try {
+        fs.writeSync(fd, content);
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+
+    fs.renameSync(tmp, file);
+}
+
+/**
+ * Copia um arquivo de forma atômica (o destino nunca fica pela metade)
+ * @param {string} source - Arquivo de origem
+ * @param {string} file - Caminho do arquivo de destino
+ */
+function copyAtomic(source, file) {
+    const tmp = `${file}.${process.pid}.tmp`;
+
+    fs.copyFileSync(source, tmp);
+    fs.renameSync(tmp, file);
+}
+
+/**
+ * Interpreta o conteúdo de um arquivo de coleção
+ * @param {string} file - Caminho do arquivo
+ * @returns {Array} - Registros do arquivo
+ * @throws {StorageCorruptError} - Se o conteúdo não for um array JSON válido
+ */
+function parseCollection(file) {
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new StorageCorruptError(file, error);
+    }
+
+    if (!Array.isArray(data)) {
+        throw new StorageCorruptError(file, new Error('Conteúdo não é um array'));
+    }
+
+    return data;
+}
+
+class JsonStorage {
+
+    /**
+     * @param {Object} options - Opções do adaptador
+     * @param {string} options.dataDir - Diretório onde os arquivos são gravados
+     * @param {Object} [options.files] - Mapa coleção -> caminho de arquivo explícito
+     * @param {boolean} [options.waitForLock] - Aguarda até LOCK_TIMEOUT pelo bloqueio
+     *                                          em vez de falhar na hora (uso no CLI)
+     */
+    constructor({ dataDir, files = {}, waitForLock = false }) {
+        this.name = 'json';
+        this.dataDir = dataDir;
+        this.files = files;
+        this.lockFile = path.join(dataDir, '.lock');
+        this.lockTimeout = waitForLock ? LOCK_TIMEOUT : 0;
+        this.lockDepth = 0;
+    }
+
+    /**
+     * Resolve o caminho do arquivo de uma coleção
+     * @param {string} collection - Nome da coleção
+     * @returns {string} - Caminho absoluto do arquivo
+     */
+    fileFor(collection) {
+        return this.files[collection] || path.join(this.dataDir, `${collection}.json`);
+    }
+
+    /**
+     * Cria diretório e arquivos vazios para as coleções informadas
+     * Remove temporários de gravações interrompidas e valida os arquivos existentes.
+     * Executada antes de atender requisições, sempre aguarda o bloqueio
+     * @param {Array<string>} collections - Coleções utilizadas pelo sistema
+     */
+    init(collections) {
+        if (!fs.existsSync(this.dataDir)) {
+            fs.mkdirSync(this.dataDir, { recursive: true });
+        }
+
+        this.transaction(() => {
+            collections.forEach(collection => {
+                const file = this.fileFor(collection);
+                const dir = path.dirname(file);
+                const prefix = `${path.basename(file)}.`;
+
+                // Temporários deixados por uma queda no meio da gravação
+                fs.readdirSync(dir)
+                    .filter(name => name.startsWith(prefix) && name.endsWith('.tmp'))
+                    .forEach(name => fs.unlinkSync(path.join(dir, name)));
+
+                if (!fs.existsSync(file) && !fs.existsSync(`${file}.bak`)) {
+                    this.write(collection, []);
+                    return;
+                }
+
+                const records = this.read(collection);
+                if (!fs.existsSync(`${file}.bak`)) {
+                    writeAtomic(`${file}.bak`, JSON.stringify(records, null, 2));
+                }
+            });
+        }, LOCK_TIMEOUT);
+    }
+
+    /**
+     * Lê todos os registros de uma coleção
+     * Arquivos ausentes ou corrompidos são restaurados a partir da cópia de segurança
+     * @param {string} collection - Nome da coleção
+     * @returns {Array} - Registros armazenados
+     * @throws {StorageCorruptError} - Se o arquivo estiver corrompido e sem backup válido
+     */
+    read(collection) {
+        const file = this.fileFor(collection);
+
+        if (!fs.existsSync(file)) {
+            return fs.existsSync(`${file}.bak`) ? this.recover(file, null) : [];
+        }
+
+        try {
+            return parseCollection(file);
+        } catch (error) {
+            if (!(error instanceof StorageCorruptError)) throw error;
+            return this.recover(file, error);
+        }
+    }
+
+    /**
+     * Restaura um arquivo a partir de sua cópia de segurança
+     * O arquivo corrompido é preservado com o sufixo .corrupt-<timestamp> para análise
+     * @param {string} file - Caminho do arquivo danificado
+     * @param {Error|null} error - Erro de leitura original (null se o arquivo sumiu)
+     * @returns {Array} - Registros recuperados
+     */
+    recover(file, error) {
+        const backup = `${file}.bak`;
+        let records;
+
+        try {
+            records = parseCollection(backup);
+        } catch (backupError) {
+            console.error(`Arquivo ${file} corrompido e sem cópia de segurança válida`);
+            throw error || new StorageCorruptError(file, backupError);
+        }
+
+        return this.transaction(() => {
+            if (fs.existsSync(file)) {
+                const quarantine = `${file}.corrupt-${Date.now()}`;
+                fs.renameSync(file, quarantine);
+                console.error(`Arquivo ${file} corrompido; movido para ${quarantine}`);
+            }
+
+            writeAtomic(file, fs.readFileSync(backup, 'utf8'));
+            console.warn(`Arquivo ${file} restaurado a partir de ${backup} (${records.length} registros)`);
+            return records;
+        });
+    }
+
+    /**
+     * Identifica a versão atual do arquivo de uma coleção
+     * Muda a cada gravação (o rename troca o inode) e a cada edição externa
+     * @param {string} collection - Nome da coleção
+     * @returns {string} - Identificador da versão
+     */
+    version(collection) {
+        try {
+            const stat = fs.statSync(this.fileFor(collection));
+            return `${stat.ino}:${stat.mtimeMs}:${stat.size}`;
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            return 'ausente';
+        }
+    }
+
+    /**
+     * Substitui todos os registros de uma coleção de forma atômica
+     * O conteúdo anterior, se for válido, passa a ser a cópia de segurança: assim
+     * ela guarda a última versão boa mesmo quando a nova grava dados errados
+     * (um arquivo atual corrompido não substitui o backup)
+     * @param {string} collection - Nome da coleção
+     * @param {Array} records - Registros a serem gravados
+     */
+    write(collection, records) {
+        const file = this.fileFor(collection);
+        const content = JSON.stringify(records, null, 2);
+
+        this.transaction(() => {
+            if (fs.existsSync(file)) {
+                try {
+                    parseCollection(file);
+                    copyAtomic(file, `${file}.bak`);
+                } catch (error) {
+                    if (!(error instanceof StorageCorruptError)) throw error;
+                }
+            }
+
+            writeAtomic(file, content);
+        });
+    }
+
+    /**
+     * Executa uma função com acesso exclusivo aos arquivos de dados
+     * O bloqueio vale entre processos (servidor, CLI) e é reentrante no mesmo processo
+     * @param {Function} fn - Função a executar enquanto o bloqueio é mantido
+     * @param {number} [timeout] - Espera máxima pelo bloqueio (padrão: a do adaptador)
+     * @returns {*} - Valor retornado pela função
+     */
+    transaction(fn, timeout = this.lockTimeout) {
+        if (this.lockDepth > 0) {
+            this.lockDepth++;
+            try {
+                return fn();
+            } finally {
+                this.lockDepth--;
+            }
+        }
+
+        this.acquireLock(timeout);
+        this.lockDepth = 1;
+
+        try {
+            return fn();
+        } finally {
+            this.lockDepth = 0;
+            this.releaseLock();
+        }
+    }
+
+    /**
+     * Obtém o arquivo de bloqueio, aguardando se outro processo o detém
+     * Bloqueios mais antigos que LOCK_STALE são considerados abandonados
+     * @param {number} timeout - Espera máxima (ms); 0 falha na hora se o bloqueio estiver ocupado
+     */
+    acquireLock(timeout) {
+        const deadline = Date.now() + timeout;
+
+        while (true) {
+            try {
+                const fd = fs.openSync(this.lockFile, 'wx');
+                fs.writeSync(fd, String(process.pid));
+                fs.closeSync(fd);
+                return;
+            } catch (error) {
+                if (error.code !== 'EEXIST') throw error;
+            }
+
+            try {
+                if (Date.now() - fs.statSync(this.lockFile).mtimeMs > LOCK_STALE) {
+                    console.warn(`Removendo bloqueio abandonado: ${this.lockFile}`);
+                    fs.unlinkSync(this.lockFile);
+                    continue;
+                }
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+                continue;
+            }
+
+            if (timeout === 0) {
+                throw new Error(`Dados em uso por outro processo (bloqueio ${this.lockFile})`);
+            }
+            if (Date.now() > deadline) {
+                throw new Error(`Tempo esgotado aguardando bloqueio de ${this.lockFile}`);
+            }
+
+            sleep(10);
+        }
+    }
+
+    /**
+     * Libera o arquivo de bloqueio
+     */
+    releaseLock() {
+        try {
+            fs.unlinkSync(this.lockFile);
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+    }
+
+    /**
+     * Nada a liberar para arquivos JSON
+     */
+    close() {}
+}
+
+module.exports = JsonStorage;
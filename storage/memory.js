@@ -0,0 +1,81 @@
+/**
+ * Adaptador de armazenamento em memória
+ * Útil para testes e demonstrações: os dados são perdidos ao encerrar o processo
+ */
+
+class MemoryStorage {
+
+    /**
+     * @param {Object} [options] - Opções do adaptador
+     * @param {Object} [options.seed] - Dados iniciais no formato { coleção: [registros] }
+     */
+    constructor({ seed = {} } = {}) {
+        this.name = 'memory';
+        this.collections = new Map();
+        this.versions = new Map();
+
+        Object.keys(seed).forEach(collection => {
+            this.write(collection, seed[collection]);
+        });
+    }
+
+    /**
+     * Garante que as coleções informadas existam
+     * @param {Array<string>} collections - Coleções utilizadas pelo sistema
+     */
+    init(collections) {
+        collections.forEach(collection => {
+            if (!this.collections.has(collection)) {
+                this.collections.set(collection, '[]');
+            }
+        });
+    }
+
+    /**
+     * Lê todos os registros de uma coleção
+     * Retorna sempre uma cópia para que alterações só valham após write()
+     * @param {string} collection - Nome da coleção
+     * @returns {Array} - Registros armazenados
+     */
+    read(collection) {
+        return JSON.parse(this.collections.get(collection) || '[]');
+    }
+
+    /**
+     * Substitui todos os registros de uma coleção
+     * @param {string} collection - Nome da coleção
+     * @param {Array} records - Registros a serem gravados
+     */
+    write(collection, records) {
+        this.collections.set(collection, JSON.stringify(records));
+        this.versions.set(collection, this.version(collection) + 1);
+    }
+
+    /**
+     * Identifica a versão atual de uma coleção (número de gravações)
+     * @param {string} collection - Nome da coleção
+     * @returns {number} - Identificador da versão
+     */
+    version(collection) {
+        return this.versions.get(collection) || 0;
+    }
+
+    /**
+     * Executa uma função com acesso exclusivo aos dados
+     * Operações síncronas em um único processo já são serializadas
+     * @param {Function} fn - Função a executar
+     * @returns {*} - Valor retornado pela função
+     */
+    transaction(fn) {
+        return fn();
+    }
+
+    /**
+     * Descarta todos os dados mantidos em memória
+     */
+    close() {
+        this.collections.clear();
+    }
+}
+
+module.exports = MemoryStorage;
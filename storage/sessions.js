@@ -0,0 +1,240 @@
+/**
+ * Armazenamento de sessões do express-session em arquivos
+ * Cada sessão fica em um arquivo JSON próprio dentro do diretório de sessões,
+ * de modo que as sessões sobrevivem a reinícios do servidor (e ao nodemon).
+ *
+ * O nome do arquivo é o hash SHA-256 do ID da sessão: o ID real (que funciona
+ * como credencial no cookie) não é gravado em disco. Esse hash também é o
+ * identificador público usado para listar e revogar sessões.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Store } = require('express-session');
+
+/**
+ * Intervalo mínimo entre regravações de uma sessão não modificada (ms)
+ * Evita uma escrita em disco a cada requisição apenas para renovar a expiração
+ */
+const TOUCH_INTERVAL = 60 * 1000;
+
+class FileSessionStore extends Store {
+    /**
+     * @param {Object} options - Opções do armazenamento
+     * @param {string} options.dir - Diretório dos arquivos de sessão
+     * @param {number} [options.ttl] - Validade padrão quando o cookie não define expiração (ms)
+     * @param {number} [options.reapInterval] - Intervalo da limpeza de sessões expiradas (ms, 0 desativa)
+     */
+    constructor({ dir, ttl = 24 * 60 * 60 * 1000, reapInterval = 60 * 60 * 1000 }) {
+        super();
+        this.dir = dir;
+        this.ttl = ttl;
+        this.touchedAt = new Map();
+        this.revoked = new Map();
+
+        fs.mkdirSync(dir, { recursive: true });
+
+        if (reapInterval) {
+            this.reaper = setInterval(() => {
+                this.reap().catch(error => console.error('Erro ao limpar sessões expiradas:', error));
+            }, reapInterval);
+            this.reaper.unref();
+        }
+    }
+
+    /**
+     * Identificador público (e nome do arquivo) de uma sessão
+     * @param {string} sid - ID da sessão
+     * @returns {string} - Hash SHA-256 em hexadecimal
+     */
+    static idFor(sid) {
+        return crypto.createHash('sha256').update(String(sid)).digest('hex');
+    }
+
+    /**
+     * Caminho do arquivo de uma sessão
+     * @param {string} id - Identificador público da sessão
+     * @returns {string} - Caminho absoluto do arquivo
+     */
+    fileFor(id) {
+        if (!/^[0-9a-f]{64}$/.test(id)) {
+            throw new Error(`Identificador de sessão inválido: ${id}`);
+        }
+        return path.join(this.dir, `${id}.json`);
+    }
+
+    /**
+     * Calcula o instante de expiração de uma sessão
+     * @param {Object} session - Dados da sessão
+     * @returns {number} - Timestamp de expiração em milissegundos
+     */
+    expiresAt(session) {
+        const expires = session.cookie && session.cookie.expires;
+        return expires ? new Date(expires).getTime() : Date.now() + this.ttl;
+    }
+
+    // =========================================================================
+    // ACESSO AOS ARQUIVOS
+    // =========================================================================
+
+    /**
+     * Lê o registro de uma sessão, descartando arquivos expirados ou ilegíveis
+     * @param {string} id - Identificador público da sessão
+     * @returns {Promise<Object|null>} - { expiresAt, session } ou null
+     */
+    async readRecord(id) {
+        let record;
+
+        try {
+            record = JSON.parse(await fs.promises.readFile(this.fileFor(id), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+
+            // Arquivo truncado ou corrompido: a sessão é descartada (o usuário faz login de novo)
+            console.error(`Sessão ilegível descartada (${id}):`, error.message);
+            await this.removeRecord(id);
+            return null;
+        }
+
+        if (!record || !record.session || record.expiresAt <= Date.now()) {
+            await this.removeRecord(id);
+            return null;
+        }
+
+        return record;
+    }
+
+    /**
+     * Grava o registro de uma sessão (temporário + rename)
+     * @param {string} id - Identificador público da sessão
+     * @param {Object} session - Dados da sessão
+     * @returns {Promise<void>}
+     */
+    async writeRecord(id, session) {
+        // Uma requisição em andamento não pode recriar uma sessão revogada ao terminar
+        if (this.revoked.has(id)) return;
+
+        // Nome temporário único: gravações simultâneas da mesma sessão não compartilham o arquivo
+        const file = this.fileFor(id);
+        const tmp = `${file}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+        const record = { expiresAt: this.expiresAt(session), session };
+
+        try {
+            await fs.promises.writeFile(tmp, JSON.stringify(record));
+            await fs.promises.rename(tmp, file);
+        } catch (error) {
+            await fs.promises.unlink(tmp).catch(() => {});
+            throw error;
+        }
+        this.touchedAt.set(id, Date.now());
+    }
+
+    /**
+     * Remove o arquivo de uma sessão (ignora sessões inexistentes)
+     * @param {string} id - Identificador público da sessão
+     * @returns {Promise<void>}
+     */
+    async removeRecord(id) {
+        this.touchedAt.delete(id);
+
+        try {
+            await fs.promises.unlink(this.fileFor(id));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+    }
+
+    /**
+     * Lista as sessões válidas
+     * @returns {Promise<Array>} - Lista de { id, expiresAt, session }
+     */
+    async list() {
+        const files = await fs.promises.readdir(this.dir);
+        const ids = files
+            .filter(file => /^[0-9a-f]{64}\.json$/.test(file))
+            .map(file => file.slice(0, -'.json'.length));
+
+        const records = await Promise.all(ids.map(async id => {
+            const record = await this.readRecord(id);
+            return record ? { id, ...record } : null;
+        }));
+
+        return records.filter(Boolean);
+    }
+
+    /**
+     * Revoga uma sessão pelo identificador público
+     * @param {string} id - Identificador público da sessão
+     * @returns {Promise<void>}
+     */
+    destroyById(id) {
+        this.revoked.set(id, Date.now() + this.ttl);
+        return this.removeRecord(id);
+    }
+
+    /**
+     * Remove os arquivos de sessões expiradas
+     * @returns {Promise<void>}
+     */
+    async reap() {
+        const now = Date.now();
+        this.revoked.forEach((until, id) => {
+            if (until <= now) this.revoked.delete(id);
+        });
+
+        // readRecord já descarta arquivos expirados durante a listagem
+        await this.list();
+    }
+
+    // =========================================================================
+    // INTERFACE DO EXPRESS-SESSION (CALLBACKS)
+    // =========================================================================
+
+    get(sid, callback) {
+        this.readRecord(FileSessionStore.idFor(sid))
+            .then(record => callback(null, record ? record.session : null), callback);
+    }
+
+    set(sid, session, callback) {
+        this.writeRecord(FileSessionStore.idFor(sid), session)
+            .then(() => callback && callback(null), callback);
+    }
+
+    touch(sid, session, callback) {
+        const id = FileSessionStore.idFor(sid);
+
+        // Sessão regravada recentemente: a expiração gravada ainda é suficiente
+        if (Date.now() - (this.touchedAt.get(id) || 0) < TOUCH_INTERVAL) {
+            return callback && callback(null);
+        }
+
+        this.set(sid, session, callback);
+    }
+
+    destroy(sid, callback) {
+        this.removeRecord(FileSessionStore.idFor(sid))
+            .then(() => callback && callback(null), callback);
+    }
+
+    /**
+     * Todas as sessões válidas, indexadas pelo identificador público
+     * (o ID real da sessão não é armazenado)
+     */
+    all(callback) {
+        this.list()
+            .then(records => callback(null, Object.fromEntries(records.map(record => [record.id, record.session]))), callback);
+    }
+
+    length(callback) {
+        this.list().then(records => callback(null, records.length), callback);
+    }
+
+    clear(callback) {
+        this.list()
+            .then(records => Promise.all(records.map(record => this.removeRecord(record.id))))
+            .then(() => callback && callback(null), callback);
+    }
+}
+
+module.exports = FileSessionStore;
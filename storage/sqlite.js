@@ -0,0 +1,126 @@
+/**
+ * Adaptador de armazenamento em SQLite embarcado
+ * Utiliza better-sqlite3 (dependência opcional) com um registro por linha
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { StorageCorruptError } = require('./errors');
+
+class SqliteStorage {
+
+    /**
+     * @param {Object} options - Opções do adaptador
+     * @param {string} options.file - Caminho do arquivo do banco (':memory:' para volátil)
+     */
+    constructor({ file }) {
+        this.name = 'sqlite';
+        this.file = file;
+        this.db = null;
+        this.writes = new Map();
+    }
+
+    /**
+     * Abre o banco e cria a tabela de registros se necessário
+     * As coleções não precisam de tabelas próprias: todas compartilham "records"
+     */
+    init() {
+        if (this.db) return;
+
+        let BetterSqlite3;
+        try {
+            BetterSqlite3 = require('better-sqlite3');
+        } catch (error) {
+            throw new Error('Driver SQLite indisponível: instale a dependência opcional "better-sqlite3"');
+        }
+
+        if (this.file !== ':memory:') {
+            fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        }
+
+        this.db = new BetterSqlite3(this.file);
+
+        const integrity = this.db.pragma('quick_check', { simple: true });
+        if (integrity !== 'ok') {
+            this.db.close();
+            this.db = null;
+            throw new StorageCorruptError(this.file, new Error(integrity));
+        }
+
+        this.db.pragma('journal_mode = WAL');
+        this.db.pragma('busy_timeout = 5000');
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS records (
+                collection TEXT NOT NULL,
+                id TEXT NOT NULL,
+                position INTEGER NOT NULL,
+                data TEXT NOT NULL,
+                PRIMARY KEY (collection, id)
+            )
+        `);
+
+        this.selectStmt = this.db.prepare('SELECT data FROM records WHERE collection = ? ORDER BY position');
+        this.deleteStmt = this.db.prepare('DELETE FROM records WHERE collection = ?');
+        this.insertStmt = this.db.prepare('INSERT INTO records (collection, id, position, data) VALUES (?, ?, ?, ?)');
+        this.replaceAll = this.db.transaction((collection, records) => {
+            this.deleteStmt.run(collection);
+            records.forEach((record, index) => {
+                const id = record && record.id !== undefined ? String(record.id) : `#${index}`;
+                this.insertStmt.run(collection, id, index, JSON.stringify(record));
+            });
+        });
+    }
+
+    /**
+     * Lê todos os registros de uma coleção na ordem em que foram gravados
+     * @param {string} collection - Nome da coleção
+     * @returns {Array} - Registros armazenados
+     */
+    read(collection) {
+        return this.selectStmt.all(collection).map(row => JSON.parse(row.data));
+    }
+
+    /**
+     * Substitui todos os registros de uma coleção em uma única transação
+     * @param {string} collection - Nome da coleção
+     * @param {Array} records - Registros a serem gravados
+     */
+    write(collection, records) {
+        this.replaceAll(collection, records);
+        this.writes.set(collection, (this.writes.get(collection) || 0) + 1);
+    }
+
+    /**
+     * Identifica a versão atual de uma coleção
+     * data_version muda quando outra conexão altera o banco; o contador
+     * local cobre as gravações feitas por esta conexão
+     * @param {string} collection - Nome da coleção
+     * @returns {string} - Identificador da versão
+     */
+    version(collection) {
+        const dataVersion = this.db.pragma('data_version', { simple: true });
+        return `${dataVersion}:${this.writes.get(collection) || 0}`;
+    }
+
+    /**
+     * Executa uma função dentro de uma transação IMMEDIATE
+     * Garante exclusividade de escrita entre conexões e desfaz tudo em caso de erro
+     * @param {Function} fn - Função a executar
+     * @returns {*} - Valor retornado pela função
+     */
+    transaction(fn) {
+        return this.db.transaction(fn).immediate();
+    }
+
+    /**
+     * Fecha a conexão com o banco
+     */
+    close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+}
+
+module.exports = SqliteStorage;
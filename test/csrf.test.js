@@ -0,0 +1,122 @@
+/**
+ * Testes da proteção CSRF
+ * O middleware verifyCsrf é chamado diretamente com requisições simuladas:
+ * métodos seguros, token no cabeçalho ou no corpo, tokens ausentes, errados ou
+ * com tamanho diferente em bytes e requisições autenticadas por token de API.
+ *
+ * Executar com: npm test
+ */
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { getCsrfToken, verifyCsrf } = require('../config');
+
+/**
+ * Monta uma requisição simulada
+ * @param {Object} [fields] - { method, session, headers, body, apiToken }
+ * @returns {Object} - Requisição com get() para os cabeçalhos
+ */
+function request({ method = 'POST', session = {}, headers = {}, body = {}, apiToken = null } = {}) {
+    const lower = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+    
+    return {
+        method,
+        session,
+        body,
+        apiToken,
+        ip: '127.0.0.1',
+        originalUrl: '/api/tasks',
+        get: name => lower[name.toLowerCase()]
+    };
+}
+
+/**
+ * Executa o middleware e informa se a requisição seguiu adiante
+ * @param {Object} req - Requisição simulada
+ * @returns {Object} - { passed, status, body }
+ */
+function run(req) {
+    const result = { passed: false, status: 200, body: null };
+    const res = {
+        status(code) {
+            result.status = code;
+            return res;
+        },
+        json(body) {
+            result.body = body;
+            return res;
+        }
+    };
+    
+    verifyCsrf(req, res, () => {
+        result.passed = true;
+    });
+    return result;
+}
+
+describe('proteção CSRF', () => {
+    let session;
+    
+    beforeEach(() => {
+        mock.method(console, 'warn', () => {});
+        session = {};
+        getCsrfToken({ session });
+    });
+    
+    afterEach(() => {
+        mock.restoreAll();
+    });
+    
+    it('gera um token por sessão e o reutiliza', () => {
+        const token = getCsrfToken({ session });
+        
+        assert.match(token, /^[0-9a-f]{64}$/);
+        assert.equal(getCsrfToken({ session }), token);
+        assert.notEqual(getCsrfToken({ session: {} }), token);
+        assert.equal(getCsrfToken({}), null);
+    });
+    
+    it('dispensa o token nos métodos que não alteram estado', () => {
+        ['GET', 'HEAD', 'OPTIONS'].forEach(method => assert.equal(run(request({ method, session })).passed, true, method));
+    });
+    
+    it('aceita o token no cabeçalho X-CSRF-Token ou no campo _csrf', () => {
+        ['POST', 'PUT', 'PATCH', 'DELETE'].forEach(method => {
+            assert.equal(run(request({ method, session, headers: { 'X-CSRF-Token': session.csrfToken } })).passed, true, method);
+        });
+        assert.equal(run(request({ session, body: { _csrf: session.csrfToken } })).passed, true);
+    });
+    
+    it('recusa tokens ausentes ou errados com 403', () => {
+        const wrong = session.csrfToken.replace(/^./, char => (char === 'a' ? 'b' : 'a'));
+        
+        [
+            request({ session }),
+            request({ session, headers: { 'X-CSRF-Token': wrong } }),
+            request({ session, headers: { 'X-CSRF-Token': session.csrfToken.slice(1) } }),
+            request({ session, body: { _csrf: [session.csrfToken] } }),
+            request({ session: null, headers: { 'X-CSRF-Token': session.csrfToken } })
+        ].forEach((req, index) => {
+            const result = run(req);
+            assert.equal(result.passed, false, String(index));
+            assert.equal(result.status, 403);
+            assert.equal(result.body.code, 'CSRF_INVALID');
+        });
+    });
+    
+    it('recusa sessões sem token, mesmo com um token vazio na requisição', () => {
+        assert.equal(run(request({ session: {}, headers: { 'X-CSRF-Token': '' } })).passed, false);
+        assert.equal(run(request({ session: {}, body: { _csrf: '' } })).passed, false);
+    });
+    
+    it('recusa sem erro um token com o mesmo número de caracteres e outro tamanho em bytes', () => {
+        const multibyte = 'é'.repeat(session.csrfToken.length);
+        
+        assert.equal(run(request({ session, headers: { 'X-CSRF-Token': multibyte } })).status, 403);
+    });
+    
+    it('não exige o token de requisições autenticadas por token de API', () => {
+        assert.equal(run(request({ session: null, apiToken: { id: 'token' } })).passed, true);
+    });
+});
@@ -0,0 +1,251 @@
+/**
+ * Testes da listagem de tarefas
+ * Validação dos parâmetros, ordenação por várias chaves, cursores e a
+ * estabilidade da paginação com empates e tarefas sem vencimento.
+ *
+ * Executar com: npm test
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const listing = require('../listing');
+
+/**
+ * Monta uma tarefa com valores padrão
+ * @param {string} id - ID da tarefa
+ * @param {Object} [fields] - Campos a sobrescrever
+ * @returns {Object} - Tarefa
+ */
+function task(id, fields = {}) {
+    return {
+        id,
+        title: `Tarefa ${id}`,
+        priority: 'medium',
+        dueDate: null,
+        dueTime: null,
+        completed: false,
+        assigneeId: null,
+        tags: [],
+        createdAt: '2030-01-01T12:00:00.000Z',
+        updatedAt: '2030-01-01T12:00:00.000Z',
+        ...fields
+    };
+}
+
+/**
+ * Valida a ordenação informada (falha o teste se for inválida)
+ * @param {string} value - Ordenação (ex.: "-priority,dueDate")
+ * @returns {Array} - Chaves de ordenação
+ */
+function sortOf(value) {
+    const parsed = listing.parseListQuery({ sort: value }, 'u1');
+    assert.equal(parsed.success, true, parsed.message);
+    return parsed.sort;
+}
+
+/**
+ * Percorre todas as páginas de uma lista
+ * @param {Function} getTasks - Retorna as tarefas atuais (chamada a cada página)
+ * @param {Array} sort - Chaves de ordenação
+ * @param {number} limit - Tamanho da página
+ * @param {Function} [between] - Executada entre as páginas (recebe o número da página)
+ * @returns {Array<string>} - IDs entregues, na ordem
+ */
+function walk(getTasks, sort, limit, between = () => {}) {
+    const ids = [];
+    let cursor = null;
+    let page = 0;
+    
+    do {
+        const result = listing.paginate(listing.sortTasks(getTasks(), sort), sort, cursor, limit);
+        assert.equal(result.success, true, result.message);
+        
+        ids.push(...result.tasks.map(item => item.id));
+        cursor = result.nextCursor;
+        between(++page);
+    } while (cursor);
+    
+    return ids;
+}
+
+// =============================================================================
+// VALIDAÇÃO
+// =============================================================================
+
+describe('listing.parseListQuery', () => {
+    it('usa os padrões sem parâmetros', () => {
+        const parsed = listing.parseListQuery({}, 'u1');
+        
+        assert.equal(parsed.success, true);
+        assert.equal(parsed.filters.status, 'all');
+        assert.deepEqual(parsed.filters.priorities, []);
+        assert.equal(parsed.filters.assigneeId, undefined);
+        assert.equal(parsed.filters.tagMatch, 'any');
+        assert.equal(listing.formatSort(parsed.sort), listing.DEFAULT_SORT);
+        assert.equal(parsed.limit, 20);
+        assert.equal(parsed.cursor, null);
+    });
+    
+    it('interpreta listas, responsável e intervalos de datas', () => {
+        const parsed = listing.parseListQuery({
+            priority: 'high, low',
+            assignee: 'me',
+            tags: 't1,,t2',
+            tagMatch: 'all',
+            createdFrom: '2030-01-01',
+            createdTo: '2030-01-31',
+            sort: '-priority,dueDate'
+        }, 'u1');
+        
+        assert.deepEqual(parsed.filters.priorities, ['high', 'low']);
+        assert.equal(parsed.filters.assigneeId, 'u1');
+        assert.deepEqual(parsed.filters.tagIds, ['t1', 't2']);
+        assert.equal(parsed.filters.tagMatch, 'all');
+        assert.deepEqual(parsed.filters.created, { from: '2030-01-01', to: '2030-01-31' });
+        assert.deepEqual(parsed.sort, [{ key: 'priority', desc: true }, { key: 'dueDate', desc: false }]);
+        
+        assert.equal(listing.parseListQuery({ assignee: 'none' }, 'u1').filters.assigneeId, null);
+    });
+    
+    it('limita o tamanho da página', () => {
+        assert.equal(listing.parseListQuery({ limit: '500' }, 'u1').limit, listing.MAX_LIMIT);
+        assert.equal(listing.parseListQuery({ limit: '0' }, 'u1').success, false);
+        assert.equal(listing.parseListQuery({ limit: 'dez' }, 'u1').success, false);
+    });
+    
+    it('rejeita valores inválidos', () => {
+        [
+            { status: 'archived' },
+            { priority: 'high,urgent' },
+            { due: 'tomorrow' },
+            { createdFrom: '2030-02-30' },
+            { updatedFrom: '2030-02-01', updatedTo: '2030-01-01' },
+            { sort: 'assigneeId' },
+            { sort: 'dueDate,-dueDate' }
+        ].forEach(query => assert.equal(listing.parseListQuery(query, 'u1').success, false, JSON.stringify(query)));
+    });
+});
+
+describe('listing.parseDashboardQuery', () => {
+    it('traduz os filtros do dashboard e ignora valores desconhecidos', () => {
+        const high = listing.parseDashboardQuery({ filter: 'high', sort: 'dueDate' }, 'u1');
+        assert.equal(high.filters.status, 'pending');
+        assert.deepEqual(high.filters.priorities, ['high']);
+        assert.equal(listing.formatSort(high.sort), 'dueDate,-createdAt');
+        
+        const unknown = listing.parseDashboardQuery({ filter: 'toString', sort: 'title' }, 'u1');
+        assert.equal(unknown.filter, 'all');
+        assert.equal(unknown.sortKey, 'createdAt');
+        assert.equal(listing.parseDashboardQuery({ filter: 'assigned' }, 'u1').filters.assigneeId, 'u1');
+    });
+});
+
+// =============================================================================
+// FILTROS E ORDENAÇÃO
+// =============================================================================
+
+describe('listing.filterTasks', () => {
+    it('combina os filtros e as tags com any/all', () => {
+        const tasks = [
+            task('a', { tags: ['t1'] }),
+            task('b', { tags: ['t1', 't2'], priority: 'high' }),
+            task('c', { tags: ['t2'], completed: true })
+        ];
+        const filter = query => listing.filterTasks(tasks, listing.parseListQuery(query, 'u1').filters).map(item => item.id);
+        
+        assert.deepEqual(filter({ tags: 't1,t2' }), ['a', 'b', 'c']);
+        assert.deepEqual(filter({ tags: 't1,t2', tagMatch: 'all' }), ['b']);
+        assert.deepEqual(filter({ tags: 't2', status: 'pending' }), ['b']);
+        assert.deepEqual(filter({ priority: 'medium', status: 'completed' }), ['c']);
+    });
+});
+
+describe('listing.sortTasks', () => {
+    const tasks = [
+        task('a', { priority: 'low', dueDate: '2030-01-10' }),
+        task('b', { priority: 'high', dueDate: null }),
+        task('c', { priority: 'high', dueDate: '2030-01-05' }),
+        task('d', { priority: 'high', dueDate: '2030-01-05', dueTime: '09:00' }),
+        task('e', { priority: 'low', dueDate: '2030-01-10' })
+    ];
+    
+    it('ordena por várias chaves, desempatando pelo ID', () => {
+        assert.deepEqual(listing.sortTasks(tasks, sortOf('-priority,dueDate')).map(item => item.id), ['d', 'c', 'b', 'a', 'e']);
+    });
+    
+    it('mantém as tarefas sem vencimento no fim em qualquer direção', () => {
+        assert.equal(listing.sortTasks(tasks, sortOf('dueDate')).at(-1).id, 'b');
+        assert.equal(listing.sortTasks(tasks, sortOf('-dueDate')).at(-1).id, 'b');
+    });
+    
+    it('ordena títulos sem diferenciar acentos e maiúsculas', () => {
+        const titled = [task('a', { title: 'ovo' }), task('b', { title: 'Órgão' }), task('c', { title: 'Abacaxi' })];
+        
+        // Sem normalizar, "Ó" ficaria depois de todas as letras sem acento
+        assert.deepEqual(listing.sortTasks(titled, sortOf('title')).map(item => item.id), ['c', 'b', 'a']);
+    });
+    
+    it('não altera a lista recebida', () => {
+        const ids = tasks.map(item => item.id);
+        listing.sortTasks(tasks, sortOf('title'));
+        
+        assert.deepEqual(tasks.map(item => item.id), ids);
+    });
+});
+
+// =============================================================================
+// PAGINAÇÃO
+// =============================================================================
+
+describe('listing.paginate', () => {
+    it('gera cursores com a ordenação e os valores da última tarefa', () => {
+        const sort = sortOf('-priority,dueDate');
+        const tasks = listing.sortTasks([task('a', { priority: 'high' }), task('b'), task('c')], sort);
+        
+        const { nextCursor } = listing.paginate(tasks, sort, null, 1);
+        const data = JSON.parse(Buffer.from(nextCursor, 'base64url').toString('utf8'));
+        
+        assert.deepEqual(data, { sort: '-priority,dueDate', values: [2, null, 'a'] });
+        assert.deepEqual(listing.paginate(tasks, sort, nextCursor, 1).tasks.map(item => item.id), ['b']);
+    });
+    
+    it('rejeita cursores inválidos ou de outra ordenação', () => {
+        const tasks = [task('a'), task('b')];
+        const { nextCursor } = listing.paginate(tasks, sortOf('dueDate'), null, 1);
+        
+        assert.equal(listing.paginate(tasks, sortOf('-dueDate'), nextCursor, 1).success, false);
+        assert.equal(listing.paginate(tasks, sortOf('dueDate'), 'não-é-um-cursor', 1).success, false);
+        
+        const truncated = Buffer.from(JSON.stringify({ sort: 'dueDate', values: ['a'] })).toString('base64url');
+        assert.equal(listing.paginate(tasks, sortOf('dueDate'), truncated, 1).success, false);
+    });
+    
+    it('entrega cada tarefa uma única vez com empates e vencimentos ausentes', () => {
+        const tasks = ['a', 'b', 'c', 'd', 'e', 'f', 'g'].map((id, index) => task(id, {
+            priority: index % 2 ? 'high' : 'low',
+            dueDate: index % 3 ? '2030-01-05' : null
+        }));
+        
+        ['dueDate', '-dueDate', '-priority,dueDate', '-createdAt'].forEach(value => {
+            const sort = sortOf(value);
+            const expected = listing.sortTasks(tasks, sort).map(item => item.id);
+            
+            [1, 2, 3].forEach(limit => assert.deepEqual(walk(() => tasks, sort, limit), expected, `${value} (${limit})`));
+        });
+    });
+    
+    it('continua depois da última tarefa entregue quando a lista muda entre as páginas', () => {
+        const sort = sortOf('dueDate');
+        let tasks = ['a', 'b', 'c', 'd', 'e', 'f'].map(id => task(id, { dueDate: id < 'd' ? '2030-01-05' : null }));
+        
+        const ids = walk(() => tasks, sort, 2, page => {
+            if (page === 1) {
+                // Remove uma tarefa já entregue e cria outra antes do cursor
+                tasks = [...tasks.filter(item => item.id !== 'a'), task('0', { dueDate: '2030-01-01' })];
+            }
+        });
+        
+        assert.deepEqual(ids, ['a', 'b', 'c', 'd', 'e', 'f']);
+    });
+});
@@ -0,0 +1,115 @@
+/**
+ * Testes do controle de tentativas de login
+ * Contagem de falhas por chave (IP ou conta), atraso exponencial, bloqueio,
+ * expiração da janela e do bloqueio. O relógio é simulado com mock.timers.
+ *
+ * Executar com: npm test
+ */
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { config } = require('../config');
+const { MemoryStorage } = require('../storage');
+const Database = require('../database');
+
+const policy = config.LOGIN_THROTTLE;
+const MINUTE = 60 * 1000;
+
+describe('controle de tentativas de login', () => {
+    let userId;
+    
+    beforeEach(() => {
+        mock.timers.enable({ apis: ['Date'], now: new Date('2030-01-01T12:00:00.000Z') });
+        Database.init(new MemoryStorage());
+        userId = Database.createUser('ana', 'ana@example.com', 'Senha123!').userId;
+    });
+    
+    afterEach(() => {
+        mock.timers.reset();
+    });
+    
+    /**
+     * Registra várias falhas seguidas para a mesma chave
+     * @param {string} key - Chave do contador
+     * @param {number} count - Quantidade de falhas
+     * @param {number} [maxAttempts] - Falhas até o bloqueio
+     * @returns {Object} - Resultado da última falha
+     */
+    function fail(key, count, maxAttempts = policy.ACCOUNT_MAX_ATTEMPTS) {
+        let result;
+        for (let i = 0; i < count; i++) {
+            result = Database.registerLoginFailure(key, maxAttempts);
+        }
+        return result;
+    }
+    
+    it('conta as falhas da conta pelo ID, sem revelar se ela existe', () => {
+        assert.equal(Database.getLoginAccountKey('ana@example.com'), `user:${userId}`);
+        assert.equal(Database.getLoginAccountKey('ana'), `user:${userId}`);
+        assert.equal(Database.getLoginAccountKey('Ninguem'), 'login:ninguem');
+    });
+    
+    it('libera as primeiras falhas e aplica atraso exponencial em seguida', () => {
+        const free = fail('ip:1', policy.FREE_ATTEMPTS, policy.IP_MAX_ATTEMPTS);
+        assert.equal(free.blockedUntil, null);
+        assert.equal(Database.getLoginBlock('ip:1'), null);
+        
+        const delayed = fail('ip:1', 1, policy.IP_MAX_ATTEMPTS);
+        assert.equal(delayed.locked, false);
+        assert.equal(new Date(delayed.blockedUntil) - Date.now(), policy.BACKOFF_BASE_SECONDS * 1000);
+        assert.equal(Database.getLoginBlock('ip:1').failures, policy.FREE_ATTEMPTS + 1);
+        
+        const doubled = fail('ip:1', 1, policy.IP_MAX_ATTEMPTS);
+        assert.equal(new Date(doubled.blockedUntil) - Date.now(), policy.BACKOFF_BASE_SECONDS * 2000);
+        
+        mock.timers.tick(policy.BACKOFF_BASE_SECONDS * 2000);
+        assert.equal(Database.getLoginBlock('ip:1'), null);
+    });
+    
+    it('limita o atraso a BACKOFF_MAX_SECONDS', () => {
+        const result = fail('ip:1', policy.FREE_ATTEMPTS + 10, policy.IP_MAX_ATTEMPTS);
+        
+        assert.equal(result.locked, false);
+        assert.equal(new Date(result.blockedUntil) - Date.now(), policy.BACKOFF_MAX_SECONDS * 1000);
+    });
+    
+    it('bloqueia a chave por LOCKOUT_MINUTES ao atingir o limite', () => {
+        const result = fail(`user:${userId}`, policy.ACCOUNT_MAX_ATTEMPTS);
+        
+        assert.equal(result.locked, true);
+        assert.equal(new Date(result.blockedUntil) - Date.now(), policy.LOCKOUT_MINUTES * MINUTE);
+        assert.equal(Database.getLoginBlock(`user:${userId}`).locked, true);
+        assert.equal(Database.getLoginBlock('ip:1'), null);
+        
+        mock.timers.tick(policy.LOCKOUT_MINUTES * MINUTE - 1000);
+        assert.ok(Database.getLoginBlock(`user:${userId}`));
+        
+        mock.timers.tick(1000);
+        assert.equal(Database.getLoginBlock(`user:${userId}`), null);
+    });
+    
+    it('recomeça a contagem depois de um bloqueio cumprido', () => {
+        fail(`user:${userId}`, policy.ACCOUNT_MAX_ATTEMPTS);
+        mock.timers.tick(policy.LOCKOUT_MINUTES * MINUTE);
+        
+        const result = fail(`user:${userId}`, 1);
+        assert.equal(result.failures, 1);
+        assert.equal(result.blockedUntil, null);
+    });
+    
+    it('descarta as falhas fora da janela de contagem', () => {
+        fail('ip:1', policy.FREE_ATTEMPTS);
+        mock.timers.tick(policy.WINDOW_MINUTES * MINUTE + 1000);
+        
+        assert.equal(fail('ip:1', 1).failures, 1);
+    });
+    
+    it('zera o contador após um login bem-sucedido', () => {
+        fail(`user:${userId}`, policy.FREE_ATTEMPTS + 1);
+        
+        assert.equal(Database.clearLoginFailures(`user:${userId}`).success, true);
+        assert.equal(Database.getLoginBlock(`user:${userId}`), null);
+        assert.equal(fail(`user:${userId}`, 1).failures, 1);
+    });
+});
@@ -0,0 +1,246 @@
+/**
+ * Testes das regras de repetição
+ * Cálculo da próxima ocorrência (inclusive nos fins de mês e anos bissextos),
+ * interpretação das regras e o ciclo das séries no Database: concluir, reabrir,
+ * pular ocorrências e editar a regra.
+ *
+ * Executar com: npm test
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const recurrence = require('../recurrence');
+const { MemoryStorage } = require('../storage');
+const Database = require('../database');
+
+/**
+ * Monta uma regra normalizada com início definido
+ * @param {Object|string} input - Repetição no formato aceito por parseRecurrence
+ * @param {string} start - Data da primeira ocorrência
+ * @returns {Object} - Regra com start
+ */
+function rule(input, start) {
+    const parsed = recurrence.parseRecurrence(input);
+    assert.equal(parsed.success, true, parsed.message);
+    return { ...parsed.recurrence, start };
+}
+
+/**
+ * Lista as próximas datas da série a partir do início
+ * @param {Object} series - Regra com start
+ * @param {number} count - Quantidade de datas
+ * @returns {Array<string>} - Datas (AAAA-MM-DD)
+ */
+function upcoming(series, count) {
+    const dates = [];
+    let current = { date: series.start, occurrence: 1 };
+    
+    while (dates.length < count) {
+        current = recurrence.nextOccurrence(series, current.date, { notBefore: series.start, occurrence: current.occurrence });
+        if (!current) break;
+        dates.push(current.date);
+    }
+    
+    return dates;
+}
+
+// =============================================================================
+// PRÓXIMA OCORRÊNCIA
+// =============================================================================
+
+describe('recurrence.nextOccurrence', () => {
+    it('avança diariamente e a cada N dias', () => {
+        assert.deepEqual(upcoming(rule({ type: 'daily' }, '2030-02-27'), 3), ['2030-02-28', '2030-03-01', '2030-03-02']);
+        assert.deepEqual(upcoming(rule({ type: 'interval', days: 3 }, '2030-01-30'), 3), ['2030-02-02', '2030-02-05', '2030-02-08']);
+    });
+    
+    it('segue os dias da semana escolhidos e o intervalo em semanas', () => {
+        // 2030-01-07 é uma segunda-feira
+        assert.deepEqual(upcoming(rule({ type: 'weekly', weekdays: [1, 3] }, '2030-01-07'), 3), ['2030-01-09', '2030-01-14', '2030-01-16']);
+        assert.deepEqual(upcoming(rule('FREQ=WEEKLY;INTERVAL=2;BYDAY=MO', '2030-01-07'), 2), ['2030-01-21', '2030-02-04']);
+    });
+    
+    it('usa o dia da semana do início quando a regra semanal não escolhe dias', () => {
+        assert.deepEqual(upcoming(rule('FREQ=WEEKLY', '2030-01-09'), 2), ['2030-01-16', '2030-01-23']);
+    });
+    
+    it('usa o último dia dos meses mais curtos que o dia escolhido', () => {
+        assert.deepEqual(
+            upcoming(rule({ type: 'monthly', day: 31 }, '2031-01-31'), 4),
+            ['2031-02-28', '2031-03-31', '2031-04-30', '2031-05-31']
+        );
+    });
+    
+    it('considera o 29 de fevereiro dos anos bissextos', () => {
+        assert.deepEqual(upcoming(rule({ type: 'monthly', day: 31 }, '2032-01-31'), 2), ['2032-02-29', '2032-03-31']);
+        assert.deepEqual(upcoming(rule('FREQ=MONTHLY;INTERVAL=12;BYMONTHDAY=29', '2031-02-28'), 2), ['2032-02-29', '2033-02-28']);
+    });
+    
+    it('mantém o dia do início nas séries mensais sem dia escolhido', () => {
+        assert.deepEqual(upcoming(rule('FREQ=MONTHLY', '2031-01-30'), 3), ['2031-02-28', '2031-03-30', '2031-04-30']);
+    });
+    
+    it('encerra a série em COUNT e em UNTIL', () => {
+        assert.deepEqual(upcoming(rule('FREQ=DAILY;COUNT=3', '2030-01-01'), 5), ['2030-01-02', '2030-01-03']);
+        assert.deepEqual(upcoming(rule('FREQ=DAILY;UNTIL=20300103', '2030-01-01'), 5), ['2030-01-02', '2030-01-03']);
+    });
+    
+    it('pula ocorrências anteriores a notBefore, contando-as para COUNT', () => {
+        const series = rule('FREQ=DAILY;COUNT=5', '2030-01-01');
+        
+        assert.deepEqual(recurrence.nextOccurrence(series, '2030-01-01', { notBefore: '2030-01-04', occurrence: 1 }), { date: '2030-01-04', occurrence: 4 });
+        assert.equal(recurrence.nextOccurrence(series, '2030-01-01', { notBefore: '2030-01-06', occurrence: 1 }), null);
+    });
+});
+
+// =============================================================================
+// INTERPRETAÇÃO DAS REGRAS
+// =============================================================================
+
+describe('recurrence.parseRecurrence', () => {
+    it('converte predefinições e RRULE na mesma regra', () => {
+        const preset = recurrence.parseRecurrence({ type: 'weekly', weekdays: [3, 1, 3] });
+        const rrule = recurrence.parseRecurrence('RRULE:FREQ=WEEKLY;BYDAY=MO,WE');
+        
+        assert.deepEqual(preset, rrule);
+        assert.equal(recurrence.toRRule(preset.recurrence), 'FREQ=WEEKLY;BYDAY=MO,WE');
+    });
+    
+    it('trata valores vazios como ausência de repetição', () => {
+        assert.deepEqual(recurrence.parseRecurrence(null), { success: true, recurrence: null });
+        assert.deepEqual(recurrence.parseRecurrence({ type: 'none' }), { success: true, recurrence: null });
+    });
+    
+    it('rejeita regras inválidas ou não suportadas', () => {
+        ['FREQ=YEARLY', 'INTERVAL=2', 'FREQ=DAILY;BYDAY=MO', 'FREQ=DAILY;COUNT=2;UNTIL=20300101', 'FREQ=MONTHLY;BYMONTHDAY=32', 'FREQ=DAILY;BYSETPOS=1']
+            .forEach(text => assert.equal(recurrence.parseRecurrence(text).success, false, text));
+        assert.equal(recurrence.parseRecurrence({ type: 'weekly', weekdays: [] }).success, false);
+        assert.equal(recurrence.parseRecurrence({ type: 'interval', days: 0 }).success, false);
+    });
+});
+
+// =============================================================================
+// SÉRIES NO DATABASE
+// =============================================================================
+
+describe('séries de tarefas repetidas', () => {
+    let userId;
+    
+    beforeEach(() => {
+        Database.init(new MemoryStorage());
+        userId = Database.createUser('ana', 'ana@example.com', 'Senha123!').userId;
+    });
+    
+    /**
+     * Cria uma tarefa repetida e retorna o ID
+     * @param {string} text - Regra RRULE
+     * @param {string} dueDate - Data da primeira ocorrência
+     * @returns {string} - ID da tarefa
+     */
+    function createSeries(text, dueDate) {
+        const created = Database.createTask(userId, 'Relatório', '', 'medium', dueDate, null, recurrence.parseRecurrence(text).recurrence);
+        assert.equal(created.success, true, created.message);
+        return created.taskId;
+    }
+    
+    /**
+     * Localiza uma tarefa do usuário do teste
+     * @param {string} taskId - ID da tarefa
+     * @returns {Object|null} - Tarefa encontrada
+     */
+    function findTask(taskId) {
+        return Database.getTasks(userId).find(task => task.id === taskId) || null;
+    }
+    
+    /**
+     * Aguarda o relógio avançar (updatedAt diferente de createdAt)
+     * @returns {Promise} - Resolvida após alguns milissegundos
+     */
+    function tick() {
+        return new Promise(resolve => setTimeout(resolve, 5));
+    }
+    
+    it('gera a próxima ocorrência ao concluir, que passa a carregar a regra', () => {
+        const taskId = createSeries('FREQ=MONTHLY;BYMONTHDAY=31', '2031-01-31');
+        
+        const result = Database.toggleTaskCompletion(taskId, userId);
+        assert.equal(result.nextDueDate, '2031-02-28');
+        
+        const done = findTask(taskId);
+        const next = findTask(result.nextTaskId);
+        assert.equal(done.recurrence, null);
+        assert.equal(next.recurrence.monthDay, 31);
+        assert.equal(next.occurrence, 2);
+        assert.equal(next.previousId, taskId);
+        assert.equal(next.seriesId, done.seriesId);
+        assert.deepEqual(Database.getSeriesHistory(next.id, userId).map(task => task.id), [taskId]);
+    });
+    
+    it('encerra a série na última ocorrência de COUNT', () => {
+        const taskId = createSeries('FREQ=DAILY;COUNT=2', '2030-01-01');
+        const { nextTaskId } = Database.toggleTaskCompletion(taskId, userId);
+        
+        assert.equal(Database.skipOccurrence(nextTaskId, userId).success, false);
+        assert.equal(Database.toggleTaskCompletion(nextTaskId, userId).seriesEnded, true);
+    });
+    
+    it('reabre a ocorrência descartando a seguinte ainda intocada', () => {
+        const taskId = createSeries('FREQ=DAILY', '2030-01-01');
+        const { nextTaskId } = Database.toggleTaskCompletion(taskId, userId);
+        
+        assert.equal(Database.toggleTaskCompletion(taskId, userId).success, true);
+        assert.equal(findTask(nextTaskId), null);
+        assert.equal(findTask(taskId).recurrence.freq, 'daily');
+    });
+    
+    it('recusa reabrir quando a ocorrência seguinte foi alterada ou comentada', async () => {
+        const taskId = createSeries('FREQ=DAILY', '2030-01-01');
+        const { nextTaskId } = Database.toggleTaskCompletion(taskId, userId);
+        await tick();
+        assert.equal(Database.updateTask(nextTaskId, userId, { title: 'Relatório revisado' }).success, true);
+        
+        assert.equal(Database.toggleTaskCompletion(taskId, userId).success, false);
+        assert.equal(findTask(nextTaskId).title, 'Relatório revisado');
+        assert.equal(findTask(taskId).completed, true);
+        
+        const otherId = createSeries('FREQ=DAILY', '2030-01-01');
+        const other = Database.toggleTaskCompletion(otherId, userId);
+        assert.equal(Database.addComment(other.nextTaskId, userId, 'Em andamento').success, true);
+        
+        assert.equal(Database.toggleTaskCompletion(otherId, userId).success, false);
+        assert.ok(findTask(other.nextTaskId));
+    });
+    
+    it('pula a ocorrência atual para a próxima data', () => {
+        const taskId = createSeries('FREQ=MONTHLY', '2032-01-31');
+        
+        assert.deepEqual(Database.skipOccurrence(taskId, userId), { success: true, dueDate: '2032-02-29' });
+        assert.equal(findTask(taskId).occurrence, 2);
+    });
+    
+    it('reinicia a série e a contagem ao editar a regra', () => {
+        const taskId = createSeries('FREQ=DAILY;COUNT=3', '2030-01-01');
+        const { nextTaskId } = Database.toggleTaskCompletion(taskId, userId);
+        
+        const updated = Database.updateTask(nextTaskId, userId, { recurrence: recurrence.parseRecurrence('FREQ=WEEKLY;COUNT=2').recurrence });
+        assert.equal(updated.success, true);
+        
+        const task = findTask(nextTaskId);
+        assert.equal(task.occurrence, 1);
+        assert.equal(task.recurrence.start, '2030-01-02');
+        assert.equal(Database.toggleTaskCompletion(nextTaskId, userId).nextDueDate, '2030-01-09');
+    });
+    
+    it('reposiciona a série ao mudar o vencimento, mantendo a contagem', () => {
+        const taskId = createSeries('FREQ=DAILY;COUNT=2', '2030-01-01');
+        const { nextTaskId } = Database.toggleTaskCompletion(taskId, userId);
+        
+        assert.equal(Database.updateTask(nextTaskId, userId, { dueDate: '2030-03-01' }).success, true);
+        
+        const task = findTask(nextTaskId);
+        assert.equal(task.recurrence.start, '2030-03-01');
+        assert.equal(task.occurrence, 2);
+        assert.equal(Database.toggleTaskCompletion(nextTaskId, userId).seriesEnded, true);
+    });
+});
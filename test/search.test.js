@@ -0,0 +1,239 @@
+/**
+ * Testes da busca textual
+ * Normalização de acentos, consultas por prefixo e por frase, pontuação dos
+ * resultados, trechos destacados e o escape do HTML ao exibi-los no dashboard.
+ *
+ * Executar com: npm test
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const search = require('../search');
+const { MemoryStorage } = require('../storage');
+const Database = require('../database');
+
+/**
+ * Compara uma consulta com campos de peso 1
+ * @param {string} query - Consulta
+ * @param {Object} texts - Textos por nome do campo
+ * @returns {Object|null} - Resultado de search.matchDocument
+ */
+function match(query, texts) {
+    const fields = Object.entries(texts).map(([name, text]) => ({ name, text, weight: 1 }));
+    return search.matchDocument(search.parseQuery(query), fields);
+}
+
+/**
+ * Trechos destacados de um campo, como texto marcado com [colchetes]
+ * @param {Object} result - Resultado de search.matchDocument
+ * @param {string} field - Nome do campo
+ * @returns {string} - Texto do trecho com os intervalos entre colchetes
+ */
+function marked(result, field) {
+    const { text, ranges } = result.highlights.find(highlight => highlight.field === field);
+    let output = '';
+    let position = 0;
+    
+    ranges.forEach(([start, end]) => {
+        output += `${text.slice(position, start)}[${text.slice(start, end)}]`;
+        position = end;
+    });
+    return output + text.slice(position);
+}
+
+// =============================================================================
+// NORMALIZAÇÃO E CONSULTA
+// =============================================================================
+
+describe('search.normalize', () => {
+    it('ignora acentos e maiúsculas, mantendo as posições do texto original', () => {
+        const { text, positions } = search.normalize('Reunião ÀS 9h');
+        
+        assert.equal(text, 'reuniao as 9h');
+        assert.equal(positions.length, text.length + 1);
+        assert.equal(positions[text.indexOf('as')], 8);
+    });
+    
+    it('mapeia acentos combinados (NFD) para o caractere original', () => {
+        const { text, positions } = search.normalize('cafe\u0301 quente');
+        
+        assert.equal(text, 'cafe quente');
+        assert.equal(positions[text.indexOf('quente')], 6);
+    });
+});
+
+describe('search.parseQuery', () => {
+    it('separa palavras, prefixos e frases', () => {
+        assert.deepEqual(search.parseQuery('Relatório rel* "Reunião  de equipe" x'), [
+            { words: ['relatorio'], prefix: false, phrase: false },
+            { words: ['rel'], prefix: true, phrase: false },
+            { words: ['reuniao', 'de', 'equipe'], prefix: false, phrase: true },
+            { words: ['x'], prefix: false, phrase: false }
+        ]);
+    });
+    
+    it('aceita aspas sem fechamento e descarta itens sem palavras', () => {
+        assert.deepEqual(search.parseQuery('-- "" "plano anual'), [{ words: ['plano', 'anual'], prefix: false, phrase: true }]);
+        assert.deepEqual(search.parseQuery('   '), []);
+        assert.deepEqual(search.parseQuery('* ?'), []);
+    });
+    
+    it('limita a quantidade de itens da consulta', () => {
+        assert.equal(search.parseQuery(Array.from({ length: 15 }, (_, i) => `p${i}`).join(' ')).length, 10);
+    });
+});
+
+// =============================================================================
+// CORRESPONDÊNCIA E PONTUAÇÃO
+// =============================================================================
+
+describe('search.matchDocument', () => {
+    it('encontra palavras sem acento em textos acentuados e vice-versa', () => {
+        assert.ok(match('reuniao', { title: 'Reunião semanal' }));
+        assert.ok(match('ÁRVORE', { title: 'podar arvore' }));
+    });
+    
+    it('exige palavras inteiras, salvo no prefixo', () => {
+        assert.equal(match('rel', { title: 'Relatório mensal' }), null);
+        assert.ok(match('rel*', { title: 'Relatório mensal' }));
+    });
+    
+    it('exige as palavras da frase consecutivas e na ordem', () => {
+        assert.ok(match('"relatório mensal"', { title: 'Relatório mensal de vendas' }));
+        assert.equal(match('"mensal relatório"', { title: 'Relatório mensal de vendas' }), null);
+        assert.equal(match('"relatório vendas"', { title: 'Relatório mensal de vendas' }), null);
+    });
+    
+    it('exige todos os itens da consulta, em qualquer campo', () => {
+        assert.ok(match('relatório cliente', { title: 'Relatório', description: 'Enviar ao cliente' }));
+        assert.equal(match('relatório fornecedor', { title: 'Relatório', description: 'Enviar ao cliente' }), null);
+    });
+    
+    it('pontua palavras inteiras acima de prefixos e frases em dobro', () => {
+        assert.equal(match('plano', { title: 'plano' }).score, 1);
+        assert.equal(match('plan*', { title: 'planejar' }).score, 0.5);
+        assert.equal(match('"plano anual"', { title: 'plano anual' }).score, 2);
+    });
+    
+    it('limita as ocorrências contadas por campo', () => {
+        assert.equal(match('ok', { comments: 'ok ok ok ok ok ok' }).score, 3);
+    });
+});
+
+// =============================================================================
+// TRECHOS DESTACADOS
+// =============================================================================
+
+describe('trechos destacados', () => {
+    it('marca os intervalos no texto original, com acentos', () => {
+        const result = match('reuniao "sala b" equi*', { title: 'Reunião na Sala B com a equipe' });
+        
+        assert.equal(marked(result, 'title'), '[Reunião] na [Sala B] com a [equipe]');
+    });
+    
+    it('une intervalos sobrepostos', () => {
+        const result = match('"plano anual" anual', { title: 'Plano anual' });
+        
+        assert.deepEqual(result.highlights[0].ranges, [[0, 11]]);
+    });
+    
+    it('recorta textos longos ao redor do primeiro resultado sem cortar palavras', () => {
+        const description = `${'palavra '.repeat(20)}orçamento aprovado ${'texto '.repeat(30)}`.trim();
+        const snippet = marked(match('orcamento', { description }), 'description');
+        
+        assert.ok(snippet.startsWith('…palavra '));
+        assert.ok(snippet.endsWith(' texto…'));
+        assert.ok(snippet.includes('[orçamento] aprovado'));
+    });
+    
+    it('devolve o texto sem HTML: o escape fica a cargo de quem exibe', () => {
+        const result = match('negrito', { title: '<b>negrito</b> & "aspas"' });
+        
+        assert.equal(result.highlights[0].text, '<b>negrito</b> & "aspas"');
+        assert.deepEqual(result.highlights[0].ranges, [[3, 10]]);
+    });
+});
+
+describe('destaques no dashboard', () => {
+    /**
+     * Carrega o script do dashboard em um contexto isolado (sem DOM)
+     * @returns {Object} - Contexto com as funções globais do script
+     */
+    function loadDashboard() {
+        const source = fs.readFileSync(path.join(__dirname, '..', 'public', 'js', 'dashboard.js'), 'utf8');
+        const context = vm.createContext({
+            document: { addEventListener() {}, createElement: () => ({}), head: { appendChild() {} } }
+        });
+        
+        vm.runInContext(source, context);
+        return context;
+    }
+    
+    it('escapa o texto e os trechos encontrados, marcando apenas os intervalos', () => {
+        const { highlightSnippet } = loadDashboard();
+        const { highlights } = match('img', { title: '<img src=x onerror="alert(1)"> & img' });
+        
+        assert.equal(
+            highlightSnippet(highlights[0]),
+            '&lt;<mark>img</mark> src=x onerror=&quot;alert(1)&quot;&gt; &amp; <mark>img</mark>'
+        );
+    });
+});
+
+// =============================================================================
+// BUSCA NO DATABASE
+// =============================================================================
+
+describe('Database.searchTasks', () => {
+    let userId;
+    
+    beforeEach(() => {
+        Database.init(new MemoryStorage());
+        userId = Database.createUser('ana', 'ana@example.com', 'Senha123!').userId;
+    });
+    
+    /**
+     * Busca nas tarefas do usuário e retorna os títulos, na ordem dos resultados
+     * @param {string} query - Consulta
+     * @returns {Array<string>} - Títulos
+     */
+    function titles(query) {
+        return Database.searchTasks(Database.getTasks(userId), query).map(result => result.task.title);
+    }
+    
+    it('ordena pela pontuação dos campos (título, tags, descrição, checklist, comentários)', () => {
+        const { taskId } = Database.createTask(userId, 'Revisar contrato');
+        Database.addComment(taskId, userId, 'Falar sobre o orçamento');
+        Database.createTask(userId, 'Planejar viagem', 'Conferir o orçamento');
+        Database.createTask(userId, 'Orçamento anual');
+        
+        assert.deepEqual(titles('orcamento'), ['Orçamento anual', 'Planejar viagem', 'Revisar contrato']);
+    });
+    
+    it('pesquisa o nome das tags da tarefa', () => {
+        const { tagId } = Database.createTag(userId, 'Financeiro', '#336699');
+        Database.createTask(userId, 'Pagar boletos', '', 'medium', null, null, null, [tagId]);
+        Database.createTask(userId, 'Comprar pão');
+        
+        assert.deepEqual(titles('finan*'), ['Pagar boletos']);
+    });
+    
+    it('desempata pela tarefa atualizada mais recentemente', async () => {
+        const first = Database.createTask(userId, 'Ligar para o banco');
+        Database.createTask(userId, 'Ligar para a escola');
+        await new Promise(resolve => setTimeout(resolve, 5));
+        Database.updateTask(first.taskId, userId, { priority: 'high' });
+        
+        assert.deepEqual(titles('ligar'), ['Ligar para o banco', 'Ligar para a escola']);
+    });
+    
+    it('não retorna nada para consultas vazias', () => {
+        Database.createTask(userId, 'Qualquer');
+        
+        assert.deepEqual(titles('  "" '), []);
+    });
+});
@@ -0,0 +1,472 @@
+/**
+ * Testes de conformidade dos adaptadores de armazenamento
+ * O mesmo conjunto roda contra os drivers json, memory e sqlite: o contrato
+ * do adaptador (leitura, gravação, transação, versão) e o comportamento do
+ * Database sobre ele (CRUD de tarefas, cache congelado e estatísticas).
+ * O driver json também tem testes de integridade: arquivos corrompidos no disco,
+ * gravação atômica e o arquivo de bloqueio.
+ *
+ * Executar com: npm test
+ */
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { JsonStorage, MemoryStorage, SqliteStorage, StorageCorruptError } = require('../storage');
+const Database = require('../database');
+
+/**
+ * Construtores de cada driver, recebendo um diretório temporário exclusivo
+ */
+const adapters = {
+    json: dir => new JsonStorage({ dataDir: dir }),
+    memory: () => new MemoryStorage(),
+    sqlite: dir => new SqliteStorage({ file: path.join(dir, 'tasks.db') })
+};
+
+/**
+ * Verifica se a dependência opcional do driver sqlite está instalada
+ * @returns {boolean} - True se better-sqlite3 puder ser carregado
+ */
+function hasSqlite() {
+    try {
+        require('better-sqlite3');
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Motivo para pular a suíte de cada driver (false = executar)
+ */
+const skipReasons = {
+    sqlite: !hasSqlite() && 'better-sqlite3 (dependência opcional) não instalado'
+};
+
+Object.entries(adapters).forEach(([driver, createAdapter]) => {
+    describe(`armazenamento ${driver}`, { skip: skipReasons[driver] || false }, () => {
+        let dir;
+        let storage;
+        
+        beforeEach(() => {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), `tasks-${driver}-`));
+            storage = createAdapter(dir);
+        });
+        
+        afterEach(() => {
+            storage.close();
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+        
+        // =====================================================================
+        // CONTRATO DO ADAPTADOR
+        // =====================================================================
+        
+        describe('adaptador', () => {
+            beforeEach(() => {
+                storage.init(['items', 'other']);
+            });
+            
+            it('começa com coleções vazias', () => {
+                assert.deepEqual(storage.read('items'), []);
+                assert.deepEqual(storage.read('other'), []);
+            });
+            
+            it('grava e lê registros na ordem informada', () => {
+                const records = [{ id: 'b', value: 2, nested: { list: [1, 2] } }, { id: 'a', value: 1, nested: null }];
+                storage.write('items', records);
+                
+                assert.deepEqual(storage.read('items'), records);
+                assert.deepEqual(storage.read('other'), []);
+            });
+            
+            it('substitui a coleção inteira a cada gravação', () => {
+                storage.write('items', [{ id: 'a' }, { id: 'b' }]);
+                storage.write('items', [{ id: 'c' }]);
+                
+                assert.deepEqual(storage.read('items'), [{ id: 'c' }]);
+            });
+            
+            it('devolve cópias: alterar o resultado de read() não altera os dados', () => {
+                storage.write('items', [{ id: 'a', value: 1 }]);
+                storage.read('items')[0].value = 99;
+                
+                assert.equal(storage.read('items')[0].value, 1);
+            });
+            
+            it('muda a versão somente da coleção gravada', () => {
+                const items = storage.version('items');
+                const other = storage.version('other');
+                
+                storage.write('items', [{ id: 'a' }]);
+                
+                assert.notEqual(storage.version('items'), items);
+                assert.equal(storage.version('other'), other);
+            });
+            
+            it('executa transações reentrantes e devolve o resultado', () => {
+                const result = storage.transaction(() => storage.transaction(() => {
+                    storage.write('items', [{ id: 'a' }]);
+                    return 'ok';
+                }));
+                
+                assert.equal(result, 'ok');
+                assert.deepEqual(storage.read('items'), [{ id: 'a' }]);
+            });
+            
+            it('propaga erros lançados dentro da transação', () => {
+                assert.throws(() => storage.transaction(() => {
+                    throw new Error('falha');
+                }), /falha/);
+                
+                // O adaptador continua utilizável depois do erro
+                storage.transaction(() => storage.write('items', [{ id: 'a' }]));
+                assert.deepEqual(storage.read('items'), [{ id: 'a' }]);
+            });
+            
+            it('preserva os dados ao reinicializar', () => {
+                storage.write('items', [{ id: 'a' }]);
+                storage.init(['items', 'other']);
+                
+                assert.deepEqual(storage.read('items'), [{ id: 'a' }]);
+            });
+        });
+        
+        // =====================================================================
+        // DATABASE SOBRE O ADAPTADOR
+        // =====================================================================
+        
+        describe('Database', () => {
+            let userId;
+            
+            beforeEach(() => {
+                Database.init(storage);
+                userId = Database.createUser('ana', 'ana@example.com', 'Senha123!').userId;
+            });
+            
+            /**
+             * Localiza uma tarefa do usuário do teste
+             * @param {string} taskId - ID da tarefa
+             * @returns {Object|undefined} - Tarefa encontrada
+             */
+            function findTask(taskId) {
+                return Database.getTasks(userId).find(task => task.id === taskId);
+            }
+            
+            it('aplica as migrações na inicialização', () => {
+                const schema = storage.read('meta').find(record => record.id === 'schema');
+                assert.ok(schema.version > 0);
+            });
+            
+            it('cria, lê e atualiza tarefas', () => {
+                const created = Database.createTask(userId, 'Relatório', 'Mensal', 'high', '2030-01-15');
+                assert.equal(created.success, true);
+                
+                const task = findTask(created.taskId);
+                assert.equal(task.title, 'Relatório');
+                assert.equal(task.userId, userId);
+                assert.equal(task.priority, 'high');
+                assert.equal(task.dueDate, '2030-01-15');
+                assert.equal(task.projectId, Database.getInbox(userId).id);
+                
+                const updated = Database.updateTask(created.taskId, userId, { title: 'Relatório anual', priority: 'low' });
+                assert.equal(updated.success, true);
+                assert.equal(findTask(created.taskId).title, 'Relatório anual');
+                assert.deepEqual(Database.getTasks(userId).map(other => other.id), [created.taskId]);
+            });
+            
+            it('cria o Inbox com a conta e não grava nada nas consultas', () => {
+                const inbox = Database.getInbox(userId);
+                assert.ok(inbox && inbox.isInbox);
+                
+                storage.write('projects', storage.read('projects').filter(project => project.id !== inbox.id));
+                Database.init(storage);
+                
+                assert.equal(Database.getInbox(userId), null);
+                assert.deepEqual(Database.getProjects(userId).filter(project => project.isInbox), []);
+                assert.ok(!storage.read('projects').some(project => project.userId === userId && project.isInbox));
+                assert.equal(Database.createTask(userId, 'Sem Inbox').success, false);
+            });
+            
+            it('persiste as tarefas no adaptador', () => {
+                const { taskId } = Database.createTask(userId, 'Persistida');
+                
+                assert.ok(storage.read('tasks').some(task => task.id === taskId));
+            });
+            
+            it('alterna a conclusão da tarefa', () => {
+                const { taskId } = Database.createTask(userId, 'Concluir');
+                
+                assert.equal(Database.toggleTaskCompletion(taskId, userId).completed, true);
+                assert.equal(findTask(taskId).completed, true);
+                
+                assert.equal(Database.toggleTaskCompletion(taskId, userId).completed, false);
+                assert.equal(findTask(taskId).completed, false);
+            });
+            
+            it('move tarefas excluídas para a lixeira e as restaura', () => {
+                const { taskId } = Database.createTask(userId, 'Excluir');
+                
+                assert.equal(Database.deleteTask(taskId, userId).success, true);
+                assert.deepEqual(Database.getTasks(userId), []);
+                assert.deepEqual(Database.getTrash(userId).map(task => task.id), [taskId]);
+                
+                assert.equal(Database.restoreTask(taskId, userId).success, true);
+                assert.deepEqual(Database.getTasks(userId).map(task => task.id), [taskId]);
+            });
+            
+            it('nega acesso às tarefas de outro usuário', () => {
+                const otherId = Database.createUser('bia', 'bia@example.com', 'Senha123!').userId;
+                const { taskId } = Database.createTask(userId, 'Privada');
+                
+                assert.equal(Database.updateTask(taskId, otherId, { title: 'Invadida' }).success, false);
+                assert.equal(Database.toggleTaskCompletion(taskId, otherId).success, false);
+                assert.equal(findTask(taskId).title, 'Privada');
+            });
+            
+            it('entrega registros congelados pelo cache', () => {
+                const { taskId } = Database.createTask(userId, 'Congelada');
+                const task = findTask(taskId);
+                
+                assert.ok(Object.isFrozen(task));
+                assert.ok(Object.isFrozen(task.checklist));
+                assert.throws(() => {
+                    'use strict';
+                    task.title = 'Alterada';
+                }, TypeError);
+                assert.equal(findTask(taskId).title, 'Congelada');
+            });
+            
+            it('não grava nada quando o mutador falha', () => {
+                const { taskId } = Database.createTask(userId, 'Intacta');
+                const version = storage.version('tasks');
+                
+                const result = Database.mutate('tasks', tasks => {
+                    tasks.length = 0;
+                    return { success: false, message: 'Cancelada' };
+                }, 'Erro');
+                
+                assert.equal(result.success, false);
+                assert.equal(storage.version('tasks'), version);
+                assert.ok(findTask(taskId));
+            });
+            
+            it('mantém as estatísticas agregadas a cada alteração', () => {
+                const first = Database.createTask(userId, 'Alta', '', 'high').taskId;
+                const second = Database.createTask(userId, 'Baixa', '', 'low').taskId;
+                Database.createTask(userId, 'Média');
+                
+                Database.toggleTaskCompletion(first, userId);
+                Database.updateTask(second, userId, { priority: 'high' });
+                
+                // Prioridades consideram apenas tarefas pendentes
+                let stats = Database.getTaskStats(userId);
+                assert.equal(stats.total, 3);
+                assert.equal(stats.completed, 1);
+                assert.equal(stats.pending, 2);
+                assert.deepEqual(stats.byPriority, { high: 1, medium: 1, low: 0 });
+                assert.deepEqual(stats.byProject, { [Database.getInbox(userId).id]: { total: 3, completed: 1, pending: 2 } });
+                
+                // Tarefas na lixeira saem das estatísticas
+                Database.deleteTask(second, userId);
+                stats = Database.getTaskStats(userId);
+                assert.equal(stats.total, 2);
+                assert.deepEqual(stats.byPriority, { high: 0, medium: 1, low: 0 });
+            });
+            
+            it('calcula as mesmas estatísticas ao recarregar do adaptador', () => {
+                const { taskId } = Database.createTask(userId, 'Alta', '', 'high');
+                Database.createTask(userId, 'Baixa', '', 'low');
+                Database.toggleTaskCompletion(taskId, userId);
+                const incremental = Database.getTaskStats(userId);
+                
+                Database.init(storage);
+                
+                assert.deepEqual(Database.getTaskStats(userId), incremental);
+            });
+            
+            it('descarta os eventos do histórico somente com prazo de retenção configurado', () => {
+                const { taskId } = Database.createTask(userId, 'Histórico');
+                Database.updateTask(taskId, userId, { title: 'Histórico editado' });
+                
+                assert.equal(Database.getTaskActivity(taskId, userId).length, 2);
+                assert.equal(Database.getActivityFeed(userId).length, 2);
+                
+                // Sem prazo configurado, o histórico é mantido
+                const later = new Date(Date.now() + 365 * 24 * 60 * 60 * 1000);
+                assert.deepEqual(Database.purgeExpiredActivity(later, null), { success: true, purged: 0 });
+                assert.deepEqual(Database.purgeExpiredActivity(new Date(), 90), { success: true, purged: 0 });
+                
+                assert.deepEqual(Database.purgeExpiredActivity(later, 90), { success: true, purged: 2 });
+                assert.deepEqual(Database.getTaskActivity(taskId, userId), []);
+                assert.deepEqual(Database.getActivityFeed(userId), []);
+            });
+            
+            it('mantém o histórico de atividades ao excluir a conta', () => {
+                Database.createTask(userId, 'Auditada');
+                
+                assert.equal(Database.deleteUser(userId).success, true);
+                assert.equal(storage.read('tasks').length, 0);
+                assert.ok(storage.read('activity').some(event => event.userId === userId && event.taskTitle === 'Auditada'));
+            });
+            
+            it('recarrega o cache quando o adaptador é alterado diretamente', () => {
+                const { taskId } = Database.createTask(userId, 'Original');
+                
+                storage.write('tasks', storage.read('tasks').map(task => ({ ...task, title: 'Editada' })));
+                
+                assert.equal(findTask(taskId).title, 'Editada');
+                assert.equal(Database.getTaskStats(userId).total, 1);
+            });
+        });
+    });
+});
+
+// =============================================================================
+// INTEGRIDADE DOS ARQUIVOS JSON
+// =============================================================================
+
+describe('armazenamento json: integridade dos arquivos', () => {
+    let dir;
+    let storage;
+    let file;
+    
+    beforeEach(() => {
+        mock.method(console, 'warn', () => {});
+        mock.method(console, 'error', () => {});
+        
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tasks-json-'));
+        storage = new JsonStorage({ dataDir: dir });
+        storage.init(['items']);
+        file = path.join(dir, 'items.json');
+    });
+    
+    afterEach(() => {
+        mock.restoreAll();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+    
+    /**
+     * Arquivos do diretório de dados que começam com o prefixo informado
+     * @param {string} prefix - Prefixo do nome
+     * @returns {Array<string>} - Nomes encontrados
+     */
+    function filesStartingWith(prefix) {
+        return fs.readdirSync(dir).filter(name => name.startsWith(prefix));
+    }
+    
+    it('guarda a versão anterior no .bak a cada gravação', () => {
+        storage.write('items', [{ id: 'a' }]);
+        storage.write('items', [{ id: 'b' }]);
+        
+        assert.deepEqual(JSON.parse(fs.readFileSync(file, 'utf8')), [{ id: 'b' }]);
+        assert.deepEqual(JSON.parse(fs.readFileSync(`${file}.bak`, 'utf8')), [{ id: 'a' }]);
+    });
+    
+    it('grava em um temporário e mantém o arquivo anterior se a troca falhar', () => {
+        storage.write('items', [{ id: 'a' }]);
+        
+        const rename = fs.renameSync;
+        mock.method(fs, 'renameSync', (from, to) => {
+            if (to === file) throw new Error('disco cheio');
+            return rename(from, to);
+        });
+        assert.throws(() => storage.write('items', [{ id: 'b' }]), /disco cheio/);
+        mock.restoreAll();
+        
+        assert.deepEqual(JSON.parse(fs.readFileSync(file, 'utf8')), [{ id: 'a' }]);
+        assert.deepEqual(JSON.parse(fs.readFileSync(`${file}.${process.pid}.tmp`, 'utf8')), [{ id: 'b' }]);
+        
+        // A inicialização descarta o temporário da gravação interrompida
+        storage.init(['items']);
+        assert.deepEqual(filesStartingWith('items.json.').filter(name => name.endsWith('.tmp')), []);
+        assert.deepEqual(storage.read('items'), [{ id: 'a' }]);
+    });
+    
+    it('move o arquivo corrompido para .corrupt-<timestamp> e restaura o .bak', () => {
+        storage.write('items', [{ id: 'a' }]);
+        storage.write('items', [{ id: 'b' }]);
+        fs.writeFileSync(file, '[{"id": "b"');
+        
+        assert.deepEqual(storage.read('items'), [{ id: 'a' }]);
+        assert.deepEqual(JSON.parse(fs.readFileSync(file, 'utf8')), [{ id: 'a' }]);
+        
+        const quarantined = filesStartingWith('items.json.corrupt-');
+        assert.equal(quarantined.length, 1);
+        assert.match(quarantined[0], /^items\.json\.corrupt-\d+$/);
+        assert.equal(fs.readFileSync(path.join(dir, quarantined[0]), 'utf8'), '[{"id": "b"');
+    });
+    
+    it('trata conteúdo que não é um array como corrompido', () => {
+        storage.write('items', [{ id: 'a' }]);
+        storage.write('items', [{ id: 'b' }]);
+        fs.writeFileSync(file, '{"id": "b"}');
+        
+        assert.deepEqual(storage.read('items'), [{ id: 'a' }]);
+    });
+    
+    it('restaura do .bak um arquivo removido', () => {
+        storage.write('items', [{ id: 'a' }]);
+        storage.write('items', [{ id: 'b' }]);
+        fs.unlinkSync(file);
+        
+        assert.deepEqual(storage.read('items'), [{ id: 'a' }]);
+        assert.ok(fs.existsSync(file));
+    });
+    
+    it('não substitui o .bak por um arquivo corrompido', () => {
+        storage.write('items', [{ id: 'a' }]);
+        storage.write('items', [{ id: 'b' }]);
+        fs.writeFileSync(file, 'lixo');
+        
+        storage.write('items', [{ id: 'c' }]);
+        
+        assert.deepEqual(JSON.parse(fs.readFileSync(`${file}.bak`, 'utf8')), [{ id: 'a' }]);
+        assert.deepEqual(storage.read('items'), [{ id: 'c' }]);
+    });
+    
+    it('falha com StorageCorruptError quando o .bak também está corrompido', () => {
+        storage.write('items', [{ id: 'a' }]);
+        fs.writeFileSync(file, 'lixo');
+        fs.writeFileSync(`${file}.bak`, 'lixo');
+        
+        assert.throws(() => storage.read('items'), StorageCorruptError);
+        assert.equal(fs.readFileSync(file, 'utf8'), 'lixo');
+    });
+    
+    it('falha na hora quando outro processo detém o bloqueio', () => {
+        fs.writeFileSync(path.join(dir, '.lock'), '99999');
+        
+        const started = Date.now();
+        assert.throws(() => storage.write('items', [{ id: 'a' }]), /Dados em uso por outro processo/);
+        assert.ok(Date.now() - started < 1000);
+        assert.deepEqual(storage.read('items'), []);
+        
+        // O bloqueio alheio é preservado
+        assert.equal(fs.readFileSync(path.join(dir, '.lock'), 'utf8'), '99999');
+    });
+    
+    it('remove bloqueios abandonados', () => {
+        const lockFile = path.join(dir, '.lock');
+        const old = new Date(Date.now() - 60 * 1000);
+        fs.writeFileSync(lockFile, '99999');
+        fs.utimesSync(lockFile, old, old);
+        
+        storage.write('items', [{ id: 'a' }]);
+        
+        assert.deepEqual(storage.read('items'), [{ id: 'a' }]);
+        assert.equal(fs.existsSync(lockFile), false);
+    });
+    
+    it('libera o bloqueio mesmo quando a transação falha', () => {
+        assert.throws(() => storage.transaction(() => {
+            throw new Error('falha');
+        }), /falha/);
+        
+        assert.equal(fs.existsSync(path.join(dir, '.lock')), false);
+    });
+});
@@ -0,0 +1,148 @@
+/**
+ * Testes da autenticação em dois fatores
+ * Vetores do RFC 6238, tolerância de um passo para cada lado, recusa de códigos
+ * reutilizados e consumo dos códigos de recuperação.
+ *
+ * Executar com: npm test
+ */
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const totp = require('../totp');
+const { MemoryStorage } = require('../storage');
+const Database = require('../database');
+
+/**
+ * Segredo dos vetores de teste do RFC 6238 (SHA-1): "12345678901234567890"
+ */
+const RFC_SECRET = totp.base32Encode(Buffer.from('12345678901234567890'));
+
+/**
+ * Fixa o relógio usado pelo totp
+ * @param {number} seconds - Instante em segundos desde 1970
+ */
+function setClock(seconds) {
+    mock.method(Date, 'now', () => seconds * 1000);
+}
+
+afterEach(() => {
+    mock.restoreAll();
+});
+
+// =============================================================================
+// ALGORITMO
+// =============================================================================
+
+describe('totp', () => {
+    it('codifica e decodifica base32', () => {
+        assert.equal(RFC_SECRET, 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+        assert.equal(totp.base32Decode('gezd gnbv-gy3t qojq gezdgnbvgy3tqojq==').toString(), '12345678901234567890');
+        assert.throws(() => totp.base32Decode('GEZ1'), /base32 inválido/);
+    });
+    
+    it('gera os códigos dos vetores do RFC 6238 (últimos 6 dígitos)', () => {
+        const vectors = {
+            59: '287082',
+            1111111109: '081804',
+            1111111111: '050471',
+            1234567890: '005924',
+            2000000000: '279037',
+            20000000000: '353130'
+        };
+        
+        Object.entries(vectors).forEach(([seconds, code]) => {
+            assert.equal(totp.generateCode(RFC_SECRET, totp.getTimeStep(Number(seconds) * 1000)), code, seconds);
+        });
+    });
+    
+    it('aceita o passo anterior e o seguinte, e nada além', () => {
+        setClock(1111111111);
+        const step = totp.getTimeStep();
+        
+        assert.equal(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step)), step);
+        assert.equal(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step - 1)), step - 1);
+        assert.equal(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step + 1)), step + 1);
+        assert.equal(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step - 2)), null);
+        assert.equal(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step + 2)), null);
+    });
+    
+    it('recusa passos iguais ou anteriores ao último aceito', () => {
+        setClock(1111111111);
+        const step = totp.getTimeStep();
+        const code = totp.generateCode(RFC_SECRET, step);
+        
+        assert.equal(totp.verifyCode(RFC_SECRET, code, { lastStep: step }), null);
+        assert.equal(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step - 1), { lastStep: step - 1 }), null);
+        assert.equal(totp.verifyCode(RFC_SECRET, code, { lastStep: step - 1 }), step);
+    });
+    
+    it('ignora espaços e rejeita formatos inválidos', () => {
+        setClock(59);
+        
+        assert.equal(totp.verifyCode(RFC_SECRET, '287 082'), totp.getTimeStep());
+        ['', null, '28708', '2870820', 'abcdef'].forEach(code => assert.equal(totp.verifyCode(RFC_SECRET, code), null, String(code)));
+    });
+    
+    it('monta o URI otpauth:// com os parâmetros do algoritmo', () => {
+        const uri = totp.buildOtpauthUri(RFC_SECRET, 'ana@example.com', 'Minhas Tarefas');
+        
+        assert.equal(uri, `otpauth://totp/Minhas%20Tarefas%3Aana%40example.com?secret=${RFC_SECRET}&issuer=Minhas%20Tarefas&algorithm=SHA1&digits=6&period=30`);
+    });
+});
+
+// =============================================================================
+// DOIS FATORES NO DATABASE
+// =============================================================================
+
+describe('autenticação em dois fatores', () => {
+    let userId;
+    let secret;
+    let recoveryCodes;
+    
+    beforeEach(() => {
+        Database.init(new MemoryStorage());
+        userId = Database.createUser('ana', 'ana@example.com', 'Senha123!').userId;
+        
+        setClock(1111111111);
+        secret = Database.startTwoFactorSetup(userId).secret;
+        
+        const enabled = Database.enableTwoFactor(userId, totp.generateCode(secret, totp.getTimeStep()));
+        assert.equal(enabled.success, true, enabled.message);
+        recoveryCodes = enabled.recoveryCodes;
+    });
+    
+    it('recusa o código já usado na ativação e aceita o do passo seguinte', () => {
+        const step = totp.getTimeStep();
+        
+        assert.equal(Database.verifyTwoFactor(userId, totp.generateCode(secret, step)).success, false);
+        assert.equal(Database.verifyTwoFactor(userId, totp.generateCode(secret, step + 1)).method, 'totp');
+    });
+    
+    it('não aceita o mesmo código duas vezes, nem um código anterior ao último usado', () => {
+        setClock(1111111111 + 60);
+        const step = totp.getTimeStep();
+        
+        assert.equal(Database.verifyTwoFactor(userId, totp.generateCode(secret, step)).success, true);
+        assert.equal(Database.verifyTwoFactor(userId, totp.generateCode(secret, step)).success, false);
+        assert.equal(Database.verifyTwoFactor(userId, totp.generateCode(secret, step - 1)).success, false);
+    });
+    
+    it('consome cada código de recuperação uma única vez', () => {
+        const [first, second] = recoveryCodes;
+        
+        const used = Database.verifyTwoFactor(userId, first.toUpperCase().replace('-', ' '));
+        assert.equal(used.method, 'recovery');
+        assert.equal(used.recoveryCodesRemaining, recoveryCodes.length - 1);
+        
+        assert.equal(Database.verifyTwoFactor(userId, first).success, false);
+        assert.equal(Database.verifyTwoFactor(userId, second).recoveryCodesRemaining, recoveryCodes.length - 2);
+        assert.equal(Database.getTwoFactorStatus(userId).recoveryCodesRemaining, recoveryCodes.length - 2);
+    });
+    
+    it('não guarda os códigos de recuperação em texto plano', () => {
+        const stored = JSON.stringify(Database.getStorage().read('users'));
+        
+        recoveryCodes.forEach(code => assert.ok(!stored.includes(code.replace('-', ''))));
+    });
+});
@@ -0,0 +1,182 @@
+/**
+ * Senhas de uso único baseadas em tempo (TOTP, RFC 6238)
+ * Compatível com aplicativos autenticadores (Google Authenticator, Authy etc.):
+ * HMAC-SHA1, códigos de 6 dígitos e passos de 30 segundos.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Parâmetros do algoritmo (os padrões esperados pelos aplicativos)
+ */
+const TOTP_PARAMS = { digits: 6, period: 30, algorithm: 'sha1', secretBytes: 20 };
+
+/**
+ * Alfabeto base32 (RFC 4648), usado para exibir o segredo
+ */
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// =============================================================================
+// CODIFICAÇÃO BASE32
+// =============================================================================
+
+/**
+ * Codifica bytes em base32 sem preenchimento
+ * @param {Buffer} buffer - Bytes a codificar
+ * @returns {string} - Texto base32
+ */
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+    
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    
+    return output;
+}
+
+/**
+ * Decodifica texto base32 (ignora espaços, hífens e preenchimento)
+ * @param {string} text - Texto base32
+ * @returns {Buffer} - Bytes decodificados
+ * @throws {Error} - Se houver caracteres inválidos
+ */
+function base32Decode(text) {
+    const clean = String(text).toUpperCase().replace(/[\s=-]/g, '');
+    const bytes = [];
+    let bits = 0;
+    let value = 0;
+    
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error(`Caractere base32 inválido: ${char}`);
+        }
+        
+        value = (value << 5) | index;
+        bits += 5;
+        
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    
+    return Buffer.from(bytes);
+}
+
+// =============================================================================
+// GERAÇÃO E VERIFICAÇÃO DE CÓDIGOS
+// =============================================================================
+
+/**
+ * Gera novo segredo TOTP aleatório
+ * @returns {string} - Segredo em base32 (160 bits)
+ */
+function generateSecret() {
+    return base32Encode(crypto.randomBytes(TOTP_PARAMS.secretBytes));
+}
+
+/**
+ * Retorna o passo de tempo correspondente a um instante
+ * @param {number} [time] - Instante em milissegundos (padrão: agora)
+ * @returns {number} - Número do passo de 30 segundos
+ */
+function getTimeStep(time = Date.now()) {
+    return Math.floor(time / 1000 / TOTP_PARAMS.period);
+}
+
+/**
+ * Calcula o código de um passo de tempo (HOTP, RFC 4226)
+ * @param {string} secret - Segredo em base32
+ * @param {number} step - Passo de tempo
+ * @returns {string} - Código com 6 dígitos
+ */
+function generateCode(secret, step = getTimeStep()) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+    
+    const hmac = crypto.createHmac(TOTP_PARAMS.algorithm, base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 15;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+    
+    return String(binary % 10 ** TOTP_PARAMS.digits).padStart(TOTP_PARAMS.digits, '0');
+}
+
+/**
+ * Verifica um código aceitando o passo anterior e o seguinte (relógios dessincronizados)
+ * Passos iguais ou anteriores a lastStep são recusados, impedindo reutilizar um código
+ * @param {string} secret - Segredo em base32
+ * @param {string} code - Código informado pelo usuário
+ * @param {Object} [options] - Opções
+ * @param {number} [options.window] - Passos tolerados para cada lado
+ * @param {number} [options.lastStep] - Último passo já aceito
+ * @returns {number|null} - Passo aceito ou null se o código for inválido
+ */
+function verifyCode(secret, code, { window = 1, lastStep = -1 } = {}) {
+    const normalized = String(code || '').replace(/\s/g, '');
+    
+    if (!new RegExp(`^\\d{${TOTP_PARAMS.digits}}$`).test(normalized)) {
+        return null;
+    }
+    
+    const current = getTimeStep();
+    
+    for (let step = current - window; step <= current + window; step++) {
+        if (step <= lastStep) continue;
+        
+        const expected = generateCode(secret, step);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+            return step;
+        }
+    }
+    
+    return null;
+}
+
+/**
+ * Monta o URI otpauth:// lido pelos aplicativos autenticadores (via QR code)
+ * @param {string} secret - Segredo em base32
+ * @param {string} account - Identificação da conta (ex.: email)
+ * @param {string} issuer - Nome do emissor exibido no aplicativo
+ * @returns {string} - URI otpauth://totp/...
+ */
+function buildOtpauthUri(secret, account, issuer) {
+    const label = encodeURIComponent(`${issuer}:${account}`);
+    const params = {
+        secret,
+        issuer,
+        algorithm: TOTP_PARAMS.algorithm.toUpperCase(),
+        digits: TOTP_PARAMS.digits,
+        period: TOTP_PARAMS.period
+    };
+    
+    // encodeURIComponent (e não URLSearchParams): alguns aplicativos exibem "+" no lugar de espaços
+    const query = Object.entries(params)
+        .map(([key, value]) => `${key}=${encodeURIComponent(value)}`)
+        .join('&');
+    
+    return `otpauth://totp/${label}?${query}`;
+}
+
+module.exports = {
+    base32Encode,
+    base32Decode,
+    generateSecret,
+    getTimeStep,
+    generateCode,
+    verifyCode,
+    buildOtpauthUri
+};